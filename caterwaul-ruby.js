@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// Caterwaul Ruby command-line tool | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This script parses Ruby files and prints their syntax trees, which makes the parser usable from build scripts on machines without a browser. Its only dependency is ruby-node.js, which has
+// to be in the same directory:
+
+// | $ node caterwaul-ruby.js parse foo.rb bar.rb          <- one S-expression per file, as printed by structure()
+//   $ node caterwaul-ruby.js parse --json < foo.rb        <- '-' or no filenames at all reads standard input
+//   $ node caterwaul-ruby.js parse --ruby=1.8 old.rb      <- parses as Ruby 1.8; the default is 2.x
+
+// Each tree is printed on one line, preceded by its filename and a tab if there's more than one input. JSON trees are written by toJSON(), so they include zero-based positions and comments
+// and can be loaded again with caterwaul.ruby.syntax.fromJSON(). Parse errors are printed on standard error as 'file:line:column: message' with one-based lines and columns, and the exit status
+// is 1 if any input failed to parse.
+
+var caterwaul = require('./ruby-node.js');
+
+caterwaul.js_all()(function ($, fs) {
+  process.exitCode = (args[0] === 'parse' ? inputs %![parse(x)] -seq -re [it.length ? 1 : 0] : usage())
+
+  -where [args         = process.argv.slice(2),
+          json         = args.indexOf('--json') !== -1,
+          version      = args |[/^--ruby=/.test(x) && x.substr(7)] |seq,
+          options      = version ? {version: version} : {},
+          files        = args.slice(1) %[x !== '--json' && ! /^--ruby=/.test(x)] -seq,
+          inputs       = files.length ? files : ['-'],
+
+          usage()      = 2 -se- process.stderr.write('usage: caterwaul-ruby parse [--json] [--ruby=1.8|1.9|2.x] [file ...]\n'),
+          read(file)   = fs.readFileSync(file === '-' ? '/dev/stdin' : file, 'utf8'),
+          name(file)   = file === '-' ? '(stdin)' : file,
+
+          parse(file)  = true -se- process.stdout.write((inputs.length > 1 ? name(file) + '\t' : '') + print($.ruby(read(file), options)) + '\n')
+                         -rescue- (false -se- process.stderr.write(name(file) + ':' + location(e) + e.message + '\n')),
+
+          location(e)  = e instanceof $.ruby.SyntaxError ? '#{e.line + 1}:#{e.column + 1}: ' : ' ',
+          print(tree)  = json ? JSON.stringify(tree) : tree.structure()]})(caterwaul, require('fs'));
+// Generated by SDoc 
@@ -0,0 +1,105 @@
+// Caterwaul Ruby syntax accessors | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Code that inspects Ruby trees would otherwise have to know how the parser lays out each construct: that the receiver of a method call is its first child, say, or that a class without a
+// superclass has an empty leaf where the superclass would go. These methods give those places names, and the predicates say what kind of construct a node is:
+
+// | t = caterwaul.ruby('xs.each {|x| puts x}');
+//   t.is_invocation()                     // -> true
+//   t.receiver().data                     // -> 'xs'
+//   t.method_name()                       // -> 'each'
+//   t.block().params()[0].data            // -> 'x'
+
+// An accessor that doesn't apply to a node returns null, or an empty array if it returns a list, so they can all be used on any node without checking what it is first.
+
+caterwaul.js_all()(function ($) {
+  $.merge($.ruby.syntax.prototype, invocations, definitions, literals, queries),
+
+  where [children(n) = Array.prototype.slice.call(n),
+         items(n)    = /^,h?$/.test(n.data) ? children(n) : [],
+         name_of(n)  = n.data === '::' && n.length === 2 ? name_of(n[0]) + '::' + name_of(n[1]) : n.data,
+
+// Invocations.
+// A method call is a '()' node whose children are the receiver, the method name, the arguments and the block. A call without an explicit receiver has an 'implied self' leaf in its place, which
+// is_implied_self() detects; this includes yield and super when they're given arguments. Calls made with '&.' are "&." nodes with the same layout, so they're invocations too, and
+// is_safe_navigation() picks them out. Blocks are '{}' or 'do' nodes, and their parameters and bodies are available the same way as a method's.
+
+// | caterwaul.ruby('foo(1, *x)').arguments()                      // -> [1, ("u*" x)]
+//   caterwaul.ruby('foo(1, *x)').receiver().is_implied_self()     // -> true
+//   caterwaul.ruby('foo(1, *x)').block()                          // -> null
+
+         invocations = capture [is_invocation()      = /^(?:\(\)|&\.)$/.test(this.data) && this.length === 4,
+                                is_safe_navigation() = this.data === '&.' && this.length === 4,
+                                is_implied_self()    = this.data === 'implied self' && ! this.length,
+                                is_block()           = /^(?:\{\}|do)$/.test(this.data) && this.length === 2,
+
+                                receiver()           = this.is_invocation() ? this[0] : null,
+                                method_name()        = this.is_invocation() ? this[1].data : null,
+                                arguments()          = this.is_invocation() ? items(this[2]) : [],
+                                block()              = this.is_invocation() && this[3].is_block() ? this[3] : null],
+
+// Definitions.
+// Methods, classes and modules have names, which are strings; a class or module name that's qualified with '::' comes back the same way. singleton() returns the object that a 'def self.foo'
+// method or a 'class << self' body is defined on. params() works for methods, blocks and lambdas, and body() for anything that has one. Bodies are usually ';' nodes, but a body with a single
+// statement is just that statement.
+
+// | caterwaul.ruby('class Foo::Bar < Baz; end').class_name()        // -> 'Foo::Bar'
+//   caterwaul.ruby('class Foo::Bar < Baz; end').superclass().data   // -> 'Baz'
+//   caterwaul.ruby('def self.foo(a, b = 1); end').def_name()        // -> 'foo'
+//   caterwaul.ruby('def self.foo(a, b = 1); end').params()          // -> [a, ("=" b 1)]
+//   caterwaul.ruby('->(x) { x * 2 }').params()                      // -> [x]
+
+         definitions = capture [is_def()             = this.data === 'def' && this.length === 3,
+                                is_class()           = this.data === 'class' && this.length === 3,
+                                is_singleton_class() = this.data === 'class' && this.length === 2 && this[0].data === '<<',
+                                is_module()          = this.data === 'module' && this.length === 2,
+                                is_lambda()          = this.data === '->' && this.length === 2,
+
+                                def_name()           = this.is_def() ? (this[0].data === '.' ? this[0][1] : this[0]).data : null,
+                                class_name()         = this.is_class() ? name_of(this[0]) : null,
+                                module_name()        = this.is_module() ? name_of(this[0]) : null,
+                                superclass()         = this.is_class() && this[1].data ? this[1] : null,
+
+                                singleton()          = this.is_def() && this[0].data === '.' ? this[0][0] : this.is_singleton_class() ? this[0][0] : null,
+                                params()             = this.is_def() ? items(this[1]) : this.is_block() || this.is_lambda() ? items(this[0]) : [],
+                                body()               = this.is_lambda() ? this[1].body() :
+                                                       this.is_def() || this.is_block() || this.is_class() || this.is_module() || this.is_singleton_class() ? this[this.length - 1] : null],
+
+// Literals.
+// is_literal() is true for numbers, strings, symbols, regexps, character literals, nil, true and false, whether or not they have interpolations. Backtick commands aren't included, since they
+// run something, and neither are ranges, arrays or hashes; is_array() and is_hash() cover the last two, including %w and %i word lists. A negative number is a unary minus applied to the
+// number.
+
+// | caterwaul.ruby('"a#{b}"').is_string()        // -> true
+//   caterwaul.ruby(':foo').is_symbol()           // -> true
+//   caterwaul.ruby('-1').is_number()             // -> false
+//   caterwaul.ruby('%w[a b]').is_array()         // -> true
+
+         literals = capture [is_number()    = ! this.length && /^\d/.test(this.data),
+                             is_character() = ! this.length && /^\?./.test(this.data),
+                             is_symbol()    = this.length ? this.data === ':"' : /^(?::[^:]|%s[^\w\s])/.test(this.data),
+                             is_string()    = this.length ? /^(?:"|%[qQ]?[^\w\s=]| |)$/.test(this.data) || this.data === '%=' && this.length !== 2 || heredoc(this.data)
+                                                          : /^(?:'|"|%[qQ]?[^\w\s])/.test(this.data) || heredoc(this.data),
+                             is_regexp()    = this.length ? /^(?:\/\/|%r[^\w\s][^\w\s])[a-z]*$/.test(this.data) : /^(?:\/|%r[^\w\s])/.test(this.data),
+
+                             is_literal()   = this.is_number() || this.is_character() || this.is_symbol() || this.is_string() || this.is_regexp()
+                                           || ! this.length && /^(?:nil|true|false)$/.test(this.data),
+
+                             is_array()     = this.data === '[' && this.length === 1 || /^%[wWiI][^\w\s]$/.test(this.data),
+                             is_hash()      = this.data === '{' && this.length === 1],
+
+         heredoc(d) = /^<<[-~]?(?:\w|(["'])[^\n]*\1$)/.test(d),
+
+// Queries.
+// find_all() returns the nodes in a tree that match a pattern, in the order they appear in the source; the tree itself is included if it matches. find() returns the first one, or null. A
+// pattern that's a string matches nodes with that data, a regexp is tested against the data, and a function is called on each node.
+
+// | caterwaul.ruby('def f; end\ndef g; end').find_all('def').map(function (n) {return n.def_name()})     // -> ['f', 'g']
+//   caterwaul.ruby('require "x"; foo').find(function (n) {return n.method_name() === 'require'})  // -> ("()" implied self require ("," "x") )
+
+         queries = capture [find_all(p) = this.collect(matcher(p)),
+                            find(p)     = this.find_all(p)[0] || null],
+
+         matcher(p) = p instanceof Function ? p : p instanceof RegExp ? (given.n in p.test(n.data)) : given.n in (n.data === p)]})(caterwaul);
+// Generated by SDoc 
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+// Caterwaul Ruby parser benchmark | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This script times the parser on generated Ruby files of increasing size, doubling each time, to show how parse time grows with the input. Like caterwaul-ruby.js, it needs ruby-node.js in the
+// same directory:
+
+// | $ node ruby-benchmark.js                              <- 250, 500, 1000, 2000 and 4000 lines
+//   $ node ruby-benchmark.js 1000 16000                   <- 1000 lines, doubling up to 16000
+
+// Each line of output gives the size of one input, the best of three parse times, and the time per thousand characters. Parsing is linear if the last column stays about the same as the size
+// doubles; the ratio to the first size is printed after it so that growth is easy to spot. The parser is run once on the smallest input beforehand so that compilation time isn't counted.
+
+// Linear isn't the same as fast. The time per thousand characters is around 30 to 40 milliseconds, so a file of a few thousand lines takes a few seconds. Words, variables and numbers are scanned
+// once per offset by the parser's token stage (see 'Tokens' in ruby-parser.js), but that only took about 3% off the 1000-line input, from 28 to 27 milliseconds per thousand characters; terminals
+// were never the expensive part. Most of the time goes to allocating the arrays of states that Caterwaul's parser combinators pass to each other, and to collecting them afterwards.
+
+// The generated source is a class made of copies of one method, which uses the constructs that come up most in practice: parameters with defaults and splats, blocks, string interpolation, a
+// modifier, hashes and arrays, and a comment.
+
+var caterwaul = require('./ruby-node.js');
+
+caterwaul.js_all()(function ($) {
+  sizes *![report(x)] -seq -se- $.ruby(source(sizes[0]))
+
+  -where [args               = process.argv.slice(2) *[+x] -seq,
+          doublings(l, u)    = l > u ? [] : [l].concat(doublings(l * 2, u)),
+          sizes              = doublings(args[0] || 250, args[1] || 4000),
+
+          method(i)          = ['  def method_#{i}(a, b = #{i}, *rest)',
+                                '    x = a.map {|y| y * 2 + b}  # double each one',
+                                '    puts "#@name: %s of %d" % [x.first, rest.size] if x.any?',
+                                '    @cache[:k#{i}] ||= [x, b, {size: 3, "name" => name}]',
+                                '  end',
+                                ''].join('\n'),
+
+          source(lines)      = ['class Widget < Base'].concat(n[Math.max(1, lines / 6 >>> 0)] *method -seq, ['end']).join('\n'),
+
+          elapsed(s, start = Date.now()) = ($.ruby(s), Date.now() - start),
+          best_of(k, s)      = Math.min.apply(Math, n[k] *[elapsed(s)] -seq),
+
+          first              = null,
+          report(lines)      = process.stdout.write('#{pad(lines, 6)} lines #{pad(s.length, 8)} chars #{pad(ms, 7)} ms #{pad(per_k.toFixed(2), 8)} ms/kchar #{pad(ratio.toFixed(2), 6)}x\n')
+                               -where [s     = source(lines),
+                                       ms    = best_of(3, s),
+                                       per_k = ms * 1000 / s.length,
+                                       ratio = per_k / (first || (first = per_k))],
+
+          pad(x, width)      = (x = String(x)).length < width ? pad(' ' + x, width) : x]})(caterwaul);
+// Generated by SDoc 
@@ -0,0 +1,621 @@
+// Caterwaul Ruby compiler | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This file compiles Ruby syntax trees into Caterwaul Javascript syntax trees. The result is an expression that runs the Ruby program and returns the value of its last statement, so it can go
+// straight into caterwaul.compile():
+
+// | caterwaul.compile(caterwaul.ruby.compile(caterwaul.ruby('[1, 2, 3].map {|x| x * 2}')))       // -> [2, 4, 6]
+
+// There's no Ruby runtime behind the output. Method calls become Javascript method calls, operators become Javascript operators, and Ruby values map onto their nearest Javascript
+// equivalents: nil is null, symbols are strings, arrays are arrays and hashes are objects. So the methods available on built-in values are Javascript's. Within those limits the compiler
+// handles the parts of Ruby that don't have a direct Javascript counterpart:
+
+// | 1. Method calls. A bare identifier is a local variable if it's been assigned earlier in the same scope, and a call on self otherwise. Calls without parentheses are still calls, so 'x.size'
+//      becomes 'x.size()'. Method names that aren't Javascript identifiers ('empty?', 'name=') are looked up with brackets, and 'Foo.new' becomes 'new Foo()'.
+//   2. Blocks. A block becomes a function passed as the last argument, and methods that use 'yield', 'block_given?' or a '&block' parameter take it back off the end of their arguments.
+//      Lambda literals become functions too.
+//      Blocks with more than one parameter splat a lone array argument the way Ruby does. Javascript's iterators pass more than one argument, though, so they don't get splatted there.
+//   3. Implicit returns. Methods, blocks and class bodies return their last statement, including through conditionals, case statements and begin blocks.
+//   4. Conditionals, modifiers and loops. 'unless' and 'until' are negated, modifiers become ordinary conditionals, and forms that Javascript only has as statements are wrapped in functions when
+//      they're used as values.
+//   5. Assignment. Multiple assignment, splats and nested destructuring work on arrays, as do optional and splat parameters.
+//   6. Strings. Escapes are decoded, interpolations are concatenated in, and heredocs and word lists become ordinary strings and arrays.
+//   7. Classes and modules. A class is a constructor function that calls 'initialize', and its body runs with self bound to the constructor. Instance methods are defined on the prototype and
+//      'super' calls the superclass's version. Modules are plain objects, and methods defined in them belong to the module itself. Both can be reopened.
+//   8. Operators whose meaning differs. Only nil and false are false, nil interpolates as an empty string, integer division and modulo round down, negative indexes count from the end,
+//      '<<' appends to arrays, and '==' compares arrays and hashes by their contents. These go through small runtime functions that the compiled program defines for itself when it needs
+//      them (see 'Runtime' below).
+
+// Anything else (ranges outside of 'for' loops, regular expressions, format strings, 'retry' and so on) is rejected with an error rather than compiled into something that does the wrong thing.
+
+// One gap can't be closed this way. Javascript has one kind of number, so 7.0 and 7 are the same value at run time, and the compiler decides whether '/' divides floats or integers by looking
+// at the source. A division is a float division if either side is a float literal, arithmetic on one, or a local variable whose last assignment was one. A float from anywhere else, like a
+// method's return value, divides like an integer when it happens to be whole.
+
+caterwaul.js_all()(function ($) {
+
+  $.ruby.compile(tree) = qs[(function () {_body}).call(this)].replace({_body: function_body(s, returning(tree, s))}) -where [s = scope('program', null) -se [it.runtime = {}]]
+
+  -where [unsupported(n) = raise [new Error('caterwaul.ruby.compile: unsupported syntax: ' + (n.length ? n.structure() : n.data))],
+
+// Scopes.
+// Each Javascript function that the compiler generates has a scope, which records the local variables that need to be declared at its top. Blocks can see the variables of the scope around
+// them, but methods, class bodies and module bodies start fresh, just like in Ruby. Every scope that isn't a block binds 'self' to 'this' so that blocks inside it can refer to the same self.
+// Scopes also remember what 'next', 'break', 'yield' and 'super' mean where they are.
+
+          scope(kind, parent)       = {kind: kind, parent: parent, locals: {}, names: [], floats: {}, loop: false, block: null, owner: null, name: null},
+          home(s)                   = s.kind === 'block' ? home(s.parent) : s,
+          program(s)                = s.parent ? program(s.parent) : s,
+          visible(s, name)          = s.locals.hasOwnProperty(name) || s.kind === 'block' && visible(s.parent, name),
+          declare(s, name)          = visible(s, name) || (s.locals[name] = true, s.names.push(name)),
+          temporary(s, name)        = $.gensym(name) -se- declare(s, it) -re- identifier(it),
+
+          block_of(s)               = home(s) -re [it.kind === 'method' ? identifier(js_name(it.block || (it.block = $.gensym('block')))) : unsupported(new $.ruby.syntax('yield'))],
+
+          function_body(s, body, formals) = (names.length ? sequence_of([$.parse('var _xs').replace({_xs: comma_of(names)}), body]) : body)
+                                            -where [helpers = s.runtime ? Object.keys(s.runtime) *[assignment(s.runtime[x], runtime[x])] -seq : [],
+                                                    names   = (s.kind === 'block' ? [] : [qs[self = this]]).concat(helpers, s.names %![formals && formals.indexOf(x) >= 0] *[identifier(js_name(x))] -seq)],
+
+// Runtime.
+// A few Ruby operators can't be written as Javascript operators, because their meaning depends on the values at run time. Each of these is a function that the program defines once, at its
+// top, the first time the compiler needs it. 'divide' can't tell a float that happens to be whole from an integer, so a division that the compiler knows to be a float division is left to
+// Javascript. Strings are immutable in Javascript, so '<<' on a string is an error rather than an append that nothing would see, and so is '%' on a string, which would format it in Ruby.
+// 'equal' compares arrays element by element and hashes key by key, and otherwise uses the left side's '==' method if it has one.
+
+          runtime                   = {truthy: qs[function (x) {return x !== null && x !== undefined && x !== false}],
+                                       text:   qs[function (x) {return x === null || x === undefined ? '' : String(x)}],
+                                       append: qs[function (x, y) {if (typeof x === 'number') return x << y;
+                                                                   if (x instanceof Array) return x.push(y), x;
+                                                                   if (x !== null && x !== undefined && typeof x['<<'] === 'function') return x['<<'](y);
+                                                                   throw new TypeError("can't append to " + typeof x)}],
+                                       divide: qs[function (x, y) {if (x % 1 !== 0 || y % 1 !== 0) return x / y;
+                                                                   if (y === 0) throw new Error('divided by 0');
+                                                                   return Math.floor(x / y)}],
+                                       modulo: qs[function (x, y) {if (typeof x === 'string') throw new TypeError("format strings aren't supported");
+                                                                   if (y === 0 && x % 1 === 0) throw new Error('divided by 0');
+                                                                   return typeof x === 'number' && typeof y === 'number' ? x - y * Math.floor(x / y) : x % y}],
+                                       slot:   qs[function (xs, i) {return typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i}],
+                                       index:  qs[function (xs, i) {var x = xs[typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i]; return x === undefined ? null : x}],
+                                       store:  qs[function (xs, i, v) {return xs[typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i] = v}],
+                                       equal:  qs[function equal(x, y) {if (x === y || (x === null || x === undefined) && (y === null || y === undefined)) return true;
+                                                                        if (x instanceof Array) {if (! (y instanceof Array) || x.length !== y.length) return false;
+                                                                                                 for (var i = 0; i < x.length; ++i) if (! equal(x[i], y[i])) return false;
+                                                                                                 return true}
+                                                                        if (x === null || x === undefined || typeof x !== 'object') return false;
+                                                                        if (typeof x['=='] === 'function') return x['=='](y);
+                                                                        if (Object.getPrototypeOf(x) !== Object.prototype || ! y || Object.getPrototypeOf(y) !== Object.prototype) return false;
+                                                                        var ks = Object.keys(x);
+                                                                        if (ks.length !== Object.keys(y).length) return false;
+                                                                        for (var j = 0; j < ks.length; ++j) if (! y.hasOwnProperty(ks[j]) || ! equal(x[ks[j]], y[ks[j]])) return false;
+                                                                        return true}]},
+
+          helper(s, name)           = program(s).runtime -re [it[name] || (it[name] = identifier($.gensym(name)))],
+          helping(s, name, xs)      = call(helper(s, name), xs),
+
+// Javascript trees.
+// These build the Javascript side. Compound subexpressions are parenthesized whenever they're used as operands, since Caterwaul prints trees as they are.
+
+          reserved                  = ('arguments break case catch class const continue debugger default delete do else enum eval export extends false finally for function if implements '
+                                       + 'import in instanceof interface let new null package private protected public return self static super switch this throw true try typeof var void while '
+                                       + 'with yield').split(' ') *[[x, true]] -object -seq,
+          js_name(name)             = reserved.hasOwnProperty(name) ? name + '_' : name,
+          identifier(name)          = new $.syntax(name),
+          string(s)                 = new $.syntax(JSON.stringify(s)),
+          null_value                = qs[null],
+          self_value                = qs[self],
+
+          tight(x)                  = ! x.length || /^(?:\(|\[|\{|\(\)|\[\]|\.)$/.test(x.data),
+          operand(x)                = tight(x) ? x : new $.syntax('(', x),
+          receiver_of(x)            = tight(x) && ! /^\d/.test(x.data) ? x : new $.syntax('(', x),
+          argument(x)               = x.data === ',' ? new $.syntax('(', x) : x,
+          binary(op, x, y)          = new $.syntax(op, operand(x), operand(y)),
+          not(x)                    = new $.syntax('u!', operand(x)),
+          conditional(c, x, y)      = new $.syntax('?', operand(c), operand(x), operand(y)),
+          assignment(x, y)          = new $.syntax('=', x, operand(y)),
+
+          comma_of(xs)              = xs.slice(1) /[xs[0]][new $.syntax(',', x0, argument(x))] -seq,
+          sequence_of(xs)           = xs.slice(1) /[xs[0]][new $.syntax(';', x0, x)] -seq,
+          either(xs)                = xs.slice(1) /[xs[0]][binary('||', x0, x)] -seq,
+          values_of(xs)             = xs.length ? comma_of(xs) : null_value,
+
+          member(o, name)           = /^[A-Za-z_$][\w$]*$/.test(name) ? qs[_o._p].replace({_o: receiver_of(o), _p: identifier(name)}) : qs[_o[_p]].replace({_o: operand(o), _p: string(name)}),
+          call(f, xs)               = xs.length ? new $.syntax('()', operand(f), comma_of(xs)) : qs[_f()].replace({_f: operand(f)}),
+          array(xs)                 = xs.length ? new $.syntax('[', comma_of(xs)) : qs[[]],
+          object(ps)                = ps.length ? new $.syntax('{', comma_of(ps *[new $.syntax(':', x[0], operand(x[1]))] -seq)) : qs[{}],
+          immediately(body)         = qs[(function () {_body})()].replace({_body: body}),
+
+          if_statement(c, x, y)     = (! y            ? $.parse('if (_c) {_x}') :
+                                       y.data === 'if' ? $.parse('if (_c) {_x} else _y') :
+                                                         $.parse('if (_c) {_x} else {_y}')).replace({_c: c, _x: x, _y: y}),
+          return_statement(x)       = $.parse('return _x').replace({_x: x}),
+          throw_statement(x)        = $.parse('throw _x').replace({_x: x}),
+          expression_statement(x)   = /^(?:\{|function)$/.test(x.data) ? new $.syntax('(', x) : x,
+
+// Ruby trees.
+// Argument and parameter lists are ',' nodes, or empty leaves when there aren't any. String-like nodes are recognized the same way the serializer recognizes them.
+
+          children(n)               = Array.prototype.slice.call(n),
+          filled(n)                 = n.length > 0 || n.data !== '',
+          items(n)                  = n.data === ',' || n.data === ',h' ? children(n) : filled(n) ? [n] : [],
+          local_name(d)             = /^[a-z_][\w]*$/.test(d),
+          constant_name(d)          = /^[A-Z]\w*$/.test(d),
+          is_heredoc(n)             = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+          is_string(n)              = (n.data === '' || n.data === ' ') && n.length > 0 || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2 || is_heredoc(n),
+
+          statement_form(n)         = /^(?:begin|for|return|break|next|redo|retry)$/.test(n.data) || /^(?:while|until)$/.test(n.data) && n.length === 2 || n.data === 'rescue' && n.length === 2
+                                      || raise_call(n),
+          raise_call(n)             = n.data === '()' && n[0].data === 'implied self' && n[1].data === 'raise',
+
+// Statements and values.
+// Every node can be compiled three ways: as an expression, as a statement, or as a statement that returns the node's value from the enclosing function. Most nodes are expressions in all three
+// cases; the exceptions are the ones that read better, or only work, as Javascript statements.
+
+          expression(n, s)          = (is_string(n)                  ? string_value(n, s) :
+                                       ! n.length                    ? leaf(n, s) :
+                                       statement_form(n)             ? immediately(returning(n, s)) :
+                                       forms.hasOwnProperty(n.data)  ? forms[n.data](n, s) :
+                                       operators.hasOwnProperty(n.data) && n.length === 2 ? binary(operators[n.data], expression(n[0], s), expression(n[1], s)) :
+                                       /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)=$/.test(n.data) ? update(n, s) :
+                                                                       unsupported(n)) /-traced/ n,
+
+          statement(n, s)           = (n.data === ';'                                   ? statements(n, s, statement) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, statement) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 2 ? branches([[modifier_condition(n), n[0]]], null, s, statement) :
+                                       /^(?:and|or|&&|\|\|)$/.test(n.data) && statement_form(n[1])
+                                                                                        ? if_statement(/^(?:and|&&)$/.test(n.data) ? truth(n[0], s) : not(truth(n[0], s)), statement(n[1], s)) :
+                                       n.data === 'case'                                ? case_branches(n, s, statement) :
+                                       /^(?:while|until)$/.test(n.data) && n.length === 2 ? loop(n, s) :
+                                       n.data === 'for'                                 ? for_loop(n, s) :
+                                       n.data === 'begin'                               ? exceptions(n, s, statement) :
+                                       n.data === 'rescue' && n.length === 2            ? rescue_modifier(n, s, statement) :
+                                       raise_call(n)                                    ? raise_statement(n, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(n.data) ? jump(n, s) :
+                                                                                          expression_statement(expression(n, s))) /-traced/ n,
+
+          returning(n, s)           = (n.data === ';'                                   ? statements(n, s, returning) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, returning) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 2 ? branches([[modifier_condition(n), n[0]]], null, s, returning) :
+                                       n.data === 'case'                                ? case_branches(n, s, returning) :
+                                       n.data === 'begin'                               ? exceptions(n, s, returning) :
+                                       n.data === 'rescue' && n.length === 2            ? rescue_modifier(n, s, returning) :
+                                       raise_call(n)                                    ? raise_statement(n, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(n.data) ? jump(n, s) :
+                                       statement_form(n) || /^(?:while|until)$/.test(n.data) && n.length === 2
+                                                                                        ? sequence_of([statement(n, s), return_statement(null_value)]) :
+                                                                                          return_statement(expression(n, s))) /-traced/ n,
+
+  // Each of these Javascript nodes is a fresh copy that remembers the Ruby node it was compiled from, which is what compile.mapped() uses to build a source map. Copies are needed because some
+//   nodes, like the ones for null and self, are shared.
+
+          traced(j, n)              = j.map("_".qf) -se [it._ruby = n],
+
+          statements(n, s, f)       = (! n.length ? f === returning ? return_statement(null_value) : null_value :
+                                                    sequence_of(children(n).slice(0, -1) *[statement(x, s)] -seq -re- it.concat([f(n[n.length - 1], s)]))),
+
+  // Conditionals.
+//   'if', 'unless' and 'case' all turn into a list of condition and body pairs, plus an optional 'else' body. As an expression this is a chain of ternaries, and as a statement it's a chain of
+//   if-else statements. Conditions are functions that compile themselves, so that the conditions and bodies are compiled in source order and variables assigned in a condition are known in
+//   the bodies after it.
+// Conditions are true unless they're nil or false, which takes a runtime check unless the condition is a comparison, a negation or a literal and so is already a boolean.
+
+          truth(n, s)               = (/^(?:and|or|&&|\|\|)$/.test(n.data) && n.length === 2 ? binary(/^(?:and|&&)$/.test(n.data) ? '&&' : '||', truth(n[0], s), truth(n[1], s)) :
+                                       boolean(n)                                         ? expression(n, s) :
+                                                                                            helping(s, 'truthy', [expression(n, s)])),
+
+          boolean(n)                = (! n.length                                    ? /^(?:true|false|nil|block_given\?)$/.test(n.data) :
+                                       /^(?:and|or|&&|\|\|)$/.test(n.data)           ? boolean(n[0]) && boolean(n[1]) :
+                                       n.data === '('                                ? boolean(n[0]) :
+                                                                                       /^(?:==|!=|<|<=|>|>=|u!|not)$/.test(n.data)),
+
+          logical(n, s)             = (boolean(n[0]) ? binary(conjunction ? '&&' : '||', expression(n[0], s), expression(n[1], s)) : kept(temporary(s, 'value')))
+                                      -where [conjunction = /^(?:and|&&)$/.test(n.data),
+                                              kept(t)     = helping(s, 'truthy', [assignment(t, expression(n[0], s))])
+                                                            -re [conjunction ? conditional(it, expression(n[1], s), t) : conditional(it, t, expression(n[1], s))]],
+
+          if_clauses(n)             = [[test(n.data, n[0]), n[1]]].concat(n[2].data === 'elsif' ? if_clauses(n[2]) : []),
+          if_otherwise(n)           = n[2].data === 'elsif' ? if_otherwise(n[2]) : filled(n[2]) ? n[2] : null,
+          modifier_condition(n)     = test(n.data, n[1]),
+          test(kind, c)             = kind === 'unless' ? given.s in not(truth(c, s)) : given.s in truth(c, s),
+
+          branches(pairs, otherwise, s, f)
+                                    = (f === expression ? compiled /[else_part][conditional(x[0], x[1], x0)] -seq
+                                                        : compiled /[else_part][if_statement(x[0], x[1], x0)] -seq)
+                                      -where [compiled  = pairs *[[x[0](s), f(x[1], s)]] -seq -re- it.reverse(),
+                                              else_part = otherwise ? f(otherwise, s) : f === expression ? null_value : f === returning ? return_statement(null_value) : null],
+
+          case_branches(n, s, f)    = sequence_or_comma([filled(n[0]) ? assignment(subject, expression(n[0], s)) : null], branches(pairs, otherwise, s, f), f)
+                                      -where [subject       = filled(n[0]) ? temporary(s, 'subject') : null,
+                                              whens         = children(n).slice(1) %[x.data === 'when'] -seq,
+                                              otherwise     = n[n.length - 1].data === 'else' ? n[n.length - 1][0] : null,
+                                              matches(v)    = ! subject      ? truth(v, s) :
+                                                              v.data === 'u*' ? binary('>=', qs[_xs.indexOf(_x)].replace({_xs: operand(expression(v[0], s)), _x: subject}), qs[0]) :
+                                                              scalar(v)       ? binary('===', subject, expression(v, s)) :
+                                                                                helping(s, 'equal', [subject, expression(v, s)]),
+                                              condition(w)  = given.s in either(items(w[0]) *matches -seq),
+                                              pairs         = whens *[[condition(x), x[1]]] -seq],
+
+          sequence_or_comma(xs, x, f) = xs %[x] -seq -re [it.length ? f === expression ? comma_of(it.concat([x])) : sequence_of(it *expression_statement -seq -re- it.concat([x])) : x],
+
+  // Loops and jumps.
+//   'while' and 'until' become while loops, or do-while loops when they modify a 'begin' block. A 'for' loop over a range counts; any other 'for' loop walks an array by index. Inside a loop,
+//   'next' and 'break' are 'continue' and 'break'; inside a block, 'next' returns from the block's function. 'break' from a block and 'return' from inside a block would have to unwind through
+//   the method that called the block, so they're rejected.
+
+          looping(s, f)             = f() -se [s.loop = was] -where [was = s.loop -se [s.loop = true]],
+
+          loop(n, s)                = (n[1].data === ';'                          ? loop_statement(while_loop, n[0], n[1]) :
+                                       n[0].data === 'begin' && n[0].length === 1 ? loop_statement(do_loop, n[1], n[0][0]) :
+                                                                                    loop_statement(while_loop, n[1], n[0]))
+                                      -where [condition(c)            = n.data === 'until' ? not(truth(c, s)) : truth(c, s),
+                                              loop_statement(t, c, b) = t.replace({_c: condition(c), _x: looping(s, "statement(b, s)".qf)})],
+
+          while_loop                = $.parse('while (_c) {_x}'),
+          do_loop                   = $.parse('do {_x} while (_c); _')[0],
+
+          for_loop(n, s)            = (range ? counted() : indexed())
+                                      -where [range     = /^\.\.\.?$/.test(n[1].data) && n[1].length === 2 ? n[1] : null,
+                                              body()    = looping(s, "statement(n[2], s)".qf),
+                                              counted() = $.parse('for (_v = _a; _v ' + (range.data === '..' ? '<=' : '<') + ' _b; ++_v) {_x}')
+                                                          .replace({_v: reference(n[0], s), _a: expression(range[0], s), _b: operand(expression(range[1], s)), _x: body()}),
+                                              indexed() = $.parse('for (_i = 0, _xs = _e; _i < _xs.length; ++_i) {_assign; _x}')
+                                                          .replace({_i: i, _xs: xs, _e: expression(n[1], s), _assign: assign(n[0], qs[_xs[_i]].replace({_xs: xs, _i: i}), s), _x: body()})
+                                                          -where [i = temporary(s, 'i'), xs = temporary(s, 'xs')]],
+
+          jump(n, s)                = (n.data === 'return' ? s.kind === 'block' ? unsupported(n) : return_statement(value) :
+                                       n.data === 'next'   ? s.loop ? $.parse('continue') : s.kind === 'block' ? return_statement(value) : unsupported(n) :
+                                       n.data === 'break' && s.loop && ! n.length ? $.parse('break') :
+                                                             unsupported(n))
+                                      -where [value = n.length ? expression(n[0], s) : null_value],
+
+  // Exceptions.
+//   A 'begin' block becomes a try statement. Rescue clauses check the exception's class with instanceof; 'StandardError', 'Exception' and 'RuntimeError' all mean Javascript's Error class, and a
+//   clause without classes catches everything. An exception that no clause matches is rethrown. The 'else' clause runs after the body only if it didn't raise, and before the 'ensure' clause.
+//   'raise' throws its argument, or a new Error if the argument is a string, or a new instance if it's given a class and a message.
+
+          error_classes             = {StandardError: 'Error', Exception: 'Error', RuntimeError: 'Error'},
+          error_class(n, s)         = ! n.length && error_classes.hasOwnProperty(n.data) ? identifier(error_classes[n.data]) : expression(n, s),
+
+          exceptions(n, s, f)       = sequence_or_comma([otherwise ? assignment(finished, qs[false]) : null], guarded, f)
+                                      -where [clauses     = children(n).slice(1),
+                                              rescues     = clauses %[x.data === 'rescue'] -seq,
+                                              otherwise   = clauses |[x.data === 'else' && x[0]] |seq,
+                                              ensure      = clauses |[x.data === 'ensure' && x[0]] |seq,
+                                              finished    = otherwise ? temporary(s, 'finished') : null,
+                                              e           = otherwise || rescues.length ? temporary(s, 'e') : null,
+                                              body        = otherwise ? sequence_of([statement(n[0], s), assignment(finished, qs[true])]) : f(n[0], s),
+                                              rescued(r)  = sequence_of((filled(r[1]) ? [assign(r[1], e, s)] : []).concat([f(r[2], s)])),
+                                              matches(r)  = items(r[0]) *[binary('instanceof', e, error_class(x, s))] -seq -re [it.length ? either(it) : null],
+                                              handled     = rescues *[[matches(x), rescued(x)]] -seq,
+                                              handlers    = handled.reverse() /[throw_statement(e)][x[0] ? if_statement(x[0], x[1], x0) : x[1]] -seq,
+                                              caught      = rescues.length ? $.parse('try {_x} catch (_e) {_y}').replace({_x: body, _e: e, _y: handlers}) : body,
+                                              with_else   = otherwise ? sequence_of([caught, if_statement(finished, f(otherwise, s))]) : caught,
+                                              guarded     = ensure ? new $.syntax('try', new $.syntax('{', with_else), new $.syntax('finally', new $.syntax('{', statement(ensure, s)))) : with_else],
+
+          rescue_modifier(n, s, f)  = $.parse('try {_x} catch (_e) {_y}').replace({_x: f(n[0], s), _e: temporary(s, 'e'), _y: f(n[1], s)}),
+
+          raise_statement(n, s)     = throw_statement(xs.length === 2 ? new $.syntax('new', call(error_class(n[2][0], s), [expression(n[2][1], s)])) :
+                                                      ! xs.length                       ? qs[new Error()] :
+                                                      is_string(xs[0]) || quoted(xs[0].data) !== null ? qs[new Error(_x)].replace({_x: expression(xs[0], s)}) :
+                                                      constant_name(xs[0].data)        ? new $.syntax('new', qs[_c()].replace({_c: error_class(xs[0], s)})) :
+                                                                                         expression(xs[0], s))
+                                      -where [xs = items(n[2])],
+
+// Leaves.
+// Numbers are converted to their values, except for rationals and imaginaries, which aren't supported. Symbols and character literals become strings, and nil, true, false and self have
+// direct equivalents. Instance variables are properties of self whose names keep their '@', so they can't collide with methods.
+
+          number(d)                 = new $.syntax(String(/^0[xX]/.test(x) ? parseInt(x.substr(2), 16) : /^0[bB]/.test(x) ? parseInt(x.substr(2), 2) :
+                                                          /^0[oO]?[0-7]+$/.test(x) ? parseInt(x.replace(/^0[oO]?/, ''), 8) : Number(x.replace(/^0[dD]/, ''))))
+                                      -where [x = d.replace(/_/g, '')],
+
+          leaf(n, s)                = (/^\d/.test(d) && ! /[ri]$/.test(d) ? number(d) :
+                                       /^(?:nil|true|false)$/.test(d)     ? d === 'nil' ? null_value : identifier(d) :
+                                       d === 'self'                       ? self_value :
+                                       d === ''                           ? null_value :
+                                       quoted(d) !== null                 ? string(quoted(d)) :
+                                       /^:["']/.test(d)                   ? string(quoted(d.substr(1))) :
+                                       /^:./.test(d)                      ? string(d.substr(1)) :
+                                       /^\?./.test(d)                     ? string(unescape(d.substr(1))) :
+                                       /^@\w+$/.test(d)                   ? member(self_value, d) :
+                                       /^\$\w+$/.test(d) || constant_name(d) ? identifier(d) :
+                                       d === 'yield'                      ? call(block_of(s), []) :
+                                       d === 'block_given?'               ? not(not(block_of(s))) :
+                                       d === 'super'                      ? super_call(null, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(d) ? immediately(jump(n, s)) :
+                                       local_name(d) && visible(s, d)     ? identifier(js_name(d)) :
+                                       d === 'new'                        ? new $.syntax('new', call(self_value, [])) :
+                                       /^[a-z_]\w*[?!]?$/.test(d)         ? call(member(self_value, d), []) :
+                                                                            unsupported(n))
+                                      -where [d = n.data],
+
+// Strings.
+// Double-quoted strings decode their escapes and concatenate in their interpolations, starting from an empty string if they begin with one; nil interpolates as nothing. Single-quoted strings
+// only unescape backslashes and their own delimiter, and the bodies of single-quoted heredocs aren't unescaped at all. Squiggly heredocs lose their common indentation before anything else
+// happens to them.
+
+          escapes                   = {n: '\n', t: '\t', r: '\r', e: '\u001b', s: ' ', a: '\u0007', b: '\b', f: '\f', v: '\u000b', '\n': ''},
+          unescape(s)               = s.replace(/\\(?:u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{1,2})|([0-7]{1,3})|([\s\S]))/g,
+                                                given[m, u, w, x, o, c] in (u || w || x ? String.fromCharCode(parseInt(u || w || x, 16)) :
+                                                                            o           ? String.fromCharCode(parseInt(o, 8)) :
+                                                                                          escapes.hasOwnProperty(c) ? escapes[c] : c)),
+          literal(s, delimiters)    = s.replace(/\\([\s\S])/g, given[m, c] in (c === '\\' || delimiters.indexOf(c) >= 0 ? c : m)),
+          delimiters(c)             = c + ({'(': ')', '[': ']', '{': '}', '<': '>'}[c] || ''),
+
+          quoted(d)                 = (/^'/.test(d)               ? literal(d.substring(1, d.length - 1), "'") :
+                                       /^"/.test(d)               ? unescape(d.substring(1, d.length - 1)) :
+                                       /^%q[^\w\s]/.test(d)        ? literal(d.substring(3, d.length - 1), delimiters(d.charAt(2))) :
+                                       /^%Q?[^\w\s=]/.test(d)      ? unescape(d.replace(/^%Q?./, '').replace(/.$/, '')) : null),
+
+          heredoc(n)                = is_heredoc(n) ? n._original.heredocs[n._original.start] : null,
+          interpolating(n)          = heredoc(n) ? heredoc(n).interpolating : ! /^%[qwi]/.test(n.data),
+          text(x, n)                = interpolating(n) ? unescape(x) : heredoc(n) ? x : literal(x, delimiters(n.data.charAt(n.data.length - 1))),
+
+          pieces(n, s)              = parts *[xi & 1 ? interpolated(n[+x][0], s) : x && string(text(x, n))] %[x] -seq
+                                      -where [marked  = children(n) *[x.length ? '\u0002' + xi + '\u0002' : x.data] -seq -re- it.join(''),
+                                              parts   = (heredoc(n) && heredoc(n).squiggly ? dedent(marked) : marked).split(/\u0002(\d+)\u0002/)],
+
+          interpolated(n, s)        = is_string(n) ? expression(n, s) : helping(s, 'text', [expression(n, s)]),
+
+          dedent(s)                 = lines *[x.substring(Math.min(x.length, margin))] -seq -re- it.join('\n')
+                                      -where [lines  = s.split('\n'),
+                                              margin = Math.min.apply(Math, lines %[/\S/.test(x)] *[/^[ \t]*/.exec(x)[0].length] -seq)],
+
+          concatenation(xs)         = (xs[0] && xs[0].data.charAt(0) === '"' ? xs : [string('')].concat(xs)) -re [it.slice(1) /[it[0]][binary('+', x0, x)] -seq],
+
+          string_value(n, s)        = (n.data === ' '        ? concatenation(children(n) *[expression(x, s)] -seq) :
+                                       /^%[wW]/.test(n.data) ? array(children(n) *[x.length ? concatenation(pieces(x, s)) : string(text(x.data, n))] -seq) :
+                                       /^%[iI]/.test(n.data) ? array(children(n) *[string(x.data)] -seq) :
+                                       /^(?:`|%x)/.test(n.data) ? unsupported(n) :
+                                                               concatenation(pieces(n, s))),
+
+// Assignment.
+// Assignable things are local variables, instance variables, globals, constants, indexes and attributes. Constants are local variables too, and inside a class or module body they're also
+// properties of the class or module. Multiple assignment stores its value in a temporary and assigns each target from it; parameter lists work the same way, using a copy of the function's
+// arguments as the value. Indexes are stored through the runtime, so that negative ones count from the end, and updating an index evaluates its receiver and key only once.
+
+          reference(n, s)           = (n.length === 0 && local_name(n.data) ? identifier(js_name(n.data)) -se- declare(s, n.data) :
+                                       n.length === 0 && /^@\w+$/.test(n.data) ? member(self_value, n.data) :
+                                       n.length === 0 && /^\$\w+$/.test(n.data) ? identifier(n.data) :
+                                       n.data === '::' && constant_name(n[1].data) ? member(expression(n[0], s), n[1].data) :
+                                                                                   unsupported(n)),
+
+          assign(n, v, s)           = (n.length === 0 && constant_name(n.data) ? constant_assignment(n.data, v, s) :
+                                       n.data === '()' && ! items(n[2]).length && ! filled(n[3]) ? call(member(receiver(n, s), n[1].data + '='), [v]) :
+                                       n.data === '[]' && n[1].length === 1 ? helping(s, 'store', [expression(n[0], s), expression(n[1][0], s), v]) :
+                                       n.data === ',h' || n.data === '(' ? destructure(n.data === '(' ? n[0] : n, v, s) :
+                                                                           assignment(reference(n, s), v)),
+
+          constant_assignment(c, v, s) = declare(s, c) -re- /^(?:class|module)$/.test(home(s).kind) ? assignment(member(self_value, c), assignment(identifier(c), v))
+                                                                                                   : assignment(identifier(c), v),
+
+          update(n, s)              = (indexed ? comma_of([assignment(r, expression(n[0][0], s)), assignment(k, helping(s, 'slot', [r, expression(n[0][1][0], s)])), updated(qs[_r[_k]].replace({_r: r, _k: k}))])
+                                                     : updated(reference(n[0], s)))
+                                      -where [indexed         = n[0].data === '[]' && n[0][1].length === 1,
+                                              r               = indexed ? temporary(s, 'receiver') : null,
+                                              k               = indexed ? temporary(s, 'key') : null,
+                                              updated(target) = operation(n.data.replace(/=$/, ''), n[0], n[1], target, expression(n[1], s), s)
+                                                                -re [/^(?:\|\||&&)$/.test(n.data.replace(/=$/, '')) ? it : assignment(target, it)]
+                                                                -se- (floating(n[1], s) && note_float(n[0], n[1], s))],
+
+          operation(op, x, y, target, value, s)
+                                    = (op === '||' ? conditional(helping(s, 'truthy', [target]), target, assignment(target, value)) :
+                                       op === '&&' ? conditional(helping(s, 'truthy', [target]), assignment(target, value), target) :
+                                       op === '**' ? qs[Math.pow(_x, _y)].replace({_x: target, _y: value}) :
+                                       op === '/'  ? floating(x, s) || floating(y, s) ? binary('/', target, value) : helping(s, 'divide', [target, value]) :
+                                       op === '%'  ? helping(s, 'modulo', [target, value]) :
+                                       op === '<<' ? helping(s, 'append', [target, value]) :
+                                                     binary(operators[op] || op, target, value)),
+
+          floating(n, s)            = (/^(?:u-|u\+|\()$/.test(n.data)                     ? floating(n[0], s) :
+                                       ! n.length                                         ? /^\d[\d_]*(?:\.\d|[eE])/.test(n.data) || local_name(n.data) && !! owner_of(s, n.data).floats[n.data] :
+                                                                                            /^(?:[-+*\/%]|\*\*)$/.test(n.data) && n.length === 2 && (floating(n[0], s) || floating(n[1], s))),
+
+          owner_of(s, name)         = s.locals.hasOwnProperty(name) || s.kind !== 'block' ? s : owner_of(s.parent, name),
+          note_float(n, value, s)   = ! n.length && local_name(n.data) && (owner_of(s, n.data).floats[n.data] = floating(value, s)),
+
+          destructure(targets, v, s) = comma_of([assignment(t, qs[[].concat(_v)].replace({_v: v}))].concat(positions(items(targets), t, s) %[x[0]] *[assign(x[0], x[1], s)] -seq, [t]))
+                                       -where [t = temporary(s, 'values')],
+
+  // Positions.
+//   Given a list of targets and an array, this works out which element or slice of the array each target gets. Required targets before a splat take elements from the front, required targets
+//   after it take elements from the back, and optional parameters take whatever is left over in between, in order. '&block' parameters are handled separately, so they're skipped here.
+
+          positions(targets, xs, s) = (leading *[[x, element(xi)]] -seq)
+                                      .concat(optional *[[x[0], conditional(binary('>', length, count(required + xi)), element(leading.length + xi), expression(x[1], s))]] -seq,
+                                              splat ? [[splat[0], trailing.length ? qs[_xs.slice(Math.min(_a, Math.max(_b, _n - _c)), _n - _c)].replace({_xs: xs, _n: length, _a: count(middle),
+                                                                                                                                                      _b: count(leading.length), _c: count(trailing.length)})
+                                                                                  : qs[_xs.slice(_a)].replace({_xs: xs, _a: count(middle)})]] : [],
+                                              trailing *[[x, qs[_xs[_n - _i]].replace({_xs: xs, _n: length, _i: count(trailing.length - xi)})]] -seq)
+                                      -where [plain      = targets %[x.data !== 'u&'] -seq,
+                                              first      = plain *[x.data === 'u*' || x.data === '=' ? xi : plain.length] -seq -re- Math.min.apply(Math, it.concat([plain.length])),
+                                              leading    = plain.slice(0, first),
+                                              optional   = plain.slice(first) %[x.data === '='] -seq,
+                                              splat      = plain |[x.data === 'u*' && [x[0]]] |seq,
+                                              trailing   = plain.slice(first) %[x.data !== '=' && x.data !== 'u*'] -seq,
+                                              required   = leading.length + trailing.length,
+                                              middle     = leading.length + optional.length,
+                                              length     = qs[_xs.length].replace({_xs: xs}),
+                                              count(n)   = new $.syntax(String(n)),
+                                              element(i) = qs[_xs[_i]].replace({_xs: xs, _i: count(i)})],
+
+// Methods.
+// A method becomes a function assigned to self, or to the prototype when it's defined in a class body. Functions with only plain parameters use Javascript's; anything else copies the
+// arguments into an array and takes the parameters from that. Methods that use their block take it off the end of the array first if it's a function, and blocks with several parameters
+// treat a lone array argument as the list of their arguments. A block's block-local variables are declared in its function, even when the scope around it has variables of the same names.
+
+          method(n, s)              = assignment(target, function_of(m, n[1], n[2]))
+                                      -where [named    = n[0].data === '.' && n[0].length === 2,
+                                              name     = (named ? n[0][1] : n[0]).data.replace(/^:/, ''),
+                                              owner    = home(s),
+                                              target   = named ? member(expression(n[0][0], s), name) : owner.kind === 'class' ? member(member(self_value, 'prototype'), name) : member(self_value, name),
+                                              m        = scope('method', s) -se [it.name = name, it.owner = ! named && owner.kind === 'class' ? owner.owner : null]],
+
+          block_function(b, s)      = function_of(scope('block', s), b[0], b[1]),
+
+          function_of(m, ps, body)  = (! simple        ? $.parse('function () {_body}').replace({_body: function_body(m, sequence_of(unpacked(m, formals).concat([compiled])))}) :
+                                       formals.length  ? $.parse('function (_ps) {_body}').replace({_ps: comma_of(formals *[identifier(js_name(x.data))] -seq),
+                                                                                                   _body: function_body(m, compiled, formals *[x.data] -seq)}) :
+                                                         $.parse('function () {_body}').replace({_body: function_body(m, compiled)}))
+                                      -where [formals     = items(ps) %[x.data !== 'u;'] -seq,
+                                              locals      = items(ps) %[x.data === 'u;'] *~![children(x)] -seq -se [it *![m.locals[x.data] = true, m.names.push(x.data)] -seq],
+                                              given_block = formals |[x.data === 'u&' && x[0]] |seq,
+                                              declared    = formals *![names_of(x) *![declare(m, x)] -seq] -seq -se [given_block && (m.block = given_block.data)],
+                                              compiled    = returning(body, m),
+                                              simple      = ! m.block && (m.kind === 'method' || formals.length < 2) && ! (formals |[x.length || ! local_name(x.data)] |seq)],
+
+          unpacked(m, formals)      = [assignment(args, qs[Array.prototype.slice.call(arguments)])].concat(spread, taken, positions(formals, args, m) %[x[0]] *[assign(x[0], x[1], m)] -seq)
+                                      -where [args   = temporary(m, 'arguments'),
+                                              spread = m.kind === 'block' && formals.length > 1
+                                                       ? [if_statement(qs[_xs.length === 1 && _xs[0] instanceof Array].replace({_xs: args}), assignment(args, qs[_xs[0]].replace({_xs: args})))] : [],
+                                              taken  = m.block ? [assignment(identifier(js_name(m.block)), qs[typeof _xs[_xs.length - 1] === 'function' ? _xs.pop() : null].replace({_xs: args}))]
+                                                                 -se [declare(m, m.block)] : []],
+
+          names_of(p)               = p.length === 0 ? local_name(p.data) ? [p.data] : [] : p.data === '(' ? items(p[0]) *~!names_of -seq : p.data === 'u*' || p.data === 'u&' || p.data === '=' ? names_of(p[0]) : [],
+
+          super_call(xs, s)         = (m.kind === 'method' && m.owner ? xs ? qs[_f.call(self, _xs)].replace({_f: f, _xs: xs}) : s === m ? qs[_f.apply(self, arguments)].replace({_f: f}) : unsupported(n)
+                                                                      : unsupported(n))
+                                      -where [m = home(s), n = new $.ruby.syntax('super'), f = member(qs[Object.getPrototypeOf(_c.prototype)].replace({_c: m.owner}), m.name || '')],
+
+// Method calls.
+// A call's arguments are compiled in order. Hash pairs at the end of the list become one object, a block (or a '&' argument) is passed last, and splats turn the call into an apply() over the
+// concatenated arguments. '&:name' passes a function that calls the method 'name' on its argument. A few calls on self are special: 'yield' and 'block_given?' refer to the method's block,
+// 'lambda' and 'proc' return their block, 'raise' throws, and 'super' calls the superclass's method. 'new' constructs an object and 'call' calls a function. A call made with '&.' is
+// skipped, giving null, if its receiver is null or undefined; the receiver is evaluated only once.
+
+          call_value(n, s, subject) = (implied && name === 'yield'                  ? call(block_of(s), values()) :
+                                       implied && name === 'block_given?'           ? not(not(block_of(s))) :
+                                       implied && /^(?:lambda|proc)$/.test(name) && filled(n[3]) && ! xs.length ? block_function(n[3], s) :
+                                       implied && name === 'super'                  ? super_call(spread ? null : values_of(values()), s) :
+                                       name === 'new' && ! spread                   ? new $.syntax('new', call(on(), values())) :
+                                       ! implied && name === 'call' && ! spread     ? call(on(), values()) :
+                                       spread                                       ? comma_of([assignment(r, on()), qs[_f.apply(_r, _xs)].replace({_f: member(r, name), _r: r, _xs: concatenated(xs, values())})]) :
+                                                                                      call(member(on(), name), values()))
+                                      -where [implied   = n[0].data === 'implied self' && ! n[0].length,
+                                              name      = n[1].data,
+                                              xs        = items(n[2]),
+                                              spread    = xs |[x.data === 'u*'] |seq,
+                                              values()  = arguments_of(xs, n[3], s),
+                                              r         = spread ? temporary(s, 'receiver') : null,
+                                              on()      = subject || receiver(n, s)],
+
+          safe_call(n, s)           = conditional(binary('==', assignment(r, expression(n[0], s)), null_value), null_value, call_value(n, s, r)) -where [r = temporary(s, 'receiver')],
+
+          receiver(n, s)            = n[0].data === 'implied self' && ! n[0].length ? self_value : expression(n[0], s),
+
+          arguments_of(xs, b, s)    = positional *[x.data === 'u*' ? expression(x[0], s) : expression(x, s)] -seq -re- it.concat(pairs.length ? [hash(pairs, s)] : [], passed)
+                                      -where [cut        = xs *[/^(?:=>|:|u&)$/.test(x.data) ? xi : xs.length] -seq -re- Math.min.apply(Math, it.concat([xs.length])),
+                                              positional = xs.slice(0, cut),
+                                              pairs      = xs.slice(cut) %[x.data !== 'u&'] -seq,
+                                              amp        = xs |[x.data === 'u&' && x[0]] |seq,
+                                              passed     = amp ? [/^:\w+[?!]?$/.test(amp.data) ? method_function(amp.data.substr(1)) : expression(amp, s)] : filled(b) ? [block_function(b, s)] : []],
+
+          concatenated(xs, vs)      = qs[[].concat(_xs)].replace({_xs: comma_of(vs *[xi < xs.length && xs[xi].data === 'u*' ? x : array([x])] -seq)}),
+
+          method_function(name)     = $.parse('function (x) {return _f}').replace({_f: call(member(qs[x], name), [])}),
+
+// Containers.
+// Arrays with splats are concatenated. Hashes become objects when their keys are symbols, labels, strings or numbers, and are built up one key at a time otherwise.
+
+          hash(pairs, s)            = (literal_keys ? object(pairs *[[key(x), expression(x[1], s)]] -seq) : built)
+                                      -where [key(p)        = p.data === ':' && quoted(p[0].data) === null ? string(p[0].data) : expression(p[0], s),
+                                              fixed(p)      = ! p[0].length && (p.data === ':' || /^(?::\w+[?!=]?|\d.*)$/.test(p[0].data) || quoted(p[0].data) !== null),
+                                              literal_keys  = ! (pairs |[! fixed(x)] |seq),
+                                              h             = identifier($.gensym('hash')),
+                                              built         = $.parse('(function (_h) {_xs; return _h})({})')
+                                                              .replace({_h: h, _xs: sequence_of(pairs *[assignment(qs[_h[_k]].replace({_h: h, _k: key(x)}), expression(x[1], s))] -seq)})
+                                                              -unless [literal_keys]],
+
+          array_of(xs, s)           = ((xs |[x.data === 'u*'] |seq) ? concatenated(xs, values) : array(values)) -where [values = xs *[x.data === 'u*' ? expression(x[0], s) : expression(x, s)] -seq],
+
+// Classes and modules.
+// A class or module body is a function called with self bound to the class or module, which is created the first time it's named. Classes get a constructor that calls 'initialize', and
+// a superclass's prototype if they have one. 'class << x' runs its body with self bound to x, so methods defined in it belong to x.
+
+          singleton_value(n, s)     = body_of(scope('singleton', s), n[1], expression(n[0][0], s)),
+
+          class_value(n, s)         = comma_of([binary('||', place, assign(n[0], made, s)), body_of(scope(n.data, s) -se [it.owner = place], n[n.length - 1], place)])
+                                      -where [place       = n[0].length ? reference(n[0], s) : identifier(n[0].data) -se- declare(s, n[0].data),
+                                              parent      = n.data === 'class' && n.length === 3 && filled(n[1]) ? expression(n[1], s) : null,
+                                              constructor = qs[function () {this.initialize && this.initialize.apply(this, arguments)}],
+                                              made        = n.data === 'module' ? qs[{}] :
+                                                            parent ? qs[(function (c) {c.prototype = Object.create(_p.prototype); c.prototype.constructor = c; return c})(_f)]
+                                                                     .replace({_p: receiver_of(parent), _f: constructor})
+                                                                   : constructor],
+
+          body_of(c, body, self)    = qs[(function () {_body}).call(_self)].replace({_body: function_body(c, returning(body, c)), _self: self}),
+
+          alias_value(n, s)         = assignment(member(target, name(n[0])), member(target, name(n[1])))
+                                      -where [target  = home(s).kind === 'class' ? member(self_value, 'prototype') : self_value,
+                                              name(x) = x.data.replace(/^:/, '')],
+
+          undef_value(n, s)         = comma_of(children(n) *[qs[delete _x].replace({_x: member(target, x.data.replace(/^:/, ''))})] -seq -re- it.concat([null_value]))
+                                      -where [target = home(s).kind === 'class' ? member(self_value, 'prototype') : self_value],
+
+// Operators and forms.
+// Most binary operators mean the same thing in both languages. Ruby's equality becomes strict equality when either side is a number, string, symbol, nil, true or false, and uses 'equal'
+// otherwise; exponentiation uses Math.pow. Logical operators return one of their operands the way Ruby's do, and division, modulo and '<<' use the runtime functions above. A string literal on
+// the left of '%' is a format string, which is rejected.
+
+          operators                 = {'+': '+', '-': '-', '*': '*', '<': '<', '<=': '<=', '>': '>', '>=': '>=', '&': '&', '|': '|', '^': '^', '>>': '>>'},
+
+          literal_string(n)         = is_string(n) || ! n.length && quoted(n.data) !== null,
+          scalar(n)                 = literal_string(n) || ! n.length && /^(?:\d|:|\?.|nil$|true$|false$)/.test(n.data) || /^u[-+]$/.test(n.data) && scalar(n[0]),
+          equality(n, s)            = scalar(n[0]) || scalar(n[1]) ? binary(n.data === '==' ? '===' : '!==', expression(n[0], s), expression(n[1], s))
+                                                                   : helping(s, 'equal', [expression(n[0], s), expression(n[1], s)]) -re [n.data === '==' ? it : not(it)],
+
+          forms                     = {';':        given[n, s] in values_of(children(n) *[expression(x, s)] -seq),
+                                       '(':        given[n, s] in expression(n[0], s),
+                                       '#{':       given[n, s] in expression(n[0], s),
+                                       '()':       call_value,
+                                       '&.':       safe_call,
+                                       '->':       given[n, s] in function_of(scope('block', s), n[0], n[1][1]),
+                                       '[':        given[n, s] in array_of(items(n[0]), s),
+                                       '{':        given[n, s] in hash(items(n[0]), s),
+                                       '[]':       given[n, s] in (n[1].length === 1 ? helping(s, 'index', [expression(n[0], s), expression(n[1][0], s)]) : unsupported(n)),
+                                       '::':       given[n, s] in (constant_name(n[1].data) ? member(expression(n[0], s), n[1].data) : call(member(expression(n[0], s), n[1].data), [])),
+                                       '=':        given[n, s] in assign(n[0], n[1].data === ',h' ? array_of(items(n[1]), s) : expression(n[1], s), s) -se- note_float(n[0], n[1], s),
+                                       '?':        given[n, s] in conditional(truth(n[0], s), expression(n[1], s), expression(n[2], s)),
+                                       'if':       given[n, s] in (n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, expression) : branches([[modifier_condition(n), n[0]]], null, s, expression)),
+                                       unless:     given[n, s] in (n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, expression) : branches([[modifier_condition(n), n[0]]], null, s, expression)),
+                                       'case':     given[n, s] in case_branches(n, s, expression),
+                                       not:        given[n, s] in not(truth(n[0], s)),
+                                       'u!':       given[n, s] in not(truth(n[0], s)),
+                                       '&&':       logical,
+                                       '||':       logical,
+                                       and:        logical,
+                                       or:         logical,
+                                       '/':        given[n, s] in operation('/', n[0], n[1], expression(n[0], s), expression(n[1], s), s),
+                                       '%':        given[n, s] in (literal_string(n[0]) ? unsupported(n) : operation('%', n[0], n[1], expression(n[0], s), expression(n[1], s), s)),
+                                       '==':       equality,
+                                       '!=':       equality,
+                                       '<<':       given[n, s] in operation('<<', n[0], n[1], expression(n[0], s), expression(n[1], s), s),
+                                       'u-':       given[n, s] in new $.syntax('u-', operand(expression(n[0], s))),
+                                       'u+':       given[n, s] in new $.syntax('u+', operand(expression(n[0], s))),
+                                       'u~':       given[n, s] in new $.syntax('u~', operand(expression(n[0], s))),
+                                       '**':       given[n, s] in qs[Math.pow(_x, _y)].replace({_x: expression(n[0], s), _y: expression(n[1], s)}),
+                                       def:        method,
+                                       'class':    given[n, s] in (n.length === 2 && n[0].data === '<<' ? singleton_value(n, s) : class_value(n, s)),
+                                       module:     class_value,
+                                       alias:      alias_value,
+                                       undef:      undef_value}],
+
+// Source maps.
+// compile.mapped() returns the Javascript code for a tree along with a source map (see ruby-source-map.js). Caterwaul prints trees by having each node append its text to an array, so the code
+// is printed once with each node that remembers where it came from first noting how much of the array is in front of it; that's where its text starts, unless the next piece is a space that
+// Caterwaul put in to separate two words. Nodes compiled from some other input than the first one are left out.
+
+  $.ruby.compile.mapped(tree, options) = {code: code, map: $.ruby.source_map(code, places, options)}
+                                         -where [js             = $.ruby.compile(tree),
+                                                 hooked         = [] -se [js.reach(given.x in (x._ruby && x._ruby._original && x._ruby._original.start !== null && it.push(x)))],
+                                                 starts         = [],
+                                                 printed        = [''] -se [hooked *![x.serialize = given.xs in (starts.push({at: xs.length, n: this._ruby}), $.syntax.prototype.serialize.call(this, xs))] -seq,
+                                                                            js.serialize(it), hooked *![delete x.serialize] -seq],
+                                                 code           = printed.join(''),
+                                                 lengths        = printed /[[0]][x0 -se- it.push(it[it.length - 1] + x.length)] -seq,
+                                                 input          = hooked.length ? hooked[0]._ruby._original.input : null,
+                                                 places         = starts %[x.n._original.input === input] *[x.n._original.positions(x.n._original.start)
+                                                                  -re- {offset: lengths[x.at] + (printed[x.at] === ' ' ? 1 : 0), line: it.line, column: it.column}] -seq],
+
+  using [caterwaul.parser]})(caterwaul);
+// Generated by SDoc 
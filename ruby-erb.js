@@ -0,0 +1,175 @@
+// Caterwaul Ruby ERB templates | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// erb() parses an ERB template into a single tree, so that macros and the other tools here can work on views as well as on plain Ruby. The tree is a Ruby program whose statements include
+// runs of template text, and control structures can span tags the way they do in ERB:
+
+// | caterwaul.ruby.erb('<b><%= x %></b>').structure()       // -> (";" ("template" <b> ("<%=" x) </b>))
+
+// | t = caterwaul.ruby.erb('<ul>\n<% items.each do |i| %>\n  <li><%= i.name %></li>\n<% end %>\n</ul>\n');
+//   t[1].method_name()    // -> 'each'
+//   t[1].position()       // -> {line: 1, column: 3}
+//   t.toERB()             // -> the template, exactly as it was
+
+// A template node holds a run of text between two code tags. Its children are the text itself, one leaf per stretch, the '<%= %>' and '<%== %>' tags in it as "<%=" and "<%==" nodes around
+// their expressions, and '<%# %>' comments as leaves holding the whole tag. '<% %>' and '<%- -%>' tags are code, so their statements go straight into the program. An output tag whose code ends
+// by opening a block, like '<%= form_for x do |f| %>', runs until the tag that closes the block, and the template text in between goes into the block's body.
+
+// Printing.
+// Every node's _original record points into the template rather than into Ruby source, and a template node's range includes the '%>' before it and the '<%' after it, so the serializer copies
+// unchanged parts of the tree with their tags. When a node has to be laid out again, a template node prints its own delimiters, so the result is still ERB. toERB() is the same as toRuby() and
+// exists so that code that prints templates can say so:
+
+// | t = caterwaul.ruby.macroexpand(caterwaul.ruby.erb('<% xs.each do |x| %><%= x %><% end %>'), [caterwaul.ruby.macro('_xs.each do |_x| _body end', 'for _x in _xs do _body end')]);
+//   t.toERB()             // -> '<% for x in xs %><%= x %><% end %>'
+
+// Parsing.
+// The template is turned into Ruby source of the same length, with its newlines in the same places, and parsed with caterwaul.ruby.source(); that's what makes the offsets and positions in the tree
+// the template's own. Code is left where it is, and the rest is blanked out except for a few characters at the tag boundaries. Each run of text becomes a string literal: the '%>' before it ends in
+// the opening quote, the '<%' after it starts with the closing quote, and the characters next to them are semicolons. Output tags become interpolations in these strings. A run of text at the
+// start or end of the template has no tag on that side, so its quote goes on the first or last character that isn't a newline, and a run that's only newlines there isn't a node at all.
+// Neither is a run of whitespace after a code tag that trims its line, either with '-%>' or by standing alone on it, as ERB's trim modes do. Otherwise the text between '<% case x -%>' and
+// '<% when 1 %>' would be a statement where Ruby doesn't allow one.
+
+// A block output needs to know which tag closes its block before its closing brace can go in the right place, so a template that has one is parsed twice: first with its block outputs as code
+// tags, which shows where each block ends, and then properly. Syntax errors are reported with the template's lines and columns, and a tag without its '%>' is an error too.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.erb(source, options) = template_tree(s, tags, ends, options)
+                                -where [s    = source.toString(),
+                                        tags = tags_in(s),
+                                        ends = tags |[x.type === 'block'] |seq ? block_ends(s, tags, options) : {}],
+
+  $.ruby.syntax.prototype.toERB() = $.ruby.serialize(this),
+
+  where [children(n)      = Array.prototype.slice.call(n),
+
+// Tags.
+// A tag's type is 'code', 'output', 'block' or 'comment'. A code tag that holds nothing but a one-line Ruby comment is a comment too, since the comment would otherwise run on into whatever follows
+// the tag on that line. '<%%' is ERB's way to write a literal '<%', so it's text.
+
+// A Ruby comment can also end the code in a tag, as in '<%= x # why %>'. It ends at the tag, so it's found on the tag's last line by looking for a '#' outside of quotes and character literals,
+// and a block output is recognized by the code in front of it.
+
+         tag_pattern      = /<%(?!%)(==?|-|#)?([\s\S]*?)(-?)%>/g,
+         block_pattern    = /(?:^|\s|\))do(?:\s*\|[^|]*\|)?\s*$|\{(?:\s*\|[^|]*\|)?\s*$/,
+         quotes           = /"(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*'|`(?:[^`\\]|\\[\s\S])*`|\?(?:\\[\s\S]|[^\s\w])(?!\w)/g,
+
+         comment_at(code) = last.replace(quotes, given.m in m.replace(/[\s\S]/g, ' ')).indexOf('#') -re [it < 0 ? -1 : code.length - last.length + it]
+                            -where [last = code.substring(code.lastIndexOf('\n') + 1)],
+         uncommented(code) = comment_at(code) -re [it < 0 ? code : code.substring(0, it)],
+
+         tags_in(s)       = [] -se [s.replace(tag_pattern, given[m, kind, code, trim, offset] in it.push(tag(m, kind || '', code, trim, offset))),
+                                    unterminated(s) -re [it >= 0 && raise [new $.ruby.SyntaxError(it, location(s, it), ["'%>'"], excerpt(s, it))]]],
+
+         tag(m, kind, code, trim, offset) = {start: offset, end: offset + m.length, open: 2 + kind.length, close: 2 + trim.length, raw: kind === '==',
+                                             type: kind === '#' || kind.charAt(0) !== '=' && /^\s*#.*$/.test(code) ? 'comment' : kind.charAt(0) !== '=' ? 'code' :
+                                                   block_pattern.test(uncommented(code))                              ? 'block'   : 'output'},
+
+         unterminated(s)  = s.replace(tag_pattern, given.m in m.replace(/[\s\S]/g, ' ')).search(/<%(?!%)/),
+
+         location(s, i)   = {line: s.substring(0, i).split('\n').length - 1, column: i - s.lastIndexOf('\n', i - 1) - 1},
+         excerpt(s, i)    = line + '\n' + line.substring(0, i - start).replace(/[^\t]/g, ' ') + '^'
+                            -where [start = s.lastIndexOf('\n', i - 1) + 1, line = s.substring(start, s.indexOf('\n', start) -re [it < 0 ? s.length : it])],
+
+// Masking.
+// mask() returns the Ruby source, the runs of text that became string literals, and the comments that end tags, which are blanked out of the source. Each run is a region of the template from the
+// tag before it to the tag after it, delimiters included. Runs are nested inside block outputs, so they're kept on a stack; a block output's closing tag ends the run inside the block and goes
+// back to the one that contains it. The tags in a run are its pieces, and ends says which code tags close a block output's block.
+
+         mask(s, tags, ends)  = {source: out.join(''), runs: runs, comments: comments}
+                                -where [out            = s.split('') *[x === '\n' ? x : ' '] -seq,
+                                        runs           = [],
+                                        comments       = [],
+                                        stack          = [],
+                                        current        = {left: null, start: 0, pieces: []},
+
+                                        copy(a, b)     = n[a, b] *![out[x] = s.charAt(x)] -seq,
+                                        code(t)        = copy(a, b) -se- (c >= 0 && comments.push({start: a + c, text: s.substring(a + c, b).replace(/\s+$/, '')}) && blank(a + c, b))
+                                                         -where [a = t.start + t.open, b = t.end - t.close, c = comment_at(s.substring(a, b))],
+                                        blank(a, b)    = n[a, b] *![out[x] = ' '] -seq,
+                                        output(t)      = (out[t.start + t.open - 2] = '#', out[t.start + t.open - 1] = '{', code(t), t.type === 'output' && (out[t.end - t.close] = '}')),
+
+                                        visible(a, b, d) = n[a, b] *[d < 0 ? a + b - 1 - x : x] %[s.charAt(x) !== '\n'] -seq -re [it.length ? it[0] : -1],
+                                        finish(r, right) = (r.left && (out[r.start] = ';'), right && (out[right.start + right.open - 1] = ';'),
+                                                            q_open < 0 || q_close < 0 || q_open > q_close || c_start === c_end || trimmed(r.left, c_start, c_end) ? null :
+                                                            q_open === q_close                          ? runs.push(region(r, right, c_start, c_end, q_open)) -se- (out[q_open] = '_') :
+                                                                                                          runs.push(region(r, right, c_start, c_end, q_open)) -se [out[q_open] = out[q_close] = '"'])
+                                                           -where [c_start = r.left ? r.left.end : 0,
+                                                                   c_end   = right ? right.start : s.length,
+                                                                   q_open  = r.left ? r.left.end - 1 : visible(c_start, c_end, 1),
+                                                                   q_close = right ? right.start : visible(c_start, c_end, -1)],
+
+                                        trimmed(t, a, b) = !! t && t.type === 'code' && (t.close === 3 || alone(t)) && ! /\S/.test(s.substring(a, b)),
+                                        alone(t)         = /^[ \t]*$/.test(s.substring(s.lastIndexOf('\n', t.start - 1) + 1, t.start)) && /^[ \t]*(?:\r?\n|$)/.test(s.substring(t.end)),
+
+                                        region(r, right, a, b, q) = {start: r.start, end: right ? right.start + right.open : s.length, content: [a, b], quote: q, pieces: r.pieces},
+                                        after(t)       = {left: t, start: t.end - t.close, pieces: []},
+
+                                        step(t, i)     = t.type === 'comment' ? current.pieces.push({tag: t, end: t.end}) :
+                                                         t.type === 'output'  ? (output(t), current.pieces.push({tag: t, end: t.end})) :
+                                                         t.type === 'block'   ? (output(t), current.pieces.push(piece = {tag: t, end: null}), stack.push({run: current, piece: piece}),
+                                                                                 current = after(t)) -where [piece = null] :
+                                                         ends[i]              ? (finish(current, t), code(t), out[t.end - t.close] = '}',
+                                                                                 stack.pop() -re [it.piece.end = t.end, current = it.run]) :
+                                                                                (finish(current, t), code(t), current = after(t)),
+
+                                        _              = (tags *![step(x, xi)] -seq, finish(current, null))],
+
+// Block outputs.
+// The first parse treats block outputs as code tags, so the statement that starts at a block output's code is the call with the block, and the tag whose code holds the end of that statement
+// closes the block.
+
+         block_ends(s, tags, options) = result
+                                        -where [result     = {},
+                                                as_code    = tags *[x.type === 'block' ? $.merge({}, x, {type: 'code'}) : x] -seq,
+                                                ruby       = mask(s, as_code, {}).source,
+                                                tree       = sequence(parse(s, ruby, options).tree, ruby),
+                                                start(t)   = s.substring(t.start + t.open, t.end - t.close).search(/\S/) + t.start + t.open,
+                                                closing(t) = tree.find(given.n in (!! n._original && n._original.start === start(t) && n.data !== ';')) -re [it ? holder(it._original.end - 1) : -1],
+                                                holder(i)  = n[tags.length] %[inside(tags[x], i)] -seq -re [it.length ? it[0] : -1],
+                                                inside(t, i) = t.type === 'code' && t.start + t.open <= i && i < t.end - t.close,
+                                                _          = tags %[x.type === 'block'] *![closing(x) -re [it >= 0 && (result[it] = true)]] -seq],
+
+// Building the tree.
+// The string literals are found by the offsets of their opening quotes and replaced in place by template nodes, so the nodes around them still have them as children. The new nodes get _original
+// records like the parsed ones, and every record is pointed at the template. Text often starts with the newline after a tag, and its position is then the end of that line. The comments that
+// were blanked out become comment nodes and are attached the way the parser attaches comments that follow code.
+
+// The tree is always a ';' node, even if it has only one statement. The parser gives a program's root node the whole source as its range, which for a template includes the tags around its
+// first and last statements; keeping that range on a ';' node means that a macro can replace the statement and the tags will still be printed.
+
+         parse(s, ruby, options) = {source: src, tree: src.tree()}
+                                   -where [src = $.ruby.source(ruby, options)]
+                                   -rescue- raise [e instanceof $.ruby.SyntaxError ? new $.ruby.SyntaxError(e.offset, {line: e.line, column: e.column}, e.expected, excerpt(s, e.offset)) : e],
+
+         sequence(t, ruby) = t.data === ';' ? t : new $.ruby.syntax(';', t) -se [it._original = $.merge({}, t._original, {data: ';', children: [t]}), it._position = t._position,
+                                                                                 t._original = $.merge({}, t._original, {start: ruby.search(/[^\s;]/), end: ruby.replace(/[\s;]+$/, '').length})],
+
+         template_tree(s, tags, ends, options) = tree -se [tree.reach(retarget), runs *![replace(x)] -seq, parsed.source.attach_comments(tree, notes, given.n in n._original.start)]
+                                                 -where [masked        = mask(s, tags, ends),
+                                                         parsed        = parse(s, masked.source, options),
+                                                         tree          = sequence(parsed.tree, masked.source),
+                                                         root          = tree._original,
+                                                         literal_at(q) = tree.find(given.n in (!! n._original && n._original.start === q && /^["_]/.test(n.data))),
+                                                         runs          = masked.runs *[{run: x, node: literal_at(x.quote)}] -seq,
+                                                         retarget(n)   = (n._original && (n._original.input = s), n._comments *![x._original && (x._original.input = s)] -seq),
+
+                                                         record(n, a, b) = n -se [it._original = $.merge({}, root, {input: s, data: it.data, children: children(it), start: a, end: b}),
+                                                                                  it._position = parsed.source.position_of(a)],
+
+                                                         notes         = masked.comments *[record(new $.ruby.syntax(x.text), x.start, x.start + x.text.length)] -seq,
+
+                                                         piece(p, e)   = p.tag.type === 'comment' ? record(new $.ruby.syntax(s.substring(p.tag.start, p.tag.end)), p.tag.start, p.tag.end)
+                                                                                                  : record(new $.ruby.syntax(p.tag.raw ? '<%==' : '<%=', e[0]), p.tag.start, p.end),
+
+                                                         pieces(r, es) = (r.pieces *~![(cursor < x.tag.start ? [record(new $.ruby.syntax(s.substring(cursor, x.tag.start)), cursor, x.tag.start)] : [])
+                                                                                         .concat([piece(x, x.tag.type === 'comment' ? null : es.shift())]) -se- (cursor = x.end)] -seq)
+                                                                         .concat(cursor < r.content[1] ? [record(new $.ruby.syntax(s.substring(cursor, r.content[1])), cursor, r.content[1])] : [])
+                                                                         -where [cursor = r.content[0]],
+
+                                                         replace(x)    = x.node -se [it.data = 'template', it._kind = null, it.length = 0, kids *![it.push(x)] -seq,
+                                                                                     record(it, x.run.start, x.run.end), it._position = parsed.source.position_of(x.run.content[0])]
+                                                                                -where [kids = pieces(x.run, children(x.node) %[x.data === '#{'] -seq)]]]})(caterwaul);
+// Generated by SDoc 
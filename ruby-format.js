@@ -0,0 +1,316 @@
+// Caterwaul Ruby formatter | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// The serializer reproduces the source it was given; format() does the opposite, and prints a file in a standard style no matter how it was written. It parses the source and prints the tree
+// from scratch, keeping nothing from the original text except comments, blank lines between statements and heredoc bodies:
+
+// | caterwaul.ruby.format('def f(a,b)\n    a+b end')               // -> 'def f(a, b)\n  a + b\nend\n'
+//   caterwaul.ruby.format('xs.map do |x| x * 2 end')             // -> 'xs.map { |x| x * 2 }\n'
+
+// The options are:
+
+// | indent    the number of spaces per level of indentation; 2 by default.
+//   width     the line width, 80 by default. Call arguments, arrays and hashes that would take a line past it are broken up, one item per line.
+//   blocks    'length' (the default) prints a block with braces when it fits on one line and with do/end otherwise; 'braces' and 'do' always use one of them, and 'keep' keeps the one
+//             that was written.
+//   hashes    'keep' (the default), 'colons' to write {a: 1} wherever a key is a plain symbol, or 'rockets' to write {:a => 1} everywhere.
+//   parens    'always' (the default) puts parentheses around all call arguments; 'commands' leaves them off calls that are statements of their own, like 'puts x'.
+//   tight     binary operators that bind at least as tightly as this one are printed without spaces around them. It's '**' by default, so 'a * b**2'; null puts spaces around all of them.
+//             Any operator in caterwaul.ruby.precedence can be given, so '?' tightens every binary operator that binds more tightly than the ternary; the ternary itself, assignments and
+//             word operators like 'and' always keep their spaces.
+//   version   the version of Ruby that the source is written in, as for caterwaul.ruby(); '2.x' by default. Ruby 1.8 doesn't have 'key: value' pairs, so 'colons' does nothing there.
+
+// Any other value for one of these options is an error, as is an unknown version.
+
+// Formatting is idempotent: the output of format() parses to the same tree that the input did, and the layout only depends on the tree and the comments, so formatting it again changes
+// nothing.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.format(source, options) = program() /!place_bodies -re [it && ! ends.length ? it + '\n' : it]
+
+  -where [choices     = {blocks: 'length braces do keep'.qw, hashes: 'keep colons rockets'.qw, parens: 'always commands'.qw},
+          validate(o) = (choices /pairs *![x[1].indexOf(o[x[0]]) >= 0 || raise [new Error('caterwaul.ruby.format: unknown #{x[0]} option #{o[x[0]]}; expected one of #{x[1].join(", ")}')]] -seq,
+                         o.tight === null || $.ruby.precedence.hasOwnProperty(o.tight) || raise [new Error('caterwaul.ruby.format: unknown tight option #{o.tight}; expected an operator or null')]),
+
+          o           = $.merge({indent: 2, width: 80, blocks: 'length', hashes: 'keep', parens: 'always', tight: '**'}, options || {}) -se- validate(it),
+          unit        = new Array(o.indent + 1).join(' '),
+          version     = $.ruby.version(o),
+          tree        = $.ruby(source, {version: version}),
+          input       = tree._original.input,
+
+          children(n) = Array.prototype.slice.call(n),
+          filled(n)   = n.length > 0 || n.data !== '',
+          items(n)    = /^,h?$/.test(n.data) ? children(n) : [],
+          spanned(n)  = !! n._original && n._original.start !== null,
+          start(n)    = n === tree ? bounds.start : n._original.start,
+          end(n)      = n === tree ? bounds.end : n._original.end,
+          statements(n) = n.data === ';' ? children(n) : filled(n) ? [n] : [],
+
+          program()   = (all_comments %[! is_end(x)] *![place(x, offset(x), tree)] -seq, lines(tree, '').join('\n') + (ends *['\n' + x.data] -seq).join('')),
+
+// Comments.
+// The parser attaches comments to statements, but the statement a comment belongs to isn't always where it should be printed: a comment before the 'end' of a method body belongs to the
+// statement after the method, for instance. So each comment is placed again here, by its offset, in the innermost statement sequence around it. A comment that follows code on its line goes
+// after the statement that ends there, or after the line that opens the body if it comes before the body's first statement; any other comment goes on a line of its own before the next
+// statement, or at the end of the sequence. Comments in a list of arguments, array elements or hash pairs are placed the same way among its items, and a list with comments is always
+// broken up one item per line so that they stay next to their items; any other comment inside a statement but not in one of its bodies is printed before the statement. '__END__' sections go
+// at the end of the output.
+
+// The parser gives the toplevel node a range that covers the whole input, so when the program is a single statement its range is narrowed here to the code in it, leaving out the whitespace
+// and comments around it.
+
+          offset(c)        = c._original.start,
+          comments_in(n)   = n.comments().concat(children(n) *~![comments_in(x)] -seq),
+          all_comments     = comments_in(tree).sort(given[a, b] in offset(a) - offset(b)),
+          is_end(c)        = /^__END__/.test(c.data),
+          ends             = all_comments %[is_end(x)] -seq,
+
+          comment_end(c)   = offset(c) + c.data.replace(/\s+$/, '').length,
+          code_start(q)    = (c ? code_start(comment_end(c)) : s) -where [s = q + /^\s*/.exec(input.substring(q))[0].length, c = all_comments |[offset(x) === s && x] |seq],
+          code_end(q)      = (c ? code_end(offset(c)) : e) -where [e = input.substring(0, q).replace(/\s+$/, '').length, c = all_comments |[comment_end(x) === e && x] |seq],
+          bounds           = {start: code_start(0), end: code_end(input.length)},
+
+          placed           = [],
+          put(c, n, where) = placed.push({comment: c, node: n, where: where}),
+          placed_at(n, where) = placed %[x.node === n && x.where === where] *[x.comment] -seq,
+          commented(n)     = placed |[x.node === n || statements(n).indexOf(x.node) >= 0] |seq,
+
+          line_start(p)    = input.lastIndexOf('\n', p - 1) + 1,
+          follows_code(p)  = /\S/.test(input.substring(line_start(p), p)),
+          same_line(a, b)  = input.substring(a, b).indexOf('\n') < 0,
+
+          place(c, p, sn)  = (k < 0                        ? sn !== tree && follows_code(p) ? put(c, sn, 'head') : ss.length ? put(c, ss[0], 'before') : put(c, sn, 'end') :
+                              p >= end(ss[k])              ? follows_code(p) && same_line(end(ss[k]), p) ? put(c, ss[k], 'after') :
+                                                             ss[k + 1]                                   ? put(c, ss[k + 1], 'before') : put(c, sn, 'end') :
+                              inner                        ? place(c, p, inner) :
+                              lists.length                 ? place_in_list(c, p, lists[lists.length - 1].list) -se- commented_lists.push.apply(commented_lists, lists *[x.list] -seq) :
+                                                             put(c, ss[k], 'before'))
+                             -where [ss    = statements(sn),
+                                     k     = Math.max.apply(Math, [-1].concat(ss *[spanned(x) && start(x) <= p ? xi : -1] -seq)),
+                                     inner = k >= 0 && p < end(ss[k]) && body_at(ss[k], p),
+                                     lists = k >= 0 && ! inner ? lists_in(ss[k]) %[x.from <= p && p < x.to] -seq -re- it.sort(given[a, b] in a.from - b.from) : []],
+
+          place_in_list(c, p, n) = (k >= 0 && p >= end(xs[k]) ? follows_code(p) && same_line(end(xs[k]), p) ? put(c, xs[k], 'after') :
+                                                                 xs[k + 1]                                   ? put(c, xs[k + 1], 'before') : put(c, n, 'end') :
+                                    k >= 0                     ? put(c, xs[k], 'before') :
+                                                                 put(c, xs[0], 'before'))
+                                   -where [xs = items(n), k = Math.max.apply(Math, [-1].concat(xs *[spanned(x) && start(x) <= p ? xi : -1] -seq))],
+
+  // Lists.
+//   Argument lists, arrays and hashes are the lists whose items can have comments of their own. An argument list's region starts after the method name, so a comment on the receiver's line
+//   before it doesn't count as being in the list.
+
+          commented_lists  = [],
+          list_parent(n, i) = /^[\[{]$/.test(n.data) && i === 0 || /^(?:\(\)|&\.)$/.test(n.data) && i === 2,
+          lists_in(n)      = children(n) *~![is_body(n, xi) ? [] : (list_parent(n, xi) && spanned(n) && items(x).length ? [{list: x, from: list_start(n, xi), to: end(n)}] : []).concat(lists_in(x))]
+                             -seq,
+          list_start(n, i) = i && spanned(n[1]) ? end(n[1]) : start(n),
+
+  // Bodies.
+//   A body's region starts where the child before it ends. If that child is another body, like the first branch of an 'if', the region starts on the first line after it that's indented
+//   less than its statements, which is where the 'else' is; comments indented like the branch stay with it. A region ends where the next child starts, or where the region of the node around
+//   it ends, and the body chosen for a comment is the one whose region starts last before it.
+
+          bodies_of        = {def: [2], module: [1], '{}': [1], 'do': [1], 'for': [2], when: [1], rescue: [2], 'else': [0], ensure: [0], begin: [0],
+                              'while': [1], until: [1], 'if': [1, 2], unless: [1, 2], 'elsif': [1, 2]},
+          is_body(n, i)    = n[i].data === ';' && (n.data === 'class' ? i === n.length - 1 : bodies_of.hasOwnProperty(n.data) && bodies_of[n.data].indexOf(i) >= 0),
+
+          bodies_in(n, limit) = children(n) *~![is_body(n, xi)                ? [{node: x, from: region_start(n, xi), to: region_end(n, xi, limit)}] :
+                                                /^(?:\(|#\{)$/.test(x.data) ? [] : bodies_in(x, region_end(n, xi, limit))] -seq,
+          region_start(n, i) = (before.length ? is_body(n, i - 1) && spanned(n[i - 1]) ? outdented_after(end(n[i - 1]), start(n[i - 1]) - line_start(start(n[i - 1])))
+                                                                                     : Math.max.apply(Math, before) :
+                                spanned(n)    ? start(n) : -1)
+                               -where [before = children(n).slice(0, i) %[spanned(x)] *[end(x)] -seq],
+          outdented_after(p, column) = (q < 0 ? input.length : /^[ \t]*\S/.test(l) && /^[ \t]*/.exec(l)[0].length < column ? q + 1 : outdented_after(q + 1, column))
+                                       -where [q = input.indexOf('\n', p), e = input.indexOf('\n', q + 1), l = input.substring(q + 1, e < 0 ? input.length : e)],
+          region_end(n, i, limit) = (after.length ? Math.min.apply(Math, after) : limit) -where [after = children(n).slice(i + 1) %[spanned(x)] *[start(x)] -seq],
+
+          body_at(s, p)    = bodies_in(s, end(s)) %[x.from <= p && p < x.to] -seq -re [it.length && it.sort(given[a, b] in a.from - b.from)[it.length - 1].node],
+
+// Statements.
+// Statements are printed one per line, with their comments around them. A blank line between two statements in the source is kept, and so is one after a comment, like the one that
+// usually follows a magic comment at the top of a file; several in a row become one.
+
+          lines(sn, i)     = ss *~![(xi && blank(ss[xi - 1], leading_start(x)) ? [''] : []).concat(leading(x, i), [i + line(x, i, true) + trailing(x)])] -seq
+                             -re- it.concat(tail.length && ss.length && blank(ss[ss.length - 1], offset(tail[0])) ? [''] : [], tail *[comment_line(x, i)] -seq)
+                             -where [ss = statements(sn), tail = placed_at(sn, 'end')],
+
+          blank(s, p)      = /\n[ \t\r\f]*\n[ \t\r\f]*$/.test(input.substring(end(s), p)),
+          leading_start(s) = Math.min.apply(Math, [start(s)].concat(placed_at(s, 'before') *offset -seq)),
+          comment_line(c, i) = /^=begin/.test(c.data) ? c.data : i + c.data,
+          leading(n, i)    = cs *~![[comment_line(x, i)].concat(spaced(x, xi + 1 < cs.length ? offset(cs[xi + 1]) : start(n)) ? [''] : [])] -seq -where [cs = placed_at(n, 'before')],
+          spaced(c, p)     = comment_end(c) < p && /\n[ \t\r\f]*\n/.test(input.substring(comment_end(c), p)),
+          trailing(s)      = placed_at(s, 'after') *[' ' + x.data] -seq -re- it.join(''),
+
+          body(sn, i)      = (placed_at(sn, 'head') *[' ' + x.data] -seq -re- it.join('')) + (ls.length ? '\n' + ls.join('\n') : '') -where [ls = lines(sn, i + unit)],
+          body_of(n, i)    = n.data === 'begin' ? body(n[0], i) + clauses(children(n).slice(1), i) : body(n, i),
+          clauses(xs, i)   = xs *['\n' + i + layout(x, i, false, false)] -seq -re- it.join(''),
+          block(head, n, i) = head + body_of(n, i) + '\n' + i + 'end',
+
+// Line width.
+// Each statement and each item of a broken-up list is printed flat first. If its first line is too long it's printed again with its lists broken up, and each of their items gets the same
+// treatment on a line of its own. A call only breaks its receiver if it has no arguments to break.
+
+          line(n, i, s)    = (fits(t, i) ? t : layout(n, i, true, s)) -where [t = layout(n, i, false, s)],
+          fits(t, i)       = i.length + t.split('\n')[0].replace(marker_pattern, '').length <= o.width,
+
+          list(open, n, close, i, b) = (! xs.length                          ? open + close :
+                                        b || commented_lists.indexOf(n) >= 0 ? open + '\n' + broken.join('\n') + '\n' + i + close :
+                                                                               open + (xs *[element(n, xi, flat(x, i))] -seq).join(', ') + close)
+                                       -where [xs     = items(n),
+                                               broken = xs *~![list_item(n, xi, i + unit, xi === xs.length - 1)] -seq -re- it.concat(placed_at(n, 'end') *[comment_line(x, i + unit)] -seq)],
+          list_item(n, k, i, last) = leading(n[k], i).concat([i + element(n, k, line(n[k], i, false)) + (last ? '' : ',') + trailing(n[k])]),
+          element(n, k, t) = needs_parens(n, k, n[k]) ? '(' + t + ')' : t,
+
+// Layouts.
+// Nodes are printed top-down, so that each one knows the indentation of the line it starts on. b is true when lists should be broken up, and s is true for a node that's a whole statement.
+
+          layout(n, i, b, s) = is_heredoc(n)        ? n.data + marker(n) :
+                               ! n.length           ? leaf(n) :
+                               is_string(n)         ? string_text(n, i) :
+                               is_regexp(n)         ? regexp_text(n, i) :
+                               layouts.hasOwnProperty(n.data) && layouts[n.data](n, i, b, s) || generic(n, i, b),
+
+          kid(n, k, i, b)  = element(n, k, layout(n[k], i, b, false)),
+          flat(n, i)       = layout(n, i, false, false),
+
+          leaf(n)          = /^(?:|,|;|implied self)$/.test(n.data) ? '' : /^u\*\*?$/.test(n.data) ? n.data.substr(1) : n.data,
+          generic(n, i, b) = (n.length === 1 ? /^(?:not|defined\?)$/.test(n.data) && n[0].data === '(' ? n.data + t[0] :
+                                               n.data === 'not' ? 'not ' + t[0] : n.data === 'defined?' ? 'defined?(' + t[0] + ')' : n.data.replace(/^u/, '') + t[0] :
+                              n.length === 2 ? /^\.\.\.?$/.test(n.data) || tight(n.data) ? t[0] + n.data + t[1] : t[0] + ' ' + n.data + ' ' + t[1] :
+                                               n.data + '(' + t.join(', ') + ')')
+                             -where [t = children(n) *[kid(n, xi, i, b)] -seq],
+
+          tight(op)        = !! o.tight && /^[^\w\s]+$/.test(op) && precedence[op] <= precedence[o.tight],
+
+          layouts          = {',':     given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re- it.join(', '),
+                              ',h':    given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re [n.length === 1 && n[0].data !== 'u*' ? it[0] + ',' : it.join(', ')],
+                              ' ':     given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re- it.join(' '),
+                              'u;':    given[n, i] in '; ' + (children(n) *[flat(x, i)] -seq).join(', '),
+                              ';':     given[n, i] in children(n) *[flat(x, i)] -seq -re- it.join('; '),
+                              '(':     given[n, i] in '(' + flat(n[0], i) + ')',
+                              '[':     given[n, i, b] in list('[', n[0], ']', i, b),
+                              '{':     given[n, i, b] in list('{', n[0], '}', i, b),
+                              '[]':    given[n, i, b] in kid(n, 0, i, b) + '[' + flat(n[1], i) + ']',
+                              '::':    given[n, i, b] in kid(n, 0, i, b) + '::' + kid(n, 1, i, b),
+                              '.':     given[n, i, b] in kid(n, 0, i, b) + '.' + kid(n, 1, i, b),
+                              '=>':    given[n, i, b] in pair(n, i, b),
+                              ':':     given[n, i, b] in (n.length === 2 ? pair(n, i, b) : kid(n, 0, i, b) + ':'),
+                              '?':     given[n, i, b] in (n.length === 3 && kid(n, 0, i, b) + ' ? ' + kid(n, 1, i, b) + ' : ' + kid(n, 2, i, b)),
+                              '#{':    given[n, i] in '#' + '{' + flat(n[0], i) + '}',
+                              '#':     given[n, i] in '#' + flat(n[0], i),
+                              '<<':    given[n, i] in (n.length === 1 && '<< ' + flat(n[0], i)),
+
+                              '()':    given[n, i, b, s] in call(n, i, b, s),
+                              '&.':    given[n, i, b, s] in call(n, i, b, s),
+                              '->':    given[n, i] in '->' + params + ' ' + block_text(n[1], i, false, '->' + params) -where [params = n[0].length ? '(' + parameters(n[0], i) + ')' : ''],
+                              '{}':    given[n, i] in block_text(n, i, false, ''),
+                              'do':    given[n, i] in block_text(n, i, false, ''),
+
+                              def:     given[n, i] in block('def ' + flat(n[0], i) + (n[1].length ? '(' + parameters(n[1], i) + ')' : ''), n[2], i),
+                              'class': given[n, i] in (n.length === 3 ? block('class ' + flat(n[0], i) + (filled(n[1]) ? ' < ' + flat(n[1], i) : ''), n[2], i)
+                                                                      : block('class ' + flat(n[0], i), n[1], i)),
+                              module:  given[n, i] in block('module ' + flat(n[0], i), n[1], i),
+                              alias:   given[n, i] in 'alias ' + flat(n[0], i) + ' ' + flat(n[1], i),
+                              undef:   given[n, i] in 'undef ' + (children(n) *[flat(x, i)] -seq).join(', '),
+
+                              'if':    given[n, i] in (n.length === 3 && conditional(n, i) + '\n' + i + 'end'),
+                              unless:  given[n, i] in (n.length === 3 && conditional(n, i) + '\n' + i + 'end'),
+                              elsif:   given[n, i] in (n.length === 3 && conditional(n, i)),
+                              'while': given[n, i] in (n[1].data === ';' && block('while ' + condition(n[0], i), n[1], i)),
+                              until:   given[n, i] in (n[1].data === ';' && block('until ' + condition(n[0], i), n[1], i)),
+                              'for':   given[n, i] in block('for ' + flat(n[0], i) + ' in ' + condition(n[1], i), n[2], i),
+                              'case':  given[n, i] in 'case' + (filled(n[0]) ? ' ' + flat(n[0], i) : '') + clauses(children(n).slice(1), i) + '\n' + i + 'end',
+                              when:    given[n, i] in 'when ' + flat(n[0], i) + body_of(n[1], i),
+                              rescue:  given[n, i] in (n.length === 3 && 'rescue' + (n[0].length ? ' ' + flat(n[0], i) : '') + (filled(n[1]) ? ' => ' + flat(n[1], i) : '') + body_of(n[2], i)),
+                              'else':  given[n, i] in 'else' + body_of(n[0], i),
+                              ensure:  given[n, i] in 'ensure' + body_of(n[0], i),
+                              begin:   given[n, i] in 'begin' + body_of(n[0], i) + clauses(children(n).slice(1), i) + '\n' + i + 'end',
+                              'return': given[n, i] in 'return ' + flat(n[0], i),
+                              'break': given[n, i] in 'break ' + flat(n[0], i),
+                              next:    given[n, i] in 'next ' + flat(n[0], i)},
+
+          conditional(n, i) = n.data + ' ' + condition(n[0], i) + body_of(n[1], i) + (! filled(n[2]) ? '' : n[2].data === 'elsif' ? '\n' + i + conditional(n[2], i)
+                                                                                                                                 : '\n' + i + 'else' + body_of(n[2], i)),
+
+  // Hashes.
+//   Pairs are converted between the two styles only when the key is a plain identifier, since anything else can't be written as 'key: value'.
+
+          pair(n, i, b)    = (colons                 && n.data === '=>' && ! n[0].length && /^:[A-Za-z_]\w*$/.test(n[0].data)         ? n[0].data.substr(1) + ': ' + v :
+                              o.hashes === 'rockets' && n.data === ':'  && ! n[0].length && /^[A-Za-z_]\w*[?!]?$/.test(n[0].data)    ? ':' + n[0].data + ' => ' + v :
+                              n.data === ':' ? kid(n, 0, i, b) + ': ' + v : kid(n, 0, i, b) + ' => ' + v)
+                             -where [v = kid(n, 1, i, b)],
+          colons           = o.hashes === 'colons' && $.ruby.supports(version, 'labels'),
+
+  // Calls and blocks.
+//   A call that's a statement of its own is printed without parentheses when the 'commands' option is on, as long as that can't change how it parses: none of its arguments can have a block
+//   (which would attach to the wrong call), and the first one has to start with something that can't be read as an operator. Blocks on such calls always use do/end for the same reason.
+//   Blocks in the condition of a loop always use braces, since a 'do' there would end the condition. A block can only fit on one line if it has at most one statement and no comments.
+//   Lambdas put their parameters in parentheses, and their blocks are printed like any other.
+
+          call(n, i, b, s) = (implied ? '' : kid(n, 0, i, b && ! xs.length) + dot) + n[1].data + args + (filled(n[3]) ? ' ' + block_text(n[3], i, bare, head) : '')
+                             -where [implied = n[0].data === 'implied self' && ! n[0].length,
+                                     dot     = n.data === '&.' ? '&.' : '.',
+                                     xs      = items(n[2]),
+                                     joined  = xs *[element(n[2], xi, flat(x, i))] -seq -re- it.join(', '),
+                                     bare    = s && ! b && o.parens === 'commands' && xs.length > 0 && commented_lists.indexOf(n[2]) < 0 && ! n[2].find("_.is_block()".qf) && /^(?:[\w@$'"]|:\w)/.test(joined),
+                                     args    = bare ? ' ' + joined : xs.length ? list('(', n[2], ')', i, b) : implied && ! filled(n[3]) ? '()' : '',
+                                     head    = (implied ? '' : flat(n[0], i) + dot) + n[1].data + (bare ? ' ' + joined : '(' + joined + ')')],
+
+          state            = {condition: false},
+          condition(n, i)  = flat_condition() -se [state.condition = was] -where [was = state.condition -se [state.condition = true], flat_condition = "flat(n, i)".qf],
+
+          block_text(n, i, bare, head) = (style === 'braces' || style === 'length' && one !== null && fits(head + ' ' + short, i) ? one !== null ? short : braces : ending)
+                                         -where [style  = state.condition ? 'braces' : bare ? 'do' : o.blocks === 'keep' ? (n.data === 'do' ? 'do' : 'braces') : o.blocks,
+                                                 params = n[0].length ? '|' + parameters(n[0], i) + '|' : '',
+                                                 one    = n[1].data === ';' && n[1].length <= 1 && ! commented(n[1]) ? one_line(n[1], i) : null,
+                                                 short  = [params, one] %[x] -seq -re [it.length ? '{ ' + it.join(' ') + ' }' : '{}'],
+                                                 braces = '{' + (params && ' ' + params) + body_of(n[1], i) + '\n' + i + '}',
+                                                 ending = block('do' + (params && ' ' + params), n[1], i)],
+
+          parameters(n, i) = items(n) *[(xi && x.data !== 'u;' ? ', ' : '') + (x.data === ':' ? flat(x[0], i) + ':' + (x.length > 1 ? ' ' + flat(x[1], i) : '') : flat(x, i))] -seq
+                             -re- it.join(''),
+          one_line(n, i)   = (n.length ? t.indexOf('\n') < 0 ? t : null : '') -where [t = n.length ? layout(n[0], i, false, true) : ''],
+
+  // Parentheses.
+//   These are the serializer's rules: an operator inside another one needs parentheses if it binds more loosely, or equally loosely on the side that the outer operator doesn't associate towards.
+//   Receivers need them around any operator, and arguments need them around the keyword operators like 'and', 'not' and the statement modifiers, except for assignments like 'f(a = 1)'.
+
+          precedence       = $.ruby.precedence,
+          right_associative = $.ruby.right_associative,
+
+          operator(n)      = n.length === 1 ? /^u./.test(n.data) || /^(?:not|defined\?)$/.test(n.data) && n[0].data !== '(' :
+                             n.length === 2 ? precedence.hasOwnProperty(n.data) && ! /^(?:\.|::)$/.test(n.data) && ! (/^(?:while|until)$/.test(n.data) && n[1].data === ';') :
+                             n.length === 3 && n.data === '?',
+          rank(n)          = precedence[n.data] || 0,
+          keyword_operator(n) = operator(n) && rank(n) >= precedence['rescue'],
+
+          looser(p, i, c)  = p.data === '?' ? rank(c) > rank(p) || i === 0 && rank(c) === rank(p)
+                                            : rank(c) > rank(p) || rank(c) === rank(p) && p.length === 2 && (i === 0) === !! right_associative[p.data],
+          receiver(p, i)   = i === 0 && /^(?:\(\)|&\.|\[\]|::|\.)$/.test(p.data),
+          argument(p)      = /^(?:,|,h|=>|:|return|break|next)$/.test(p.data),
+          assignment(c)    = /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)?=$/.test(c.data) && c.length === 2 && c[0].data !== ',h' && c[1].data !== ',h'
+                             && (! keyword_operator(c[1]) || assignment(c[1])),
+          needs_parens(p, i, c) = operator(c) && (operator(p) ? looser(p, i, c) : receiver(p, i) || argument(p) && keyword_operator(c) && ! assignment(c)),
+
+// Strings and heredocs.
+// Strings, symbols and regexps are printed as they were written, apart from the code in their interpolations. Heredoc headers stay where they are and their bodies are copied from the
+// source onto the lines after the one that the header ends up on.
+
+          closers          = {'(': ')', '[': ']', '{': '}', '<': '>'},
+          closer(s)        = (closers[c] || c) -where [c = s.charAt(s.length - 1)],
+          is_string(n)     = n.data === '' || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2,
+          is_regexp(n)     = /^(?:\/|%r[^\w\s])[^\w\s][a-z]*$/.test(n.data),
+          pieces(n, i)     = children(n) *[x.length ? flat(x, i) : x.data] -seq -re- it.join(''),
+          string_text(n, i) = n.data === '' ? pieces(n, i) : /^%[wWiI]/.test(n.data) ? n.data + (children(n) *[flat(x, i)] -seq).join(' ') + closer(n.data)
+                                                                                     : n.data + pieces(n, i) + closer(n.data),
+          regexp_text(n, i) = n.data.substring(0, open) + pieces(n, i) + n.data.substring(open) -where [open = n.data.charAt(0) === '/' ? 1 : 3],
+
+          bodies           = [],
+          marker_pattern   = /\u0000\d+\u0000/g,
+          is_heredoc(n)    = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+          marker(n)        = '\u0000' + (bodies.push(input.substring(h.body_start, h.end)) - 1) + '\u0000' -where [h = n._original.heredocs[n._original.start]],
+          with_bodies(l)   = l.replace(marker_pattern, '') + ((l.match(marker_pattern) || []) *['\n' + bodies[+x.slice(1, -1)]] -seq).join(''),
+          place_bodies(s)  = s.split('\n') *with_bodies -seq -re- it.join('\n')]})(caterwaul);
+// Generated by SDoc 
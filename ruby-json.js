@@ -0,0 +1,29 @@
+// Caterwaul Ruby JSON trees | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Syntax trees can be converted to and from plain objects, which makes it possible to cache parsed files on disk or send trees between processes without reparsing anything. The objects carry
+// the data, children, position, end offset, kind and attached comments of each node, so JSON.stringify() and fromJSON() reproduce the same tree:
+
+// | JSON.stringify(caterwaul.ruby('x  # hi\n'))                    // -> '{"data":"x","position":{"line":0,"column":0},"end":1,"comments":[{"data":"# hi",...}]}'
+//   caterwaul.ruby.syntax.fromJSON('{"data":"+","children":[{"data":"a"},{"data":"1"}]}').structure()     // -> '("+" a 1)'
+
+// Positions are stored as they are, so a tree that hasn't been through position_map() keeps its offsets. Empty child and comment lists and missing positions are left out. The source records that
+// the serializer copies unchanged text from aren't included; a tree rebuilt from JSON prints with the standard layout rather than its original spacing.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.syntax.prototype.toJSON() = object_from(this)
+                                     -where [object_from(n) = {data: n.data} -se [given_value(n._position) && (it.position = n._position),
+                                                                                  given_value(n._end)      && (it.end      = n._end),
+                                                                                  given_value(n._kind)     && (it.kind     = n._kind),
+                                                                                  n._comments.length       && (it.comments = n._comments *object_from -seq),
+                                                                                  n.length                 && (it.children = n *object_from -seq)],
+                                             given_value(x) = x !== null && x !== undefined],
+
+  $.ruby.syntax.fromJSON(o) = tree_from(o.constructor === String ? JSON.parse(o) : o)
+                              -where [tree_from(x) = new $.ruby.syntax(x.data) -se [it._position = x.hasOwnProperty('position') ? x.position : null,
+                                                                                    it._end      = x.hasOwnProperty('end')      ? x.end      : null,
+                                                                                    it._kind     = x.hasOwnProperty('kind')     ? x.kind     : null,
+                                                                                    (x.comments || []) *![it._comments.push(tree_from(x))] -seq,
+                                                                                    (x.children || []) *![it.push(tree_from(x))] -seq]]})(caterwaul);
+// Generated by SDoc 
@@ -0,0 +1,148 @@
+// Caterwaul Ruby lint | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// lint() looks through a Ruby tree, or Ruby source, for code that's legal but probably isn't what was meant. It returns a list of diagnostics in source order, each of which names the rule that
+// found it, says what's wrong and gives the position() of the node it's about, so lines and columns count from zero:
+
+// | caterwaul.ruby.lint('def f\n  x = 1\n  2\nend')     // -> [{rule: 'unused_local', message: 'x is assigned but never used', position: {line: 1, column: 2}}]
+
+// The second argument is an object of rules, each under its name; caterwaul.ruby.lint.rules is used if it's omitted. These are the rules that come with it:
+
+// | unused_local              a local variable that's assigned but never read. Names that start with an underscore are left alone, as Ruby does.
+//   unused_block_parameter    a block or lambda parameter that the block never reads, also excepting names that start with an underscore.
+//   shadowed_variable         a block or lambda parameter with the same name as a local variable outside the block, which the block then can't get to.
+//   assignment_in_condition   an assignment used as the condition of an if, unless, while, until or ?:, where '==' was probably meant. Assignments in parentheses are taken to be deliberate.
+//   unreachable_code          a statement after a return, break, next, redo, retry or raise in the same sequence.
+//   duplicate_hash_key        a literal key that appears twice in a hash literal or in the pairs at the end of an argument list.
+//   duplicate_method          a method that's defined twice in the same class or module body.
+
+// A rule is a function that takes the tree and returns a list of findings, each of which is {node, message}. lint.pattern() makes a rule from a pattern, written the way macro patterns are, and
+// a message. The message can also be a function of the pattern's bindings that returns the message, or a false value to let that match go:
+
+// | no_puts = caterwaul.ruby.lint.pattern('puts _x', 'use the logger instead of puts');
+//   caterwaul.ruby.lint('puts 1', {no_puts: no_puts})     // -> [{rule: 'no_puts', message: 'use the logger instead of puts', position: {line: 0, column: 0}}]
+//   caterwaul.ruby.lint(source, caterwaul.merge({no_puts: no_puts}, caterwaul.ruby.lint.rules))
+
+caterwaul.js_all()(function ($) {
+  $.ruby.lint(tree, rules) = Object.keys(rs) *~!name[rs[name](t) *[{rule: name, message: x.message, position: x.node.position()}] -seq] -seq -re- it.sort(by_position)
+                             -where [t = tree /!tree_of, rs = rules || $.ruby.lint.rules],
+
+  $.ruby.lint.pattern(pattern, message) = given.tree in tree.find_all(given.n in true) *~!found -seq
+                                          -where [p         = pattern /!tree_of,
+                                                  found(n)  = ((bindings && (message instanceof Function ? message(bindings) : message)) -re [it ? [{node: n, message: it}] : []])
+                                                              -where [bindings = $.ruby.match(p, n)]],
+
+  $.ruby.lint.rules = {unused_local: unused_local, unused_block_parameter: unused_block_parameter, shadowed_variable: shadowed_variable, assignment_in_condition: assignment_in_condition,
+                       unreachable_code: unreachable_code, duplicate_hash_key: duplicate_hash_key, duplicate_method: duplicate_method},
+
+  where [tree_of(x)       = x.constructor === String ? $.ruby(x) : x,
+         children(n)      = Array.prototype.slice.call(n),
+         items(n)         = /^,h?$/.test(n.data) ? children(n) : [],
+         finding(n, m)    = {node: n, message: m},
+
+         by_position(a, b) = ! a.position || ! b.position ? !! a.position - !! b.position && (a.position ? -1 : 1) :
+                             a.position.line - b.position.line || a.position.column - b.position.column,
+
+// Variables.
+// The first three rules share an analysis of local variables. It walks the tree with a chain of scopes, following Ruby's rules: methods, classes and modules start a scope that can't see the one
+// around it, while blocks and lambdas start one that can, and assigning to a name that a block can see assigns to the outer variable rather than making a new one. Each variable remembers the
+// node that declared it and whether anything reads it. Only identifiers that the parser tagged as locals count as reads, so a method call with the same name as a variable doesn't.
+
+// An operator assignment like 'x += 1' reads the variable it assigns, but 'x ||= 1' on its own doesn't count as a read of a new variable. Method parameters are declared so that blocks can shadow
+// them, but they aren't reported when they're unused, since a method often has to take arguments that it ignores. Block-local variables ('|x; y|') are new variables in the block, so
+// assigning to them doesn't reach a variable outside, and they don't count as shadowing it.
+
+         unused_local(t)           = variables(t).variables %[x.kind === 'local' && ! x.used && ! /^_/.test(x.name)] *[finding(x.node, '#{x.name} is assigned but never used')] -seq,
+         unused_block_parameter(t) = variables(t).variables %[x.kind === 'block parameter' && ! x.used && ! /^_/.test(x.name)] *[finding(x.node, 'block parameter #{x.name} is never used')] -seq,
+         shadowed_variable(t)      = variables(t).shadows *[finding(x.node, '#{x.name} shadows a variable from the enclosing scope')] -seq,
+
+         variables(t)              = {variables: [], shadows: []} -se [visit(t, scope(null, true), it)],
+
+         scope(parent, hard)       = {parent: parent, hard: hard, names: {}},
+         lookup(s, name)           = s.names['@#{name}'] || ! s.hard && lookup(s.parent, name) || null,
+         fresh(s, n, kind, f)      = f.variables /~push/ (s.names['@#{n.data}'] = {name: n.data, node: n, kind: kind, used: false}),
+
+         local(n)                  = ! n.length && /^[a-z_]\w*$/.test(n.data),
+         read(n, s)                = n.kind() === 'local' && lookup(s, n.data) -re [it && (it.used = true)],
+
+         visit(n, s, f)            = ! n.length                                   ? read(n, s) :
+                                     n.is_def()                                   ? method(n, s, f) :
+                                     n.is_class() || n.is_module()                ? (n.is_class() && visit(n[1], s, f), visit(n.body(), scope(s, true), f)) :
+                                     n.is_singleton_class()                       ? (visit(n.singleton(), s, f), visit(n.body(), scope(s, true), f)) :
+                                     n.is_block() || n.is_lambda()                ? block(n, s, f) :
+                                     n.data === '='     && n.length === 2         ? (visit(n[1], s, f), assign(n[0], s, f)) :
+                                     operator_assignment(n)                       ? (visit(n[1], s, f), update(n[0], s, f)) :
+                                     n.data === 'for'   && n.length === 3         ? (visit(n[1], s, f), assign(n[0], s, f), visit(n[2], s, f)) :
+                                     n.data === 'rescue' && n.length === 3        ? (visit(n[0], s, f), assign(n[1], s, f), visit(n[2], s, f)) :
+                                                                                    children(n) *![visit(x, s, f)] -seq,
+
+         operator_assignment(n)    = n.length === 2 && /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)=$/.test(n.data),
+
+         method(n, s, f)           = (n.params() *![parameter(x, m, f, 'parameter')] -seq, visit(n.body(), m, f)) -where [m = scope(s, true)],
+         block(n, s, f)            = (n.params() *![parameter(x, b, f, 'block parameter')] -seq, visit(n.body(), b, f)) -where [b = scope(s, false)],
+
+         parameter(p, s, f, kind)  = local(p)                  ? declare_parameter(p, s, f, kind) :
+                                     ! p.length                ? null :
+                                     /^[=:]$/.test(p.data)     ? (p.length > 1 && visit(p[1], s, f), parameter(p[0], s, f, kind)) :
+                                     p.data === '('            ? items(p[0]) *![parameter(x, s, f, kind)] -seq :
+                                     p.data === 'u;'           ? children(p) *![fresh(s, x, 'block-local variable', f)] -seq :
+                                                                 parameter(p[0], s, f, kind),
+
+         declare_parameter(p, s, f, kind) = (kind === 'block parameter' && lookup(s.parent, p.data) && f.shadows.push({name: p.data, node: p}), fresh(s, p, kind, f)),
+
+         assign(n, s, f)           = local(n)                  ? lookup(s, n.data) || fresh(s, n, 'local', f) :
+                                     n.data === ',h'           ? children(n) *![assign(x, s, f)] -seq :
+                                     n.data === '('            ? assign(n[0], s, f) :
+                                     n.data === 'u*'           ? n.length && assign(n[0], s, f) :
+                                                                 visit(n, s, f),
+
+         update(n, s, f)           = local(n) ? lookup(s, n.data) -re [it ? it.used = true : fresh(s, n, 'local', f)] : visit(n, s, f),
+
+// Conditions.
+// An assignment counts as the condition if it's the whole condition or one side of a boolean operator in it. A while or until with a body is a loop; with two children and no ';' body it's the
+// modifier form, whose condition comes second.
+
+         assignment_in_condition(t) = t.find_all(given.n in true) *~!conditions *~!assignments *[finding(x, "assignment in a condition; use == to compare, or wrap the assignment in parentheses")]
+                                      -seq,
+
+         conditions(n)              = /^(?:if|unless|elsif)$/.test(n.data) && n.length === 3 || /^(?:while|until)$/.test(n.data) && n.length === 2 && n[1].data === ';' ? [n[0]] :
+                                      /^(?:if|unless|while|until)$/.test(n.data) && n.length === 2                                                                         ? [n[1]] :
+                                      n.data === '?' && n.length === 3                                                                                                      ? [n[0]] : [],
+
+         assignments(c)             = c.data === '=' && c.length === 2                              ? [c] :
+                                      /^(?:&&|\|\||and|or)$/.test(c.data) && c.length === 2          ? assignments(c[0]).concat(assignments(c[1])) :
+                                      /^(?:not|u!)$/.test(c.data) && c.length === 1                  ? assignments(c[0]) : [],
+
+// Unreachable code.
+// Only the first statement after a jump is reported, since the rest of the sequence is unreachable for the same reason.
+
+         unreachable_code(t)   = t.find_all(';') *~!unreachable -seq,
+         unreachable(n)        = (children(n) |[jump(x) && xi < n.length - 1 && [finding(n[xi + 1], 'unreachable code after #{jump(x)}')]] |seq) || [],
+
+         jump(n)               = /^(?:return|break|next|redo|retry)$/.test(n.data)                                                      ? n.data :
+                                 ! n.length && n.data === 'raise' || n.is_invocation() && n.receiver().is_implied_self() && n.method_name() === 'raise' ? 'raise' : null,
+
+// Duplicates.
+// Hash keys are compared when they're literals that can be compared from their text: labels and the symbols they stand for, symbols and strings without escapes or interpolation, numbers,
+// nil, true and false. Methods are compared by name, with 'def self.foo' kept apart from 'def foo'; definitions inside conditionals aren't direct statements of the body, so they're left alone.
+
+         duplicate_hash_key(t) = t.find_all(given.n in (n.is_hash() || n.is_invocation())) *~![duplicates(pairs(x), key, given.p in 'duplicate hash key #{written(p)}')] -seq,
+         duplicate_method(t)   = t.find_all(given.n in (n.is_class() || n.is_module() || n.is_singleton_class())) *~![duplicates(statements(x.body()) %[x.is_def()] -seq, method_key,
+                                                                                                                                 given.d in 'method #{method_key(d)} is already defined in this body')] -seq,
+
+         duplicates(xs, k, m)  = xs %[k(x)] *~![(seen.hasOwnProperty(id) ? [finding(x, m(x))] : []) -se- (seen[id] = true) -where [id = '@#{k(x)}']] -seq -where [seen = {}],
+
+         pairs(n)              = (n.is_hash() ? items(n[0]) : n.arguments()) %[/^(?:=>|:)$/.test(x.data) && x.length === 2] -seq,
+         written(p)            = p.data === ':' ? '#{p[0].data}:' : p[0].data,
+
+         key(p)                = p.data !== ':'                                 ? literal_key(p[0]) :
+                                 /^['"]/.test(p[0].data)                         ? literal_key(p[0]) -re [it && 'y#{it.substr(1)}'] : 'y#{p[0].data}',
+         literal_key(k)        = k.length                                       ? null :
+                                 /^:(?:[A-Za-z_]\w*[?!=]?|"[^"\\#]*")$/.test(k.data) ? 'y#{k.data.replace(/^:"?|"$/g, "")}' :
+                                 /^(?:'[^'\\]*'|"[^"\\#]*")$/.test(k.data)      ? 's#{k.data.slice(1, -1)}' :
+                                 k.is_number() || /^(?:nil|true|false)$/.test(k.data) ? 'n#{k.data}' : null,
+
+         statements(b)         = b.data === 'begin' && b.length ? statements(b[0]) : b.data === ';' ? children(b) : [b],
+         method_key(d)         = (d.singleton() ? '#{d.singleton().data}.' : '') + d.def_name()]})(caterwaul);
+// Generated by SDoc 
@@ -0,0 +1,71 @@
+// Caterwaul Ruby macros | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Macros rewrite Ruby syntax trees. Each one is a pattern and an expansion, both usually written as Ruby source. Leaves whose names start with an underscore are wildcards: in the pattern they
+// match any subtree, and in the expansion they're replaced by whatever they matched. A macro is a function that takes a node and returns its expansion, or null if the pattern doesn't match:
+
+// | each_to_for = caterwaul.ruby.macro('_xs.each do |_x| _body end', 'for _x in _xs do _body end');
+//   caterwaul.ruby.macroexpand('xs.each do |x|\n  puts x\nend', [each_to_for]).toRuby()        // -> 'for x in xs\n  puts x\nend'
+
+// A wildcard that's the only statement in a pattern's body matches the whole body, however many statements it has, and its statements are spliced into the body it's substituted into. The
+// expansion can also be a function, which is called on the bindings (the '_' binding is the matched node) and returns a tree, Ruby source, or a false value to decline the match.
+
+// Expansions are new nodes, but they take the position and comments of the node they replace through metadata_from(), along with any comments attached to parts of it that the pattern
+// consumed. Subtrees bound to wildcards are moved into the expansion as they are, so they keep their own positions, comments and original source text.
+
+// Patterns can be matched without expanding anything, too. match() returns the bindings, or null if the pattern doesn't match:
+
+// | caterwaul.ruby.match('_x + 1', 'y * 2 + 1')._x.structure()         // -> ("*" y 2)
+
+caterwaul.js_all()(function ($) {
+  $.ruby.macro(pattern, expansion) = expand -where [p            = pattern /!tree_of,
+                                                    e            = expansion.constructor === Function ? expansion : expansion /!tree_of /!template,
+                                                    expand(tree) = (bindings && e(bindings) -re [it && adopt(tree_of(it), tree, consumed)])
+                                                                   -where [consumed = [], bindings = match(p, tree, {_: tree}, consumed)]],
+
+// Fixed-point expansion.
+// macroexpand() applies a list of macros to a whole tree, or to Ruby source, until none of them match anywhere. Each pass walks the tree from the top and replaces each node that a macro matches
+// with the first macro's expansion. Like Caterwaul's rmap(), a pass doesn't walk into the expansions it makes; the next pass does that, and also picks up anything that an expansion made
+// possible further up. Unchanged subtrees are shared with the input, so serializing the result reproduces the original text everywhere except around the expansions. It gives up after a hundred
+// passes, which usually means that a macro's expansion matches its own pattern or two macros are undoing each other.
+
+  $.ruby.macroexpand(tree, macros) = fixed_point(tree /!tree_of, 0)
+                                     -where [ms                = macros instanceof Array ? macros : [macros],
+                                             fixed_point(t, i) = i >= 100 ? raise [new Error('caterwaul.ruby.macroexpand: no fixed point after 100 passes')] :
+                                                                 (r.changed ? fixed_point(r.tree, i + 1) : t) -where [r = pass(t)],
+
+                                             pass(t)           = {tree: visit(t), changed: changed}
+                                                                 -where [changed    = false,
+                                                                         visit(n)   = (ms |[x(n)] |seq) -re [it ? it -se- (changed = true) : descend(n)],
+                                                                         descend(n) = (kids |[x !== n[xi]] |seq ? n.replicate.apply(n, [n.data].concat(kids)) : n) -where [kids = children(n) *visit -seq]]],
+
+  $.ruby.match(pattern, tree) = match(pattern /!tree_of, t, {_: t}, []) -where [t = tree /!tree_of],
+
+  where [tree_of(x)   = x.constructor === String ? $.ruby(x) : x,
+         children(n)  = Array.prototype.slice.call(n),
+         unique(xs)   = xs %[xs.indexOf(x) === xi] -seq,
+
+// Matching.
+// This works like Caterwaul's own match(), except that statement sequences get special treatment and the comments of every non-wildcard node are collected along the way.
+
+         wildcard(n)  = ! n.length && /^_./.test(n.data),
+         body(n)      = n.data === ';' && n.length === 1 && wildcard(n[0]),
+
+         match(p, t, bindings, consumed) = wildcard(p)               ? bindings -se [it[p.data] = t] :
+                                           body(p) && t.data === ';' ? bindings -se [it[p[0].data] = t] :
+                                           p.data === t.data && p.length === t.length && ! (n[p.length] |[! match(p[x], t[x], bindings, consumed)] |seq)
+                                                                     ? bindings -se- consumed.push.apply(consumed, t._comments) :
+                                                                       null,
+
+// Expansion.
+// Templates build fresh nodes, so nothing from the expansion's own source (its positions in particular) leaks into the output. adopt() gives the expansion the replaced node's metadata; it copies
+// the expansion's root first, since a function can return a node that already belongs to some other tree.
+
+         template(t)(bindings)    = instantiate(t, bindings),
+         instantiate(t, bindings) = wildcard(t) && bindings.hasOwnProperty(t.data) ? bindings[t.data] :
+                                    new $.ruby.syntax(t.data) -se [children(t) *~![spliced(instantiate(x, bindings), t)] *![it.push(x)] -seq],
+         spliced(n, parent)       = parent.data === ';' && n.data === ';' ? children(n) : [n],
+
+         adopt(n, tree, consumed) = n.replicate.apply(n, [n.data].concat(children(n))) -se [it.metadata_from(tree), it._comments = unique(tree._comments.concat(consumed, n._comments))]]})(caterwaul);
+// Generated by SDoc 
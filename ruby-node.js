@@ -0,0 +1,5760 @@
+// Caterwaul Ruby node.js build | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This is a single CommonJS module containing Caterwaul, the extensions that the Ruby modules depend on, and the Ruby modules themselves. It doesn't need a browser or a network connection;
+// requiring it returns the global caterwaul function with caterwaul.ruby installed:
+
+// | var caterwaul = require('./ruby-node.js');
+//   caterwaul.ruby('foo + 1').structure()         // -> '("+" foo 1)'
+
+
+
+// Module dependencies.
+// Usually this is just Caterwaul and the standard extension. If you modify these, you should probably also run 'dependencies edit' to inform the script about where these files are downloaded
+// from.
+
+// Caterwaul JS | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Caterwaul is a Javascript-to-Javascript compiler. Visit http://caterwauljs.org for information about how and why you might use it.
+
+(function (f) {return f(f)})(function (initializer, key, undefined) {
+
+// Utility methods.
+// Utility functions here are:
+
+// | 1. qw      Splits a string into space-separated words and returns an array of the results. This is a Perl idiom that's really useful when writing lists of things.
+//   2. se      Side-effects on a value and returns the value.
+//   3. fail    Throws an error. This isn't particularly special except for the fact that the keyword 'throw' can't be used in expression context.
+//   4. gensym  Generates a string that will never have been seen before.
+//   5. bind    Fixes 'this' inside the function being bound. This is a common Javascript idiom, but is reimplemented here because we don't know which other libraries are available.
+//   6. map     Maps a function over an array-like object and returns an array of the results.
+//   7. rmap    Recursively maps a function over arrays.
+//   8. hash    Takes a string, splits it into words, and returns a hash mapping each of those words to true. This is used to construct sets.
+//   9. merge   Takes an object and one or more extensions, and copies all properties from each extension onto the object. Returns the object.
+
+// Side-effecting is used to initialize things statefully; for example:
+
+// | return se(function () {return 5}, function (f) {
+//     f.sourceCode = 'return 5';
+//   });
+
+// Gensyms are unique identifiers that end with high-entropy noise that won't appear in the source being compiled. The general format of a gensym is name_count_suffix, where 'name' is provided by
+// whoever requested the gensym (this allows gensyms to be more readable), 'count' is a base-36 number that is incremented with each gensym, and 'suffix' is a constant base-64 string containing
+// 128 bits of entropy. (Since 64 possibilities is 6 bits, this means that we have 22 characters.)
+
+    var qw = function (x) {return x.split(/\s+/)},  se = function (x, f) {return f && f.call(x, x) || x},  fail = function (m) {throw new Error(m)},
+
+    unique = key || (function () {for (var xs = [], d = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789$_', i = 21, n; i >= 0; --i) xs.push(d.charAt(Math.random() * 64 >>> 0));
+                                  return xs.join('')})(),
+
+    gensym = (function (c) {return function (name) {return [name || '', (++c).toString(36), unique].join('_')}})(0),  is_gensym = function (s) {return s.substr(s.length - 22) === unique},
+
+      bind = function (f, t) {return function () {return f.apply(t, arguments)}},
+       map = function (f, xs) {for (var i = 0, ys = [], l = xs.length; i < l; ++i) ys.push(f(xs[i], i)); return ys},
+      rmap = function (f, xs) {return map(function (x) {return x instanceof Array ? rmap(f, x) : f(x)})},
+      hash = function (s) {for (var i = 0, xs = qw(s), o = {}, l = xs.length; i < l; ++i) o[xs[i]] = true; return annotate_keys(o)},
+
+// The merge() function is compromised for the sake of Internet Explorer, which contains a bug-ridden and otherwise horrible implementation of Javascript. The problem is that, due to a bug in
+// hasOwnProperty and DontEnum within JScript, these two expressions are evaluated incorrectly:
+
+// | for (var k in {toString: 5}) alert(k);        // no alert on IE
+//   ({toString: 5}).hasOwnProperty('toString')    // false on IE
+
+// To compensate, merge() manually copies toString if it is present on the extension object.
+
+     merge = (function (o) {for (var k in o) if (o.hasOwnProperty(k)) return true})({toString: true}) ?
+               // hasOwnProperty, and presumably iteration, both work, so we use the sensible implementation of merge():
+               function (o) {for (var i = 1, l = arguments.length, _; i < l; ++i) if (_ = arguments[i]) for (var k in _) if (has(_, k)) o[k] = _[k]; return o} :
+
+               // hasOwnProperty, and possibly iteration, both fail, so we hack around the problem with this gem:
+               function (o) {for (var i = 1, l = arguments.length, _; i < l; ++i)
+                               if (_ = arguments[i]) {for (var k in _) if (has(_, k)) o[k] = _[k];
+                                                      if (_.toString && ! /\[native code\]/.test(_.toString.toString())) o.toString = _.toString} return o},
+
+  // Optimizations.
+//   The parser and lexer each assume valid input and do no validation. This is possible because any function passed in to caterwaul will already have been parsed by the Javascript interpreter;
+//   syntax errors would have caused an error there. This enables a bunch of optimization opportunities in the parser, ultimately making it not in any way recursive and requiring only three
+//   linear-time passes over the token stream. (An approximate figure; it actually does about 19 fractional passes, but not all nodes are reached.)
+
+  // Also, I'm not confident that all Javascript interpreters are smart about hash indexing. Particularly, suppose a hashtable has 10 entries, the longest of whose keys is 5 characters. If we
+//   throw a 2K string at it, it might very well hash that whole thing just to find that, surprise, the entry doesn't exist. That's a big performance hit if it happens very often. To prevent this
+//   kind of thing, I'm keeping track of the longest string in the hashtable by using the 'annotate_keys' function. 'has()' knows how to look up the maximum length of a hashtable to verify that
+//   the candidate is in it, resulting in the key lookup being only O(n) in the longest key (generally this ends up being nearly O(1), since I don't like to type long keys), and average-case O(1)
+//   regardless of the length of the candidate.
+
+  // As of Caterwaul 0.7.0 the _max_length property has been replaced by a gensym. This basically guarantees uniqueness, so the various hacks associated with working around the existence of the
+//   special _max_length key are no longer necessary.
+
+   max_length_key = gensym('hash'),
+    annotate_keys = function (o)    {var max = 0; for (var k in o) own.call(o, k) && (max = k.length > max ? k.length : max); o[max_length_key] = max; return o},
+              has = function (o, p) {return p != null && ! (p.length > o[max_length_key]) && own.call(o, p)},  own = Object.prototype.hasOwnProperty,
+
+// Global caterwaul variable.
+// Caterwaul creates a global symbol, caterwaul. Like jQuery, there's a mechanism to get the original one back if you don't want to replace it. You can call caterwaul.deglobalize() to return
+// caterwaul and restore the global that was there when Caterwaul was loaded (might be useful in the unlikely event that someone else named their library Caterwaul). Note that deglobalize() is
+// available only on the global caterwaul() function.
+
+  calls_init       = function () {var f = function () {return f.init.apply(f, arguments)}; return f},
+  original_global  = typeof caterwaul === 'undefined' ? undefined : caterwaul,
+
+  caterwaul_global = se(calls_init(), function () {this.deglobalize = function () {caterwaul = original_global; return caterwaul_global};
+                                                   merge(this, {merge: merge, map: map, rmap: rmap, gensym: gensym, is_gensym: is_gensym})}),
+
+// Shared parser data.
+// This data is used both for parsing and for serialization, so it's made available to all pieces of caterwaul.
+
+  // Precomputed table values.
+//   The lexer uses several character lookups, which I've optimized by using integer->boolean arrays. The idea is that instead of using string membership checking or a hash lookup, we use the
+//   character codes and index into a numerical array. This is guaranteed to be O(1) for any sensible implementation, and is probably the fastest JS way we can do this. For space efficiency,
+//   only the low 256 characters are indexed. High characters will trigger sparse arrays, which may degrade performance. Also, this parser doesn't handle Unicode characters properly; it assumes
+//   lower ASCII only.
+
+  // The lex_op table indicates which elements trigger regular expression mode. Elements that trigger this mode cause a following / to delimit a regular expression, whereas other elements would
+//   cause a following / to indicate division. By the way, the operator ! must be in the table even though it is never used. The reason is that it is a substring of !==; without it, !== would
+//   fail to parse.
+
+  // Caterwaul 1.1.3 adds support for Unicode characters, even though they're technically not allowed as identifiers in Javascript. All Unicode characters are treated as identifiers since
+//   Javascript assigns no semantics to them.
+
+       lex_op = hash('. new ++ -- u++ u-- u+ u- typeof u~ u! ! * / % + - << >> >>> < > <= >= instanceof in == != === !== & ^ | && || ? = += -= *= /= %= &= |= ^= <<= >>= >>>= : , ' +
+                     'return throw case var const break continue void else u; ;'),
+
+    lex_table = function (s) {for (var i = 0, xs = [false]; i < 8; ++i) xs.push.apply(xs, xs); for (var i = 0, l = s.length; i < l; ++i) xs[s.charCodeAt(i)] = true; return xs},
+    lex_float = lex_table('.0123456789'),    lex_decimal = lex_table('0123456789'),  lex_integer = lex_table('0123456789abcdefABCDEFx'),  lex_exp = lex_table('eE'),
+    lex_space = lex_table(' \n\r\t'),        lex_bracket = lex_table('()[]{}'),       lex_opener = lex_table('([{'),                    lex_punct = lex_table('+-*/%&|^!~=<>?:;.,'),
+      lex_eol = lex_table('\n\r'),     lex_regexp_suffix = lex_table('gims'),          lex_quote = lex_table('\'"/'),                   lex_slash = '/'.charCodeAt(0),
+     lex_star = '*'.charCodeAt(0),              lex_back = '\\'.charCodeAt(0),             lex_x = 'x'.charCodeAt(0),                     lex_dot = '.'.charCodeAt(0),
+     lex_zero = '0'.charCodeAt(0),     lex_postfix_unary = hash('++ --'),              lex_ident = lex_table('$_abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'),
+
+  // Parse data.
+//   The lexer and parser aren't entirely separate, nor can they be considering the complexity of Javascript's grammar. The lexer ends up grouping parens and identifying block constructs such
+//   as 'if', 'for', 'while', and 'with'. The parser then folds operators and ends by folding these block-level constructs.
+
+    parse_reduce_order = map(hash, ['function', '( [ . [] ()', 'new delete', 'u++ u-- ++ -- typeof u~ u! u+ u-', '* / %', '+ -', '<< >> >>>', '< > <= >= instanceof in', '== != === !==', '&',
+                                    '^', '|', '&&', '||', 'case', '?', '= += -= *= /= %= &= |= ^= <<= >>= >>>=', ':', ',', 'return throw break continue void', 'var const',
+                                    'if else try catch finally for switch with while do', ';']),
+
+parse_associates_right = hash('= += -= *= /= %= &= ^= |= <<= >>= >>>= ~ ! new typeof u+ u- -- ++ u-- u++ ? if else function try catch finally for switch case with while do'),
+   parse_inverse_order = (function (xs) {for (var  o = {}, i = 0, l = xs.length; i < l; ++i) for (var k in xs[i]) has(xs[i], k) && (o[k] = i); return annotate_keys(o)})(parse_reduce_order),
+   parse_index_forward = (function (rs) {for (var xs = [], i = 0, l = rs.length, _ = null; _ = rs[i], xs[i] = true, i < l; ++i)
+                                           for (var k in _) if (has(_, k) && (xs[i] = xs[i] && ! has(parse_associates_right, k))) break; return xs})(parse_reduce_order),
+
+              parse_lr = hash('[] . () * / % + - << >> >>> < > <= >= instanceof in == != === !== & ^ | && || = += -= *= /= %= &= |= ^= <<= >>= >>>= , : ;'),
+   parse_r_until_block = annotate_keys({'function':2, 'if':1, 'do':1, 'catch':1, 'try':1, 'for':1, 'while':1, 'with':1, 'switch':1}),
+         parse_accepts = annotate_keys({'if':'else', 'do':'while', 'catch':'finally', 'try':'catch'}),  parse_invocation = hash('[] ()'),
+      parse_r_optional = hash('return throw break continue else'),              parse_r = hash('u+ u- u! u~ u++ u-- new typeof finally case var const void delete'),
+           parse_block = hash('; {'),  parse_invisible = hash('i;'),            parse_l = hash('++ --'),     parse_group = annotate_keys({'(':')', '[':']', '{':'}', '?':':'}),
+ parse_ambiguous_group = hash('[ ('),    parse_ternary = hash('?'),   parse_not_a_value = hash('function if for while catch void delete new typeof in instanceof'),
+ parse_also_expression = hash('function'),
+
+// Syntax data structures.
+// There are two data structures used for syntax trees. At first, paren-groups are linked into doubly-linked lists, described below. These are then folded into immutable array-based specific
+// nodes. At the end of folding there is only one child per paren-group.
+
+  // Doubly-linked paren-group lists.
+//   When the token stream is grouped into paren groups it has a hierarchical linked structure that conceptually has these pointers:
+
+  // |                       +--------+
+//                  +------  |  node  |  ------+
+//                  |   +->  |        |  <--+  |
+//           first  |   |    +--------+     |  |  last
+//                  |   | parent     parent |  |
+//                  V   |                   |  V
+//               +--------+               +--------+
+//               |  node  |   --- r -->   |  node  |  --- r ---/
+//    /--- l --- |        |   <-- l ---   |        |
+//               +--------+               +--------+
+
+  // The primary operation performed on this tree, at least initially, is repeated folding. So we have a chain of linear nodes, and one by one certain nodes fold their siblings underneath them,
+//   breaking the children's links and linking instead to the siblings' neighbors. For example, if we fold node (3) as a binary operator:
+
+  // |     (1) <-> (2) <-> (3) <-> (4) <-> (5)             (1) <--> (3) <--> (5)
+//         / \     / \     / \     / \     / \     -->     / \     /   \     / \
+//                                                                /     \
+//                                                              (2)     (4)        <- No link between children
+//                                                              / \     / \           (see 'Fold nodes', below)
+
+  // Fold nodes.
+//   Once a node has been folded (e.g. (3) in the diagram above), none of its children will change and it will gain no more children. The fact that none of its children will change can be shown
+//   inductively: suppose you've decided to fold the '+' in 'x + y' (here x and y are arbitrary expressions). This means that x and y are comprised of higher-precedence operators. Since there is
+//   no second pass back to high-precedence operators, x and y will not change nor will they interact with one another. The fact that a folded node never gains more children arrives from the fact
+//   that it is folded only once; this is by virtue of folding by index instead of by tree structure. (Though a good tree traversal algorithm also wouldn't hit the same node twice -- it's just
+//   less obvious when the tree is changing.)
+
+  // Anyway, the important thing about fold nodes is that their children don't change. This means that an array is a completely reasonable data structure to use for the children; it certainly
+//   makes the structure simpler. It also means that the only new links that must be added to nodes as they are folded are links to new children (via the array), and links to the new siblings.
+//   Once we have the array-form of fold nodes, we can build a query interface similar to jQuery, but designed for syntactic traversal. This will make routine operations such as macro
+//   transformation and quasiquoting far simpler later on.
+
+  // Both grouping and fold nodes are represented by the same data structure. In the case of grouping, the 'first' pointer is encoded as [0] -- that is, the first array element. It doesn't
+//   contain pointers to siblings of [0]; these are still accessed by their 'l' and 'r' pointers. As the structure is folded, the number of children of each paren group should be reduced to just
+//   one. At this point the remaining element's 'l' and 'r' pointers will both be null, which means that it is in hierarchical form instead of linked form.
+
+  // After the tree has been fully generated and we have the root node, we have no further use for the parent pointers. This means that we can use subtree sharing to save memory. Once we're past
+//   the fold stage, push() should be used instead of append(). append() works in a bidirectionally-linked tree context (much like the HTML DOM), whereas push() works like it does for arrays
+//   (i.e. no parent pointer).
+
+  // Syntax node functions.
+//   These functions are common to various pieces of syntax nodes. Not all of them will always make sense, but the prototypes of the constructors can be modified independently later on if it
+//   turns out to be an issue.
+
+    syntax_common = caterwaul_global.syntax_common = {
+
+    // Mutability.
+//     These functions let you modify nodes in-place. They're used during syntax folding and shouldn't really be used after that (hence the underscores).
+
+      _replace:  function (n) {return (n.l = this.l) && (this.l.r = n), (n.r = this.r) && (this.r.l = n), this},  _append_to: function (n) {return n && n._append(this), this},
+      _reparent: function (n) {return this.p && this.p[0] === this && (this.p[0] = n), this},  _fold_l: function (n) {return this._append(this.l && this.l._unlink(this) || empty)},
+      _append:   function (n) {return (this[this.length++] = n) && (n.p = this), this},        _fold_r: function (n) {return this._append(this.r && this.r._unlink(this) || empty)},
+      _sibling:  function (n) {return n.p = this.p, (this.r = n).l = this},                    _fold_lr: function () {return this._fold_l()._fold_r()},
+                                                                                               _fold_rr: function () {return this._fold_r()._fold_r()},
+
+      _wrap:     function (n) {return n.p = this._replace(n).p, this._reparent(n), delete this.l, delete this.r, this._append_to(n)},
+      _unlink:   function (n) {return this.l && (this.l.r = this.r), this.r && (this.r.l = this.l), delete this.l, delete this.r, this._reparent(n)},
+
+    // These methods are OK for use after the syntax folding stage is over (though because syntax nodes are shared it's generally dangerous to go modifying them):
+
+      pop: function () {return --this.length, this},  push: function (x) {return this[this.length++] = x || empty, this},
+
+    // Identification.
+//     You can request that a syntax node identify itself, in which case it will give you an identifier if it hasn't already. The identity is not determined until the first time it is requested,
+//     and after that it is stable. As of Caterwaul 0.7.0 the mechanism works differently (i.e. isn't borked) in that it replaces the prototype definition with an instance-specific closure the
+//     first time it gets called. This may reduce the number of decisions in the case that the node's ID has already been computed.
+
+                       id: function () {var id = gensym('id'); return (this.id = function () {return id})()},
+      is_caterwaul_syntax: true,
+
+    // Traversal functions.
+//     each() is the usual side-effecting shallow traversal that returns 'this'. map() distributes a function over a node's children and returns the array of results, also as usual. Two variants,
+//     reach and rmap, perform the process recursively. reach is non-consing; it returns the original as a reference. rmap, on the other hand, follows some rules to cons a new tree. If the
+//     function passed to rmap() returns the node verbatim then its children are traversed. If it returns a distinct node, however, then traversal doesn't descend into the children of the newly
+//     returned tree but rather continues as if the original node had been a leaf. For example:
+
+    // |           parent          Let's suppose that a function f() has these mappings:
+//                /      \
+//            node1      node2       f(parent) = parent   f(node1) = q
+//            /   \        |                              f(node2) = node2
+//          c1     c2      c3
+
+    // In this example, f() would be called on parent, node1, node2, and c3 in that order. c1 and c2 are omitted because node1 was replaced by q -- and there is hardly any point in going through
+//     the replaced node's previous children. (Nor is there much point in forcibly iterating over the new node's children, since presumably they are already processed.) If a mapping function
+//     returns something falsy, it will have exactly the same effect as returning the node without modification.
+
+    // Using the old s() to do gensym-safe replacement requires that you invoke it only once, and this means that for complex macroexpansion you'll have a long array of values. This isn't ideal,
+//     so syntax trees provide a replace() function that handles replacement more gracefully:
+
+    // | qs[(foo(_foo), _before_bar + bar(_bar))].replace({_foo: qs[x], _before_bar: qs[3 + 5], _bar: qs[foo.bar]})
+
+      each:  function (f) {for (var i = 0, l = this.length; i < l; ++i) f(this[i], i); return this},
+      map:   function (f) {for (var n = new this.constructor(this), i = 0, l = this.length; i < l; ++i) n.push(f(this[i], i) || this[i]); return n},
+
+      reach: function (f) {f(this); this.each(function (n) {n.reach(f)}); return this},
+      rmap:  function (f) {var r = f(this); return ! r || r === this ? this.map(function (n) {return n.rmap(f)}) : r.rmap === undefined ? new this.constructor(r) : r},
+
+      clone: function () {return this.rmap(function () {return false})},
+
+      collect: function (p)  {var ns = []; this.reach(function (n) {p(n) && ns.push(n)}); return ns},
+      replace: function (rs) {var r; return own.call(rs, this.data) && (r = rs[this.data]) ?
+                                              r.constructor === String ? se(this.map(function (n) {return n.replace(rs)}), function () {this.data = r}) : r :
+                                              this.map(function (n) {return n.replace(rs)})},
+
+    // Alteration.
+//     These functions let you make "changes" to a node by returning a modified copy.
+
+      repopulated_with: function (xs)     {return new this.constructor(this.data, xs)},
+      with_data:        function (d)      {return new this.constructor(d, Array.prototype.slice.call(this))},
+      change:           function (i, x)   {return se(new this.constructor(this.data, Array.prototype.slice.call(this)), function (n) {n[i] = x})},
+      compose_single:   function (i, f)   {return this.change(i, f(this[i]))},
+      slice:            function (x1, x2) {return new this.constructor(this.data, Array.prototype.slice.call(this, x1, x2))},
+
+    // General-purpose traversal.
+//     This is a SAX-style traversal model, useful for analytical or scope-oriented tree traversal. You specify a callback function that is invoked in pre-post-order on the tree (you get events
+//     for entering and exiting each node, including leaves). Each time a node is entered, the callback is invoked with an object of the form {entering: node}, where 'node' is the syntax node
+//     being entered. Each time a node is left, the callback is invoked with an object of the form {exiting: node}. The return value of the function is not used. Any null nodes are not traversed,
+//     since they would fail any standard truthiness tests for 'entering' or 'exiting'.
+
+    // I used to have a method to perform scope-annotated traversal, but I removed it for two reasons. First, I had no use for it (and no tests, so I had no reason to believe that it worked).
+//     Second, Caterwaul is too low-level to need such a method. That would be more appropriate for an analysis extension.
+
+      traverse: function (f) {f({entering: this}); f({exiting: this.each(function (n) {n.traverse(f)})}); return this},
+
+    // Structural transformation.
+//     Having nested syntax trees can be troublesome. For example, suppose you're writing a macro that needs a comma-separated list of terms. It's a lot of work to dig through the comma nodes,
+//     each of which is binary. Javascript is better suited to using a single comma node with an arbitrary number of children. (This also helps with the syntax tree API -- we can use .map() and
+//     .each() much more effectively.) Any binary operator can be transformed this way, and that is exactly what the flatten() method does. (flatten() returns a new tree; it doesn't modify the
+//     original.)
+
+    // The tree flattening operation looks like this for a left-associative binary operator:
+
+    // |        (+)
+//             /   \              (+)
+//          (+)     z     ->     / | \
+//         /   \                x  y  z
+//        x     y
+
+    // This flatten() method returns the nodes along the chain of associativity, always from left to right. It is shallow, since generally you only need a localized flat tree. That is, it doesn't
+//     descend into the nodes beyond the one specified by the flatten() call. It takes an optional parameter indicating the operator to flatten over; if the operator in the tree differs, then the
+//     original node is wrapped in a unary node of the specified operator. The transformation looks like this:
+
+    // |                                  (,)
+//            (+)                          |
+//           /   \   .flatten(',')  ->    (+)
+//          x     y                      /   \
+//                                      x     y
+
+    // Because ',' is a binary operator, a ',' tree with just one operand will be serialized exactly as its lone operand would be. This means that plurality over a binary operator such as comma
+//     or semicolon degrades gracefully for the unary case (this sentence makes more sense in the context of macro definitions; see in particular 'let' and 'where' in std.bind).
+
+    // The unflatten() method performs the inverse transformation. It doesn't delete a converted unary operator in the tree case, but if called on a node with more than two children it will nest
+//     according to associativity.
+
+      flatten:   function (d) {d = d || this.data; return d !== this.data ? this.as(d) : ! (has(parse_lr, d) && this.length) ? this : has(parse_associates_right, d) ?
+                                                     se(new this.constructor(d), bind(function (n) {for (var i = this;     i && i.data === d; i = i[1]) n.push(i[0]); n.push(i)}, this)) :
+                                                     se(new this.constructor(d), bind(function (n) {for (var i = this, ns = []; i.data === d; i = i[0]) i[1] && ns.push(i[1]); ns.push(i);
+                                                                                                    for (i = ns.length - 1; i >= 0; --i) n.push(ns[i])}, this))},
+
+      unflatten: function  () {var t = this, right = has(parse_associates_right, this.data); return this.length <= 2 ? this : se(new this.constructor(this.data), function (n) {
+                                 if (right) for (var i = 0, l = t.length - 1; i  < l; ++i) n = n.push(t[i]).push(i < l - 2 ? new t.constructor(t.data) : t[i])[1];
+                                 else       for (var i = t.length - 1;        i >= 1; --i) n = n.push(i > 1 ? new t.constructor(t.data) : t[0]).push(t[i])[0]})},
+
+    // Wrapping.
+//     Sometimes you want your syntax tree to have a particular operator, and if it doesn't have that operator you want to wrap it in a node that does. Perhaps the most common case of this is
+//     when you have a possibly-plural node representing a variable or expression -- often the case when you're dealing with argument lists -- and you want to be able to assume that it's wrapped
+//     in a comma node. Calling node.as(',') will return the node if it's a comma, and will return a new comma node containing the original one if it isn't.
+
+      as: function (d) {return this.data === d ? this : new this.constructor(d).push(this)},
+
+    // Value construction.
+//     Syntax nodes sometimes represent hard references to values instead of just syntax. (See 'References' for more information.) In order to compile a syntax tree in the right environment you
+//     need a mapping of symbols to these references, which is what the bindings() method returns. (It also collects references for all descendant nodes.) It takes an optional argument to
+//     populate, in case you already had a hash set aside for bindings -- though it always returns the hash.
+
+    // A bug in Caterwaul 0.5 and earlier failed to bind falsy values. This is no longer the case; nodes which bind values should indicate that they do so by setting a binds_a_value attribute
+//     (ref nodes do this on the prototype), indicating that their value should be read from the 'value' property. (This allows other uses of a 'value' property while making it unambiguous
+//     whether a particular node intends to bind something.)
+
+      bindings: function (hash) {var result = hash || {}; this.reach(function (n) {if (n.binds_a_value) result[n.data] = n.value}); return result},
+
+    // Containment.
+//     You can ask a tree whether it contains any nodes that satisfy a given predicate. This is done using the .contains() method and is significantly more efficient than using .collect() if your
+//     tree does in fact contain a matching node.
+
+      contains: function (f) {var result = f(this);
+                              if (result) return result;
+                              for (var i = 0, l = this.length; i < l; ++i) if (result = this[i].contains(f)) return result},
+
+    // Matching.
+//     Any syntax tree can act as a matching pattern to destructure another one. It's often much more fun to do things this way than it is to try to pick it apart by hand. For example, suppose
+//     you wanted to determine whether a node represents a function that immediately returns, and to know what it returns. The simplest way to do it is like this:
+
+    // | var tree = ...
+//       var match = caterwaul.parse('function (_) {return _value}').match(tree);
+//       if (match) {
+//         var value = match._value;
+//         ...
+//       }
+
+    // The second parameter 'variables' stores a running total of match data. You don't provide this; match() creates it for you on the toplevel invocation. The entire original tree is available
+//     as a match variable called '_'; for example: t.match(u)._ === u if u matches t.
+
+      match: function (target, variables) {target = target.constructor === String ? caterwaul_global.parse(target) : target;
+                                           variables || (variables = {_: target});
+                                           if (this.is_wildcard())                                          return variables[this.data] = target, variables;
+                                      else if (this.length === target.length && this.data === target.data) {for (var i = 0, l = this.length; i < l; ++i)
+                                                                                                              if (! this[i].match(target[i], variables)) return null;
+                                                                                                            return variables}},
+
+    // Inspection and syntactic serialization.
+//     Syntax nodes can be both inspected (producing a Lisp-like structural representation) and serialized (producing valid Javascript code). In the past, stray 'r' links were serialized as block
+//     comments. Now they are folded into implied semicolons by the parser, so they should never appear by the time serialization happens.
+
+      toString:  function () {var xs = ['']; this.serialize(xs); return xs.join('')},
+      structure: function () {if (this.length) return '(' + ['"' + this.data + '"'].concat(map(function (x) {return x.structure()}, this)).join(' ') + ')';
+                              else             return this.data}};
+
+  // Syntax node subclassing.
+//   Caterwaul 1.1.1 generalizes the variadic syntax node model to support arbitrary subclasses. This is useful when defining syntax trees for languages other than Javascript. As of Caterwaul
+//   1.1.2 this method is nondestructive with respect to the constructor and other arguments.
+
+    caterwaul_global.syntax_subclass = function (ctor) {var extensions = Array.prototype.slice.call(arguments, 1), proxy = function () {return ctor.apply(this, arguments)};
+                                                        merge.apply(this, [proxy.prototype, syntax_common].concat(extensions));
+                                                        proxy.prototype.constructor = proxy;
+                                                        return proxy};
+
+  // Type detection and retrieval.
+//   These methods are used to detect the literal type of a node and to extract that value if it exists. You should use the as_x methods only once you know that the node does represent an x;
+//   otherwise you will get misleading results. (For example, calling as_boolean on a non-boolean will always return false.)
+
+  // Other methods are provided to tell you higher-level things about what this node does. For example, is_contextualized_invocation() tells you whether the node represents a call that can't be
+//   eta-reduced (if it were, then the 'this' binding would be lost).
+
+  // Wildcards are used for pattern matching and are identified by beginning with an underscore. This is a very frequently-called method, so I'm using a very inexpensive numeric check rather
+//   than a string comparison. The ASCII value for underscore is 95.
+
+    var parse_hex = caterwaul_global.parse_hex       = function (digits) {for (var result = 0, i = 0, l = digits.length, d; i < l; ++i)
+                                                                            result *= 16, result += (d = digits.charCodeAt(i)) <= 58 ? d - 48 : (d & 0x5f) - 55;
+                                                                          return result},
+
+      parse_octal = caterwaul_global.parse_octal     = function (digits) {for (var result = 0, i = 0, l = digits.length; i < l; ++i) result *= 8, result += digits.charCodeAt(i) - 48;
+                                                                          return result},
+
+  unescape_string = caterwaul_global.unescape_string = function (s) {for (var i = 0, c, l = s.length, result = [], is_escaped = false; i < l; ++i)
+                                                                       if (is_escaped) is_escaped = false,
+                                                                                       result.push((c = s.charAt(i)) === '\\' ? '\\' :
+                                                                                                   c === 'n' ? '\n'     : c === 'r' ? '\r' : c === 'b' ? '\b' : c === 'f' ? '\f' :
+                                                                                                   c === '0' ? '\u0000' : c === 't' ? '\t' : c === 'v' ? '\v' :
+                                                                                                   c === '"' || c === '\'' ? c :
+                                                                                                   c === 'x' ? String.fromCharCode(parse_hex(s.substring(i, ++i + 1))) :
+                                                                                                   c === 'u' ? String.fromCharCode(parse_hex(s.substring(i, (i += 3) + 1))) :
+                                                                                                               String.fromCharCode(parse_octal(s.substring(i, (i += 2) + 1))));
+                                                                  else if ((c = s.charAt(i)) === '\\') is_escaped = true;
+                                                                  else result.push(c);
+
+                                                                     return result.join('')};
+
+    caterwaul_global.javascript_tree_type_methods = {
+               is_string: function () {return /['"]/.test(this.data.charAt(0))},           as_escaped_string: function () {return this.data.substr(1, this.data.length - 2)}, 
+               is_number: function () {return /^-?(0x|\d|\.\d+)/.test(this.data)},                 as_number: function () {return Number(this.data)},
+              is_boolean: function () {return this.data === 'true' || this.data === 'false'},     as_boolean: function () {return this.data === 'true'},
+               is_regexp: function () {return /^\/./.test(this.data)},                     as_escaped_regexp: function () {return this.data.substring(1, this.data.lastIndexOf('/'))},
+                is_array: function () {return this.data === '['},                        as_unescaped_string: function () {return unescape_string(this.as_escaped_string())},
+
+             is_wildcard: function () {return this.data.charCodeAt(0) === 95},
+           is_identifier: function () {return this.length === 0 && /^[A-Za-z_$]\w*$/.test(this.data) && ! this.is_boolean() && ! this.is_null_or_undefined() && ! has(lex_op, this.data)},
+
+       has_grouped_block: function () {return has(parse_r_until_block, this.data)},                 is_block: function () {return has(parse_block, this.data)},
+    is_blockless_keyword: function () {return has(parse_r_optional, this.data)},        is_null_or_undefined: function () {return this.data === 'null' || this.data === 'undefined'},
+
+             is_constant: function () {return this.is_number() || this.is_string() || this.is_boolean() || this.is_regexp() || this.is_null_or_undefined()},
+          left_is_lvalue: function () {return /=$/.test(this.data) || /\+\+$/.test(this.data) || /--$/.test(this.data)},
+
+                is_empty: function () {return !this.length},                              has_parameter_list: function () {return this.data === 'function' || this.data === 'catch'},
+         has_lvalue_list: function () {return this.data === 'var' || this.data === 'const'},  is_dereference: function () {return this.data === '.' || this.data === '[]'},
+           is_invocation: function () {return this.data === '()'},              is_contextualized_invocation: function () {return this.is_invocation() && this[0].is_dereference()},
+
+            is_invisible: function () {return has(parse_invisible, this.data)},           is_binary_operator: function () {return has(parse_lr, this.data)},
+is_prefix_unary_operator: function () {return has(parse_r, this.data)},            is_postfix_unary_operator: function () {return has(parse_l,  this.data)},
+       is_unary_operator: function () {return this.is_prefix_unary_operator() || this.is_postfix_unary_operator()},
+
+                 accepts: function (e) {return has(parse_accepts, this.data) && parse_accepts[this.data] === (e.data || e)}};
+
+  // Javascript-specific serialization.
+//   These methods are specific to the Javascript language. Other languages will have different serialization logic.
+
+    caterwaul_global.javascript_tree_serialization_methods = {
+
+    // Block detection.
+//     Block detection is required for multi-level if/else statements. Consider this code:
+
+    // | if (foo) for (...) {}
+//       else bif;
+
+    // A naive approach (the one I was using before version 0.6) would miss the fact that the 'for' was trailed by a block, and insert a spurious semicolon, which would break compilation:
+
+    // | if (foo) for (...) {};    // <- note!
+//       else bif;
+
+    // What we do instead is dig through the tree and find out whether the last thing in the 'if' case ends with a block. If so, then no semicolon is inserted; otherwise we insert one. This
+//     algorithm makes serialization technically O(n^2), but nobody nests if/else blocks to such an extent that it would matter.
+
+      ends_with_block: function () {var block = this[parse_r_until_block[this.data]];
+                                    return this.data === '{' || has(parse_r_until_block, this.data) && (this.data !== 'function' || this.length === 3) && block && block.ends_with_block()},
+
+    // There's a hack here for single-statement if-else statements. (See 'Grab-until-block behavior' in the parsing code below.) Basically, for various reasons the syntax tree won't munch the
+//     semicolon and connect it to the expression, so we insert one automatically whenever the second node in an if, else, while, etc. isn't a block.
+
+    // Update for Caterwaul 0.6.6: I had removed mandatory spacing for unary prefix operators, but now it's back. The reason is to help out the host Javascript lexer, which can misinterpret
+//     postfix increment/decrement: x + +y will be serialized as x++y, which is invalid Javascript. The fix is to introduce a space in front of the second plus: x+ +y, which is unambiguous.
+
+    // Update for caterwaul 1.0: The serialize() method is now aggressively optimized for common cases. It also uses a flattened array-based concatenation strategy rather than the deeply nested
+//     approach from before.
+
+    // Optimized serialization cases.
+//     We can tell a lot about how to serialize a node based on just a few properties. For example, if the node has zero length then its serialization is simply its data. This is the leaf case,
+//     which is likely to be half of the total number of nodes in the whole syntax tree. If a node has length 1, then we assume a prefix operator unless we identify it as postfix. Otherwise we
+//     break it down by the kind of operator that it is.
+
+    // Nodes might be flattened, so we can't assume any upper bound on the arity regardless of what kind of operator it is. Realistically you shouldn't hand flattened nodes over to the compile()
+//     function, but it isn't the end of the world if you do.
+
+      serialize: function (xs) {var l = this.length, d = this.data, semi = ';\n',
+                                 push = function (x) {if (lex_ident[xs[xs.length - 1].charCodeAt(0)] === lex_ident[x.charCodeAt(0)]) xs.push(' ', x);
+                                                      else                                                                           xs.push(x)};
+
+                                switch (l) {case 0: if (has(parse_r_optional, d)) return push(d.replace(/^u/, ''));
+                                               else if (has(parse_group, d))      return push(d), push(parse_group[d]);
+                                               else                               return push(d);
+
+                                            case 1: if (has(parse_r, d) || has(parse_r_optional, d)) return push(d.replace(/^u/, '')), this[0].serialize(xs);
+                                               else if (has(parse_group, d))                         return push(d), this[0].serialize(xs), push(parse_group[d]);
+                                               else if (has(parse_lr, d))                            return push('/* unary ' + d + ' node */'), this[0].serialize(xs);
+                                               else                                                  return this[0].serialize(xs), push(d);
+
+                                            case 2: if (has(parse_invocation, d))    return this[0].serialize(xs), push(d.charAt(0)), this[1].serialize(xs), push(d.charAt(1));
+                                               else if (has(parse_r_until_block, d)) return push(d), this[0].serialize(xs), this[1].serialize(xs);
+                                               else if (has(parse_invisible, d))     return this[0].serialize(xs), this[1].serialize(xs);
+                                               else if (d === ';')                   return this[0].serialize(xs), push(semi), this[1].serialize(xs);
+                                               else                                  return this[0].serialize(xs), push(d), this[1].serialize(xs);
+
+                                           default: if (has(parse_ternary, d))       return this[0].serialize(xs), push(d), this[1].serialize(xs), push(':'), this[2].serialize(xs);
+                                               else if (has(parse_r_until_block, d)) return this.accepts(this[2]) && ! this[1].ends_with_block() ?
+                                                                                       (push(d), this[0].serialize(xs), this[1].serialize(xs), push(semi), this[2].serialize(xs)) :
+                                                                                       (push(d), this[0].serialize(xs), this[1].serialize(xs), this[2].serialize(xs));
+                                               else                                  return this.unflatten().serialize(xs)}}};
+
+  // References.
+//   You can drop references into code that you're compiling. This is basically variable closure, but a bit more fun. For example:
+
+  // | caterwaul.compile(qs[function () {return _ + 1}].replace({_: caterwaul.ref(3)}))()    // -> 4
+
+  // What actually happens is that caterwaul.compile runs through the code replacing refs with gensyms, and the function is evaluated in a scope where those gensyms are bound to the values they
+//   represent. This gives you the ability to use a ref even as an lvalue, since it's really just a variable. References are always leaves on the syntax tree, so the prototype has a length of 0.
+
+  // Caterwaul 1.0 adds named gensyms, and one of the things you can do is name your refs accordingly. If you don't name one it will just be called 'ref', but you can make it more descriptive by
+//   passing in a second constructor argument. This name will automatically be wrapped in a gensym, but that gensym will be removed at compile-time unless you specify not to rename gensyms.
+
+    caterwaul_global.ref = caterwaul_global.syntax_subclass(
+                             function (value, name) {if (value instanceof this.constructor) this.value = value.value, this.data = value.data;
+                                                     else                                   this.value = value,       this.data = gensym(name && name.constructor === String ? name : 'ref')},
+
+                             caterwaul_global.javascript_tree_type_methods,
+                             caterwaul_global.javascript_tree_serialization_methods,
+
+                             {binds_a_value: true, length: 0},
+
+  // Reference replace() support.
+//   Refs aren't normal nodes; in particular, invoking the constructor as we do in replace() will lose the ref's value and cause all kinds of problems. In order to avoid this we override the
+//   replace() method for syntax refs to behave more sensibly. Note that you can't replace a ref with a syntax 
+
+                             {replace: function (replacements) {var r; return own.call(replacements, this.data) && (r = replacements[this.data]) ?
+                                                                                r.constructor === String ? se(new this.constructor(this.value), function () {this.data = r}) : r :
+                                                                                this}});
+
+  // Syntax node constructor.
+//   Here's where we combine all of the pieces above into a single function with a large prototype. Note that the 'data' property is converted from a variety of types; so far we support strings,
+//   numbers, and booleans. Any of these can be added as children. Also, I'm using an instanceof check rather than (.constructor ===) to allow array subclasses such as Caterwaul finite sequences
+//   to be used.
+
+    caterwaul_global.syntax = caterwaul_global.syntax_subclass(
+                                function (data) {if (data instanceof this.constructor) this.data = data.data, this.length = 0;
+                                                 else {this.data = data && data.toString(); this.length = 0;
+                                                   for (var i = 1, l = arguments.length, _; _ = arguments[i], i < l; ++i)
+                                                     for (var j = 0, lj = _.length, it, c; _ instanceof Array ? (it = _[j], j < lj) : (it = _, ! j); ++j)
+                                                       this._append((c = it.constructor) === String || c === Number || c === Boolean ? new this.constructor(it) : it)}},
+
+                                caterwaul_global.javascript_tree_type_methods,
+                                caterwaul_global.javascript_tree_serialization_methods);
+
+    var empty = caterwaul_global.empty = new caterwaul_global.syntax('');
+
+// Parsing.
+// There are two distinct parts to parsing Javascript. One is parsing the irregular statement-mode expressions such as 'if (condition) {...}' and 'function f(x) {...}'; the other is parsing
+// expression-mode stuff like arithmetic operators. In Rebase I tried to model everything as an expression, but that failed sometimes because it required that each operator have fixed arity. In
+// particular this was infeasible for keywords such as 'break', 'continue', 'return', and some others (any of these can be nullary or unary). It also involved creating a bizarre hack for 'case
+// x:' inside a switch block. This hack made the expression passed in to 'case' unavailable, as it would be buried in a ':' node.
+
+// Caterwaul fixes these problems by using a proper context-free grammar. However, it's much looser than most grammars because it doesn't need to validate anything. Correspondingly, it can be
+// much faster as well. Instead of guessing and backtracking as a recursive-descent parser would, it classifies many different branches into the same basic structure and fills in the blanks. One
+// example of this is the () {} pair, which occurs in a bunch of different constructs, including function () {}, if () {}, for () {}, etc. In fact, any time a () group is followed by a {} group
+// we can grab the token that precedes () (along with perhaps one more in the case of function f () {}), and group that under whichever keyword is responsible.
+
+  // Syntax folding.
+//   The first thing to happen is that parenthetical, square bracket, and braced groups are folded up. This happens in a single pass that is linear in the number of tokens, and other foldable
+//   tokens (including unary and binary operators) are indexed by associativity. The following pass runs through these indexes from high to low precedence and folds tokens into trees. By this
+//   point all of the parentheticals have been replaced by proper nodes (here I include ?: groups in parentheticals, since they behave the same way). Finally, high-level rules are applied to the
+//   remaining keywords, which are bound last. This forms a complete parse tree.
+
+  // Doing all of this efficiently requires a linked list rather than an array. This gets built during the initial paren grouping stage. Arrays are used for the indexes, which are left-to-right
+//   and are later processed in the order indicated by the operator associativity. That is, left-associative operators are processed 0 .. n and right associative are processed n .. 0. Keywords
+//   are categorized by behavior and folded after all of the other operators. Semicolons are folded last, from left to right.
+
+  // There are some corner cases due to Javascript's questionable heritage from C-style syntax. For example, most constructs take either syntax blocks or semicolon-delimited statements. Ideally,
+//   else, while, and catch are associated with their containing if, do, and try blocks, respectively. This can be done easily, as the syntax is folded right-to-left. Another corner case would
+//   come up if there were any binary operators with equal precedence and different associativity. Javascript doesn't have them however, and it wouldn't make much sense to; it would render
+//   expressions such as 'a op1 b op2 c' ambiguous if op1 and op2 shared precedence but each wanted to bind first. (I mention this because at first I was worried about it, but now I realize it
+//   isn't an issue.)
+
+  // Notationally (for easier processing later on), a distinction is made between invocation and grouping, and between dereferencing and array literals. Dereferencing and function invocation are
+//   placed into their own operators, where the left-hand side is the thing being invoked or dereferenced and the right-hand side is the paren-group or bracket-group that is responsible for the
+//   operation. Also, commas inside these groups are flattened into a single variadic (possibly nullary) comma node so that you don't have to worry about the tree structure. This is the case for
+//   all left-associative operators; right-associative operators preserve their hierarchical folding.
+
+  // Parse/lex shared logic.
+//   Lexing Javascript is not entirely straightforward, primarily because of regular expression literals. The first implementation of the lexer got things right 99% of the time by inferring the
+//   role of a / by its preceding token. The problem comes in when you have a case like this:
+
+  // | if (condition) /foo/.test(x)
+
+  // In this case, (condition) will be incorrectly inferred to be a regular expression (since the close-paren terminates an expression, usually), and /foo/ will be interpreted as division by foo. 
+
+  // We mark the position before a token and then just increment the position. The token, then, can be retrieved by taking a substring from the mark to the position. This eliminates the need for
+//   intermediate concatenations. In a couple of cases I've gone ahead and done them anyway -- these are for operators, where we grab the longest contiguous substring that is defined. I'm not too
+//   worried about the O(n^2) complexity due to concatenation; they're bounded by four characters.
+
+  // OK, so why use charAt() instead of regular expressions? It's a matter of asymptotic performance. V8 implements great regular expressions (O(1) in the match length for the (.*)$ pattern), but
+//   the substring() method is O(n) in the number of characters returned. Firefox implements O(1) substring() but O(n) regular expression matching. Since there are O(n) tokens per document of n
+//   characters, any O(n) step makes lexing quadratic. So I have to use the only reliably constant-time method provided by strings, charAt() (or in this case, charCodeAt()).
+
+  // Of course, building strings via concatenation is also O(n^2), so I also avoid that for any strings that could be long. This is achieved by using a mark to indicate where the substring
+//   begins, and advancing i independently. The span between mark and i is the substring that will be selected, and since each substring both requires O(n) time and consumes n characters, the
+//   lexer as a whole is O(n). (Though perhaps with a large constant.)
+
+  // Parse function.
+//   As mentioned earlier, the parser and lexer aren't distinct. The lexer does most of the heavy lifting; it matches parens and brackets, arranges tokens into a hierarchical linked list, and
+//   provides an index of those tokens by their fold order. It does all of this by streaming tokens into a micro-parser whose language is grouping and that knows about the oddities required to
+//   handle regular expression cases. In the same function, though as a distinct case, the operators are folded and the syntax is compiled into a coherent tree form.
+
+  // The input to the parse function can be anything whose toString() produces valid Javascript code.
+
+    caterwaul_global.parse = function (input) {
+
+      // Caterwaul 1.1 revision: Allow the parse() function to be used as a 'make sure this thing is a syntax node' function.
+      if (input.constructor === caterwaul_global.syntax) return input;
+
+    // Lex variables.
+//     s, obviously, is the string being lexed. mark indicates the position of the stream, while i is used for lookahead. The difference is later read into a token and pushed onto the result. c
+//     is a temporary value used to store the current character code. re is true iff a slash would begin a regular expression. esc is a flag indicating whether the next character in a string or
+//     regular expression literal is escaped. exp indicates whether we've seen the exponent marker in a number. close is used for parsing single and double quoted strings; it contains the
+//     character code of the closing quotation mark. t is the token to be processed.
+
+    // Parse variables.
+//     grouping_stack and gs_top are used for paren/brace/etc. matching. head and parent mark two locations in the linked syntax tree; when a new group is created, parent points to the opener
+//     (i.e. (, [, ?, or {), while head points to the most recently added child. (Hence the somewhat complex logic in push().) indexes[] determines reduction order, and contains references to the
+//     nodes in the order in which they should be folded. invocation_nodes is an index of the nodes that will later need to be flattened.
+
+    // The push() function manages the mechanics of adding a node to the initial linked structure. There are a few cases here; one is when we've just created a paren group and have no 'head'
+//     node; in this case we append the node as 'head'. Another case is when 'head' exists; in that case we update head to be the new node, which gets added as a sibling of the old head.
+
+        var s = input.toString(), mark = 0, c = 0, re = true, esc = false, dot = false, exp = false, close = 0, t = '', i = 0, l = s.length, cs = function (i) {return s.charCodeAt(i)},
+            grouping_stack = [], gs_top = null, head = null, parent = null, indexes = map(function () {return []}, parse_reduce_order), invocation_nodes = [], all_nodes = [empty],
+            new_node = function (n) {return all_nodes.push(n), n}, push = function (n) {return head ? head._sibling(head = n) : (head = n._append_to(parent)), new_node(n)},
+            syntax_node = this.syntax;
+
+    // Trivial case.
+//     The empty string will break the lexer because we won't generate a token (since we're already at the end). To prevent this we return an empty syntax node immediately, since this is an
+//     accurate representation of no input.
+
+        if (l === 0) return empty;
+
+    // Main lex loop.
+//     This loop takes care of reading all of the tokens in the input stream. At the end, we'll have a linked node structure with paren groups. At the beginning, we set the mark to the current
+//     position (we'll be incrementing i as we read characters), munch whitespace, and reset flags.
+
+        while ((mark = i) < l) {
+          while (lex_space[c = cs(i)] && i < l) mark = ++i;
+          esc = exp = dot = t = false;
+
+      // Miscellaneous lexing.
+//       This includes bracket resetting (the top case, where an open-bracket of any sort triggers regexp mode) and comment removal. Both line and block comments are removed by comparing against
+//       lex_slash, which represents /, and lex_star, which represents *.
+
+            if                                        (lex_bracket[c])                                                                    {t = !! ++i; re = lex_opener[c]}
+       else if (c === lex_slash && cs(i + 1) === lex_star && (i += 2)) {while (++i < l && cs(i) !== lex_slash || cs(i - 1) !== lex_star);  t = !  ++i}
+       else if            (c === lex_slash && cs(i + 1) === lex_slash) {while                              (++i < l && ! lex_eol[cs(i)]);  t = false}
+
+      // Regexp and string literal lexing.
+//       These both take more or less the same form. The idea is that we have an opening delimiter, which can be ", ', or /; and we look for a closing delimiter that follows. It is syntactically
+//       illegal for a string to occur anywhere that a slash would indicate division (and it is also illegal to follow a string literal with extra characters), so reusing the regular expression
+//       logic for strings is not a problem. (This follows because we know ahead of time that the Javascript is valid.)
+
+       else if (lex_quote[c] && (close = c) && re && ! (re = ! (t = s.charAt(i)))) {while (++i < l && (c = cs(i)) !== close || esc)  esc = ! esc && c === lex_back;
+                                                                                    while     (++i < l && lex_regexp_suffix[cs(i)])                               ; t = true}
+
+      // Numeric literal lexing.
+//       This is far more complex than the above cases. Numbers have several different formats, each of which requires some custom logic. The reason we need to parse numbers so exactly is that it
+//       influences how the rest of the stream is lexed. One example is '0.5.toString()', which is perfectly valid Javascript. What must be output here, though, is '0.5', '.', 'toString', '(',
+//       ')'; so we have to keep track of the fact that we've seen one dot and stop lexing the number on the second.
+
+      // Another case is exponent-notation: 3.0e10. The hard part here is that it's legal to put a + or - on the exponent, which normally terminates a number. Luckily we can safely skip over any
+//       character that comes directly after an E or e (so long as we're really in exponent mode, which I'll get to momentarily), since there must be at least one digit after an exponent.
+
+      // The final case, which restricts the logic somewhat, is hexadecimal numbers. These also contain the characters 'e' and 'E', but we cannot safely skip over the following character, and any
+//       decimal point terminates the number (since '0x5.toString()' is also valid Javascript). The same follows for octal numbers; the leading zero indicates that there will be no decimal point,
+//       which changes the lex mode (for example, '0644.toString()' is valid).
+
+      // So, all this said, there are different logic branches here. One handles guaranteed integer cases such as hex/octal, and the other handles regular numbers. The first branch is triggered
+//       whenever a number starts with zero and is followed by 'x' or a digit (for conciseness I call 'x' a digit), and the second case is triggered when '.' is followed by a digit, or when a
+//       digit starts.
+
+      // A trivial change, using regular expressions, would reduce this logic significantly. I chose to write it out longhand because (1) it's more fun that way, and (2) the regular expression
+//       approach has theoretically quadratic time in the length of the numbers, whereas this approach keeps things linear. Whether or not that actually makes a difference I have no idea.
+
+      // Finally, in response to a recently discovered failure case, a period must be followed by a digit if it starts a number. The failure is the string '.end', which will be lexed as '.en',
+//       'd' if it is assumed to be a floating-point number. (In fact, any method or property beginning with 'e' will cause this problem.)
+
+       else if                  (c === lex_zero && lex_integer[cs(i + 1)]) {while (++i < l && lex_integer[cs(i)]); re = ! (t = true)}
+       else if (lex_float[c] && (c !== lex_dot || lex_decimal[cs(i + 1)])) {while (++i < l && (lex_decimal[c = cs(i)] || (dot ^ (dot |= c === lex_dot)) || (exp ^ (exp |= lex_exp[c] && ++i))));
+                                                                            while (i < l && lex_decimal[cs(i)]) ++i; re = ! (t = true)}
+
+      // Operator lexing.
+//       The 're' flag is reused here. Some operators have both unary and binary modes, and as a heuristic (which happens to be accurate) we can assume that anytime we expect a regular
+//       expression, a unary operator is intended. The only exception are ++ and --, which are always unary but sometimes are prefix and other times are postfix. If re is true, then the prefix
+//       form is intended; otherwise, it is postfix. For this reason I've listed both '++' and 'u++' (same for --) in the operator tables; the lexer is actually doing more than its job here by
+//       identifying the variants of these operators.
+
+      // The only exception to the regular logic happens if the operator is postfix-unary. (e.g. ++, --.) If so, then the re flag must remain false, since expressions like 'x++ / 4' can be valid.
+
+       else if (lex_punct[c] && (t = re ? 'u' : '', re = true)) {while (i < l && lex_punct[cs(i)] && has(lex_op, t + s.charAt(i)))  t += s.charAt(i++); re = ! has(lex_postfix_unary, t)}
+
+      // Identifier lexing.
+//       If nothing else matches, then the token is lexed as a regular identifier or Javascript keyword. The 're' flag is set depending on whether the keyword expects a value. The nuance here is
+//       that you could write 'x / 5', and it is obvious that the / means division. But if you wrote 'return / 5', the / would be a regexp delimiter because return is an operator, not a value. So
+//       at the very end, in addition to assigning t, we also set the re flag if the word turns out to be an operator.
+
+      // Extended ASCII and above are considered identifiers. This allows Caterwaul to parse Unicode source, even though it will fail to distinguish between Unicode operator symbols and Unicode
+//       letters.
+
+       else {while (++i < l && (lex_ident[c = cs(i)] || c > 0x7f)); re = has(lex_op, t = s.substring(mark, i))}
+
+      // Token unification.
+//       t will contain true, false, or a string. If false, no token was lexed; this happens when we read a comment, for example. If true, the substring method should be used. (It's a shorthand to
+//       avoid duplicated logic.) For reasons that are not entirely intuitive, the lexer sometimes produces the artifact 'u;'. This is never useful, so I have a case dedicated to removing it.
+
+        if (i === mark) throw new Error('Caterwaul lex error at "' + s.substr(mark, 40) + '" with leading context "' + s.substr(mark - 40, 40) + '" (probably a Caterwaul bug)');
+        if (t === false) continue;
+        t = t === true ? s.substring(mark, i) : t === 'u;' ? ';' : t;
+
+      // Grouping and operator indexing.
+//       Now that we have a token, we need to see whether it affects grouping status. There are a couple of possibilities. If it's an opener, then we create a new group; if it's a matching closer
+//       then we close the current group and pop out one layer. (We don't check for matching here. Any code provided to Caterwaul will already have been parsed by the host Javascript interpreter,
+//       so we know that it is valid.)
+
+      // All operator indexing is done uniformly, left-to-right. Note that the indexing isn't strictly by operator. It's by reduction order, which is arguably more important. That's what the
+//       parse_inverse_order table does: it maps operator names to parse_reduce_order subscripts. (e.g. 'new' -> 2.)
+
+        t === gs_top ? (grouping_stack.pop(), gs_top = grouping_stack[grouping_stack.length - 1], head = head ? head.p : parent, parent = null) :
+                       (has(parse_group, t) ? (grouping_stack.push(gs_top = parse_group[t]), parent = push(new_node(new syntax_node(t))), head = null) : push(new_node(new syntax_node(t))),
+                        has(parse_inverse_order, t) && indexes[parse_inverse_order[t]].push(head || parent));           // <- This is where the indexing happens
+
+      // Regexp flag special cases.
+//       Normally a () group wraps an expression, so a following / would indicate division. The only exception to this is when we have a block construct; in this case, the next token appears in
+//       statement-mode, which means that it begins, not modifies, a value. We'll know that we have such a case if (1) the immediately-preceding token is a close-paren, and (2) a block-accepting
+//       syntactic form occurs to its left.
+
+      // With all this trouble over regular expressions, I had to wonder whether it was possible to do it more cleanly. I don't think it is, unfortunately. Even lexing the stream backwards fails
+//       to resolve the ambiguity:
+
+      // | for (var k in foo) /foo/g.test(k) && bar();
+
+      // In this case we won't know it's a regexp until we hit the 'for' keyword (or perhaps 'var', if we're being clever -- but a 'with' or 'if' would require complete lookahead). A perfectly
+//       valid alternative parse, minus the 'for' and 'var', is this:
+
+      // | ((k in foo) / (foo) / (g.test(k))) && bar();
+
+      // The only case where reverse-lexing is useful is when the regexp has no modifiers.
+
+        re |= t === ')' && head.l && has(parse_r_until_block, head.l.data)}
+
+    // Operator fold loop.
+//     This is the second major part of the parser. Now that we've completed the lex process, we can fold operators and syntax, and take care of some exception cases.
+
+    // First step: functions, calls, dots, and dereferences.
+//     I'm treating this differently from the generalized operator folding because of the syntactic inference required for call and dereference detection. Nothing has been folded at this point
+//     (with the exception of paren groups, which is appropriate), so if the node to the left of any ( or [ group is an operator, then the ( or [ is really a paren group or array literal. If, on
+//     the other hand, it is another value, then the group is a function call or a dereference. This folding goes left-to-right. The reason we also process dot operators is that they share the same
+//     precedence as calls and dereferences. Here's what a () or [] transform looks like:
+
+    // |   quux <--> foo <--> ( <--> bar                              quux <--> () <--> bar
+//                             \                                               /  \                  <-- This can be done by saying _.l.wrap(new node('()')).p.fold_r().
+//                              bif <--> , <--> baz       -->               foo    (                     _.l.wrap() returns l again, .p gets the wrapping node, and fold_r adds a child to it.
+//                                                                                  \
+//                                                                                   bif <--> , <--> baz
+
+    // This is actually merged into the for loop below, even though it happens before other steps do (see 'Ambiguous parse groups').
+
+    // Second step: fold operators.
+//     Now we can go through the list of operators, folding each according to precedence and associativity. Highest to lowest precedence here, which is just going forwards through the indexes[]
+//     array. The parse_index_forward[] array indicates which indexes should be run left-to-right and which should go right-to-left.
+
+        for (var i = 0, l = indexes.length, forward, _; _ = indexes[i], forward = parse_index_forward[i], i < l; ++i)
+          for (var j = forward ? 0 : _.length - 1, lj = _.length, inc = forward ? 1 : -1, node, data, ll; forward ? j < lj : j >= 0; j += inc)
+
+      // Binary node behavior.
+//       The most common behavior is binary binding. This is the usual case for operators such as '+' or ',' -- they grab one or both of their immediate siblings regardless of what they are.
+//       Operators in this class are considered to be 'fold_lr'; that is, they fold first their left sibling, then their right.
+
+            if (has(parse_lr, data = (node = _[j]).data))  node._fold_lr();
+
+      // Ambiguous parse groups.
+//       As mentioned above, we need to determine whether grouping constructs are invocations or real groups. This happens to take place before other operators are parsed (which is good -- that way
+//       it reflects the precedence of dereferencing and invocation). The only change we need to make is to discard the explicit parenthetical or square-bracket grouping for invocations or
+//       dereferences, respectively. It doesn't make much sense to have a doubly-nested structure, where we have a node for invocation and another for the group on the right-hand side of that
+//       invocation. Better is to modify the group in-place to represent an invocation.
+
+      // We can't solve this problem here, but we can solve it after the parse has finished. I'm pushing these invocation nodes onto an index for the end.
+
+      // Sometimes we have a paren group that doesn't represent a value. This is the case for most control flow constructs:
+
+      // | for (var k in o) (...)
+
+      // We need to detect this and not fold the (var k in o)(...) as an invocation, since doing so would seriously break the resulting syntax.
+
+      // There is an even more pathological case to consider. Firefox and other SpiderMonkey-based runtimes rewrite anonymous functions without parentheses, so you end up with stuff like this:
+
+      // | function () {} ()
+
+      // In this case we need to encode an invocation. Fortunately by this point the function node is already folded.
+
+       else if (has(parse_ambiguous_group, data) && node.l && ! ((ll = node.l.l) && has(parse_r_until_block, ll.data)) &&
+               (node.l.data === '.' || (node.l.data === 'function' && node.l.length === 2) ||
+                                       ! (has(lex_op, node.l.data) ||
+                                          has(parse_not_a_value, node.l.data))))  invocation_nodes.push(node.l._wrap(new_node(new syntax_node(data + parse_group[data]))).p._fold_r());
+
+      // Unary left and right-fold behavior.
+//       Unary nodes have different fold directions. In this case, it just determines which side we grab the node from. I'm glad that Javascript doesn't allow stuff like '++x++', which would make
+//       the logic here actually matter. Because there isn't that pathological case, exact rigidity isn't required.
+
+       else if (has(parse_l, data))  node._fold_l();
+       else if (has(parse_r, data))  node._fold_r();
+
+      // Ternary operator behavior.
+//       This is kind of interesting. If we have a ternary operator, then it will be treated first as a group; just like parentheses, for example. This is the case because the ternary syntax is
+//       unambiguous for things in the middle. So, for example, '3 ? 4 : 5' initially parses out as a '?' node whose child is '4'. Its siblings are '3' and '5', so folding left and right is an
+//       obvious requirement. The only problem is that the children will be in the wrong order. Instead of (3) (4) (5), we'll have (4) (3) (5). So after folding, we do a quick swap of the first two
+//       to set the ordering straight.
+
+       else if (has(parse_ternary, data))  {node._fold_lr(); var temp = node[1]; node[1] = node[0]; node[0] = temp}
+
+      // Grab-until-block behavior.
+//       Not quite as simple as it sounds. This is used for constructs such as 'if', 'function', etc. Each of these constructs takes the form '<construct> [identifier] () {}', but they can also
+//       have variants that include '<construct> () {}', '<construct> () statement;', and most problematically '<construct> () ;'. Some of these constructs also have optional child components; for
+//       example, 'if () {} else {}' should be represented by an 'if' whose children are '()', '{}', and 'else' (whose child is '{}'). The tricky part is that 'if' doesn't accept another 'if' as a
+//       child (e.g. 'if () {} if () {}'), nor does it accept 'for' or any number of other things. This discrimination is encoded in the parse_accepts table.
+
+      // There are some weird edge cases, as always. The most notable is what happens when we have nesting without blocks:
+
+      // | if (foo) bar; else bif;
+
+      // In this case we want to preserve the semicolon on the 'then' block -- that is, 'bar;' should be its child; so the semicolon is required. But the 'bif' in the 'else' case shouldn't have a
+//       semicolon, since that separates top-level statements. Because desperate situations call for desperate measures, there's a hack specifically for this in the syntax tree serialization.
+
+      // One more thing. Firefox rewrites syntax trees, and one of the optimizations it performs on object literals is removing quotation marks from regular words. This means that it will take the
+//       object {'if': 4, 'for': 1, etc.} and render it as {if: 4, for: 1, etc.}. As you can imagine, this becomes a big problem as soon as the word 'function' is present in an object literal. To
+//       prevent this from causing problems, I only collapse a node if it is not followed by a colon. (And the only case where any of these would legally be followed by a colon is as an object
+//       key.)
+
+       else if (has(parse_r_until_block, data) && node.r && node.r.data !== ':')
+                                                 {for (var count = 0, limit = parse_r_until_block[data]; count < limit && node.r && ! has(parse_block, node.r.data); ++count) node._fold_r();
+                                                  node.r && (node.r.data === ';' ? node.push(empty) : node._fold_r());
+                                                  if (has(parse_accepts, data) && parse_accepts[data] === (node.r && node.r.r && node.r.r.data)) node._fold_r().pop()._fold_r();
+                                             else if (has(parse_accepts, data) && parse_accepts[data] === (node.r && node.r.data))               node._fold_r()}
+
+      // Optional right-fold behavior.
+//       The return, throw, break, and continue keywords can each optionally take an expression. If the token to the right is an expression, then we take it, but if the token to the right is a
+//       semicolon then the keyword should be nullary.
+
+       else if (has(parse_r_optional, data))  node.r && node.r.data !== ';' && node._fold_r();
+
+    // Third step.
+//     Find all elements with right-pointers and wrap them with semicolon nodes. This is necessary because of certain constructs at the statement-level don't use semicolons; they use brace syntax
+//     instead. (e.g. 'if (foo) {bar} baz()' is valid, even though no semicolon precedes 'baz()'.) By this point everything else will already be folded. Note that this does some weird things to
+//     associativity; in general, you can't make assumptions about the exact layout of semicolon nodes. Fortunately semicolon is associative, so it doesn't matter in practice. And just in case,
+//     these nodes are 'i;' rather than ';', meaning 'inferred semicolon' -- that way it's clear that they aren't original. (They also won't appear when you call toString() on the syntax tree.)
+
+        for (var i = all_nodes.length - 1, _; i >= 0; --i)  (_ = all_nodes[i]).r && _._wrap(new_node(new syntax_node('i;'))).p._fold_r();
+
+    // Fourth step.
+//     Flatten out all of the invocation nodes. As explained earlier, they are nested such that the useful data on the right is two levels down. We need to grab the grouping construct on the
+//     right-hand side and remove it so that only the invocation or dereference node exists. During the parse phase we built an index of all of these invocation nodes, so we can iterate through
+//     just those now. I'm preserving the 'p' pointers, though they're probably not useful beyond here.
+
+        for (var i = 0, l = invocation_nodes.length, _, child; i < l; ++i)  (child = (_ = invocation_nodes[i])[1] = _[1][0] || empty) && (child.p = _);
+
+        while (head.p) head = head.p;
+
+    // Fifth step.
+//     Prevent a space leak by clearing out all of the 'p', 'l', and 'r' pointers.
+
+        for (var i = all_nodes.length - 1, _; i >= 0; --i)  delete (_ = all_nodes[i]).p, delete _.l, delete _.r;
+        return head};
+
+// Environment-dependent compilation.
+// It's possible to bind variables from 'here' (i.e. this runtime environment) inside a compiled function. The way we do it is to create a closure using a gensym. (Another reason that gensyms
+// must really be unique.) Here's the idea. We use the Function constructor to create an outer function, bind a bunch of variables directly within that scope, and return the function we're
+// compiling. The variables correspond to gensyms placed in the code, so the code will have closure over those variables.
+
+// An optional second parameter 'environment' can contain a hash of variable->value bindings. These will be defined as locals within the compiled function.
+
+// New in caterwaul 0.6.5 is the ability to specify a 'this' binding to set the context of the expression being evaluated.
+
+// Caterwaul 1.0 and later automatically bind a variable called 'undefined' that is set to Javascript's 'undefined' value. This is done to defend against pathological cases of 'undefined' being
+// set to something else. If you really wnat some other value of undefined, you can always bind it as an environment variable.
+
+  (function () {var bound_expression_template = caterwaul_global.parse('var _bindings; return(_expression)'),
+                    binding_template          = caterwaul_global.parse('_variable = _base._variable'),
+                    undefined_binding         = caterwaul_global.parse('undefined = void(0)');
+
+  // Compilation options.
+//   Gensym renaming will break some things that expect the compiled code to be source-identical to the original tree. As a result, I'm introducing an options hash that lets you tell the compiler
+//   things like "don't rename the gensyms this time around". Right now gensym_renaming is the only option, and it defaults to true.
+
+    caterwaul_global.compile = function (tree, environment, options) {
+      options = merge({gensym_renaming: true}, options);
+
+      var bindings = merge({}, this._environment || {}, environment || {}, tree.bindings()), variables = [undefined_binding], s = gensym('base');
+      for (var k in bindings) if (own.call(bindings, k) && k !== 'this') variables.push(binding_template.replace({_variable: k, _base: s}));
+
+      var variable_definitions = new this.syntax(',', variables).unflatten(),
+          function_body        = bound_expression_template.replace({_bindings: variable_definitions, _expression: tree});
+
+      if (options.gensym_renaming) {var renaming_table = this.gensym_rename_table(function_body);
+                                    for (var k in bindings) own.call(bindings, k) && (bindings[renaming_table[k] || k] = bindings[k]);
+                                    function_body = function_body.replace(renaming_table);
+                                    s             = renaming_table[s]}
+
+      var code = function_body.toString();
+      try       {return (new Function(s, code)).call(bindings['this'], bindings)}
+      catch (e) {throw new Error((e.message || e) + ' while compiling ' + code)}};
+
+  // Gensym erasure.
+//   Gensyms are horrible. They look like foo_1_j15190ba29n1_$1AC151953, which both takes up a lot of space and is hard to read. Fortunately, we can convert them at compile-time. This is possible
+//   because Javascript (mostly) supports alpha-conversion for functions.
+
+  // I said "mostly" because some symbols are converted into runtime strings; these are property keys. In the unlikely event that you've got a gensym being used to dereference something, e.g.
+//   foo.gensym, then renaming is no longer safe. This, as far as I know, is the only situation where renaming won't work as intended. Because I can't imagine a situation where this would
+//   actually arise, I'm not handling this case yet. (Though let me know if I need to fix this.)
+
+  // New gensym names are chosen by choosing the smallest nonnegative integer N such that the gensym's name plus N.toString(36) doesn't occur as an identifier anywhere in the code. (The most
+//   elegant option is to use scope analysis to keep N low, but I'm too lazy to implement it.)
+
+    caterwaul_global.gensym_rename_table = function (tree) {
+      var names = {}, gensyms = [];
+      tree.reach(function (node) {var d = node.data; if (is_gensym(d)) names[d] || gensyms.push(d); names[d] = d.replace(/^(.*)_[a-z0-9]+_.{22}$/, '$1') || 'anon'});
+
+      var unseen_count = {}, next_unseen = function (name) {if (! (name in names)) return name;
+                                                            var n = unseen_count[name] || 0; while (names[name + (++n).toString(36)]); return name + (unseen_count[name] = n).toString(36)};
+
+      for (var renamed = {}, i = 0, l = gensyms.length, g; i < l; ++i) renamed[g = gensyms[i]] || (names[renamed[g] = next_unseen(names[g])] = true);
+      return renamed}})();
+
+// Initialization method.
+// Caterwaul 1.1 is a huge deviation from before. Now you don't use the global caterwaul as a compiler, because it isn't one. Rather, it's a compiler-generator. You pass in arguments to construct
+// the new function. So, for example:
+
+// | var compiler = caterwaul(my_macroexpander);
+//   compiler(function () {return 5})()            // -> 5, unless your macroexpander does something really bizarre
+
+// The function returned here will have a permanent link to the global caterwaul that generated it, so deglobalizing is a safe thing to do. These generated functions can be composed by doing the
+// parse step ahead of time:
+
+// | var my_caterwaul       = caterwaul(my_macroexpander);
+//   var my_other_caterwaul = caterwaul(my_other_macroexpander);
+//   var compiler           = function (tree) {
+//     return caterwaul.compile(my_other_caterwaul(my_caterwaul(caterwaul.parse(tree))));
+//   };
+
+// This informs my_caterwaul and my_other_caterwaul that your intent is just to macroexpand trees to trees, not transform functions into other functions.
+
+  caterwaul_global.init = function (macroexpander) {
+    var result = function (f, environment, options) {
+      return f.constructor === Function || f.constructor === String ? caterwaul_global.compile(result.call(result, caterwaul_global.parse(f)), environment, options) :
+                                                      macroexpander ? f.rmap(function (node) {return macroexpander.call(result, node, environment, options)}) : f};
+    result.global        = caterwaul_global;
+    result.macroexpander = macroexpander;
+    return result};
+
+  caterwaul_global.initializer = initializer;
+  caterwaul_global.clone       = function () {return se(initializer(initializer, unique).deglobalize(),
+                                                        function () {for (var k in caterwaul_global) this[k] || (this[k] = caterwaul_global[k])})};
+  return caterwaul = caterwaul_global});
+
+// Generated by SDoc 
+
+// Caterwaul standard library | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+(caterwaul.std_initializer = function () {
+
+// Internal libraries.
+// These operate on caterwaul in some way, but don't necessarily have an effect on generated code.
+
+
+
+// Macro authoring utilities | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Macro definitions.
+// A macro is simply a partial function from source trees to source trees. It returns a falsy value if it cannot be applied to a given tree; otherwise it returns the replacement (as shown
+// above). Because most macros end up replacing one pattern with another, caterwaul lets you use strings instead of requiring you to construct recognizer functions.
+
+// The expander() method distributes across arrays. That is, you can give it an array of things that can be converted into expanders (strings, functions, syntax trees, or arrays), and it will
+// build a function that runs backwards through the array, taking the last entry.
+
+(function ($) {
+  var syntax_manipulator = function (base_case) {
+    var result = function (x) {if (x.constructor === Array) {for (var i = 0, l = x.length, ys = []; i < l; ++i) ys.push(result(x[i]));
+                                                             return function (tree) {for (var i = ys.length - 1, r; i >= 0; --i) if (r = ys[i].call(this, tree)) return r}}
+
+                          else return x.constructor === String   ? result($.parse(x)) :
+                                      x.constructor === $.syntax ? base_case.call(this, x) : x};
+    return result};
+
+  $.pattern      = syntax_manipulator(function (pattern)     {return function (tree)  {return pattern.match(tree)}});
+  $.expander     = syntax_manipulator(function (expander)    {return function (match) {return expander.replace(match)}});
+  $.alternatives = syntax_manipulator(function (alternative) {throw new Error('must use replacer functions with caterwaul.alternatives()')});
+
+  $.reexpander   = function (expander) {var e = $.expander(expander);
+                                        return function (match) {var r = e.call(this, match); return r && this(r)}};
+
+  var composer = function (expander_base_case) {
+    return function (pattern, expander) {var new_pattern = $.pattern(pattern), new_expander = expander_base_case(expander);
+                                         return function (tree) {var match = new_pattern.call(this, tree); return match && new_expander.call(this, match)}}};
+
+  $.replacer   = composer($.expander);
+  $.rereplacer = composer($.reexpander);
+
+// Global macroexpansion.
+// This is a shorthand to enable one-off macroexpansion. The idea is that we build a temporary caterwaul function to do some temporary work.
+
+  $.macroexpand = function (tree) {return $($.alternatives(Array.prototype.slice.call(arguments, 1)))(tree)}})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+
+// Symbol anonymization | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// A recurring pattern in previous versions of caterwaul was to clone the global caterwaul function and set it up as a DSL processor by defining a macro that manually dictated tree traversal
+// semantics. This was often difficult to implement because any context had to be encoded bottom-up and in terms of searching rather than top-down inference. This library tries to solve the
+// problem by implementing a grammar-like structure for tree traversal.
+
+  // Use cases.
+//   One fairly obvious use case is code tracing. When we trace some code, we need to keep track of whether it should be interpreted in sequence or expression context. Although there are only two
+//   states here, it still is too complex for a single-layer macroexpander to handle gracefully; so we create two separate caterwaul functions that delegate control to one another. We then create
+//   a set of annotations to indicate which state or states should be chosen next. For example, here are some expansions from the tracing behavior:
+
+  // | E[_x = _y]  ->  H[_x = E[_y]]
+//     S[_x = _y]  ->  _x = E[_y]
+
+  // It's straightforward enough to define macros this way; all that needs to be done is to mark the initial state and put state information into the macro patterns. The hard part is making sure
+//   that the markers don't interfere with the existing syntax. This requires that all of the markers be replaced by gensyms before the macroexpansion happens.
+
+  // Gensym anonymizing.
+//   Replacing symbols in macro patterns is trivial with the replace() method. The only hard part is performing this same substitution on the macroexpansions. (In fact, this is impossible to do
+//   transparently given Turing-complete macros.) In order to work around this, strings are automatically expanded (because it's easy to do), but functions must call translate_state_markers() on
+//   any patterns they intend to use. This call must happen before substituting syntax into the patterns (!) because otherwise translate_state_markers() may rewrite code that happens to contain
+//   markers, thus reintroducing the collision problem that all of this renaming is intended to avoid.
+
+// Usage.
+// To anonymize a set of macros you first need to create an anonymizer. This is easy; you just give it a list of symbols to anonymize and then use that anonymizer to transform a series of macros
+// (this process is non-destructive):
+
+// | var anonymize = caterwaul.anonymizer('X', 'Y', 'Z');
+//   var m = caterwaul.replacer(anonymize('X[foo]'), ...);    // Matches against gensym_1_aj49Az0_885nr1q[foo]
+
+// Each anonymizer uses a separate symbol table. This means that two anonymizers that match against 'A' (or any other macro pattern) will always map them to different gensyms.
+
+(function ($) {$.anonymizer = function () {for (var translation_table = {}, i = 0, l = arguments.length; i < l; ++i) translation_table[arguments[i]] = $.gensym(arguments[i]);
+                                           return function (node) {return $.parse(node).replace(translation_table)}}})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+// Language specializations.
+// These provide configurations that specialize caterwaul to operate well with a given programming language. This is relevant because not all languages compile to Javascript the same way, and
+// caterwaul should be able to adapt to the syntactic limitations of generated code (and thus be usable with non-Javascript languages like Coffeescript).
+
+// Also included is a standard set of words that can be combined with the Javascript forms to produce useful macros. Together these form a base language that is used by other parts of the
+// standard library.
+
+
+
+// Javascript-specific macros | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+(function ($) {
+
+// Structured forms in Javascript.
+// These aren't macros, but forms. Each language has its own ways of expressing certain idioms; in Javascript we can set up some sensible defaults to make macros more consistent. For example,
+// caterwaul pre-1.0 had the problem of wildly divergent macros. The fn[] macro was always prefix and required parameters, whereas /se[] was always postfix and had a single optional parameter.
+// /cps[] was similarly postfix, which was especially inappropriate considering that it could theoretically handle multiple parameters.
+
+// In caterwaul 1.0, the macro author's job is reduced to specifying which words have which behavior; the language driver takes care of the rest. For instance, rather than specifying the full
+// pattern syntax, you just specify a word and its definition with respect to an opaque expression and perhaps set of modifiers. Here are the standard Javascript macro forms:
+
+  $.js = function (macroexpander) {
+
+// Javascript-specific shorthands.
+// Javascript has some syntactic weaknesses that it's worth correcting. These don't relate to any structured macros, but are hacks designed to make JS easier to use.
+
+  // String interpolation.
+//   Javascript normally doesn't have this, but it's straightforward enough to add. This macro implements Ruby-style interpolation; that is, "foo#{bar}" becomes "foo" + bar. A caveat (though not
+//   bad one in my experience) is that single and double-quoted strings are treated identically. This is because Spidermonkey rewrites all strings to double-quoted form.
+
+  // This version of string interpolation is considerably more sophisticated than the one implemented in prior versions of caterwaul. It still isn't possible to reuse the same quotation marks
+//   used on the string itself, but you can now include balanced braces in the interpolated text. For example, this is now valid:
+
+  // | 'foo #{{bar: "bif"}.bar}'
+
+  // There are some caveats; if you have unbalanced braces (even in substrings), it will get confused and misread the boundary of your text. So stuff like this won't work properly:
+
+  // | 'foo #{"{" + bar}'          // won't find the ending properly and will try to compile the closing brace
+
+    var string_interpolator = function (node) {
+      var s = node.data, q = s.charAt(0), syntax = $.syntax;
+      if (q !== '\'' && q !== '"' || ! /#\{[^\}]+\}/.test(s)) return false;             // DeMorgan's applied to (! ((q === ' || q === ") && /.../test(s)))
+
+      for (var pieces = [], is_code = [], i = 1, l = s.length - 1, brace_depth = 0, got_hash = false, start = 1, c; i < l; ++i)
+        if (brace_depth) if ((c = s.charAt(i)) === '}') --brace_depth || (pieces.push(s.substring(start, i)), is_code.push(true)) && (start = i + 1), got_hash = false;
+                    else                                brace_depth += c === '{';
+   else                  if ((c = s.charAt(i)) === '#') got_hash = true;
+                    else if (c === '{' && got_hash)     pieces.push(s.substring(start, i - 1)), is_code.push(false), start = i + 1, ++brace_depth;
+                    else                                got_hash = false;
+
+      pieces.push(s.substring(start, l)), is_code.push(false);
+
+      for (var quoted = new RegExp('\\\\' + q, 'g'), i = 0, l = pieces.length; i < l; ++i) pieces[i] = is_code[i] ? this($.parse(pieces[i].replace(quoted, q)).as('(')) :
+                                                                                                                    new syntax(q + pieces[i] + q);
+      return new syntax('+', pieces).unflatten().as('(')};
+
+  // Destructuring function creation.
+//   This is a beautiful hack made possible by Internet Explorer. We can intercept cases of assigning into a function and rewrite them to create a function body. For example, f(x) = y becomes the
+//   regular assignment f = function (x) {return y}. Because this macro is repeatedly applied we get currying for free.
+
+  // You can put non-formal expressions into the argument list. There are, in fact, three kinds of things you can use:
+
+  // | 1. Formal parameters -- these are transcribed literally into the compiled function's argument list.
+//     2. Before-result side effects -- these are compiled into local variables or statements prior to executing the function body.
+//     3. After-result side effects -- these are compiled into statements after executing the function body; the function's result is in scope as a variable called 'result'.
+
+  // The general form of destructuring function definitions is:
+
+  // | f(formals, [before], [after]) = ...
+
+  // This is the compiled output (dependent on whether 'before' and 'after' are specified):
+
+  // | // general case                     // no 'before' cases                  // no 'after' cases                     // neither
+//     f = function(formals) {             f = function (formals) {              f = function (formals) {                f = function (formals) {
+//       before;                             var result = ...;                     before;                                 ;               // <- I'm too lazy to fix this
+//       var result = ...;                   after;                                return ...;                             return ...;
+//       after;                              return result;                      };                                      };
+//       return result;                    };
+//     };
+
+  // There are some rules governing how 'before' and 'after' statements are detected and compiled. They are:
+
+  // | 1. Everything is assumed to be a formal until the first parameter that is not a simple identifier.
+//     2. Everything that isn't a formal is assumed to be a 'before' expression until the first expression that mentions 'result'.
+//     3. Everything after that is assumed to be an 'after' expression.
+//     4. Any 'before' or 'after' expression of the form '_variable = ...' is compiled into a local variable definition rather than a simple assignment. This prevents global scope contention.
+
+  // This notation doesn't preclude the possibility of some form of destructuring binds in the future, since there wouldn't be much point to writing a toplevel array or object literal and
+//   intending it to be used as a side-effect. (Doing that would just put the value into void context; at that point you might as well leave it out.)
+
+    var function_local_template = $.parse('var _x = _y'),  function_bind_pattern = $.parse('_x = _y'),  function_result_pattern  = $.parse('result'),
+
+        function_with_afters         = $.parse('function (_formals) {_befores; var result = _result; _afters; return result}'),
+        function_without_afters      = $.parse('function (_formals) {_befores; return _result}'),
+        function_assignment_template = $.parse('_f = _x'),
+
+        function_is_result           = function (n) {return n.is_empty() && n.data === 'result'},
+
+        function_destructure = $.rereplacer('_f(_xs) = _y', function (match) {for (var formals = [], befores = [], afters = [], ps = match._xs.flatten(','), i = 0, l = ps.length; i < l; ++i)
+                                                                                (afters.length  || ps[i].contains(function_is_result) ? afters  :
+                                                                                 befores.length || ps[i].length                       ? befores : formals).push(ps[i]);
+
+                                                                              // Convert simple assignments into 'var' definitions in-place. Other 'before' and 'after' statements are coerced
+                                                                              // into expression context by wrapping them in parentheses.
+                                                                              for (var contains_locals = [befores, afters], i = 0, l = contains_locals.length; i < l; ++i)
+                                                                                for (var xs = contains_locals[i], j = 0, lj = xs.length, m; j < lj; ++j)
+                                                                                  xs[j] = (m = function_bind_pattern.match(xs[j])) && m._x.is_empty() ? function_local_template.replace(m) :
+                                                                                                                                                        xs[j].as('(');
+                                                                              var new_formals = formals.length ? new $.syntax(',', formals).unflatten() : $.empty,
+                                                                                  new_befores = befores.length ? new $.syntax(';', befores).unflatten() : $.empty,
+                                                                                  new_afters  = afters.length  ? new $.syntax(';', afters) .unflatten() : $.empty
+
+                                                                                  template    = function_assignment_template.replace(
+                                                                                                  {_f: match._f, _x: afters.length ? function_with_afters : function_without_afters});
+
+                                                                              return template.replace({_formals: new_formals, _befores: new_befores, _afters: new_afters, _result: match._y})});
+
+  // Infix function application.
+//   Caterwaul 1.1.2 introduces infix function notation, which lets the user avoid grouping constructs. x /y /... /-f/z becomes f(x, y, ..., z). The same goes for vertical bar syntax; that is, x
+//   |y |... |-f| z also becomes f(x, y, ..., z). This macro respects associativity, so you can do this:
+
+  // | x /!f /-g/ y                // -> g(f(x), y)
+
+  // There used to be two different syntaxes depending on whether you wanted binary or n-ary function application. I realized this was probably overkill since the macro now distributes across
+//   parse trees appropriately.
+
+    var infix_function = function (node) {var d = node.data, left, fn;
+                                          if ((d === '/' || d === '|') && (left = node[0]).data === d && left[1] && left[1].data === 'u-' && (fn = left[1][0]))
+                                            return new $.syntax('()', fn, this(node[0][0]).flatten(d).push(this(node[1])).with_data(',').unflatten())};
+
+  // Infix method application.
+//   This is subtly different from infix function application in that a method is called. You might want this when dealing with lots of nested methods, which can otherwise become hard to manage.
+//   Like infix function application, this macro respects precedence and associativity.
+
+  // | f /g /~a/ h /~b/ i          // -> ((f).a(g, h)).b(i)
+
+    var infix_method = function (node) {var d = node.data, left, fn;
+                                        if ((d === '/' || d === '|') && (left = node[0]).data === d && left[1] && left[1].data === 'u~' && (fn = left[1][0])) {
+                                          var xs = [].slice.call(this(node[0][0]).flatten(d)), object = xs.shift();
+                                          return new $.syntax('()', new $.syntax('.', new $.syntax('(', object), fn), new $.syntax(',', xs, this(node[1])).unflatten())}};
+
+  // Postfix function application.
+//   This is a bit simpler than infix function application and is used when you have a unary function. Sometimes it's simpler to think of a function as a filter than as a wrapper, and this macro
+//   makes it easier to do that. This is particularly useful when you have many nested function calls, for instance if you're defining multi-level function composition:
+
+  // | compose(f, g, h)(x) = x /!h /!g /!f         // -> f(g(h(x)))
+//     x /y /z /!f                                 // -> f(x, y, z)
+
+    var postfix_function_template = $.parse('_f(_x)'),
+        postfix_function          = $.rereplacer('_x /!_f', function (match) {return postfix_function_template.replace({_f: match._f,
+                                                                                                                        _x: this(match._x).flatten('/').with_data(',').unflatten()})});
+
+  // Literal modification.
+//   Caterwaul 1.1.2 introduces literal modification, which provides ways to reinterpret various types of literals at compile-time. These are always written as postfix property accesses, e.g.
+//   /foo bar/.x -- here, 'x' is the modifier. Cool as it would be to be able to stack modifiers up, right now Caterwaul doesn't support this. Part of the reason is that I'm too lazy/uninsightful
+//   to know how to do it performantly considering the present architecture, but another part of it is that the bugs would become strange and subtle. My goal is to keep the compilation process
+//   reasonably transparent, and you can imagine the bizarre chain of events that would occur if someone wrote a modifier that, for instance, returned a different type of literal. It would be
+//   utter chaos (though a really cool form of it).
+
+  // Sadly, you can't modify object literals. The reason has to do with syntactic ambiguity. Suppose you've got a function like this:
+
+  // | function () {
+//       {foo: 'bar'}.modifier
+//       return true;
+//     }
+
+  // This function fails to parse under SpiderMonkey, since it assumes that {foo: 'bar'} is a statement-level block with a label 'foo' and a discarded string literal 'bar'. Rather than open this
+//   can of worms, I'm just nixing the whole idea of modifying object literals (besides, it doesn't seem particularly useful anyway, though perhaps I'm being myopic about it).
+
+    var modified_literal_form   = $.pattern('_literal._modifier'),
+
+        lookup_literal_modifier = function (caterwaul, type, modifier) {var hash = caterwaul.literal_modifiers[type];
+                                                                        return hash.hasOwnProperty(modifier) && hash[modifier]},
+
+        literal_modifier        = function (node) {var modified_literal = modified_literal_form.call(this, node), literal, expander;
+                                                   if (modified_literal && (literal  = modified_literal._literal) &&
+                                                                           (expander = literal.is_identifier() ? lookup_literal_modifier(this, 'identifier', modified_literal._modifier.data) :
+                                                                                       literal.is_array()      ? lookup_literal_modifier(this, 'array',      modified_literal._modifier.data) :
+                                                                                       literal.is_regexp()     ? lookup_literal_modifier(this, 'regexp',     modified_literal._modifier.data) :
+                                                                                       literal.is_number()     ? lookup_literal_modifier(this, 'number',     modified_literal._modifier.data) :
+                                                                                       literal.is_string()     ? lookup_literal_modifier(this, 'string',     modified_literal._modifier.data) :
+                                                                                                                 null))
+                                                     return expander.call(this, literal)};
+
+  // Modifier syntax.
+//   These are the 'structured forms' I was talking about above. Prior to caterwaul 1.1 these were stored as individual pre-expanded macros. This had a number of problems, perhaps most notably
+//   that it was extremely inefficient. I loaded up caterwaul in the REPL and found that caterwaul.js_ui(caterwaul.js_all()) had 329 macros installed. This meant 329 tree-match tests for every
+//   function.
+
+  // Now modifiers are stored on the compiler function directly. Some modifiers take parameters, so there is always some degree of overhead involved in determining whether a modifier case does in
+//   fact match. However, there are only a few checks that need to happen before determining whether a modifier match is possible, unlike before.
+
+    var bracket_modifier_form = $.pattern('_modifier[_expression]'),               slash_modifier_form = $.pattern('_expression /_modifier'),
+        minus_modifier_form   = $.pattern('_expression -_modifier'),               in_modifier_form    = $.pattern('_modifier in _expression'),
+        pipe_modifier_form    = $.pattern('_expression |_modifier'),               comma_modifier_form = $.pattern('_expression, _modifier'),
+
+        dot_parameters        = $.pattern('_modifier._parameters'),                bracket_parameters  = $.pattern('_modifier[_parameters]'),
+
+        parameterized_wickets = $.pattern('_expression <_modifier> _parameters'),  parameterized_minus = $.pattern('_expression -_modifier- _parameters'),
+
+        modifier = function (node) {var parameterized_match = parameterized_wickets.call(this, node) || parameterized_minus.call(this, node);
+                                    if (parameterized_match)
+                                      for (var es = this.parameterized_modifiers, i = es.length - 1, r; i >= 0; --i)
+                                        if (r = es[i].call(this, parameterized_match)) return r;
+
+                                    var regular_match = bracket_modifier_form.call(this, node) || slash_modifier_form.call(this, node) ||
+                                                        minus_modifier_form  .call(this, node) || in_modifier_form   .call(this, node) ||
+                                                        pipe_modifier_form   .call(this, node) || comma_modifier_form.call(this, node);
+
+                                    if (regular_match) {
+                                      // Could still be a parameterized function; try to match one of the parameter forms against the modifier.
+                                      var parameter_match = dot_parameters    .call(this, regular_match._modifier) ||
+                                                            bracket_parameters.call(this, regular_match._modifier);
+
+                                      if (parameter_match) {
+                                        regular_match._modifier   = parameter_match._modifier;
+                                        regular_match._parameters = parameter_match._parameters;
+
+                                        for (var es = this.parameterized_modifiers, i = es.length - 1, r; i >= 0; --i)
+                                          if (r = es[i].call(this, regular_match)) return r}
+
+                                      else
+                                        for (var es = this.modifiers, i = es.length - 1, r; i >= 0; --i)
+                                          if (r = es[i].call(this, regular_match)) return r}};
+
+  // Tying it all together.
+//   This is where we write a big macroexpander to perform all of the tasks mentioned above. It just falls through cases, which is now a fairly standard pattern for macros. There is a high-level
+//   optimization that we can perform: leaf nodes can only be expanded by the string interpolator, so we try this one first and reject any further matching attempts if the node has no children.
+//   Because roughly half of the nodes will have no children, this saves on average 5 matching attempts per node.
+
+  // I've got two closures here to avoid putting a conditional in either one of them. In particular, we know already whether we got a macroexpander, so there's no need to test it inside the
+//   function (which will be called lots of times).
+
+    var each_node = function (node) {return string_interpolator.call(this, node) || literal_modifier.call(this, node) ||
+                                            node.length && (modifier.call(this, node) || function_destructure.call(this, node) ||
+                                                            infix_function.call(this, node) || infix_method.call(this, node) || postfix_function.call(this, node))},
+
+        result    = macroexpander ? $(function (node) {return macroexpander.call(this, node) || each_node.call(this, node)}) :
+                                    $(each_node);
+
+    result.modifiers               = [];
+    result.parameterized_modifiers = [];
+
+    result.literal_modifiers = {regexp: {}, array: {}, string: {}, number: {}, identifier: {}};
+
+    return result}})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+
+// Javascript literal notation | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// These macros provide some convenient literal notation for various Javascript literals. For obvious reasons they have names that are unlikely to collide with methods.
+
+(function ($) {
+  $.js_literals = function (caterwaul_function) {
+
+    var function_template = $.parse('function (_) {return _body}');
+
+  // Regular expression literals.
+//   Right now we just support the 'x' flag, which causes all whitespace within the regular expression to be ignored. This is a straightforward preprocessing transformation, since we have access
+//   to the regexp in string form anyway.
+
+  // To make Javascript's regular expressions more useful I've also included the 'qf' modifier. This turns a regular expression into a matching function; for example, /foo/.qf becomes (function
+//   (s) {return /foo/.exec(s)}).
+
+    (function (r) {r.x  = $.reexpander(function (node) {return node.with_data(node.data.replace(/\s+/g, ''))});
+
+                   var call_exec_template = $.parse('_regexp.exec(_)');
+                   r.qf = function (node) {return function_template.replace({_body: call_exec_template.replace({_regexp: node})})}})(caterwaul_function.literal_modifiers.regexp);
+
+  // String literals.
+//   There are a couple of things we can do with strings. First, there's the 'qw' modifier, which causes a string to be split into an array of words at compile-time. So, for instance, the
+//   expression 'foo bar bif'.qw would be compiled into ['foo', 'bar', 'bif']. Another modifier is 'qh', which is like 'qw' but creates a hash instead. So 'foo bar bif baz'.qh would result in
+//   {foo: 'bar', bif: 'baz'}. There's also qr, which converts from a string to a regular expression and does all of the appropriate escape conversions. Some care should be taken with this,
+//   however, because not all regexp escapes are valid in strings. In particular, you can't do things like 'foo\[bar\]'.qr because \[ isn't recognized in strings.
+
+  // Another modifier is 'qs', which is rarely used outside of the context of writing macros. The idea here is to have Caterwaul parse the string and return a reference to the parse tree. So, for
+//   example, 'foo.bar'.qs is compiled into a reference to the parse tree for foo.bar. A caveat here is that the parse happens only once, so any mutations that happen to the syntax tree are
+//   persisted across invocations. (Unlike the way that array and object literals are interpreted, which is to create a new array or object each time that node is evaluated.)
+
+  // Functions can be written concisely using qf. This causes the string to be interpreted as the body of a function whose sole argument is called _. This may change at some point in the future.
+
+    (function (s) {s.qw = $.reexpander(function (node) {for (var array_node = new $.syntax('['), comma = new $.syntax(','), delimiter = node.data.charAt(0),
+                                                                 pieces = node.as_escaped_string().split(/\s+/), i = 0, l = pieces.length; i < l; ++i)
+                                                          comma.push(new $.syntax(delimiter + pieces[i] + delimiter));
+                                                        return array_node.push(comma.unflatten())});
+
+                   s.qh = $.reexpander(function (node) {for (var hash_node = new $.syntax('{'), comma = new $.syntax(','), delimiter = node.data.charAt(0),
+                                                                 pieces = node.as_escaped_string().split(/\s+/), i = 0, l = pieces.length; i < l; i += 2)
+                                                          comma.push(new $.syntax(':', new $.syntax(delimiter + pieces[i] + delimiter), new $.syntax(delimiter + pieces[i + 1] + delimiter)));
+                                                        return hash_node.push(comma.unflatten())});
+
+                   s.qr = $.reexpander(function (node) {return node.with_data('/' + node.as_escaped_string().replace(/\//g, '\\/') + '/')});
+
+                   s.qs = function (node) {return new $.ref($.parse(node.as_unescaped_string()))};
+
+                   s.qf = $.reexpander(function (node) {return function_template.replace({_body: $.parse(node.as_unescaped_string())})})})(caterwaul_function.literal_modifiers.string);
+
+    return caterwaul_function}})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+
+// Common adjectives and adverbs | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This behavior installs a bunch of common words and sensible behaviors for them. The goal is to handle most Javascript syntactic cases by using words rather than Javascript primitive syntax.
+// For example, constructing lambdas can be done with 'given' rather than the normal function() construct:
+
+// | [1, 2, 3].map(x + 1, given[x])        // -> [1, 2, 3].map(function (x) {return x + 1})
+
+// In this case, given[] is registered as a postfix binary adverb. Any postfix binary adverb forms added later will extend the possible uses of given[].
+
+(function ($) {
+  $.words = function (caterwaul_function) {
+    var filtered_expander      = function (word, expander) {return function (match) {return match._modifier.data === word && expander.call(this, match)}},
+
+        modifier               = function (word, expander) {caterwaul_function.modifiers              .push(filtered_expander(word, expander))},
+        parameterized_modifier = function (word, expander) {caterwaul_function.parameterized_modifiers.push(filtered_expander(word, expander))};
+
+  // Quotation.
+//   qs[] comes from pre-1.0 caterwaul; this lets you quote a piece of syntax, just like quote in Lisp. The idea is that qs[something] returns 'something' as a syntax tree. qse[] is a variant
+//   that macroexpands the syntax tree before returning it; this used to be there for performance reasons (now irrelevant with the introduction of precompilation) but is also useful for macro
+//   reuse.
+
+    modifier('qs',  function (match) {return new $.ref(match._expression, 'qs')});
+    modifier('qse', function (match) {return new $.ref(this(match._expression), 'qse')});
+
+  // Macroexpansion control.
+//   Sometimes it's useful to request an additional macroexpansion or suppress macroexpansion for a piece of code. The 'reexpand' and 'noexpand' modifiers do these two things, respectively.
+
+    modifier('reexpand', function (match) {return this(this(match._expression))});
+    modifier('noexpand', function (match) {return match._expression});
+
+  // Error handling.
+//   Javascript in particular has clunky error handling constructs. These words provide error handling in expression context.
+
+    modifier              ('raise',  $.reexpander('(function () {throw _expression}).call(this)'));
+    parameterized_modifier('rescue', $.reexpander('(function () {try {return (_expression)} catch (e) {return (_parameters)}}).call(this)'));
+
+  // Evaluation.
+//   Caterwaul 1.1.2 introduces the 'eval' modifier, which lets you force certain expressions to be evaluated at compile-time. A reference containing the resulting value is dropped into the code,
+//   and any errors are reported as compile-time errors. The expression being evaluated is macroexpanded under the compiling caterwaul function.
+
+    modifier('eval', function (match) {return new $.ref($.compile(this(match._expression)), 'eval')});
+
+// Scoping and referencing.
+// These all impact scope or references somehow -- in other words, they create variable references but don't otherwise impact the nature of evaluation.
+
+  // Function words.
+//   These define functions in some form. given[] and bgiven[] are modifiers to turn an expression into a function; given[] creates a regular closure while bgiven[] preserves the closure binding.
+//   For example:
+
+  // | var f = x + 1 -given [x];
+//     var f = x + 1 -given.x;
+
+    parameterized_modifier('given',  $.reexpander('(function (_parameters) {return _expression})'));
+    parameterized_modifier('bgiven', $.reexpander('(function (t, f) {return (function () {return f.apply(t, arguments)})})(this, (function (_parameters) {return _expression}))'));
+
+  // Nullary function words.
+//   These are used to provide quick function wrappers for values. There are actually a couple of possibilities here. One is to wrap a value in a nullary function that recomputes its expression
+//   each time, and another is to compute the value lazily and return the cached value for each future invocation. The modifiers are called 'delay' and 'lazy', and they always bind to the
+//   surrounding context (analogous to bgiven, above).
+
+  // Here are their operational semantics by example:
+
+  // | var x = 10;
+//     var f = ++x -delay;
+//     f()         -> 11
+//     f()         -> 12
+//     var g = ++x -lazy;
+//     g()         -> 13
+//     g()         -> 13
+
+    modifier('delay', $.reexpander('(function (t, f) {return (function () {return f.call(t)})})(this, (function () {return _expression}))'));
+    modifier('lazy',  $.reexpander('(function (t, f, v, vc) {return (function () {return vc ? v : (vc = true, v = f.call(t))})})(this, (function () {return _expression}))'));
+
+  // Side-effecting.
+//   The goal here is to take an existing value, modify it somehow, and then return it without allocating an actual variable. This can be done using the /se[] adverb. Older versions of caterwaul
+//   bound the variable as _; version 1.0 changes this convention to bind the variable to 'it'. For example:
+
+  // | hash(k, v) = {} /se[it[k] = v];
+//     compose(f, g)(x) = g(x) -re- f(it);
+
+    parameterized_modifier('se', $.reexpander('(function (it) {return (_parameters), it}).call(this, (_expression))'));
+    parameterized_modifier('re', $.reexpander('(function (it) {return (_parameters)}).call(this, (_expression))'));
+
+  // Scoping.
+//   You can create local variables by using the where[] modifier. If you do this, the locals can all see each other since they're placed into a 'var' statement. For example:
+
+  // | where[x = 10][alert(x)]
+//     alert(x), where[x = 10]
+
+    parameterized_modifier('where', $.reexpander('(function () {var _parameters; return (_expression)}).call(this)'));
+
+  // Object construction.
+//   This is similar to where[], but constructs a hash object instead of binding local variables. The idea is to be able to use the f(x) = x + 1 function notation but end up with an object. You
+//   can also use regular assignments, each of which will be converted into a key/value pair:
+
+  // | var o = capture [f(x) = 10, g(x)(y) = x + y];
+//     o.g(10)(20)         // -> 30
+
+    modifier('capture', function (match) {for (var r = new $.syntax('{'), comma = new $.syntax(','), bindings = match._expression.flatten(','), i = 0, l = bindings.length; i < l; ++i)
+                                            comma.push(this(bindings[i]).with_data(':'));
+                                          return r.push(comma.unflatten())});
+
+  // Importation.
+//   This is a fun one. Caterwaul 1.1.2 introduces the 'using' modifier, which lets you statically import an object. For example:
+
+  // | log(x) -using- console              // -> (function () {var log = console.log; return log(x)}).call(this)
+
+  // Variables are computed at compile-time, not at runtime. This is much better than using the 'with' keyword, which degrades performance ('using' has no significant performance impact).
+//   However, the calling context is incomplete, as shown above. In particular, methods of the object that you're using will be called with a global 'this' rather than being bound to the object.
+
+    var scope_template = $.parse('(function () {var _variables; return _expression}).call(this)');
+    parameterized_modifier('using', $.reexpander(function (match) {var o = $.compile(this(match._parameters)), comma = new $.syntax(',');
+                                                                   for (var k in o) if (Object.prototype.hasOwnProperty.call(o, k)) comma.push(new $.syntax('=', k, new $.ref(o[k])));
+                                                                   return scope_template.replace({_variables: comma.unflatten(), _expression: match._expression})}));
+
+// Control flow modifiers.
+// These impact how something gets evaluated.
+
+  // Conditionals.
+//   These impact whether an expression gets evaluated. x /when.y evaluates to x when y is true, and y when y is false. Similarly, x /unless[y] evaluates to x when y is false, and !y when y is
+//   truthy.
+
+    parameterized_modifier('when',   $.reexpander('((_parameters) && (_expression))'));
+    parameterized_modifier('unless', $.reexpander('(! (_parameters) && (_expression))'));
+
+    return caterwaul_function}})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+// Libraries.
+// These apply more advanced syntactic transforms to the code and can depend on everything above.
+
+
+
+// Sequence comprehensions | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Caterwaul pre-1.0 had a module called 'seq' that provided a finite and an infinite sequence class and localized operator overloading to make them easier to use. Using wrapper classes was both
+// unnecessary (since most sequence operations were done inside the seq[] macro anyway) and problematic, as it required the user to remember to cast sequences back into arrays and such. It also
+// reduced runtime performance and created a lot of unnecessary copying.
+
+// Caterwaul 1.0 streamlines the seq[] macro by removing the sequence classes and operating directly on arrays or array-like things. Not everything in Javascript is an array, but I'm going to
+// pretend that everything is (or at least looks like one) and rely on the [i] and .length properties. This allows the sequence library to (1) have a very thin design, and (2) compile down to
+// tight loops without function calls.
+
+// Distributive property.
+// The seq[] modifier distributes across several operators. They are:
+
+// | 1. Ternary ?:
+//   2. Short-circuit && and ||
+//   3. Parentheses
+
+// It won't cross a square-bracket or invocation boundary, however. This includes distributing over array elements and [] dereferencing. You can cause it to cross an array boundary by prefixing
+// the array with ~ (which should be familiar, as it is the same syntax that's used to cause function bodies to be interpreted in sequence context). For instance:
+
+// | [1, 2, 3, X] -seq             // <- X is interpreted in regular Javascript context
+//   ~[1, 2, 3, X] -seq            // <- X is interpreted in sequence context
+
+// Notation.
+// The notation is mostly a superset of the pre-1.0 sequence notation. Operators that have the same functionality as before (others are reserved for future meanings, but probably won't do what
+// they used to):
+
+// | *  = map                      e.g.  [1, 2, 3] *[x + 1] |seq            ->  [2, 3, 4]
+//   *! = each                     e.g.  [1, 2, 3] *![console.log(x)] |seq  ->  [1, 2, 3]  (and logs 1, 2, 3)
+//   /  = foldl                    e.g.  [1, 2, 3] /[x - next] |seq         ->  -4
+//   /! = foldr                    e.g.  [1, 2, 3] /![x - next] |seq        ->  2
+//   %  = filter                   e.g.  [1, 2, 3] %[x & 1] |seq            ->  [1, 3]
+//   %! = filter-not               e.g.  [1, 2, 3] %![x & 1] |seq           ->  [2]
+//   +  = concatenate              e.g.  [1, 2, 3] + [4, 5] |seq            ->  [1, 2, 3, 4, 5]
+//   -  = cartesian product        e.g.  [1, 2] - [3, 4] |seq               ->  [[1, 3], [1, 4], [2, 3], [2, 4]]
+//   ^  = zip                      e.g.  [1, 2, 3] ^ [4, 5, 6] |seq         ->  [[1, 4], [2, 5], [3, 6]]
+//   |  = exists                   e.g.  [1, 2, 3] |[x === 2] |seq          ->  true
+
+// Note that ^ has higher precedence than |, so we can use it in a sequence comprehension without interfering with the |seq macro (so long as the |seq macro is placed on the right).
+
+  // Modifiers.
+//   Modifiers are unary operators that come after the primary operator. These have the same (or similar) functionality as before:
+
+  // | ~ = interpret something in sequence context   e.g.  [[1], [2], [3]] *~[x *[x + 1]] |seq  ->  [[2], [3], [4]]
+//     x = rename the variable from 'x'              e.g.  [1, 2, 3] *y[y + 1] |seq             ->  [2, 3, 4]
+
+  // Here, 'x' means any identifier. Caterwaul 1.0 introduces some new stuff. The map function now has a new variant, *~!. Filter also supports this variant. Like other operators, they support
+//   variable renaming and sequence context. You can do this by putting those modifiers after the *~!; for instance, xs *~!~[exp] interprets 'exp' in sequence context. Similarly, *~!y[exp] uses
+//   'y' rather than 'x'.
+
+  // | *~! = flatmap         e.g. [1, 2, 3] *~![[x, x + 1]] |seq      ->  [1, 2, 2, 3, 3, 4]
+//     %~! = map/filter      e.g. [1, 2, 3] %~![x & 1 && x + 1] |seq  ->  [2, 4]
+//     /~! = unfold          e.g. 1 /~![x < 5 ? x + 1 : null] |seq    ->  [1, 2, 3, 4, 5]
+
+  // Variables.
+//   All of the variables from before are still available and the naming is still mostly the same. Each block has access to 'x', which is the immediate element. 'xi' is the index, and 'x0' is the
+//   alternative element for folds. Because all sequences are finite, a new variable 'xl' is available -- this is the total number of elements in the source sequence. The sequence object is no
+//   longer accessible because there may not be a concrete sequence. (I'm leaving room for cross-operation optimizations in the future.) The renaming is done exactly as before:
+
+  // | [1, 2, 3] *[x + 1] |seq             -> [2, 3, 4]
+//     [1, 2, 3] *y[y + 1] |seq            -> [2, 3, 4]
+//     [1, 2, 3] *[xi] |seq                -> [0, 1, 2]
+//     [1, 2, 3] *foo[fooi] |seq           -> [0, 1, 2]
+
+  // Word operators.
+//   Some operators are designed to work with objects, just like in prior versions. However, the precedence has been changed to improve ergonomics. For example, it's uncommon to use objects as an
+//   intermediate form because all of the sequence operators are built around arrays. Similarly, it's very common to unpack objects immediately before using them. Therefore the unpack operators
+//   should be very high precedence and the pack operator should have very low precedence:
+
+  // | {foo: 'bar'} /keys |seq             -> ['foo']
+//     {foo: 'bar'} /values |seq           -> ['bar']
+//     {foo: 'bar'} /pairs |seq            -> [['foo', 'bar']]
+//     {foo: 'bar'} /pairs |object |seq    -> {foo: 'bar'}
+
+  // Note that unlike regular modifiers you can't use a variety of operators with each word. Each one is defined for just one form. I may change this in the future, but I'm reluctant to start
+//   with it because it would remove a lot of syntactic flexibility.
+
+  // Update: After using this in the field, I've found that the low-precedence |object form is kind of a pill. Now the sequence library supports several variants, /object, -object, and |object.
+
+  // Prefixes.
+//   New in Caterwaul 1.0.3 is the ability to specify the scope of operation for sequence macros. For instance, you might want to operate on one of several types of data. Normally the sequence
+//   macro assumes arrays, but you may want to modify a unary operator such as *[] to transform an object's keys or values. Prefixes let you do this.
+
+  // | o %k*[x.substr(1)] -seq     (equivalent to  o /pairs *[[x[0].substr(1), x[1]]]  -object -seq)
+//     o %v*[x.split(/a/)] -seq    (equivalent to  o /pairs *[[x[0], x[1].split(/a/)]] -object -seq)
+
+  // Prefixes are generally faster than manual unpacking and repacking. However, some operations (e.g. fold and its variants) don't work with prefixes. The reason is that it's unclear what to do
+//   with the values that correspond to a folded key, for instance. (Imagine what this would mean: o %k/[x + x0] -seq) The following operators can be used with prefixes:
+
+  // | *   = map
+//     *!  = each          <- returns the original object
+//     %   = filter        <- removes key/value pairs
+//     %!  = filter-not
+//     %~! = map-filter    <- changes some key-value pairs, removes others
+
+  // These operators support the standard set of modifiers, including ~ prefixing and variable renaming. However, indexing variables such as xi and xl are unavailable because no temporary arrays
+//   are constructed.
+
+  // The following operators cannot be used with prefixes because it's difficult to imagine what purpose they would serve:
+
+  // | *~! = flatmap
+//     /   = foldl
+//     /!  = foldr
+//     /~! = unfold
+
+  // None of the binary operators (e.g. +, -, ^, etc) can be used with prefixes because of precedence. Any prefix would bind more strongly to the left operand than it would to the binary
+//   operator, which would disrupt the syntax tree.
+
+  // Folding prefixes.
+//   New in Caterwaul 1.1 is the ability to specify fold prefixes. This allows you to specify the initial element of a fold:
+
+  // | xs /[0][x0 + x*x] -seq              (sum the squares of each element)
+//     xs /~[[]][x0 + [x, x + 1]] -seq     (equivalent to  xs *~![[x, x + 1]] -seq)
+
+  // Function promotion.
+//   Caterwaul 1.1 also adds support for implicit function promotion of sequence block expressions:
+
+  // | f(x) = x + 1
+//     seq in [1, 2, 3] *f
+//     seq in [-1, 0, 1] %f
+
+  // You can use this to make method calls, which will remain bound to the original object:
+
+  // | xs *foo.bar -seq            (equivalent to  xs *[foo.bar(x)] -seq)
+//     xs *(bar + bif).baz -seq    (equivalent to  xs *[(bar + bif).baz(x)] -seq)
+
+  // The only restriction is that you can't use a bracketed expression as the last operator; otherwise it will be interpreted as a block. You also can't invoke a promoted function in sequence
+//   context, since it is unclear what the intent would be.
+
+    // Calling convention.
+//     All functions you promote will always be called with these arguments, in this order:
+
+    // | f(x, x0, xi, xl)
+
+    // This may seem strange, since x0 may or may not be defined. I chose this setup to simplify code generation, even if it is a bit redundant. If x0 isn't provided by the current operator, then
+//     its value will be undefined.
+
+  // Scope wrapping.
+//   Normally sequences use thin compilation; that is, the body of each sequence element is inserted directly into a for-loop. This increases performance by eliminating a function call, but it
+//   has the usual caveats about variable sharing. For instance:
+
+  // | fs = [1, 2, 3] *[delay in x] -seq
+//     fs[0]()                     -> 3  (counterintuitive)
+//     fs[1]()                     -> 3  (counterintuitive)
+//     fs[2]()                     -> 3  (expected)
+
+  // The problem is that all three closures get the same value of 'x', which is a single lexically-scoped variable. To fix this, caterwaul 1.1 introduces the unary + modifier on blocks. This
+//   wraps them in a closure to give each iteration its own lexical scope:
+
+  // | fs = [1, 2, 3] *+[delay in x] -seq
+//     fs[0]()                     -> 1
+//     fs[1]()                     -> 2
+//     fs[2]()                     -> 3
+
+  // Numbers.
+//   Caterwaul 1.0 removes support for the infinite stream of naturals (fun though it was), since all sequences are now assumed to be finite and are strictly evaluated. So the only macros
+//   available are n[] and ni[], which generate finite sequences of evenly-spaced numbers. The only difference between n[] and ni[] is that ni[] uses an inclusive upper bound, whereas n[] is
+//   exclusive.
+
+  // | n[1, 10] -seq               ->  [1, 2, 3, 4, 5, 6, 7, 8, 9]
+//   | ni[1, 10] -seq              ->  [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+//     n[10] -seq                  ->  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+//     ni[10] -seq                 ->  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+//     n[0, 10, 2] -seq            ->  [0, 2, 4, 6, 8]
+//     ni[0, 10, 2] -seq           ->  [0, 2, 4, 6, 8, 10]
+
+// Generated code.
+// Previously the code was factored into separate methods that took callback functions. (Basically the traditional map/filter/each arrangement in functional languages.) However, now the library
+// optimizes the methods out of the picture. This means that now we manage all of the dataflow between the different sequence operators. I thought about allocating gensym variables -- one for
+// each temporary result -- but this means that the temporary results won't be garbage-collected until the entire sequence comprehension is complete. So instead it generates really gnarly code,
+// with each dependent sequence listed in the for-loop variable initialization.
+
+// Luckily this won't matter because, like, there aren't any bugs or anything ;)
+
+// Portability.
+// The seq library is theoretically portable to syntaxes besides JS, but you'll probably want to do some aggressive preprocessing if you do this. It assumes a lot about operator precedence and
+// such (from a design perspective).
+
+caterwaul.words(caterwaul.js())(function ($) {
+  $.seq(caterwaul_function) = caterwaul_function -se-
+                              it.modifiers.push(given.match in seq_expand.call(seq_expand, anon_pattern.replace({_x: match._expression})) -re- this(it) /when.it
+                                                               -when [match._modifier.data === 'seq'])
+
+                              -where [anon_pattern = anon('S[_x]'),
+                                      seq_expand   = $($.alternatives(operator_macros.concat(word_macros)))],
+
+  where [anon            = $.anonymizer('S'),
+         rule(p, e)      = $.rereplacer(p.constructor === String ? anon(p) : p, e.constructor === String ? anon(e) : e),
+
+         operator_macros = [rule('S[_x]', '_x'),  rule('S[_xs + _ys]', concat),  rule('S[_xs ^ _ys]', zip),  rule('S[_xs - _ys]', cross),
+
+                                                  // Distributive property
+                                                  rule('S[(_x)]', '(S[_x])'),  rule('S[_x[_y]]', 'S[_x][_y]'),     rule('S[_xs(_ys)]', 'S[_xs](_ys)'),
+                                                  rule('S[[_x]]', '[_x]'),     rule('S[_x, _y]', 'S[_x], S[_y]'),  rule('S[_xs._p]',   'S[_xs]._p'),
+
+                                                  rule('S[~[_x]]', '[S[_x]]'),          // <- ~ modifier on arrays
+
+                                                  rule('S[_x ? _y : _z]', '(S[_x]) ? (S[_y]) : (S[_z])'), rule('S[_x && _y]', '(S[_x]) && (S[_y])'), rule('S[_x || _y]', '(S[_x]) || (S[_y])'),
+
+                                                  // Unary seq operators
+                                                  rule('S[_xs %_thing]',   handle_filter_forms),   rule('S[_xs *_thing]',   handle_map_forms),
+                                                  rule('S[_xs /_thing]',   handle_fold_forms),     rule('S[_xs |_thing]',   handle_exists_forms),
+
+                                                  rule('S[_xs %k*_thing]', handle_kmap_forms),     rule('S[_xs %v*_thing]', handle_vmap_forms),
+                                                  rule('S[_xs %k%_thing]', handle_kfilter_forms),  rule('S[_xs %v%_thing]', handle_vfilter_forms)]
+
+                    -where [// High-level form specializations
+                            unrecognized(reason)                   = raise [new Error(reason)],
+                            use_form(form, xs, body, init, vars)   = form ? form.replace({_f: body, _init: init}).replace($.merge({_xs: xs}, vars)) :
+                                                                            unrecognized('unsupported sequence operator or modifiers used on #{body}'),
+
+                            operator_case(forms)(match)            = parse_modifiers(match._thing,
+                                                                                     use(forms.normal, forms.inormal), use(forms.bang, forms.ibang), use(forms.tbang, forms.itbang))
+
+                                                                     -where [xs                                     = match._xs,
+                                                                             expander                               = this,
+                                                                             form_function(form)(body, vars)        = use_form(form, xs, body, null, vars),
+                                                                             iform_function(form)(body, init, vars) = use_form(form, xs, body, init, vars),
+                                                                             use(form, iform)(body)                 = parse_body(body, expander, form_function(form), iform_function(iform))],
+
+                            handle_map_forms                       = operator_case({normal: map,     bang: each,        tbang: flatmap}),
+                            handle_filter_forms                    = operator_case({normal: filter,  bang: filter_not,  tbang: map_filter}),
+                            handle_fold_forms                      = operator_case({normal: foldl,   bang: foldr,       tbang: unfold,     inormal: ifoldl,  ibang: ifoldr}),
+
+                            handle_kmap_forms                      = operator_case({normal: kmap,    bang: keach}),
+                            handle_kfilter_forms                   = operator_case({normal: kfilter, bang: kfilter_not, tbang: kmap_filter}),
+                            handle_vmap_forms                      = operator_case({normal: vmap,    bang: veach}),
+                            handle_vfilter_forms                   = operator_case({normal: vfilter, bang: vfilter_not, tbang: vmap_filter}),
+
+                            handle_exists_forms                    = operator_case({normal: exists}),
+
+                            // Body parsing
+                            block                                  = anon('[_x]'),
+                            block_with_variable                    = anon('_var[_x]'),
+                            block_with_init                        = anon('[_init][_x]'),
+                            block_with_variable_and_init           = anon('_var[_init][_x]'),
+
+                            block_with_closure                     = anon('+_x'),
+                            block_with_seq                         = anon('~_x'),
+
+                            standard_names                         = {_x: 'x', _x0:    'x0', _xi:    'xi', _xl:    'xl'},
+                            prefixed_names(p)                      = {_x:  p , _x0: '#{p}0', _xi: '#{p}i', _xl: '#{p}l'},
+
+                            function_promotion                     = anon('_f(_x, _x0, _xi, _xl)'),
+                            promote_function(f)                    = function_promotion.replace({_f: f}),
+
+                            closure_wrapper                        = anon('(function (_x, _x0, _xi, _xl) {return _f}).call(this, _x, _x0, _xi, _xl)'),
+                            close_body(vars, f)                    = closure_wrapper.replace(vars).replace({_f: f}),
+
+                            seq_pattern                            = anon('S[_x]'),
+                            promote_seq(f)                         = seq_pattern.replace({_x: f}),
+
+                            parse_body(tree, expand, normal, init) = ((r = block_with_seq.match(tree))               ? parse_body(r._x, expand, sequence_context_normal, sequence_context_init) :
+                                                                      (r = block_with_closure.match(tree))           ? parse_body(r._x, expand, wrapping_normal, wrapping_init) :
+
+                                                                      (r = block_with_variable_and_init.match(tree)) ? init(r._x, r._init, prefixed_names(r._var)) :
+                                                                      (r = block_with_init.match(tree))              ? init(r._x, r._init, standard_names) :
+
+                                                                      (r = block_with_variable.match(tree))          ? normal(r._x, prefixed_names(r._var)) :
+                                                                      (r = block.match(tree))                        ? normal(r._x, standard_names) :
+                                                                                                                       normal(promote_function(tree), standard_names))
+
+                                                                     -where [in_sequence_context(f)                           = expand.call(expand, promote_seq(f)),
+                                                                             sequence_context_normal(f, names)                = normal(in_sequence_context(f), names),
+                                                                             sequence_context_init(f, init_expression, names) = init  (in_sequence_context(f), init_expression, names),
+
+                                                                             wrapping_normal(f, names)                        = normal(close_body(names, f), names),
+                                                                             wrapping_init(f, init_expression, names)         = init  (close_body(names, f), init_expression, names),
+
+                                                                             r                                                = null],
+                            // Modifier parsing
+                            tbang_modifier = anon('~!_x'),
+                            bang_modifier  = anon('!_x'),
+
+                            parse_modifiers(tree, normal, bang, tbang) = ((result = tbang_modifier.match(tree)) ? tbang(result._x) :
+                                                                          (result =  bang_modifier.match(tree)) ?  bang(result._x) : normal(tree)) -where [result = null]]
+
+                    -where [// Setup for form definitions (see below)
+                            loop_anon   = $.anonymizer('xs', 'ys', 'x', 'y', 'i', 'j', 'l', 'lj', 'r', 'o', 'k'),
+                            scope       = anon('(function (xs) {var _x, _x0, _xi, _xl; _body}).call(this, S[_xs])'),
+                            scoped(t)   = scope.replace({_body: t}),
+                            form(x)     = loop_anon(scoped(anon(x))),
+
+                            // Form definitions
+                            map         = form('for (var ys = [], _xi = 0, _xl = xs.length;     _xi < _xl; ++_xi) _x = xs[_xi], ys.push((_f));                             return ys'),
+                            each        = form('for (var          _xi = 0, _xl = xs.length;     _xi < _xl; ++_xi) _x = xs[_xi], (_f);                                      return xs'),
+                            flatmap     = form('for (var ys = [], _xi = 0, _xl = xs.length;     _xi < _xl; ++_xi) _x = xs[_xi], ys.push.apply(ys, ys.slice.call((_f)));    return ys'),
+
+                            filter      = form('for (var ys = [], _xi = 0, _xl = xs.length;     _xi < _xl; ++_xi) _x = xs[_xi], (_f) && ys.push(_x);                       return ys'),
+                            filter_not  = form('for (var ys = [], _xi = 0, _xl = xs.length;     _xi < _xl; ++_xi) _x = xs[_xi], (_f) || ys.push(_x);                       return ys'),
+                            map_filter  = form('for (var ys = [], _xi = 0, _xl = xs.length, _y; _xi < _xl; ++_xi) _x = xs[_xi], (_y = (_f)) && ys.push(_y);                return ys'),
+
+                            foldl       = form('for (var _x0 = xs[0], _xi = 1, _xl = xs.length;            _xi < _xl; ++_xi) _x = xs[_xi], _x0 = (_f);                     return _x0'),
+                            foldr       = form('for (var _xl = xs.length, _xi = _xl - 2, _x0 = xs[_xl - 1]; _xi >= 0; --_xi) _x = xs[_xi], _x0 = (_f);                     return _x0'),
+                            unfold      = form('for (var ys = [], _x = xs, _xi = 0;                     _x !== null; ++_xi) ys.push(_x), _x = (_f);                        return ys'),
+
+                            ifoldl      = form('for (var _x0 = (_init), _xi = 0, _xl = xs.length;      _xi < _xl; ++_xi) _x = xs[_xi], _x0 = (_f);                         return _x0'),
+                            ifoldr      = form('for (var _xl = xs.length - 1, _xi = _xl, _x0 = (_init); _xi >= 0; --_xi) _x = xs[_xi], _x0 = (_f);                         return _x0'),
+
+                            exists      = form('for (var _x = xs[0], _xi = 0, _xl = xs.length, x; _xi < _xl; ++_xi) {_x = xs[_xi]; if (x = (_f)) return x} return false'),
+
+                            concat      = anon('(S[_xs]).concat((S[_ys]))'),
+
+                            zip         = form('for (var ys = (S[_ys]), pairs = [], i = 0, l = xs.length; i < l; ++i) pairs.push([xs[i], ys[i]]); return pairs'),
+                            cross       = form('for (var ys = (S[_ys]), pairs = [], i = 0, l = xs.length, lj = ys.length; i < l; ++i) ' +
+                                                 'for (var j = 0; j < lj; ++j) pairs.push([xs[i], ys[j]]);' + 'return pairs'),
+
+                            kmap        = form('var r = {};    for (var _x in xs) if (Object.prototype.hasOwnProperty.call(xs, _x)) r[_f] = xs[_x];                        return r'),
+                            keach       = form('               for (var _x in xs) if (Object.prototype.hasOwnProperty.call(xs, _x)) _f;                                    return xs'),
+
+                            kfilter     = form('var r = {};    for (var _x in xs) if (Object.prototype.hasOwnProperty.call(xs, _x) &&      (_f))  r[_x] = xs[_x];          return r'),
+                            kfilter_not = form('var r = {};    for (var _x in xs) if (Object.prototype.hasOwnProperty.call(xs, _x) &&    ! (_f))  r[_x] = xs[_x];          return r'),
+                            kmap_filter = form('var r = {}, x; for (var _x in xs) if (Object.prototype.hasOwnProperty.call(xs, _x) && (x = (_f))) r[x]  = xs[_x];          return r'),
+
+                            vmap        = form('var r = {};    for (var  k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) _x = xs[k], r[k] = (_f);                return r'),
+                            veach       = form('               for (var  k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) _x = xs[k], _f;                         return xs'),
+
+                            vfilter     = form('var r = {};    for (var  k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) _x = xs[k],        (_f) && (r[k] = _x); return r'),
+                            vfilter_not = form('var r = {};    for (var  k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) _x = xs[k],        (_f) || (r[k] = _x); return r'),
+                            vmap_filter = form('var r = {}, x; for (var  k in xs) if (Object.prototype.hasOwnProperty.call(xs, k)) _x = xs[k], x = (_f), x && (r[k] =  x); return r')],
+
+         word_macros     = [rule('S[n[_upper]]',                n),  rule('S[ni[_upper]]',                ni),  rule('S[_o /keys]',   keys),    rule('S[_o |object]', object),
+                            rule('S[n[_lower, _upper]]',        n),  rule('S[ni[_lower, _upper]]',        ni),  rule('S[_o /values]', values),  rule('S[_o -object]', object),
+                            rule('S[n[_lower, _upper, _step]]', n),  rule('S[ni[_lower, _upper, _step]]', ni),  rule('S[_o /pairs]',  pairs),   rule('S[_o /object]', object)]
+
+                    -where [n(match)   = n_pattern .replace($.merge({_lower: '0', _step: '1'}, match)),
+                            ni(match)  = ni_pattern.replace($.merge({_lower: '0', _step: '1'}, match)),
+
+                            n_pattern  = anon('(function (i, u, s) {if ((u - i) * s <= 0) return [];' +                // Check for degenerate iteration
+                                                                   'for (var r = [], d = u - i; d > 0 ? i <  u : i >  u; i += s) r.push(i); return r})((_lower), (_upper), (_step))'),
+
+                            ni_pattern = anon('(function (i, u, s) {if ((u - i) * s <= 0) return [];' +                // Check for degenerate iteration
+                                                                   'for (var r = [], d = u - i; d > 0 ? i <= u : i >= u; i += s) r.push(i); return r})((_lower), (_upper), (_step))'),
+
+                            scope      = anon('(function (o) {_body}).call(this, (S[_o]))'),
+                            scoped(t)  = scope.replace({_body: t}),
+
+                            form(p)    = tree.replace(match) -given.match -where [tree = scoped(anon(p))],
+                            keys       = form('var ks = []; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && ks.push(k); return ks'),
+                            values     = form('var vs = []; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && vs.push(o[k]); return vs'),
+                            pairs      = form('var ps = []; for (var k in o) Object.prototype.hasOwnProperty.call(o, k) && ps.push([k, o[k]]); return ps'),
+
+                            object     = form('for (var r = {}, i = 0, l = o.length, x; i < l; ++i) x = o[i], r[x[0]] = x[1]; return r')]]})(caterwaul);
+
+// Generated by SDoc 
+
+
+
+
+  caterwaul.js_all = function () {return this.seq(this.words(this.js_literals(this.js())))}})();
+
+// Generated by SDoc 
+
+// Caterwaul regular expression parser | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This library parses regular expressions into syntax trees. The resulting trees not only describe the structure of the regular expression but also provide information about the strings that it
+// matches. It knows all of the standard Javascript regular expression constructs such as groups, backreferences, lookahead, etc.
+
+// Implementation.
+// Regular expressions support three binary operators. One is the dash, used for character ranges; another is the pipe, which is used for alternatives; and the third is the implicit join
+// operator, used wherever two constructs are adjacent. The pipe has lower precedence than implicit joining, and the dash has higher precedence (though it's not exactly comparable, since it's
+// special only inside a character class and implicit join does something different there).
+
+// This parser interprets regular expressions a little differently than their syntax might suggest. For example:
+
+// | caterwaul.regexp(/foo(?=bar)/).structure()    // -> '("," foo ("(?=" bar))'
+//   caterwaul.regexp(/foo(?:bar)+/).structure()   // -> '("," foo ("+" ("(?:" bar)))'
+//   caterwaul.regexp(/[a-z]/).structure()         // -> '("[" ("-" a z))'
+//   caterwaul.regexp(/[^a-z]/).structure()        // -> '("[^" ("-" a z))'
+//   caterwaul.regexp(/[a-zABC]/).structure()      // -> '("[" ("," ("-" a z) ("," A ("," B C))))
+//   caterwaul.regexp(/[-abc]/).structure()        // -> '("[" ("," - ("," a ("," b c))))
+
+// These syntax trees aren't instances of caterwaul.syntax. Rather, they're instances of caterwaul.regexp.syntax. Normally this isn't an important distinction, since they generally support the
+// same set of methods. (All tree nodes inherit methods from caterwaul.syntax_common.) The only case where it really matters is that you get regexp-specific methods for these trees:
+
+// | caterwaul.regexp(/foo/).minimum_length()      // -> 3
+//   caterwaul.regexp(/foo/).match_groups()        // -> []
+
+// Syntax trees generated by caterwaul.regexp() know some things about the environment in which they were evaluated. For example:
+
+// | caterwaul.regexp(/foo/i).i()                  // -> true
+//   caterwaul.regexp(/^foo/m).m()                 // -> true
+
+// Because these trees are still normal Caterwaul syntax trees, you can do all of the usual matching stuff (just with the caveat that if you want a wildcard you need to use it as a single word
+// inside a (?:) group):
+
+// | caterwaul.regexp(/(?:_a)*/).match(caterwaul.regexp(/a*/))        // -> {_a: a, _: a*}
+
+// Configuration options.
+// You can specify some options after the regexp that you're parsing. These impact how the parser works, sometimes doing things that are semantically incorrect but useful anyway. One such option
+// is 'atom', which can bet set to either 'character' or 'word'. By default it's set to 'character', meaning that each character is considered a separate atom. This is semantically correct, since
+// repetition operators such as + and * apply only to the preceding character.
+
+// However, sometimes you want to consider each word to be its own atom; this is especially useful when building patterns and matching against them. For example:
+
+// | caterwaul.regexp(/_foo _bar+/, {atom: 'word'}).match(caterwaul.regexp(/ab+/))         // -> {_foo: a, _bar: b, _: ab+}
+
+// Setting {atom: 'word'} implies that literal whitespace is removed from the regexp, since otherwise there would be no way to separate words. You can still match space characters by using \x20.
+
+// Supported syntax.
+// This library parses the following constructs (obtained from the Mozilla regular expression documentation: https://developer.mozilla.org/en/JavaScript/Guide/Regular_Expressions):
+
+// | 1. Atoms                      e.g. /foo/, /bar./
+//   2. Zero-width assertions      e.g. /^/, /$/, /\b/, /\B/
+//   3. Repetition                 e.g. /a+/, /b*/, /a+?/, /b*?/, /c{10,20}/, /c{10}/, /c{10,}/, /c{10,20}?/, /c{10,}?/, /d?/
+//   4. Capturing                  e.g. /a(.)c/
+//   5. Non-capturing              e.g. /a(?:.)c/
+//   6. Lookahead                  e.g. /a(?=b)/, /a(?!b)/
+//   7. Disjunction                e.g. /a|b/
+//   8. Character classes          e.g. /[abc]/, /[^abc]/, /[a-df]/
+//   9. Special characters         e.g. /\w\W\s\S\d\D\f\n\r\t\v\0\xff\uffff/
+//  10. Backreferences             e.g. /(a)\1/
+
+// Backreferences have a peculiarity that I wasn't previously aware of. If there are more than ten match groups at the current parse point, then backreferences are parsed as potentially having
+// two digits. Presumably the engine is insightful enough to discard digits that would forms numbers larger than the number of seen match groups, and this parser does that.
+
+caterwaul.js_all()(function ($) {
+  $.regexp(r, options) = $.regexp.parse.apply(this, arguments),
+  $.regexp.syntax      = regexp_ctor /-$.syntax_subclass/ regexp_methods,
+  $.regexp.parse       = regexp_parse,
+  $.regexp.compile     = regexp_compile,
+
+  where [// Implementation note:
+         // Copy-constructor functionality is triggered by passing an instance of the tree into its own constructor. The goal is to obtain a new instance of the same kind of tree, but without
+         // any children. This is used by the rmap() method, which needs to build up a parallel tree but will add the children manually. That's what the 'data instanceof this.constructor'
+         // check is all about.
+
+         regexp_ctor(xs = arguments) = where [data = xs[0], context = xs[1]]
+                                             [data instanceof this.constructor ?
+                                                this -se [it.data = data.data, it.length = 0, it.context = data.context] :
+                                                this -se [it.data = data,      it.length = 0, it.context = context,      Array.prototype.slice.call(xs, 2) *![it.push(x)] -seq]],
+
+         regexp_methods              = capture [i()                     = this.context.flags.i,
+                                                m()                     = this.context.flags.m,
+                                                g()                     = this.context.flags.g,
+
+                                                concat(x)               = new this.constructor(',', this.context, this, x),
+
+                                                match_groups()          = this.context.groups,
+
+                                                is_zero_width()         = /^[\^\$]$|^\\[Bb]$/.test(this.data) || this.is_positive_lookahead() || this.is_negative_lookahead(),
+                                                is_one_or_more()        = /^\+\??$/.test(this.data),
+                                                is_zero_or_more()       = /^\*\??$/.test(this.data),
+                                                is_optional()           = /^\?$/.test(this.data),
+                                                is_non_greedy()         = /.\?$/.test(this.data),
+                                                is_repetition()         = /^[\+\*\{]\??$|^\?$/.test(this.data),
+
+                                                repeated_child()        = /^\{/.test(this.data) ? this[2] : this[0],
+
+                                                is_character_class()    = /^\[/.test(this.data),
+                                                is_single_escape()      = /^\\.+$/.test(this.data),
+
+                                                is_range()              = /^-$/.test(this.data) && this.length === 2,
+
+                                                is_atom()               = ! this.length,
+
+                                                is_any_group()          = /^\(/.test(this.data),
+                                                is_group()              = /^\($/.test(this.data),
+                                                is_forgetful()          = /^\(\?:$/.test(this.data),
+                                                is_positive_lookahead() = /^\(\?=$/.test(this.data),
+                                                is_negative_lookahead() = /^\(\?!$/.test(this.data),
+
+                                                is_backreference()      = /^\\$/.test(this.data),
+                                                is_disjunction()        = /^\|$/.test(this.data) && this.length === 2,
+                                                is_join()               = /^,$/.test(this.data)  && this.length === 2,
+
+                                                lower_limit()           = /^\+\??$/.test(this.data)      ? 1 :
+                                                                          /^\*\??$|^\?$/.test(this.data) ? 0 :
+                                                                          /^\{/.test(this.data)          ? this[0].data :
+                                                                                                           raise [new Error('lower limit is undefined for nonrepetitive node #{this}')],
+
+                                                upper_limit()           = /^[\*\+]\??$/.test(this.data) ? Infinity :
+                                                                          /^\?$/.test(this.data)        ? 1 :
+                                                                          /^\{/.test(this.data)         ? this[1].data :
+                                                                                                          raise [new Error('upper limit is undefined for nonrepetitive node #{this}')],
+
+                                                minimum_length()        = this.is_zero_width()                                 ? 0 :
+                                                                          this.is_single_escape() || this.is_character_class() ? 1 :
+                                                                          this.is_repetition()                                 ? this.lower_limit() * this.repeated_child().minimum_length() :
+                                                                          this.is_group() || this.is_forgetful()               ? this[0].minimum_length() :
+                                                                          this.is_backreference()                              ? this[1].minimum_length() :
+                                                                          this.is_disjunction()                                ? this[0].minimum_length() /-Math.min/ this[1].minimum_length() :
+                                                                          this.is_join()                                       ? this[0].minimum_length() + this[1].minimum_length() :
+                                                                                                                                 this.data.length,
+
+                                                toString()              = this.is_any_group()                                ? this.data + this[0].toString() + ')' :
+                                                                          this.is_character_class()                          ? this.data + this[0].toString() + ']' :
+                                                                          this.is_range()                                    ? '#{this[0].toString()}-#{this[1].toString()}' :
+                                                                          this.is_zero_or_more() || this.is_one_or_more() ||
+                                                                                                    this.is_optional()       ? this[0].toString() + this.data :
+                                                                          this.is_repetition()                               ? this[2].toString() +
+                                                                                                                               (this[0].data === this[1].data ? '{#{this[0].data}}' :
+                                                                                                                                this[1].data === Infinity     ? '{#{this[0].data},}' :
+                                                                                                                                                                '{#{this[0].data},#{this[1].data}}') :
+                                                                          this.is_zero_width()                               ? this.data :
+                                                                          this.is_backreference()                            ? '\\#{this[0].data}' :
+                                                                          this.is_disjunction()                              ? '#{this[0].toString()}|#{this[1].toString()}' :
+                                                                          this.is_join()                                     ? '#{this[0].toString()}#{this[1].toString()}' :
+                                                                          this.is_atom()                                     ? /^\w{2,}$/.test(this.data) ? '(?:#{this.data})' : this.data :
+                                                                                                                               this.data],
+
+         regexp_compile(r)          = new RegExp(r.toString(), [r.i() ? 'i' : '', r.m() ? 'm' : '', r.g() ? 'g' : ''].join('')),
+
+         regexp_parse(r, options)   = join(toplevel, end)({i: 0}) -re [it ? it.v[0] : raise [new Error('caterwaul.regexp(): failed to parse #{r.toString()}')]]
+
+                              -where [settings                = {atom: 'character'} /-$.merge/ options,
+
+                                      pieces                  = /^\/(.*)\/([gim]*)$/.exec(r.toString()) || /^(.*)$/.exec(r.toString()),
+                                      s                       = pieces[1],
+                                      flags                   = pieces[2] -re- {i: /i/.test(it), m: /m/.test(it), g: /g/.test(it)},
+                                      context                 = {groups: [], flags: flags},
+
+                                      add_group(node)         = context.groups.push(node),
+
+                                      node(xs = arguments)    = new $.regexp.syntax(xs[0], context) -se- Array.prototype.slice.call(xs, 1) *![it.push(x)] /seq,
+
+                                      // A very small parser combinator library without memoization.
+                                      char(c)(p)              = p.i <  s.length && c.indexOf(s.charAt(p.i)) !== -1 && {v: s.charAt(p.i),            i: p.i + 1},
+                                      string(cs)(p)           = p.i <  s.length && s.substr(p.i, cs.length) === cs && {v: s.substr(p.i, cs.length), i: p.i + cs.length},
+                                      not(n, f)(p)            = p.i >= s.length || f(p) ? false : {v: s.substr(p.i, n), i: p.i + n},
+                                      any(n)(p)               = p.i <  s.length && {v: s.substr(p.i, n), i: p.i + n},
+                                      alt(ps = arguments)(p)  = ps |[x(p)] |seq,
+                                      many(f)(p)              = p /~![f(x) || null] -seq -re- {v: it.slice(1) *[x.v] -seq, i: it[it.length - 1].i} /when [it.length > 1],
+                                      join(ps = arguments)(p) = ps /[p][x0 && x(x0) -se [it && ns.push(it.v)]] -seq -re- {v: ns, i: it.i} /when.it -where [ns = []],
+                                      zero(p)                 = p,
+
+                                      map(parser, f)(p)       = {v: f(result.v), i: result.i} -when.result -where [result = parser(p)],
+
+                                      ident                   = char('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_'),
+                                      digit                   = char('0123456789'),
+                                      hex                     = char('0123456789ABCDEFabcdef'),
+                                      number                  = many(digit) /-map/ "+_.join('')".qf,
+
+                                      end(p)                  = p.i === s.length && p,
+
+                                      // Forward definition of recursive rules
+                                      toplevel(p)             = toplevel(p),
+                                      term(p)                 = term(p),
+                                      atom(p)                 = atom(p),
+
+                                      toplevel                = map(no_pipes /char('|') /-join/toplevel, "node('|', _[0], _[2])".qf) /-alt/ no_pipes
+                                                        -where [no_pipes(p) = no_pipes(p),
+                                                                no_pipes    = map(term /-join/ no_pipes, "node(',', _[0], _[1])".qf) /-alt/ term],
+
+                                      term                    = map(atom /-join/ modifiers, "_[1] -se- it.push(_[0])".qf) /-alt/ atom
+                                                        -where [star          = char('*') /-map/ node,
+                                                                plus          = char('+') /-map/ node,
+                                                                question_mark = char('?') /-map/ node,
+                                                                repetition    = map(char('{') /number /-join/char('}'),                    "node('{', node(_[1]), node(_[1]))".qf) /
+                                                                                map(char('{') /number /char(',') /-join/char('}'),         "node('{', node(_[1]), node(Infinity))".qf) /-alt/
+                                                                                map(char('{') /number /char(',') /number /-join/char('}'), "node('{', node(_[1]), node(_[3]))".qf),
+
+                                                                modifier      = star /plus /-alt/repetition,    // Deliberately omitting question mark, because it can't be non-greedy
+
+                                                                non_greedy    = char('?'),
+                                                                modifiers     = map(modifier /-join/ non_greedy, "_[0] -se [it.data += _[1]]".qf) /modifier /-alt/question_mark],
+
+                                      atom                    = base
+                                                        -where [positive_lookahead = map(string('(?=') /toplevel /-join/string(')'), "node('(?=', _[1])".qf),
+                                                                negative_lookahead = map(string('(?!') /toplevel /-join/string(')'), "node('(?!', _[1])".qf),
+                                                                forgetful_group    = map(string('(?:') /toplevel /-join/string(')'), "node('(?:', _[1])".qf),
+                                                                group              = map(string('(')   /toplevel /-join/string(')'), "node('(',   _[1]) -se- add_group(it)".qf),
+
+                                                                word               = map(many(ident),                                "node(_.join(''))".qf),
+                                                                word_term          = map(string('(?:') /word /-join/string(')'),     "node(_[1])".qf),
+
+                                                                character_class(p) = character_class(p),
+                                                                character_class    = map(each /-join/ character_class, "node(',', _[0], _[1])".qf) /-alt/ each
+
+                                                                             -where [each = map(any(1) /char('-') /-join/any(1), "node('-', node(_[0]), node(_[2]))".qf) /
+                                                                                            map(char('\\') /-join/ any(1),       "node(_.join(''))".qf) /-alt/
+                                                                                            map(not(1, char(']')),               node)],
+
+                                                                character_not_in   = map(string('[^') /character_class /-join/string(']'), "node('[^', _[1])".qf),
+                                                                character_in       = map(string('[')  /character_class /-join/string(']'), "node('[',  _[1])".qf),
+
+                                                                zero_width         = char('^$') /-map/ node,
+                                                                escaped            = map(char('\\') /-join/ char('BbWwSsDdfnrtv0*+.?|()[]{}\\$^'), "node(_.join(''))".qf),
+                                                                escaped_slash      = map(string('\\/'),                                            "node('/')".qf),
+
+                                                                control            = string('\\c') /-join/ any(1)            /-map/ "node(_.join(''))".qf,
+                                                                hex_code           = string('\\x') /hex /-join/hex           /-map/ "node(_.join(''))".qf,
+                                                                unicode            = string('\\u') /hex /hex /hex /-join/hex /-map/ "node(_.join(''))".qf,
+
+                                                                // Fun stuff: Is the backreference within bounds? If not, then reject the second digit. This requires direct style rather than
+                                                                // combinatory, since the parser's behavior changes as the parse is happening.
+                                                                backreference(p)   = map(char('\\') /digit /-join/digit, "+'#{_[1]}#{_[2]}'".qf)(p)
+                                                                                     -re [it && it.v <= context.groups.length ? {v: node('\\', node(it.v), context.groups[it.v]), i: it.i} :
+                                                                                                                                single_digit_backreference(p)]
+
+                                                                             -where [single_digit_backreference = map(char('\\') /-join/ digit,
+                                                                                                                      given.xs in node('\\', node(+xs[1]), context.groups[+xs[1]]))],
+
+                                                                dot                = char('.')              /-map/ node,
+                                                                other              = not(1, char(')|+*?{')) /-map/ node,
+
+                                                                maybe_word         = settings.atom === 'word' ? map(many(ident), "node(_.join(''))".qf) /-alt/ other :
+                                                                                                                other,
+
+                                                                maybe_munch_spaces = settings.atom === 'word' ? many(char(' ')) /-alt/ zero : zero,
+
+                                                                base               = map(maybe_munch_spaces /-join/ alt(positive_lookahead, negative_lookahead, forgetful_group, group,
+                                                                                                                        character_not_in, character_in, zero_width, escaped, escaped_slash,
+                                                                                                                        control, hex_code, unicode, backreference, dot, maybe_word),
+                                                                                         "_[1]".qf)]]]})(caterwaul);
+
+// Generated by SDoc 
+
+// Caterwaul nonlinear parser combinators | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This is a generalization of parser combinators onto nonlinear data structures such as trees or graphs (though it also works with strings). The idea is that a location within a data structure
+// doesn't have to be scalar, though it generally would be when parsing text. In order to define a combinatory parser over a structure, you need to do a few things:
+
+// | 1. Construct a memoization key. This is a function from the input position to a string. Not all parsers are memoized; returning null indicates that memoization shouldn't happen.
+//   2. Provide parser combinators that return new states. Most of the higher-order combinators are general in that they will work with low-level combinators.
+//   3. Provide a function that takes a distance and a value, and returns a list of forward states of that distance that have that value.
+
+// Because this parser combinator library implements a non-backtracking packrat parser, the usual nondeterminism caveats apply.
+
+// Linear paths.
+// Let's assume that we're parsing over a strictly hierarchical tree and that we start at the root (mainly for ease of thought; I think this example is fully general to all DAGs with exactly one
+// in-degree-zero node). We want to parse from the top to the bottom, accumulating all paths that are parseable as arithmetic expressions. So, for example, we might have a tree that looks like
+// this:
+
+// |         (3)
+//          /   \
+//        (+)   (4)
+//        /     / \
+//      (4)   (+) (6)
+//     /   \
+//   (*)   (5)
+//    |     |
+//   (4)   (+)
+
+// Since we're working with a tree, we know that the 'forward' function returns an array of a node's children. So each parse step is really a list of alternatives. Parsing the 'next character' or
+// 'next X' amounts to flat-mapping across forward motions. This will probably make more sense with an example:
+
+// | expression = term '+' expression | term
+//   term       = number '*' term | number
+
+// Starting with 'expression', we parse this way, starting with the roots (in this case, only one):
+
+// | expression(root) = expression( (3) ) -> term( (3) ) -> number( (3) ) -> 3           <- at this point, we've consumed (3) and should move to the next inputs.
+//                        '*'( (+) ) | '+'( (+) ) -> +                                   <- use disjunction to ascend to matching terminal; advance to next inputs.
+//                          expression( (4) ) -> term( (4) ) -> number( (4) ) -> 4       <- right-recursion into expression(), advance.
+//                            '*'( (*) ) -> *                                            <- matching within the term() expansion
+//                              term( (4) ) -> number( (4) ) -> 4                        <- second term() within the term() above
+//                            '*'( (5) ) | '+'( (5) ) -> fail                            <- no match here; reject this subtree
+//                        '*'( (4) ) | '+'( (4) ) -> fail                                <- no match here; reject this subtree
+
+// At the end we have an array of the only surviving alternative, (3 + (4 * 4)). (Presumably the parser combinators are configured to construct parse trees.) This is basically a linear parse that
+// removed alternatives as it went; the result was an array of valid parse trees.
+
+// Leveraging nonlinearity.
+// Nonlinearity comes in handy when you're asking about properties of highly structured data. For example, maybe we want to know whether a Caterwaul syntax tree contains a console.log() statement
+// that follows an assignment to a variable. However, those statements need to occur in the same control flow branch; we can't have them on opposite sides of a conditional. (If we did, then
+// console.log() wouldn't really follow the assignment.) To do this, we first need to define a traversal pattern that follows the evaluation order. This differs from a breadth-first traversal
+// because it needs to become nondeterministic when we hit a decision but be linear when we hit a side-effect like a semicolon.
+
+// We then write this rule to find what we're looking for:
+
+// | log = any* '_variable = _v1' non_decision* 'console.log(_v2)'
+
+// If we run this with nonlinear parsing, we'll get a list of all code paths that end up assigning a variable and then definitely call console.log (barring exceptions). As a nice perk, we'll also
+// get the side-effects leading up to those code paths as well as the statements that happened in between the assignment and the log statement.
+
+caterwaul.js_all()(function ($) {
+
+// Implementation specifics.
+// Unlike some parser combinator implementations, this one provides a way to specify detailed failure information. This gives the user an idea about why and where a parse failed. Also unlike many
+// Javascript parser combinator libraries, this one uses Caterwaul macros to make it easy to build up grammars. Each operator corresponds to a higher-order combinator provided by the Caterwaul
+// parsing library.
+
+// The definitions in the introduction require that the graph is directed, but it is allowed to be cyclic. Perhaps more interestingly, it can also be infinite provided that the parse rules have
+// appropriately-defined termination conditions. This means that you could theoretically use these parser combinators to identify properties of continuous vector fields or other non-discrete
+// directed structures.
+
+  $.parser = capture [
+
+  // Parser type annotation.
+//   This is useful for writing your own parsers or forward definitions. You need to annotate them in order for them to be usable with other combinators. So, for example, suppose we're parsing
+//   arithmetic expressions with parentheses and you need a forward definition for the recursive 'expression' rule. You'd need to annotate the shell function like this:
+
+  // | expression(states) = expression(states),
+//     paren_group        = bfs(linear_string('('), annotate(expression, 'expression', []), linear_string(')')),
+//     sum                = ...,
+//     term               = ...,
+//     expression         = alt(paren_group, sum)
+
+  // Along the same line of thought is the 'parsers' function, which takes an array-like thing of parsers and type-checks each one. It automatically throws an error if any of them doesn't look
+//   like a parser.
+
+    annotate = annotate,
+    parsers  = parsers,
+
+  // Traversal combinators.
+//   Linear parser combinator libraries generally implement a 'seq' or 'join' combinator that causes one parser to be activated and then followed by another one. Because there is only one path to
+//   follow, there isn't a distinction between breadth-first and depth-first searching. When you have multiple paths, though, the ordering becomes important. It may be the case that a path never
+//   ends; in this case breadth-first with eager termination is more useful.
+
+  // Taken outside of the traditional parsing context, traversal combinators can be seen as search strategies. Some searches explore all alternatives simultaneously while others optimistically
+//   search for a single solution and assume that none will devolve into infinite recursion. Some return all solutions, others abandon further searching after a single solution is found. As such,
+//   this parser library implements several different join combinators that embody these different behaviors.
+
+  // Different combinators do different things with the parse values. As a convention, combinators ending with 's' are searches that just return the final values. Combinators ending in 'c' are
+//   collectors that return all of the intermediate values as arrays.
+
+  // The construction of bfc() is a bit gnarly. Here's what's going on. We start off with an array of states, and we need to, in a breadth-first manner, follow each state and collect the
+//   intermediate values. The simplest way to do this is to create a state matrix, where rows are parse paths and columns are steps within each path. So we'd have something like this:
+
+  // | states[0]  ps[0](states[0])  ps[1](ps[0](states[0]))  ...
+//     states[1]  ps[0](states[1])  ps[1](ps[0](states[1]))  ...
+//     states[2]  ps[0](states[2])  ps[1](ps[0](states[2]))  ...
+//     ...
+
+  // The only trouble is that each parser might have multiple or no return states. We solve this by duplicating or removing whichever origin states are necessary to keep the matrix rectangular
+//   and dense. For instance, suppose that ps[0](states[1]) produced two values. Then we'd have this:
+
+  // | states[0]  ps[0](states[0])     ps[1](ps[0](states[0]))     ...
+//     states[1]  ps[0](states[1])[0]  ps[1](ps[0](states[1])[0])  ...
+//     states[1]  ps[0](states[1])[1]  ps[1](ps[0](states[1])[1])  ...
+//     states[2]  ps[0](states[2])     ps[1](ps[0](states[2]))     ...
+//     ...
+
+  // I'm modeling this by representing each row as an array and having the arrays grow rightward as more parsers are used. I was tempted to statefully update the initial arrays, but this is
+//   tricky given that we're potentially cloning them on every step. This logic is captured by step_matrix_mutable(), which optimizes linear cases. (step_matrix_immutable doesn't employ this
+//   optimization, which may be safer if you want to preserve intermediate matrices.)
+
+    bfs(ps = parsers('bfs', arguments), annotate(result, 'bfs', ps))(states) = ps /[states][x /-memo/ x0] -seq,
+    bfc(ps = parsers('bfc', arguments), annotate(result, 'bfc', ps))(states) = ps /[states /!$.parser.state_matrix][step(x)(x0)] /seq /!$.parser.row_composite_states_from
+                                                                               -where [step = $.parser.step_matrix_mutable],
+
+    state_matrix(states)         = states *[[x]] -seq,
+    step_matrix_mutable(p)(m)    = m *~!r[xs.length === 1 ? r.push(xs[0]) && [r] : xs *~[r + [x]] -seq, where [xs = p /-memo_single/ r[r.length - 1]]] -seq,
+    step_matrix_immutable(p)(m)  = m *~!~r[memo_single(p, r[r.length - 1]) *~[r + [x]]] -seq,
+    row_composite_states_from(m) = m *r[r[r.length - 1].map("r.slice(1, r.length) *[x.value()] -seq".qf)] -seq,
+
+  // Choice combinators.
+//   Nonlinearity provides choice among inputs, but we still need combinators to choose grammar productions. There are two such combinators provided by this library. One, alt(), returns the first
+//   possibility that has states. This is useful in linear parsing contexts where a full search is not needed. The other, all(), accumulates every possibility of every sub-parser. This is useful
+//   when it's necessary to search an entire structure.
+
+  // Put differently, alt() introduces a cut into the search, whereas all() does not.
+
+    alt(ps = parsers('alt', arguments), annotate(result, 'alt', ps))(states) = states *~!state[ps   |[x /-memo_single/ state -re [it.length && it]] |seq || []] -seq,
+    all(ps = parsers('all', arguments), annotate(result, 'all', ps))(states) = states *~!state[ps *~![x /-memo_single/ state]] -seq,
+
+  // Repetition combinators.
+//   Because there are multiple types of joining, repetition is not as simple as it is for a linear parser. However, repetition can be expressed as recursion and a join:
+
+  // | repeat(parser) = R -> parser R | parser
+
+  // This library's repetition combinator takes two parameters. One is the parser to be repeated, and the other is the join combinator that is used to connect it to the recursive step. Note that
+//   the output of many() is a right-folded set of binary joins. The funky f(states) = f(states) statement just sets up a temporary function that will proxy to the real 'f' when we redefine it.
+//   This way we have access to 'f' both before and after it exists (and it will do the same thing in either case).
+
+  // If you want to collect an array of many things, you're better off using the 'manyc' combinator -- this returns a flat array rather than a folded one, and knows to use breadth-first with
+//   collection. It's probably also more efficient than using many() if you want all of the intermediate results, especially if the parser behaves linearly and matches many times.
+
+  // Repeating a parser isn't quite as simple as breadth-first collection. The reason is that some states' paths might terminate before others' do. Going back to the matrix model above, this
+//   means that some rows have fewer columns than others. In order to deal with this in a breadth-first way, we need to keep track of which states have terminated and stop iterating those while
+//   simultaneously flat-mapping others. I'm doing this by appending a null entry to terminated arrays. The iteration is done when all rows end with null.
+
+    manyc(p, annotate(result, 'manyc', [p]))(states)   = $.parser.state_matrix(states) /~!step /seq /!$.parser.row_null_states_from
+                                                         -where [iterate = $.parser.step_matrix_mutable_null(p), step(m) = $.parser.has_non_null_states(m) ? iterate(m) : null],
+
+    many(p, join, annotate(result, 'many', [p, join])) = f -where [j = join || $.parser.bfs, f(states) = f(states), f = p /-j/ annotate(f, 'recursive', []) /-$.parser.alt/ p],
+
+    optional(p, annotate(result, 'optional', [p]))     = p /-$.parser.alt/ $.parser.zero(),
+
+    step_matrix_immutable_null(p)(m) = m *~!r[xs ? xs.length ? xs *~[r + [x]] -seq : [r + [null] -seq] : [r], where [xs = r[r.length - 1] -re [it && p /-memo_single/ it]]] -seq,
+    step_matrix_mutable_null(p)(m)   = m *~!r[xs ? l ? l === 1 ? r.push(xs[0]) && [r] : xs *~[r + [x]] -seq : r.push(null) && [r] : [r],
+                                              where [xs = r[r.length - 1] -re [it && p /-memo_single/ it], l = xs && xs.length]] -seq,
+
+    has_non_null_states(m)           = m |r[r[r.length - 1]] |seq,
+    row_null_states_from(ms)         = ms[ms.length - 1] *r[r[r.length - 2].map("r.slice(1, r.length - 1) *[x.value()] -seq".qf)] /seq,
+
+  // Trivial combinators.
+//   Most combinator libraries are modeled to have separate zero-or-more, one-or-more, and zero-or-one functions. This one is different in that it provides a universal zero combinator that
+//   consumes nothing and does nothing. You can use it with alternatives to form optional rules. Similarly uninteresting is the fail combinator, which always rejects its input.
+
+    zero(annotate(result, 'zero', []))(states) = states,
+    fail(annotate(result, 'fail', []))(states) = [],
+
+  // Zero-length combinators.
+//   These don't impact the parse state in any way, but they can cause a parse to fail by rejecting certain branches. They are more commonly known as lookahead combinators.
+
+    match(p,  annotate(result, 'match',  [p]))(states) = states % [memo_single(p, x).length] -seq,
+    reject(p, annotate(result, 'reject', [p]))(states) = states %![memo_single(p, x).length] -seq,
+
+  // Pluralization combinator.
+//   This is used to adapt linear terminal combinators to be used in a nonlinear context. It assumes that the linear combinator maps a truthy parse state into either another truthy parse state or
+//   a null/falsy value.
+
+    pluralize(p, annotate(result, 'pluralize', [p]))(states) = states %~!p -seq,
+
+  // Mapping combinator.
+//   This lets you remain in combinator-space (as opposed to state-space) while mapping over values. There are two such mapping combinators; one is a flat-map and the other is a componentwise
+//   map. Variants exist in case you want access to the state in its entirety.
+
+    map(p, f,            annotate(result, 'map',            [p, f]))(states) = p(states) *[x.map(f)] -seq,
+    flat_map(p, f,       annotate(result, 'flat_map',       [p, f]))(states) = p(states) *~!~[f(x.value()) *y[x.map(delay in y)]] -seq,
+
+    map_state(p, f,      annotate(result, 'map_state',      [p, f]))(states) = p(states) *  [f(x)] -seq,
+    flat_map_state(p, f, annotate(result, 'flat_map_state', [p, f]))(states) = p(states) *~![f(x)] -seq],
+
+// Data type drivers.
+// This is where we tie the parsers to actual data types. Each data type driver should provide these methods:
+
+// | 1. id()               returns an optional memoization key, which is a string -- should be unique for each input position
+//   2. input()            returns the input structure, which the combinators must know how to use
+//   3. position()         returns the current position within the input structure, which the combinators must know how to use
+//   4. value()            returns the current result value
+//   5. next(n, v)         returns an array containing forward steps, each of which has the value 'v'
+//   6. map(f(x))          returns an identical state whose result value is mapped through f
+//   7. memo_table()       returns a consistent reference to the memo table for this parse (the table is just a regular object)
+
+  // Driver generator.
+//   Most driver functions are repetitive enough that it's worth factoring out the common logic. This function takes a few parameters and returns a constructor. The 'options' parameter should be
+//   a hash that looks like this:
+
+  // | {step:     function (position, value) -> [state],
+//      id:       function () -> number
+//      defaults: {position: X, value: Y}}
+
+  // The only mandatory option is 'step', since this has no sensible default. Be sure to remember that step() needs to produce an array! It will cause all kinds of problems if you return a state
+//   that isn't encapsulated in an array.
+
+    $.parser.logical_state(options) = ctor -se- it.prototype /-$.merge/ methods_for(options.step)
+      -where [defaults                  = options.defaults || {},
+
+              default_position          = defaults.position,
+              default_value             = defaults.value,
+              id_function               = defaults.id || "++memo_id".qf,
+
+              ctor(i, p, v, memo_table) = this -se [it.i = i, it.p = p || default_position, it.v = v || default_value, it.table = memo_table || {}],
+
+              methods_for(step)         = capture [id()           = this.cached_id || (this.cached_id = id_function.call(this)),
+                                                   input()        = this.i,  next(n, v)   = n === 1 ? step.call(this, this.p, v) : this.next(n - 1, v) *~![x.next(1, v)] -seq,
+                                                   position()     = this.p,  map(f)       = new this.constructor(this.i, this.p, this.v /!f, this.table),
+                                                   value()        = this.v,  memo_table() = this.table,
+                                                   toString()     = '#{this.i} @ #{this.p} : #{this.v}',
+                                                   change(values) = new this.constructor(values.input || this.i, values.position || this.p, values.value || this.v, this.table)]],
+
+  // String driver.
+//   This is a probably-linear parser. I say probably because it's simple enough to implement a subclass of it that jumps around within the string. However, we don't assume that initially; for
+//   our purposes we just define a linear, forward string traversal pattern.
+
+    $.parser.linear_string_state = capture [step(p, v) = [this.change({position: p + 1, value: v})],
+                                            id()       = this.position(),
+                                            defaults   = {position: 0, value: null}] /!$.parser.logical_state /-$.merge/
+
+                                   capture [end(annotate(result, 'end', []))(states) = states %[x.position() === x.input().length] -seq],
+
+  // String combinators.
+//   Whether you're using linear or nonlinear parsing, you'll probably want some terminal string combinators to work with. These are all regexp-based, hence the dependency on Caterwaul's regexp
+//   parsing extension. Note that this parser is plural, not singular; you won't need to use the pluralize() function with it.
+
+  // Note that regexp() works only in a sequential linear context. If you're doing things like jumping around a string within a single parse step, then you'll need to precompute the jumps by
+//   generating a new string and then parsing against that. (I'm doing it this way for performance in the most common case.) Alternatively, you can write a new regexp() parser combinator that is
+//   aware of jumping.
+
+  // Regular expression matching has worst-case O(n log n) time complexity, where n is the match length. This is done by bisecting the match region until we identify the longest possible match.
+//   It's possible to do this because we know up-front the minimum match length; Caterwaul's regexp library provides this. We then double this until the match fails or we run off the end of the
+//   string. Then we bisect between the minimum and the failure length until we find the point at which the match fails.
+
+    $.merge($.parser, capture [anchor_regexp(r) = new RegExp('^#{body}$', flags) -where [pieces = /^\/(.*)\/(\w*)$/.exec(r.toString()), body = pieces[1], flags = pieces[2]],
+
+                               linear_string(s, annotate(result, 'linear_string', [s]))(states) = states *~![x.input().substr(x.position(), s.length) === s ? x.next(s.length, s) : []] -seq,
+                               linear_regexp(r, annotate(result, 'linear_regexp', [r]))         = matcher
+                                                                                          -where [minimum_length   = $.regexp(r).minimum_length() || 1,
+                                                                                                  anchored         = r /!$.parser.anchor_regexp,
+                                                                                                  matcher(states)  = states *~!match_one -seq,
+                                                                                                  match_one(state) = new_states
+                                                                                                             -where [s              = state.input(),
+                                                                                                                     offset         = state.position(),
+                                                                                                                     maximum_length = s.length - offset,
+
+                                                                                                                     match(l)       = l <= maximum_length && anchored.test(s.substr(offset, l)),
+                                                                                                                     longest(l)     = l /!match ? longest(l << 1) : l,
+                                                                                                                     valid(l, m, u) = l < u - 1 ? m /!match ? valid(m, m + u >> 1, u) :
+                                                                                                                                                              valid(l, l + m >> 1, m) : m,
+
+                                                                                                                     new_states     = minimum_length /!match ?
+                                                                                                                                        state.next(match_length,
+                                                                                                                                                   anchored.exec(s.substr(offset, match_length)))
+                                                                                                                                        -where [max          = minimum_length /!longest,
+                                                                                                                                                match_length = valid(minimum_length,
+                                                                                                                                                                     minimum_length + max >> 1,
+                                                                                                                                                                     max)] :
+                                                                                                                                        []]]]),
+
+  // Structure driver.
+//   This is used when you have a set of objects and/or arrays. The idea is to traverse the structure from the top down in some way, optionally collecting path-related information. Atoms, then,
+//   are the keys that dereference elements in the structure.
+
+    $.parser.structure_state = capture [step(p, v) = this.input() /pairs *[this.change({input: x[1], position: x[0]})] -seq] /!$.parser.logical_state,
+
+  // Array-like driver.
+//   This is used when you know that you've got objects that will support array-like traversal patterns. Caterwaul syntax trees fall into this category. This is distinct from the structure driver
+//   above because it doesn't iterate through properties, just from 0 to the last element as determined by the 'length' property.
+
+    $.parser.array_state     = capture [step(p, v) = this.input() *[this.change({input: x, position: xi})] -seq] /!$.parser.logical_state,
+
+  // Structure combinators.
+//   Unlike string combinators, some of these are based on position and others are based on value predicates. This is due to the common use case for structural parsing: we want to traverse some
+//   structure and manipulate values based on some property of their paths. Terminal combinators, then, accept or reject paths based on their current position. What we actually need is a
+//   higher-order combinator that maps the current state's position into value-space. More generally, we need a proxy for a state that can map any aspect of that state into its value space.
+
+    $.merge(($.parser.proxy_state(s, value_function) = this -se [it.state = s, it.value_function = value_function]).prototype,
+
+    capture [id()       = this.cached_id || (this.cached_id = ++memo_id),
+             input()    = this.value_function.call(this),  next(n, v)   = this.state.next(n, v),
+             position() = this.state.position(),           map(f)       = this.state.map(f),
+             value()    = this.state.value(),              memo_table() = this.state.memo_table()]),
+
+    $.parser /-$.merge/ capture [position_state(s)   = new $.parser.proxy_state(s, "this.position()".qf),
+                                 position(p)(states) = p(states *$.parser.position_state -seq)],
+
+// Memoization.
+// This happens at the combinator level. Each combinator generated by the parser is assigned a unique identifier (this happens automatically), and that identifier is then used to track the
+// memoization partition.
+
+  where [memoization_key       = $.gensym('memo'),
+         memo_id               = 0,
+
+         memo_single(f, state) = value -where [f_key = f[memoization_key] || (f[memoization_key] = ++memo_id),
+                                               s_key = state.id(),
+                                               table = state.memo_table(),
+                                               key   = '@#{s_key}_#{f_key}',            // Prefix with @ to eliminate the possibility of collisions with other properties
+                                               value = f_key && s_key && table.hasOwnProperty(key) ? table[key] : (table[key] = f([state]))],
+
+         memo(f, states)       = states *~![f /-memo_single/ x] -seq,
+
+// Argument conversion.
+// These functions are used both to verify incoming arguments and to annotate results. Caterwaul parser combinators are marked with the 'caterwaul_parser' attribute; this indicates that the
+// function can be used with other Caterwaul parsers.
+
+         parsers(name, xs)     = xs *! [x                  || raise [new Error('#{name}: undefined parser given as parameter #{xi}')]]
+                                    *~![x instanceof Array ? x : [x]]
+                                    *! [x.caterwaul_parser || raise [new Error('#{name}: #{x} is not marked with the .caterwaul_parser attribute')]] -seq,
+
+         annotate(f, name, xs) = f -se [it.toString()       = '#{name}(#{xs *[x.toString()] -seq -re- it.join(", ")})',
+                                        it.caterwaul_parser = true]]})(caterwaul);
+
+// Generated by SDoc 
+
+
+// Generated by SDoc 
+
+
+
+
+
+// Ruby function setup.
+// This just sets up caterwaul.ruby() to delegate to the appropriate parse method. It's important to do this first so that other files have a place to store things.
+
+caterwaul.ruby = function () {return caterwaul.ruby.parse.apply(this, arguments)};
+
+// Generated by SDoc 
+
+// Caterwaul Ruby parser | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This file adds a ruby() method to the global caterwaul object. The ruby() method takes an object that responds to toString() and parses it according the grammar defined in Ruby 1.9.2's
+// parse.y, along with the syntax that Ruby 1.8 and 2.x add or take away (see 'Dialects' below). The parse tree is returned as a Caterwaul parse tree, and you can use the normal wildcard syntax
+// to match against it.
+
+// This parser is written differently from the Caterwaul Javascript parser in a couple of ways. First, it's written in combinatory style instead of being an operator-precedence parser. This makes
+// it slower but easier to maintain; memoization keeps it linear-time (see 'Parse states' below), but not fast. The other difference is that this parser annotates each node with its original
+// position within the source code, and it records comments. This allows nearly complete reconstruction of the original source from the parse tree. These additional attributes are stored on
+// syntax nodes:
+
+// | caterwaul.ruby('def foo; end').comments()     // -> []
+//   caterwaul.ruby('def foo; end').position()     // -> {line: 0, column: 0}
+//   caterwaul.ruby('def foo; end').data           // -> 'def'
+
+// Comment nodes are stored in the usual kind of form; that is, they're unary nodes whose operator is the type of comment that was used. For example:
+
+// | caterwaul.ruby('# hi there\nfoo').comments()[0].data          // -> '# hi there'
+//   caterwaul.ruby('# hi there\nfoo').comments()[0].comments()    // -> []
+//   caterwaul.ruby('# hi there\nfoo').comments()[0].position()    // -> {line: 0, column: 0}
+//   caterwaul.ruby('# hi there\nfoo').position()                  // -> {line: 1, column: 0}
+//   caterwaul.ruby('# hi there\nfoo').data                        // -> 'foo'
+
+caterwaul.js_all()(function ($) {
+
+// Implementation.
+// Most syntax forms are parsed in a straightforward way, though some are more involved. Invocation nodes are probably the most different from the way they're represented in Javascript. Both the
+// receiver and the optional block are children of the () node; the layout is [receiver, method_name, arguments, block]. Implicit receivers are denoted with an 'implied self' node.
+
+// Do-blocks and braces are distinct despite being semantically equivalent. The reason has to do with precedence folding, which is implemented during the parse but after combinatory lexing. The
+// code should also be visually reconstructible back into its original form.
+
+// Like Javascript syntax trees, keywords and such are represented as data with no other metadata to distinguish them. This can be a little tricky because certain keywords can be used as method
+// names; however, the ambiguity can be resolved by checking for the presence or absence of children. Leaf nodes are always identifiers or nullary keywords, whereas nontrivial nodes are always
+// operators of some sort. This parser preserves Caterwaul's convention of denoting invocation-like things with matching braces, and container types such as hashes and arrays with just opening
+// braces. So, for instance, 'x {foo}' uses a '{}' node because it's an executable block, whereas '{foo => bar}' uses a '{' node because it's a data container.
+
+// This parser is designed using Ruby's parse.y, though none of parse.y is included verbatim here (not sure what this means for licensing...). The parsing structure is also somewhat different;
+// like Caterwaul's parser, this one is looser about parsing things than Ruby's grammar since we can conveniently assume that the input is well-formed. In particular, here are the forms it knows
+// how to parse:
+
+// | def _x._y _params \n _stuff end                       ("def" ("." _x _y) _params _stuff)
+//   def _x _params \n _stuff end                          ("def" _x _params _stuff)
+//   def _x._y(_params) _stuff end                         ("def" ("." _x _y) _params _stuff)
+//   def _x(_params) _stuff end                            ("def" _x _params _stuff)
+//   class _name _stuff end                                ("class" _name () _stuff)
+//   class _name < _parent _stuff end                      ("class" _name _parent _stuff)
+//   class << _x _stuff end                                ("class" ("<<" _x) _stuff)
+//   module _name _stuff end                               ("module" _name _stuff)
+//   alias _v1 _v2                                         ("alias" _v1 _v2)
+//   undef _m1, _m2, ...                                   ("undef" _m1 _m2 ...)
+
+// | _e1 _modifier _e2                                     ("_modifier" _e1 _e2)                                   _modifier <- [if unless while until rescue]
+//   _e1 _op _e2                                           ("_op" _e1 _e2)                                         _op <- [+ - * / ...]
+//   _m _e1, _e2, ..., _en                                 ("()" (implied self) _m ("," _e1 _e2 ... _en) (""))
+//   _r._m _e1, _e2, ..., _en                              ("()" _r _m ("," _e1 _e2 ... _en) (""))
+//   _r._m _e1, _e2, ..., _en do _params _stuff end        ("()" _r _m ("," _e1 _e2 ... _en) ("do" _params _stuff))
+//   _r._m(_e1, _e2, ..., _en) do _params _stuff end       ("()" _r _m ("," _e1 _e2 ... _en) ("do" _params _stuff))
+//   _r._m(_e1, _e2, ..., _en) { _params _stuff }          ("()" _r _m ("," _e1 _e2 ... _en) ("{}" _params _stuff))
+//   _r._m do _params _stuff end                           ("()" _r _m (",") ("do" _params _stuff))
+//   _r._m { _params _stuff }                              ("()" _r _m (",") ("{}" _params _stuff))
+//   _r&._m(_e1, _e2, ..., _en)                            ("&." _r _m ("," _e1 _e2 ... _en) (""))                   <- the same layout as "()", with or without a block
+//   ->(_params) { _stuff }                                ("->" _params ("{}" (",") _stuff))                      <- also '-> _params do _stuff end', with a "do" node
+//   {_k1 => _v1, _k2 => _v2, ...}                         ("{" ("," ("=>" _k1 _v1) ("=>" _k2 _v2) ...))
+//   {_k1: _v1, _k2: _v2, ...}                             ("{" ("," (":" _k1 _v1) (":" _k2 _v2) ...))
+//   [_e1, _e2, ...]                                       ("[" ("," _e1 _e2 ...))
+//   _r[_e1, _e2, ...]                                     ("[]" _r ("," _e1 _e2 ...))
+//   _r[_e1, ...] = _v                                     ("=" ("[]" _r ("," _e1 ...)) _v)
+//   _e1.._e2                                              (".." _e1 _e2)                                          <- likewise for ...
+
+
+// String literals come in several forms, all of which are parsed. A string without any interpolation is a leaf whose data is the literal source text, delimiters and all. Interpolated strings
+// become nodes whose data is the opening delimiter; the children are the raw text segments (as leaves) interleaved with the interpolated expressions:
+
+// | '_text'                                               '_text'
+//   "_text"                                               "_text"
+//   "_t1 #{_e} _t2"                                       ("\"" _t1 ("#{" _e) _t2)
+//   "_t1 #@_ivar"                                         ("\"" _t1 ("#" @_ivar))
+//   `_t1 #{_e}`                                           ("`" _t1 ("#{" _e))
+//   %Q(_t1 #{_e})                                         ("%Q(" _t1 ("#{" _e))                                   <- %q, %Q, %x and bare % work with any delimiter
+//   %w[_w1 _w2]                                           ("%w[" _w1 _w2)                                         <- likewise for %W, %i and %I
+//   %W[_w1 #{_e}_w2]                                      ("%W[" _w1 ("" ("#{" _e) _w2))
+//   <<-EOS \n _t1 #{_e} _t2 \n EOS                        ("<<-EOS" _t1 ("#{" _e) _t2)
+
+// Symbols, regexps and character literals follow the same rule. Quoted symbols with interpolation are ':"' nodes. An interpolated regexp's data is its literal with the body left out, so that
+// the flags are kept:
+
+// | :_name                                                :_name                                                  <- also :+, :[]=, :name= and :"quoted name"
+//   :"_t1 #{_e}"                                          (":\"" _t1 ("#{" _e))
+//   /_t1/_flags                                           /_t1/_flags                                             <- likewise %r{_t1}_flags
+//   /_t1 #{_e}/_flags                                     ("//_flags" _t1 ("#{" _e))
+//   %r{_t1 #{_e}}_flags                                   ("%r{}_flags" _t1 ("#{" _e))
+//   ?_c                                                   ?_c                                                     <- numbers are leaves too, with any radix, underscores and r/i suffixes
+
+// The body of a regexp without interpolation can be read and replaced as a Caterwaul regexp tree (see regexp.js), so it can be inspected and rewritten structurally. regexp() returns null
+// for interpolated regexps and for bodies that Caterwaul's regexp parser doesn't understand, such as Ruby's named groups. A new body keeps the original delimiters and flags:
+
+// | caterwaul.ruby('/a[bc]+/i').regexp().structure()     // -> ("," a ("+" ("[" ("," b c))))
+//   caterwaul.ruby('/a[bc]+/i').regexp().i()             // -> true
+//   caterwaul.ruby('x =~ /a/').regexp()                  // -> null; it only applies to regexp leaves
+//   caterwaul.ruby('%r{a}m').regexp(caterwaul.regexp('/b+/')).data      // -> '%r{b+}m'
+
+  $.ruby.syntax = ctor /-$.syntax_subclass/ methods
+
+  -where [ctor(xs = arguments) = xs[0] instanceof this.constructor ?
+                                   this -se [it.data = x.data, it.length = 0, it.metadata_from(x), x *![it.push(x)] -seq, where [x = xs[0]]] :
+                                   this -se [it.data = xs[0],  it.length = 0, it._comments = [], it._position = null, it._end = null, it._original = null, it._kind = null,
+                                             Array.prototype.slice.call(xs, 1) *![this.push(x)] -seq],
+
+          methods              = capture [comments()                = this._comments,
+                                          comment(c)                = this -se- it._comments.push(c),
+                                          position(p)               = arguments.length ? this -se [it._position = p] : this._position,
+                                          kind(k)                   = arguments.length ? this -se [it._kind = k] : this._kind,
+                                          regexp(r)                 = arguments.length ? this -se [it.data = regexp_with(it.data, r)] : regexp_of(this),
+
+                                          span()                    = (spanned(o) ? {start: place(o, o.start), end: o.end > o.start ? place(o, o.end - 1) -se [it.column += 1, it.offset += 1] : place(o, o.end)}
+                                                                                  : null) -where [o = this._original],
+                                          source()                  = (spanned(o) ? o.input.substring(o.start, o.end) : null) -where [o = this._original],
+
+                                          position_map(m)           = this -se [it.position(m instanceof Function ? m(it.position()) : m[it.position()]), it._comments *![x.position_map(m)] -seq,
+                                                                                  it.each("_.position_map(m)".qf)],
+
+                                          replicate(xs = arguments) = new this.constructor(xs[0]).metadata_from(this) -se [Array.prototype.slice.call(xs, 1) *![it.push(x)] -seq],
+
+                                          metadata_from(n)          = this -se [it._comments = n._comments.slice(), it._position = n._position, it._end = n._end, it._original = n._original, it._kind = n._kind],
+                                          rotate_left()             = child.replicate.apply(child, [child.data, this.replicate.apply(this, [this.data].concat(leading, [child[0]]))].concat(trailing))
+                                                                      -where [child    = this[this.length - 1],
+                                                                              leading  = Array.prototype.slice.call(this, 0, this.length - 1),
+                                                                              trailing = Array.prototype.slice.call(child, 1)]],
+
+          spanned(o)           = !! o && o.start !== null && o.end !== null,
+          place(o, i)          = o.positions(i) -re- {offset: i, line: it.line, column: it.column},
+
+          regexp_literal(d)    = (m && {open: m[1], body: m[3], close: m[2] ? closer(m[2]) : '/', flags: m[4]}) -where [m = /^(\/|%r([^\w\s]))([\s\S]*)[^\w\s]([a-z]*)$/.exec(d)],
+          closer(c)            = {'(': ')', '[': ']', '{': '}', '<': '>'}[c] || c,
+
+          regexp_of(n)         = (l && ! n.length && ! /\n/.test(l.body) ? $.regexp('/' + l.body + '/' + l.flags.replace(/[^im]/g, '')) : null) -rescue- null -where [l = regexp_literal(n.data)],
+          regexp_with(d, r)    = (l ? l.open + (l.open.charAt(2) === l.close || l.open === '/' ? escaped(r.toString(), l.close) : r.toString()) + l.close + l.flags
+                                    : raise [new Error('caterwaul.ruby: regexp() can only replace the body of a regexp literal')])
+                                 -where [l             = regexp_literal(d),
+                                         escaped(s, c) = s.replace(/\\[\s\S]|[\s\S]/g, given.x in (x === c ? '\\' + x : x))]],
+
+// Parse states.
+// The parser runs on its own kind of linear string state. Caterwaul's memoization is keyed by state identity, and the stock string state gives every state object a new identity; since each step
+// of the parse makes new state objects, a rule that's reached twice at the same offset along different paths would be parsed twice, and nested constructs can be reparsed many times over. Ruby
+// parse states are identified by their offset instead, which makes memoization a proper packrat table: each parser runs at most once per offset, so parsing is linear in the size of the input.
+// The table is partitioned by offset as well, which keeps each partition small instead of building one object with an entry for every parser at every offset.
+
+// Each state also carries the parse context that parse() builds (heredoc tables, comments, failures and scopes). Heredoc bodies are parsed through states with a shorter input, so they get
+// memo tables of their own but share the context.
+
+  $.ruby.parse_state = capture [step(p, v) = [this.change({position: p + 1, value: v})], defaults = {position: 0, value: null, id: "this.p + 1".qf}] /!$.parser.logical_state
+                       -se- it.prototype /-$.merge/ capture [memo_table() = this.table.offsets[this.p] || (this.table.offsets[this.p] = {}),
+                                                              context()    = this.table.context],
+
+  $.ruby.parse_state.at(input, position, context) = new $.ruby.parse_state(input, position, null, {offsets: [], context: context}),
+
+// Positional mapping.
+// Positions are computed from an index of the newlines in the input, and only for the offsets that nodes and comments actually start at. A newline character belongs to the line it ends,
+// so its column is that line's length; the same rule places the end of the input just after its last character, which is where syntax errors at the end are reported.
+// position_map() takes either a function like this one or a table indexed by offset.
+
+// As with all Caterwaul parsers, this one calls .toString() on its input to make sure that the input is, in fact, a string.
+
+  // Heredocs.
+//   Heredocs are the one construct that can't be parsed left-to-right: the body starts on the line after the header, which means that the rest of the header line has to be parsed first, and then
+//   the body has to be skipped when the parser reaches the end of that line. To deal with this, parse() makes a pass over the input before parsing anything and builds two tables. One maps the
+//   offset of each heredoc header to a description of its body, and the other maps the newline at the end of each header line to the end of the last body that follows it. The parser finds both
+//   tables in the memo table of its parse state.
+
+  // A header whose terminator never turns up doesn't skip anything, since it might be inside a string or a regexp. If the parser does reach it as a heredoc, the heredoc fails to match, and if
+//   the parse then fails the SyntaxError points at the header instead of wherever the parser happened to give up.
+
+  // A header is '<<', '<<-' or '<<~' followed by a quoted terminator or a bare one. Bare terminators have to be in capitals unless the '-' or '~' is present; otherwise 'class <<self' and 'x <<y'
+//   would both be mistaken for heredocs.
+
+  // Comments.
+//   The whitespace scanner records every comment it skips in the parse context, keyed by offset; recording the same comment twice is harmless, so backtracking doesn't matter. Once the parse is
+//   done, each comment becomes a node and is attached to a statement. A comment that follows code on its line belongs to the last statement starting before it, and a comment on a line by itself
+//   belongs to the next statement. If there's no next statement it goes to the last one indented no further than the comment, and failing that to the toplevel node. '=begin' blocks and the
+//   '__END__' data section are comments too, and they're always on lines by themselves.
+
+  // Original source.
+//   After the parse, every node gets an _original record: the source string, the node's data and children as they were parsed, and the range of offsets it came from. A node's range runs from its
+//   own start (or its first child's) to the furthest end among itself and its children, less any trailing horizontal whitespace picked up after a keyword or closing bracket. Sequences cover just
+//   their statements, and a heredoc covers just its header because its body isn't next to it. The toplevel node covers the whole input. Printers use these records to reproduce unmodified
+//   subtrees exactly.
+
+  // Spans.
+//   The same records give each node its span: the offsets where its text starts and ends, each with its line and column. position() is where the node's own token starts, so for an operator
+//   it's the operator, but a span covers the node's children too. The end is exclusive, and its column is the one just past the last character. source() returns the text in between. Nodes
+//   that didn't come from a parse (new nodes, and trees rebuilt from JSON) have neither:
+
+  // | caterwaul.ruby('x = 1\nfoo(a,\n    b)')[1].span()     // -> {start: {offset: 6, line: 1, column: 0}, end: {offset: 19, line: 2, column: 6}}
+//     caterwaul.ruby('x = 1\nfoo(a,\n    b)')[1].source()   // -> 'foo(a,\n    b)'
+//     caterwaul.ruby('a + b')[0].position()               // -> {line: 0, column: 2}
+//     caterwaul.ruby('a + b')[0].span().start             // -> {offset: 0, line: 0, column: 0}
+
+  // Sources.
+//   parse() does its work through caterwaul.ruby.source(), which wraps an input string together with its heredoc tables, its newline index and its parse context. A source can parse the
+//   whole input, or a single statement starting at a given offset, and it can attach a list of comments to a tree whose positions have already been mapped; reparse() uses the latter two.
+//   Both take the same options as caterwaul.ruby(). The version goes into the parse context, where the parsers for newer forms look for it, and into each node's _original record, so that
+//   reparse() can parse an edited tree the way it was parsed the first time.
+
+  // Parse errors.
+//   Named terminals (keywords, punctuation, identifiers, literals and so on) record themselves in the parse context whenever they fail to match. Only the failures at the furthest offset are
+//   kept, since that's as far as any alternative got before the input stopped making sense, and the end of the input counts as a terminal so that trailing garbage is reported too. If the parse
+//   fails, these become a caterwaul.ruby.SyntaxError with the offset, its line and column (zero-based, like the ones position_map() assigns to nodes), the names of the terminals that would have
+//   worked there and an excerpt of the offending line:
+
+  // | try {caterwaul.ruby('foo(1) )')} catch (e) {[e.line, e.column]}    // -> [0, 7]
+//     try {caterwaul.ruby('foo(1) )')} catch (e) {e.expected}            // -> ["'{'", "'do'", "'::'", ...]
+
+  $.ruby.parse(s, options) = $.ruby.source(s, options).tree(),
+
+  $.ruby.source(s, options) = capture [input                   = input,
+                                       version                 = version,
+                                       context                 = context,
+                                       positions               = positions,
+                                       position_of             = position_of,
+                                       offset_of(p)            = (p.line ? newlines[p.line - 1] + 1 : 0) + p.column,
+
+                                       tree()                  = program().value() /!record_originals -re- attach_comments(it, comment_nodes(0, input.length), "_.position()".qf)
+                                                                 -re- it.position_map(positions),
+                                       statement_at(i, scopes) = [$.ruby.parse_state.at(input, i, {} /-$.merge/ context /-$.merge/ {scopes: scopes, failure: {offset: -1, expected: []}})]
+                                                                 /!$.ruby.parser.statement -re [it[0] && it[0].value() /!remember],
+                                       comments_between        = comment_nodes,
+                                       attach_comments         = attach_comments]
+                     -where [input           = s.toString(),
+                             version         = $.ruby.version(options),
+                             heredoc_context(input) = {heredocs: heredocs, skips: skips, any: !! next_header(0), comments: {}, failure: {offset: -1, expected: []},
+                                                                       scopes: {names: {}, live: [], opened: []}, version: version} -se- scan(0)
+                             -where [heredocs             = {},
+                                     skips                = {},
+                                     header_regexp        = /<<([-~]?)(?:(['"`])([^'"`\r\n]+)\2|([A-Za-z_]\w*))/g,
+
+                                     next_header(i)       = header_regexp -se [it.lastIndex = i] -re- it.exec(input) -re [! it || is_header(it) ? it : next_header(it.index + 2)],
+                                     is_header(m)         = (m[1] || m[2] || /^[A-Z_][A-Z0-9_]*$/.test(m[4])) && ! /^[ \t]*#/.test(input.substring(input.lastIndexOf('\n', m.index) + 1, m.index))
+                                                            && (m[1] !== '~' || $.ruby.supports(version, 'squiggly_heredocs')),
+                                     line_end(i)          = input.indexOf('\n', i) -re [it < 0 ? input.length : it],
+
+                                     scan(i)              = (m && scan(record_line(m, line_end(m.index)))) -where [m = next_header(i)],
+                                     record_line(m, e)    = record_from(m, e, e + 1) - 1 -se [it > e && (skips[e] = it)],
+                                     record_from(m, e, b) = m && m.index < e ? record_from(next_header(m.index + m[0].length), e, record(m, b)) : b,
+                                     record(m, b)         = entry(m, b, terminator(m, b)) -se [heredocs[m.index] = it] -re [it.terminated ? it.end + 1 : b],
+
+                                     terminator(m, b)     = new RegExp('^' + (m[1] ? '[ \\t]*' : '') + (m[3] || m[4]).replace(/[\\^$.*+?()\[\]{}|\/]/g, '\\$&') + '\\r?$', 'mg')
+                                                            -se [it.lastIndex = b] -re- it.exec(input),
+
+                                     entry(m, b, t)       = {length:     m[0].length,   indented:      !! m[1],         squiggly:   m[1] === '~',
+                                                             terminator: m[3] || m[4],  interpolating: m[2] !== "'",    terminated: !! t,
+                                                             body_start: b,             body_end:      t ? t.index : input.length,
+                                                             end:        t ? t.index + t[0].length : input.length}],
+
+                             context         = input /!heredoc_context,
+                             state           = $.ruby.parse_state.at(input, 0, context),
+                             newlines        = [] -se [n[input.length] *![input.charCodeAt(x) === 10 && it.push(x)] -seq],
+                             newlines_upto(i, l, u) = (l < u ? newlines[m] < i ? newlines_upto(i, m + 1, u) : newlines_upto(i, l, m) : l) -where [m = l + u >> 1],
+                             position_of(i)  = {line: line, column: i - (line ? newlines[line - 1] : -1) - 1} -where [line = newlines_upto(i, 0, newlines.length)],
+                             positions(i)    = i === null || i >= input.length ? null : position_of(i),
+
+                             excerpt(i)      = line + '\n' + line.substring(0, i - start).replace(/[^\t]/g, ' ') + '^'
+                                               -where [start = input.lastIndexOf('\n', i - 1) + 1, line = input.substring(start, input.indexOf('\n', start) -re [it < 0 ? input.length : it])],
+                             syntax_error(f) = new $.ruby.SyntaxError(offset, position_of(offset), f.expected, excerpt(offset)) -where [offset = Math.max(f.offset, 0)],
+
+                             program()       = [state] /!$.ruby.parser -re- it[0] || raise [syntax_error(context.unterminated || context.failure)],
+
+                             original(n, cs, s, e)    = {input: input, heredocs: context.heredocs, positions: position_of, version: version, data: n.data, children: cs, start: s, end: e},
+                             record_originals(t)      = t -se [remember(it), it._original.start = 0, it._original.end = input.length],
+                             remember(n)              = n -se [it.each(remember), it._original = original_of(it)],
+
+                             defined(xs)              = xs %[x !== null && x !== undefined] -seq,
+                             trim_end(s, e)           = (m ? trim_end(s, e - m[0].length) : e) -where [m = e > s && /(?:[ \t\r\f]|\\\r?\n)$/.exec(input.substring(Math.max(s, e - 3), e))],
+                             is_heredoc(n, p)         = p !== null && /^<<./.test(n.data) && context.heredocs.hasOwnProperty(p),
+
+                             original_of(n)           = original(n, children, start, ! ends.length ? start : n.length ? trim_end(start, Math.max.apply(Math, ends)) : ends[0])
+                                                        -where [children = Array.prototype.slice.call(n),
+                                                                spans    = children *[x._original] %[x.start !== null] -seq,
+                                                                own      = n.data === ';' && spans.length ? null : n.position(),
+                                                                own_end  = own === null ? null : n._end !== null ? n._end : n.length || n.data === 'implied self' ? own : own + n.data.length,
+                                                                starts   = defined([own].concat(spans *[x.start] -seq)),
+                                                                ends     = defined([own_end].concat(is_heredoc(n, own) ? [] : spans *[x.end] -seq)),
+                                                                start    = starts.length ? Math.min.apply(Math, starts) : null],
+
+                             comment_nodes(s, e)      = Object.keys(context.comments) %[+x >= s && +x < e] *[new $.ruby.syntax(context.comments[x]).position(+x)
+                                                                                                      -se [it._original = original(it, [], +x, +x + it.data.length)]] -seq
+                                                        -re- it.sort(given[a, b] in a.position() - b.position()),
+
+                             statements_in(t)         = [] -se [t.data === ';' || collect(it, t), t.each(given.x in visit(it, x, t.data === ';'))],
+                             visit(xs, n, statement)  = (statement && n.position() !== null && collect(xs, n), n.each(given.x in visit(xs, x, n.data === ';'))),
+                             collect(xs, n)           = xs.push(n),
+
+                             line_start(p)            = input.lastIndexOf('\n', p - 1) + 1,
+                             follows_code(p)          = /\S/.test(input.substring(line_start(p), p)),
+                             outdented(p, q)          = p - line_start(p) <= q - line_start(q),
+                             attach_comments(t, cs, offset) = t -se [cs *![owner(x, offset(x)).comment(x)] -seq]
+                                                              -where [ss              = statements_in(t) *[[x, offset(x)]] -seq -re- it.sort(given[a, b] in a[1] - b[1]),
+                                                                      first_after(p)  = ss |[x[1] >= p && x[0]] |seq,
+                                                                      last_before(p)  = ss %[x[1] <= p] -seq -re [it.length && it[it.length - 1][0]],
+                                                                      last_outside(p) = ss %[x[1] <= p && outdented(x[1], p)] -seq -re [it.length && it[it.length - 1][0]],
+                                                                      owner(c, p)     = (follows_code(p) ? last_before(p) : first_after(p) || last_outside(p)) || t]],
+
+  $.ruby.SyntaxError = syntax_error -se [it.prototype = new Error() -se [it.name = 'caterwaul.ruby.SyntaxError', it.constructor = syntax_error]]
+                       -where [syntax_error(offset, position, expected, excerpt) = this -se [it.offset = offset, it.line = position.line, it.column = position.column, it.expected = expected,
+                                                                                             it.excerpt = excerpt, it.message = message(it), it.stack = new Error(it.message).stack],
+                               message(e)   = 'caterwaul.ruby.parse: syntax error on line #{e.line + 1}, column #{e.column + 1}#{expecting(e.expected)}\n#{e.excerpt}',
+                               expecting(xs) = xs.length ? '; expected ' + (xs.length > 8 ? xs.slice(0, 8).concat(['...']) : xs).join(', ') : ''],
+
+// Dialects.
+// The parser knows three versions of Ruby's syntax: '1.8', '1.9' and '2.x'. The version is an option to caterwaul.ruby(), and it defaults to '2.x', which accepts the most. Each form that's
+// newer than 1.8 (or that 1.9 dropped) is a feature, which is listed here with the first and last versions that have it. A form that the chosen version doesn't have isn't parsed at all, so it
+// comes out as a syntax error just like any other input that the version can't parse:
+
+// | caterwaul.ruby('f(a: 1)').structure()                             // -> ("()" (implied self) f ("," (":" a 1)) "")
+//   caterwaul.ruby('f(a: 1)', {version: '1.8'})                       // -> throws caterwaul.ruby.SyntaxError
+//   caterwaul.ruby.supports('1.9', 'safe_navigation')                 // -> false
+
+// Ruby 1.8 takes parameters only in the order mandatory, optional, splat, block, and arguments only with splats and block arguments last; 'trailing_parameters' and 'trailing_arguments' lift
+// those limits. '0o' octal prefixes, block-local variables ('|a; b|'), block parameter defaults ('|a, b = 1|'), quoted labels ('"a": 1') and destructuring method parameters
+// ('def f((a, b))') are features as well.
+
+// The operators themselves are the same in all three versions, so there's one precedence table. '&.' is parsed as a postfix like '.', '->' as an operand and '**' as a prefix in argument and
+// parameter lists, and each of them is a feature.
+
+  $.ruby.versions = '1.8 1.9 2.x'.qw,
+
+  $.ruby.features = {labels:             ['1.9', '2.x'],            lambdas:            ['1.9', '2.x'],            colon_then:        ['1.8', '1.8'],
+                     trailing_parameters: ['1.9', '2.x'],           trailing_arguments: ['1.9', '2.x'],            block_locals:      ['1.9', '2.x'],
+                     octal_prefixes:     ['1.9', '2.x'],            string_labels:      ['2.x', '2.x'],
+                     keyword_parameters: ['2.x', '2.x'],            double_splats:      ['2.x', '2.x'],            symbol_lists:      ['2.x', '2.x'],
+                     safe_navigation:    ['2.x', '2.x'],            squiggly_heredocs:  ['2.x', '2.x'],            number_suffixes:   ['2.x', '2.x'],
+                     destructuring_parameters: ['1.9', '2.x'],      block_parameter_defaults: ['1.9', '2.x']},
+
+  $.ruby.supports(version, feature) = ($.ruby.versions.indexOf(range[0]) <= v && v <= $.ruby.versions.indexOf(range[1]))
+                                      -where [v = $.ruby.versions.indexOf(version), range = $.ruby.features[feature]],
+
+  $.ruby.version(options) = (options && options.version !== undefined ? options.version : '2.x')
+                            -re [$.ruby.versions.indexOf(it) >= 0 ? it : raise [new Error('caterwaul.ruby: unknown version #{it}; expected one of ' + $.ruby.versions.join(', '))]],
+
+// Operator precedence.
+// Operators are numbered from tightest to loosest binding; operators on the same level share a number. The parser uses this table to rearrange operator nodes as it builds them, and anything
+// that prints trees uses it to decide where parentheses are needed.
+
+  $.ruby.precedence = (ops1 + ops2) *[[x, precedence += x === '#']] %[x[0] !== '#'] -object -seq
+                      -where [precedence = 1,
+                              ops1       = ". :: # u! u~ u+ # ** # u- # * / % # + - # << >> # & # | ^ # > >= < <= # <=> == === != =~ !~ # && # || # .. ... # ? #".qw,
+                              ops2       = "rescue # = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= # defined? # not # and or # if unless while until".qw],
+
+  $.ruby.right_associative = "u! u~ u+ ** u- ? = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= not".qw *[[x, true]] -object -seq,
+
+// Combinatory Ruby parser.
+// Using parser combinators to process Ruby is nontrivial. One of the hardest things to deal with is the lex-level handling of things like line and block comments. Because we want to retain these
+// comments and annotate them as being 'attached' to various original source nodes, we need to handle them using the parser rather than with a preprocessor or a lexer. This means that each
+// terminal node must be able to consume any toplevel lexing elements.
+
+// This is philosophically interesting because toplevel lexing elements are often orthogonal to core code elements. For instance, the expression 'foo #bar\n bif' contains a comment that happens
+// to be near 'foo', but the comment ends up playing the role of metadata on the parsed expression rather than being a part of the expression explicitly. (And the only reason we're capturing
+// comments in the first place is so that they can be reconstructed in the output.)
+
+  $.ruby.parser = program -se [it.statement = a_statement]
+  -where [node = $.ruby.syntax,
+
+// Filters.
+// These aren't parsers per se. Rather, they're transformations of parsers that help deal with code-orthogonal elements. Here's a list of filters along with their purposes:
+
+// | 1. newlines_after(parser)             <- Indicates that whitespace and comments are not significant to the parser, and parses any whitespace and comments after the parser. Any comments that
+//                                            are found are recorded, and parse() attaches them to statements once it's done.
+//   2. no_newlines_after(parser)          <- Indicates that whitespace is OK after a parser, but that newlines and comments aren't.
+//   3. positioned(parser)                 <- Parses the element normally, but stores the current string offset onto the element. This will later be resolved using the position table. All
+//                                            elements store their positions; this is just here to factor logic. The offset where the element ends is stored too, so that parse() can work out
+//                                            which part of the source each node came from.
+
+// Generally speaking, these filters are combined to form what is called a 'general element'. This is just some syntactic element that is comment and whitespace-insensitive (most Ruby elements
+// fall into this category). There are some exceptions, however. One of these is argument unpacking, which involves a syntactic ambiguity based on the presence or absence of whitespace before the
+// * operator. For example:
+
+// | f * g  f* g  f*g                      <- local variable f '*' value g
+//   f *g  f(*g)  f(* g)  f( * g)          <- method f applied to argument list g
+
+// So punctuation elements alone aren't sufficient to differentiate between semantic cases. Another example involves regular expressions:
+
+// | f /foo/m  f /foo /m                   <- method f invoked on a regular expression
+//   f/foo/m  f / foo/m                    <- method f invoked on nothing, divided by local foo then divided by local m
+//   f/foo/  f /foo                        <- line continuation (invalid parse input on its own)
+
+// Here, the decision about whether something is a regular expression happens early on and is heuristically decided by looking for whitespace irregularity. (It has to be this way; there isn't a
+// viable strategy for deciding later due to the syntactic difference between regexp interpretation and expression interpretation.)
+
+// Early decisions within PEGs offer some use here. We can decide a situation early on by detecting special cases first, then failing over to general cases. These special cases are parsed at the
+// lexing level by using whitespace-sensitive parsing stages and re-entering normal stages inside groups.
+
+  // Significance of newlines.
+//   Some locations within a program are newline-insensitive; that is, a newline won't cause a statement break. One example of this is when the line ends with a binary operator, or when an
+//   expression-level group has been opened but not closed. For example:
+
+  // | foo + \n bar
+//     foo(bar\n, bif)
+
+  // Other situations are ambiguous; for instance:
+
+  // | foo \n bar                          <- could be a function call, but the two-statement interpretation is preferred
+//     foo \n + bar                        <- could be a binary addition, but will be interpreted as two statements (one of which casts an expression into void context)
+
+  // All of the factors influencing multiline parsing are decided on the first line; nothing on the second line will have an impact. This means that multiline semantics are encoded into
+//   expressions; a binary operator expression, for instance, would work like this:
+
+  // | no_newlines_after(_expression) maybe_newlines_after(_operator) no_newlines_after(_expression)
+
+  // The binary expression, then, would have to fail in order to accommodate newlines before either expression, which is appropriate. This would cause the line to be reinterpreted as a statement
+//   followed by something else.
+
+  // Whitespace is scanned by hand rather than with combinators. Part of the reason is speed, but mostly it's heredocs: any newline that ends a heredoc header line has to jump over the heredoc
+//   bodies that follow it, and the skip table built by parse() says where to land. Backslash-newline is always horizontal whitespace. Comments are looked for only within the whitespace that was
+//   just skipped, which is copied out along with the character before it so that '=begin' can still tell whether it's at the start of a line; searching the whole input from there would make
+//   long stretches of code without comments quadratic. The start of a line is matched with '^' in multiline mode rather than with a lookbehind, which older Safari doesn't support; that makes '$'
+//   match before every newline too, so the end of the input is written as (?![\s\S]).
+
+    context(state)            = state.context(),
+    advance(state, n, v)      = state.change({position: state.position() + n, value: v}),
+
+    horizontal_space          = /(?:[ \t\r\f]|\\\r?\n)*/y,
+    vertical_space            = /(?:[ \t\r\f\n]|\\\r?\n|#.*|^=begin(?!\S)[\s\S]*?(?:\n=end(?!\S).*|(?![\s\S]))|^__END__(?=\r?\n|(?![\s\S]))[\s\S]*)*/my,
+    comment                   = /#.*|^=begin(?!\S)[\s\S]*?(?:\n=end(?!\S).*|(?![\s\S]))|^__END__(?=\r?\n|(?![\s\S]))[\s\S]*/gm,
+
+    record_comments(s, i, e, c) = (i < e && comments_in(region, 1, given[k, text] in (c.comments[i + k - 1] = text)))
+                                  -where [region = (i && s.charAt(i - 1) !== '\n' ? ' ' : '\n') + s.substring(i, e)],
+
+    comments_in(s, k, f)      = (m && comments_in(s, m.index + m[0].length, f -se- it(m.index, m[0]))) -where [m = comment -se [it.lastIndex = k] -re- it.exec(s)],
+
+    space_end(s, i, c, nl)    = (nl && skip >= 0 ? space_end(s, c.skips[skip], c, nl) -se- record_comments(s, i, skip, c) : j -se- (nl && record_comments(s, i, j, c)))
+                                -where [j             = (nl ? vertical_space : horizontal_space) -se [it.lastIndex = i] -re [i + it.exec(s)[0].length],
+                                        first_skip(k) = k < 0 || k >= j ? -1 : c.skips.hasOwnProperty(k) ? k : first_skip(s.indexOf('\n', k + 1)),
+                                        skip          = nl && c.any ? first_skip(s.indexOf('\n', i)) : -1],
+
+    space_at(state, nl)       = (m.hasOwnProperty(k) ? m[k] : m[k] = space_end(state.input(), state.position(), context(state), nl)) -where [m = state.memo_table(), k = nl ? 'lines' : 'space'],
+    spacing(nl, annotate(result, 'spacing', [nl]))(states) = states *[advance(x, space_at(x, nl) - x.position(), ' ')] -seq,
+
+    whitespace                = spacing(false),
+    whitespace_and_comments   = spacing(true),
+
+    no_newlines_after(parser) = parser /-bfc/ whitespace /-map/ "_[0]".qf,
+    newlines_after(parser)    = parser /-bfc/ whitespace_and_comments /-map/ "_[0]".qf,
+
+    positioned(parser, annotate(result, 'positioned', [parser]))(states) = states *~!state[parser([state]) *[x.map("_.position(state.position()) -se [it._end = x.position()]".qf)] -seq] -seq,
+
+// Low-level terminal parsing.
+// Ruby has a number of terminal parse cases. These can't contain other things; they include literals of various sorts and identifiers. Terminals are matched with sticky regular expressions,
+// which test a single offset without copying the rest of the input, except for the common ones that read the token at their offset instead (see 'Tokens' below).
+
+    r(regexp, name)           = matches(new RegExp(regexp.source, regexp.ignoreCase ? 'yi' : 'y'), name),
+    matches(sticky, name, annotate(result, 'r', [sticky]))(states) = states *~![exec_at(sticky, x) -re [it ? [advance(x, it[0].length, it)] : [] -se- (name && expect(x, name))]] -seq,
+    exec_at(regexp, state)    = scan(regexp, state.input(), state.position()),
+    scan(regexp, s, i)        = regexp -se [it.lastIndex = i] -re- it.exec(s),
+
+    node_of(data, children)   = new node(data) -se [children *![it.push(x)] -seq],
+    terminal(regexp, name)    = r(regexp, name) /-map/ "new node(_[0])".qf /!positioned,
+    punctuation(text)         = linear_string(text) /-map/ "new node(_)".qf /!positioned,
+
+  // Tokens.
+//   Ruby can't be split into tokens ahead of time: whether '/' starts a regexp or divides, whether 'x -1' is a subtraction or a call, and where a heredoc body or an interpolation ends all
+//   depend on what has been parsed so far. So tokens are scanned lazily, at the offsets the parser actually reaches. token_at() scans the token at an offset the first time anything asks for
+//   it, with one sticky pattern, and keeps it in the memo table for that offset. A token has a kind ('word', 'ivar', 'gvar' or 'number', or null if the offset starts something else), its text
+//   and its end. A word doesn't include a trailing '?' or '!', since whether that belongs to it depends on who's asking: 'x!' is a method name, but 'x!=' is 'x' followed by a comparison.
+
+  // Identifiers, constants, keywords, instance and global variables and numbers are lexemes. A lexeme checks the token at its offset and advances past whatever part of it fits, so the dozen of
+//   them tried at the start of each operand share one scan instead of running a regular expression each. The ends of the horizontal and vertical whitespace at an offset are kept in the same
+//   table, which means comments are recorded once however many parsers skip over them. Operators, strings, symbols, regexps and the remaining literals still have their own parsers, because
+//   what they contain depends on context.
+
+  // Leaves, definitions and control structures are all tried at the start of every operand, and most of them can be ruled out by looking at the first token. Rather than running each of their
+//   parsers to find out that it doesn't apply, starting() checks the character at the current offset and led_by() checks the word in the token there. A parser that's skipped this way records
+//   the names that its own terminals would have recorded, so parse errors come out the same.
+
+    digits                    = /(?:0[xX][\da-fA-F]+(?:_[\da-fA-F]+)*|0[bB][01]+(?:_[01]+)*|0[0-7]+(?:_[0-7]+)*|0[dD]\d+(?:_\d+)*|\d+(?:_\d+)*(?:\.\d+(?:_\d+)*)?(?:[eE][-+]?\d+(?:_\d+)*)?)/.source,
+    octal_digits              = /0[oO][0-7]+(?:_[0-7]+)*/.source,
+
+    token_pattern             = new RegExp('(' + ['[A-Za-z_]\\w*', '@@?[A-Za-z_]\\w*', /\$(?:[A-Za-z_]\w*|\d+|-\w|[~*$?!@\/\\;,.=:<>"&`'+])/.source, octal_digits, digits].join(')|(') + ')', 'y'),
+    token_kinds               = [null, 'word', 'ivar', 'gvar', 'number', 'number'],
+    group_of(m, k)            = m[k] ? k : group_of(m, k + 1),
+
+    scan_token(s, i)          = (m ? {kind: token_kinds[k], text: m[0], end: i + m[0].length, octal: k === 4} : {kind: null, text: null, end: i})
+                                -where [m = scan(token_pattern, s, i), k = m && group_of(m, 1)],
+    token_at(state)           = (m.token || (m.token = scan_token(state.input(), state.position()))) -where [m = state.memo_table()],
+
+    suffix_at(s, i)           = /[?!]/.test(s.charAt(i)) ? s.charAt(i) : '',
+    word_of(t, s)             = t.kind === 'word' ? t.text + suffix_at(s, t.end) : null,
+    whole_word(t, s)          = (w && ! suffix_at(s, t.end + w.length - t.text.length) ? w : null) -where [w = word_of(t, s)],
+    method_word(t, s)         = t.kind === 'word' && (s.charAt(t.end + 1) === '=' ? t.text : word_of(t, s)),
+    word_at(state)            = token_at(state) /-word_of/ state.input(),
+
+    word_in(words, set = words.split(' ') *[[x, true]] -object -seq)(t, state) = (w && set.hasOwnProperty(w) ? w : null) -where [w = whole_word(t, state.input())],
+
+    scanned(name, text, annotate(result, 'lexeme', [name, text]))(states) =
+      states *~![text(token_at(x), x) -re [it ? [advance(x, it.length, it)] : [] -se- (name && expect(x, name))]] -seq,
+    lexeme(name, text)        = scanned(name, text) /-map/ "new node(_)".qf /!positioned,
+
+    led_by(parser, words, annotate(result, 'led_by', [parser, words]))(states) =
+      states *~!state[words.indexOf(word_at(state)) >= 0 ? parser([state]) : [] -se [words *![expect(state, "'#{x}'")] -seq]] -seq,
+
+    starting(parser, chars, names, annotate(result, 'starting', [parser, chars]))(states) =
+      states *~!state[chars.test(state.input().charAt(state.position())) ? parser([state]) : [] -se [names *![expect(state, x)] -seq]] -seq,
+
+  // Failure tracking.
+//   Terminals given a name report it here when they fail; see 'Parse errors' above. linear_string() is shadowed so that every piece of punctuation is named by its own text, and the end of the
+//   input gets the same treatment so that a parse which stops short says why.
+
+    expect(state, what)       = (f.offset < i ? (f.offset = i, f.expected = [what]) : f.offset === i && f.expected.indexOf(what) < 0 && f.expected.push(what))
+                                -where [f = context(state).failure, i = state.position()],
+
+    linear_string(text)       = $.parser.linear_string(text) -re- annotate(given.states in it(states) -se [it.length || states *![expect(x, "'#{text}'")] -seq], 'linear_string', [text]),
+    end_of_input              = linear_string_state.end() -re- annotate(given.states in it(states) -se [it.length || states *![expect(x, 'end of input')] -seq], 'end', []),
+
+  // Dialect features.
+//   A parser for a form that only some versions have is wrapped in feature(), which fails without running it unless the version in the parse context has the feature. Nothing is reported as
+//   expected in that case, since the form wouldn't have worked there. A list that older versions only accept in a fixed order is wrapped in ordered(), which ranks each item and drops the
+//   parses whose ranks go down unless the version has the feature.
+
+    version(state)            = context(state).version,
+    supports(state, name)     = $.ruby.supports(version(state), name),
+    feature(name, parser, annotate(result, 'feature', [name, parser]))(states) = states *~!state[supports(state, name) ? parser([state]) : []] -seq,
+    ordered(name, rank, parser, annotate(result, 'ordered', [name, parser]))(states) =
+      states *~!state[parser([state]) %[supports(state, name) || in_order(Array.prototype.slice.call(x.value()) *rank -seq)] -seq] -seq,
+    in_order(ranks)           = ! (ranks |[xi && x < ranks[xi - 1]] |seq),
+
+    parser_cache              = {},
+    cached(key, build)        = parser_cache[key] || (parser_cache[key] = build()),
+
+    reserved_words            = 'alias and BEGIN begin break case class def defined? do else elsif END end ensure false for if in module next nil not or redo rescue retry return self ' +
+                                'super then true undef unless until when while yield __FILE__ __LINE__ __ENCODING__',
+
+    reserved                  = word_in(reserved_words),
+
+    identifier                = lexeme('identifier', given[t, state] in (t.kind === 'word' && /^[a-z_]/.test(t.text) && ! reserved(t, state) && method_word(t, state.input()))),
+    constant                  = lexeme('constant', given.t in (t.kind === 'word' && /^[A-Z]/.test(t.text) && t.text)) /-map/ "_.kind('constant')".qf,
+    keyword_leaf              = lexeme('keyword', word_in('nil true false self super yield redo retry __FILE__ __LINE__ __ENCODING__')),
+    instance_variable         = lexeme('instance variable', given.t in (t.kind === 'ivar' && t.text)) /-map/ "_.kind('ivar')".qf,
+    global_variable           = lexeme('global variable', given.t in (t.kind === 'gvar' && t.text)) /-map/ "_.kind('gvar')".qf,
+    symbol_name               = terminal(/:(?:(?:@@?|\$)?[A-Za-z_]\w*(?:[?!]|=(?![=~>]))?|\$(?:\d+|-\w|[~*$?!@\/\\;,.=:<>"&`'+])|\[\]=?|<=>|===?|=~|!=|!~|[-+~!]@|\*\*|<<|>>|<=?|>=?|[-+*\/%~`!&|^])/,
+                                         'symbol'),
+    character                 = terminal(/\?(?:\\(?:(?:[MC]-|c)\\?)*(?:u\{[\da-fA-F ]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{1,2}|[0-7]{1,3}|[\s\S])|[^\s\\])(?!\w)/, 'character'),
+
+  // Numbers can be written in any radix with underscores between digits, and can have an exponent without a decimal point. The r and i suffixes make rationals and imaginaries; they're new in
+//   2.x. The '0o' octal prefix is new in 1.9; a plain leading zero works in every version.
+
+  // The digits are scanned as part of the token. When the token is followed by a word character, or has a prefix the version doesn't know, the number is matched again the slow way, trying
+//   each form that the version supports in turn; that's what decides whether '1r' is a rational or a syntax error.
+
+    numerals                  = [[octal_digits, true, true], [octal_digits, true, false], [digits, false, true], [digits, false, false]]
+                                *[{pattern: new RegExp(x[0] + (x[2] ? '(?:ri?|i)?' : '') + '(?!\\w)', 'y'), octal: x[1], suffixed: x[2]}] -seq,
+
+    numeral_at(state)         = numerals |[(! x.octal || supports(state, 'octal_prefixes')) && (! x.suffixed || supports(state, 'number_suffixes')) && exec_at(x.pattern, state) -re [it && it[0]]] |seq,
+    number_text(t, state)     = t.kind === 'number' && (t.octal && ! supports(state, 'octal_prefixes') || /\w/.test(state.input().charAt(t.end)) ? numeral_at(state) : t.text),
+    number                    = lexeme('number', number_text),
+
+  // Local variables.
+//   Whether 'f *g' splats or multiplies depends on whether f is a local variable, and so do 'f /foo/m' and 'f -1'. Ruby decides this as it parses, and so does this parser: an identifier is a
+//   local if it's being assigned, or if an assignment or parameter of the same name appeared earlier in a scope that's still visible. Identifier leaves are tagged with kind() as either 'local'
+//   or 'method call'; constants, instance variables and global variables are tagged 'constant', 'ivar' and 'gvar'.
+
+  // | caterwaul.ruby('f *g').structure()                  // -> ("()" (implied self) f ("," ("u*" g)) "")
+//     caterwaul.ruby('f = 1; f *g')[1].structure()        // -> ("*" f g)
+
+  // Declarations are recorded in the parse context, both by name and in the order they're made. When a method, class or module body or a block has been parsed, the declarations made inside
+//   it are dropped, since nothing after it can see them. Method, class and module bodies also hide what's declared outside of them, so their keywords push the offset where they open onto a
+//   stack that's popped when the body is closed; a declaration is only visible if it comes after the innermost opening. Dropping declarations keeps the lists short, so each lookup takes time
+//   proportional to the nesting depth rather than the size of the file. Parsers are memoized, so each identifier is classified once, and only declarations that come before it in the source
+//   can affect it.
+
+    scopes(state)             = context(state).scopes,
+    declare(state, n)         = n.kind('local') -se [(s.names[d.name] || (s.names[d.name] = [])).push(d), s.live.push(d)]
+                                -where [s = scopes(state), d = {name: "@#{n.data}", offset: n.position()}],
+
+    assignment_lookahead      = /[ \t]*(?:=(?![=~>])|(?:\*\*|<<|>>|&&|\|\||[-+*\/%&|^])=)/y,
+    assigned(state)           = !!exec_at(assignment_lookahead, state),
+
+    innermost_opening(s, q)   = s.opened %[x <= q] -seq -re [it.length ? it[it.length - 1] : -1],
+    visible(s, name, q)       = ((s.names["@#{name}"] || []) |[x.offset <= q && x.offset > opening] |seq) -where [opening = innermost_opening(s, q)],
+
+    is_local(state)           = (assigned(state) ? !!declare(state, n) : !!visible(scopes(state), n.data, n.position())) -where [n = state.value()],
+
+    variable(local, annotate(result, 'variable', [local]))(states) = identifier(states) %[is_local(x) === local] *![x.value().kind(local ? 'local' : 'method call')] -seq,
+    local_variable            = variable(true),
+    method_identifier         = variable(false),
+
+    scope(parser, annotate(result, 'scope', [parser]))(states) = states *~!state[parser([state]) *![close_scope(scopes(x), state.position())] -seq] -seq,
+
+    close_scope(s, start)     = (drop_declarations(s, start), drop_openings(s, start)),
+    drop_declarations(s, i)   = s.live.length && s.live[s.live.length - 1].offset >= i && drop_declarations(s -se- forget(it, it.live.pop()), i),
+    drop_openings(s, i)       = s.opened.length && s.opened[s.opened.length - 1] >= i && drop_openings(s -se- it.opened.pop(), i),
+    forget(s, d)              = s.names[d.name] -re- it.splice(it.lastIndexOf(d), 1),
+
+    scope_keyword(word, annotate(result, 'scope_keyword', [word]))(states) = keyword(word)(states) *![scopes(x).opened.push(x.value().position())] -seq,
+
+    declared_targets(n)       = /^(?:,h?|\(|u\*\*?|u&|u;)$/.test(n.data) ? Array.prototype.slice.call(n) *~![declared_targets(x)] -seq :
+                                /^[=:]$/.test(n.data) && n.length ? declared_targets(n[0]) :
+                                ! n.length && /^[a-z_]\w*$/.test(n.data) ? [n] : [],
+
+    declaring(parser, annotate(result, 'declaring', [parser]))(states) = parser(states) -se [it *!state[declared_targets(state.value()) *![declare(state, x)] -seq] -seq],
+
+  // String literals.
+//   Every string body is a sequence of pieces: raw text, '#{}' interpolations and '#@x' shorthand interpolations. Text pieces keep their escape sequences verbatim; nothing is unescaped, since
+//   the goal is to be able to print the source back out. Bracket-style delimiters nest, so '%q(foo (bar))' is a single string; the nested delimiters end up as text pieces of their own.
+
+  // Percent literals choose their delimiter as they're parsed, so their bodies are built on demand. Each delimiter gets its body parser built once and cached so that memoization still works
+//   across the parse. The %i and %I symbol lists are new in 2.x.
+
+    expression(states)        = expression(states),
+    an_expression             = annotate(expression, 'expression', []),
+
+    statements(states)        = statements(states),
+    a_statements              = annotate(statements, 'statements', []),
+
+    unwrap(n)                 = n.length === 1 ? n[0] : n,
+
+    flatten(xs)               = xs /[[]][x0.concat(x)] -seq,
+    manyc1(parser)            = parser /-bfc/ manyc(parser) /-map/ "[_[0]].concat(_[1])".qf,
+    closer(open)              = {'(': ')', '[': ']', '{': '}', '<': '>'}[open] || open,
+    escape_class(cs)          = cs.replace(/[\\\]\[^-]/g, '\\$&'),
+
+    interpolation             = linear_string('#{') /a_statements /-bfc/ linear_string('}') /-map/ "new node('#{', _[1] /!unwrap)".qf /!positioned,
+    short_interpolation       = r(/#(?=[@$])/) /-bfc/ (instance_variable /-alt/ global_variable) /-map/ "new node('#', _[1])".qf /!positioned,
+
+    text_piece(excluded, i)   = r(new RegExp(i ? '(?:[^\\\\#' + cs + ']|\\\\[\\s\\S]|#(?![{$@]))+' : '(?:[^\\\\' + cs + ']|\\\\[\\s\\S])+')) /-map/ "new node(_[0])".qf /!positioned
+                                -where [cs = excluded /!escape_class],
+
+    string_node(open, pieces, close) = pieces |[x.length] |seq ? node_of(open, pieces) : new node(open + (pieces *[x.data] -seq).join('') + close),
+    string_from(xs)           = string_node(xs[0], xs[1], xs[2]),
+
+    quoted_body(open, close, i) = cached('quoted #{open}#{close}#{i}', delay in pieces
+                                  -where [nested(states) = nested(states),
+                                          text           = text_piece(open + close, i),
+                                          plain          = i ? text /interpolation /-alt/ short_interpolation : text,
+                                          pieces         = manyc(open === close ? plain : plain /-alt/ annotate(nested, 'nested', [open])) /-map/ flatten,
+                                          nested         = punctuation(open) /pieces /-bfc/ punctuation(close) /-map/ "[_[0]].concat(_[1], [_[2]])".qf]),
+
+    word_list(open, close, i) = cached('words #{open}#{close}#{i}', delay in spaces /-bfc/ manyc(word /-bfc/ spaces /-map/ "_[0]".qf) /-map/ "_[1]".qf
+                                -where [spaces = r(/\s*/),
+                                        text   = text_piece(open + close + ' \t\r\n\f\v', i),
+                                        word   = i ? manyc1(text /interpolation /-alt/ short_interpolation) /-map/ "_.length === 1 && ! _[0].length ? _[0] : node_of('', _)".qf /!positioned :
+                                                     text]),
+
+    quoted(open, close, i)    = linear_string(open) /quoted_body(open, close, i) /-bfc/ linear_string(close) /-map/ string_from,
+
+    single_quoted             = terminal(/'(?:[^'\\]|\\[\s\S])*'/, 'string'),
+    double_quoted             = quoted('"', '"', true),
+    backquoted                = quoted('`', '`', true),
+
+    percent_header            = r(/%([qQwWiIxrs]?)([^\w\s])/),
+    percent_at(states)        = percent_header(states) %[! /[iI]/.test(x.value()[1]) || $.ruby.supports(version(x), 'symbol_lists')] *~!h[percent_body(h.value())([h])] -seq,
+    percent_body(m)           = cached('percent #{m[0]}', delay in (/[wWiI]/.test(m[1]) ? word_list(m[2], close, /[WI]/.test(m[1])) /-bfc/ linear_string(close) /-map/ "node_of(m[0], _[0])".qf :
+                                                                   m[1] === 'r'      ? quoted_body(m[2], close, true) /linear_string(close) /-bfc/ regexp_flags
+                                                                                                                             /-map/ "regexp_node(m[0], _[0], close, _[2][0])".qf :
+                                                                                       quoted_body(m[2], close, ! /[qs]/.test(m[1])) /-bfc/ linear_string(close) /-map/ "string_node(m[0], _[0], close)".qf)
+                                                                 -where [close = m[2] /!closer]),
+
+    percent_literal           = annotate(percent_at, 'percent_literal', []),
+
+  // Heredoc bodies.
+//   By the time the parser sees a heredoc header, parse() has already worked out where its body is. The body is parsed through a separate state whose input ends where the body does, so the
+//   interpolation parser can't run past the terminator. Its positions are still offsets into the original input. For squiggly heredocs the text pieces keep their indentation.
+
+    heredoc_body              = manyc(text_piece('', true) /interpolation /-alt/ short_interpolation) /-bfc/ linear_string_state.end() /-map/ "_[0]".qf,
+
+    heredoc_pieces(state, h)  = h.interpolating ? heredoc_body([$.ruby.parse_state.at(state.input().substring(0, h.body_end), h.body_start, context(state))])
+                                                  -re [it.length ? it[0].value() : []] :
+                                h.body_end > h.body_start ? [new node(state.input().substring(h.body_start, h.body_end)).position(h.body_start)] : [],
+
+    heredoc_at(states)        = states *~![h && h.terminated ? [advance(x, h.length, node_of(x.input().substr(x.position(), h.length), heredoc_pieces(x, h)))] :
+                                           h ? [] -se- unterminated(context(x), x.position(), h) : [],
+                                           where [h = context(x).heredocs[x.position()]]] -seq,
+
+    unterminated(c, i, h)     = c.unterminated || (c.unterminated = {offset: i, expected: ["'#{h.terminator}' to end the heredoc"]}),
+
+    heredoc                   = annotate(heredoc_at, 'heredoc', []),
+
+  // Adjacent strings.
+//   Ruby joins string literals that are separated only by whitespace, which can include a backslash-newline, into one string. The result is a ' ' node with the literals as its children, so
+//   each of them keeps its own delimiters. The first literal can be a %q or %Q string as well as a quoted one, but the ones after it have to be quoted: after a string, Ruby reads '%' as the
+//   format operator.
+
+  // | 'a' "b#{c}"                                         (" " 'a' ("\"" b ("#{" c)))
+
+    quoted_string             = single_quoted /-alt/ double_quoted /!positioned,
+    joinable(n)               = /^(?:'|"|%[qQ]?[^\w\s])/.test(n.data),
+    adjacent_strings          = (quoted_string /-alt/ percent_literal /!positioned) /-bfc/ manyc1(whitespace /-bfc/ quoted_string /-map/ "_[1]".qf)
+                                /-flat_map/ "joinable(_[0]) ? [node_of(' ', [_[0]].concat(_[1])).position(_[0].position())] : []".qf,
+
+    string                    = adjacent_strings /single_quoted /double_quoted /backquoted /percent_literal /-alt/ heredoc /!positioned,
+
+  // Symbols and regexps.
+//   Quoted symbols are strings with a colon in front, and regexps are strings with flags after them. %r{...} and %s(...) literals come in through percent_literal along with the other
+//   percent forms.
+
+    regexp_flags              = r(/[imxounse]*/),
+    regexp_node(open, pieces, close, flags) = pieces |[x.length] |seq ? node_of(open + close + flags, pieces) : new node(open + (pieces *[x.data] -seq).join('') + close + flags),
+
+    quoted_symbol             = linear_string(':"') /quoted_body('"', '"', true) /-bfc/ linear_string('"') /-map/ string_from,
+    single_quoted_symbol      = terminal(/:'(?:[^'\\]|\\[\s\S])*'/, 'symbol'),
+    symbol                    = symbol_name /single_quoted_symbol /-alt/ quoted_symbol /!positioned,
+
+    regexp                    = linear_string('/') /quoted_body('/', '/', true) /linear_string('/') /-bfc/ regexp_flags /-map/ "regexp_node(_[0], _[1], _[2], _[3][0])".qf /!positioned,
+
+// Expressions.
+// Operators are parsed right-recursively and then rearranged by precedence as each node is built. Unary operators get a 'u' prefix (e.g. 'u-') so that they aren't confused with their binary
+// counterparts, except for the word operators 'not' and 'defined?', which are unambiguous. Either word followed directly by a parenthesized group is a primary, like a method call, so
+// 'defined?(a) && b' is ("&&" ("defined?" ("(" a)) b) rather than 'defined?' of the whole conjunction. The ternary operator is a three-child '?' node. Block-form conditionals and loops share
+// their node data with the modifiers, but they're operands and never get rearranged.
+
+    group(states)             = group(states),
+    a_group                   = annotate(group, 'group', []),
+
+    container(states)         = container(states),
+    a_container               = annotate(container, 'container', []),
+
+    definition(states)        = definition(states),
+    a_definition              = annotate(definition, 'definition', []) /-led_by/ "def class module alias undef".qw,
+
+    control(states)           = control(states),
+    a_control                 = annotate(control, 'control', []) /-led_by/ "if unless while until for case begin return break next".qw,
+
+    rescuable_statements(states) = rescuable_statements(states),
+    a_rescuable_statements    = annotate(rescuable_statements, 'rescuable_statements', []),
+
+    argument_list(states)     = argument_list(states),
+    an_argument_list          = annotate(argument_list, 'argument_list', []),
+
+    command_arguments(states) = command_arguments(states),
+    a_command_arguments       = annotate(command_arguments, 'command_arguments', []),
+
+    lambda_literal(states)    = lambda_literal(states),
+    a_lambda                  = feature('lambdas', annotate(lambda_literal, 'lambda_literal', [])),
+
+    leaf                      = alt.apply(null, leaves *[starting(x[0], x[1], x[2])] -seq) /!no_newlines_after
+                                -where [leaves = [[string,            /['"`%<]/, ['string', "'\"'", "'`'"]],
+                                                  [number,            /\d/,      ['number']],
+                                                  [symbol,            /:/,       ['symbol']],
+                                                  [regexp,            /\//,      ['regexp']],
+                                                  [character,         /\?/,      ['character']],
+                                                  [keyword_leaf,      /[a-z_]/,  ['keyword']],
+                                                  [local_variable,    /[a-z_]/,  ['identifier']],
+                                                  [method_identifier, /[a-z_]/,  ['identifier']],
+                                                  [constant,          /[A-Z]/,   ['constant']],
+                                                  [instance_variable, /@/,       ['instance variable']],
+                                                  [global_variable,   /\$/,      ['global variable']],
+                                                  [a_container,       /[\[{]/,   ["'['", "'{'"]],
+                                                  [a_lambda,          /-/,       ["'->'"]],
+                                                  [a_group,           /\(/,      ["'('"]]]],
+
+    precedence_of             = $.ruby.precedence,
+    right_associative         = $.ruby.right_associative,
+
+    is(x, in_set)             = in_set.hasOwnProperty(x),
+    set_of(xs)                = xs *[[x, true]] -object -seq,
+
+    one_of(xs)                = alt.apply(null, xs),
+    longest_first(xs)         = xs.slice().sort(given[a, b] in b.length - a.length),
+    operator_pattern(op)      = op.replace(/[\\^$.*+?()\[\]{}|\/]/g, '\\$&') + (/\w$/.test(op) ? '(?![\\w?!])' : op === '=' ? '(?![=~>])' : ''),
+    operator(op)              = r(new RegExp(operator_pattern(op)), "'#{op}'") /-map/ "_[0]".qf,
+
+  // Operator sets.
+//   A set of operators is matched with one regular expression that tries them longest first, rather than with one parser per operator. Operators are tried after every operand, so this saves
+//   dozens of parser invocations (and memo table entries) each time. When none of them matches, each one is reported as expected, just as separate parsers would have done.
+
+    operators_in(ops)         = matches_any(sorted, new RegExp(sorted *operator_pattern -seq -re- it.join('|'), 'y')) -where [sorted = longest_first(ops)],
+    matches_any(ops, sticky, annotate(result, 'operators_in', [ops]))(states) =
+      states *~!state[exec_at(sticky, state) -re [it ? [advance(state, it[0].length, it[0])] : [] -se [ops *![expect(state, "'#{x}'")] -seq]]] -seq,
+
+    unary_operator            = r(/(?!(?:defined\?|not)\()/) /-bfc/ operators_in("~ ! + - not defined?".qw) /-map/ "_[1]".qf /-map/ "new node(/\\w/.test(_) ? _ : 'u' + _)".qf /!positioned /!no_newlines_after,
+    binary_operators(ops)     = operators_in(ops) /-map/ "new node(_)".qf /!positioned /!newlines_after,
+
+    binary_operator           = binary_operators(ops1.concat(ops2))
+                                -where [ops1 = "** * / % + - << >> & | ^ < <= > >= <=> == === != =~ !~ && || .. ... rescue = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||=".qw,
+                                        ops2 = "and or if unless while until".qw],
+
+    argument_operator         = binary_operators("** * / % + - << >> & | ^ < <= > >= <=> == === != =~ !~ && || .. ... = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||=".qw),
+
+    question_mark             = r(/\?(?=\s)/) /!newlines_after,
+    ternary_colon             = r(/:(?!:)/)   /!newlines_after,
+
+    block_form(n)             = /^(?:if|unless)$/.test(n.data) ? n.length === 3 : /^(?:while|until)$/.test(n.data) && n[1].data === ';',
+    infix(n)                  = n.length > 1 && is(n.data, precedence_of) && ! block_form(n),
+    binds_looser(n, c)        = +precedence_of[c.data] + ! is(n.data, right_associative) > precedence_of[n.data],
+    fix_precedence(n)         = (infix(child) && binds_looser(n, child) ? n.rotate_left() -se [it[0] = it[0] /!fix_precedence, it.position(it[0].position())] : n)
+                                -where [child = n[n.length - 1]],
+
+    zip_unary(xs)             = new node(xs[0].data, xs[1]).metadata_from(xs[0]),
+    zip_binary(xs)            = new node(xs[1].data, xs[0], xs[2]).position(xs[0].position()),
+    zip_ternary(xs)           = new node('?', xs[0], xs[2], xs[4]).position(xs[0].position()),
+
+    group                     = punctuation('(') /a_statements /-bfc/ linear_string(')') /-map/ "new node('(', _[1] /!unwrap).metadata_from(_[0])".qf /!positioned /!no_newlines_after,
+    keyword_call              = terminal(/(?:defined\?|not)(?=\()/) /-bfc/ a_group /-map/ "new node(_[0].data, _[1]).metadata_from(_[0])".qf /!positioned,
+
+  // Expression grammars.
+//   Ruby's expression grammar depends on where the expression is. Arguments can't contain the modifiers or the low-precedence 'and' and 'or' (this is the YARV thing described below), and a
+//   do-block after a paren-less argument list belongs to the outer method call rather than the last argument. So the operator-level grammar is built by a function, parameterized by the binary
+//   operators it accepts and whether its invocations can take do-blocks. Three copies get built: one for statements, one for parenthesized arguments and one for command arguments.
+
+  // Invocations and '::' lookups are postfix operations on an operand; each one is parsed into a function that takes the receiver and returns the new node.
+
+    apply_postfixes(xs)       = xs[1] /[xs[0]][x(x0)] -seq,
+
+    grammar(operators, do_blocks) = expression
+    -where [expression(states) = expression(states),
+            an_expression      = annotate(expression, 'expression', [operators]),
+
+            tails              = call_tails(do_blocks ? brace_block /-alt/ do_block : brace_block, do_blocks ? do_block : fail()),
+            head               = method_identifier /yield_or_super /-alt/ no_newlines_after(constant) /-bfc/ tails.required /-alt/ (local_variable /-bfc/ tails.parens)
+                                 /-map/ "invocation(implied_self(_[0]), _[0], _[1])".qf,
+            postfix            = method_postfix(tails.optional) /safe_postfix(tails.optional) /scope_postfix(tails.optional) /-alt/ index_postfix,
+
+            primary            = a_definition /a_control /keyword_call /head /-alt/ leaf,
+            operand            = primary /-bfc/ manyc(postfix) /-map/ apply_postfixes,
+
+            binary             = operand /operators /-bfc/ an_expression /-map/ zip_binary /-map/ fix_precedence,
+            ternary            = operand /question_mark /an_expression /ternary_colon /-bfc/ an_expression /-map/ zip_ternary /-map/ fix_precedence,
+            unary              = unary_operator /-bfc/ an_expression /-map/ zip_unary /-map/ fix_precedence,
+            expression         = binary /ternary /unary /-alt/ operand -se [it.operand = operand]],
+
+// Statements.
+// A statement is an expression or a multiple assignment. Statements are separated by newlines or semicolons, and a sequence of them is stored as a ';' node with one child per statement. Bodies
+// of definitions and blocks are always ';' nodes, even if they contain only one statement (or none). Groups, interpolations and the toplevel unwrap a sequence of one statement, so '(foo)' is
+// just ("(" foo).
+
+// A newline ends a statement unless something on the line says otherwise: a trailing binary operator or comma, an open group, or a backslash before the newline. A line starting with a dot
+// continues the method chain from the line before it. Nothing else on the next line is considered, so 'foo \n + bar' is two statements, the second of which is a unary plus.
+
+    separated_end(s, i, c, found) = (s.charAt(j) === ';' ? separated_end(s, j + 1, c, true) : found || s.substring(i, j).replace(/\\\r?\n/g, '').indexOf('\n') >= 0 ? j : -1)
+                                    -where [j = space_end(s, i, c, true)],
+
+    separator_at(states)      = states *~![j < 0 ? [] : [advance(x, j - x.position(), ';')], where [j = separated_end(x.input(), x.position(), context(x), false)]] -seq,
+    separator                 = annotate(separator_at, 'separator', []),
+
+    nothing                   = zero() /-map/ "null".qf,
+    maybe(parser)             = parser /-alt/ nothing,
+
+    statement(states)         = statement(states),
+    a_statement               = annotate(statement, 'statement', []),
+
+    statement_list            = a_statement /-bfc/ manyc(separator /-bfc/ a_statement /-map/ "_[1]".qf) /-map/ "[_[0]].concat(_[1])".qf,
+    statements                = whitespace_and_comments /maybe(separator) /maybe(statement_list) /-bfc/ maybe(separator) /-map/ "node_of(';', _[2] || [])".qf /!positioned,
+
+// Definitions.
+// Method, class and module definitions, along with alias and undef. These all start with a keyword, so they're tried before leaves. Parameter lists are ',' nodes whose children are plain names,
+// defaults ("=" _name _value), splats ("u*" _name) and block parameters ("u&" _name); an anonymous splat is a 'u*' leaf. 2.x adds keyword parameters, which are ":" nodes with the name and, if
+// there is one, the default value, and double splats ("u**" _name). A parenthesized group destructures its argument, and is stored as a '(' node around a ',' node; method parameters can do this
+// from 1.9 on. From 1.9 on, parameters can come in any order, which is looser than Ruby but covers mandatory parameters after optional ones or after a splat; 1.8 wants them in its own order.
+// Each parameter is declared as soon as it's parsed, so the defaults after it see it as a local: in 'def f(a, b = a -1)' the default subtracts. A '(' after the name always opens the parameter
+// list, so a list that doesn't parse is an error rather than the start of the body. Block parameters can end with block-local variables, which are one ("u;" _name ...) node. A class without an
+// explicit superclass gets an empty leaf in that position.
+
+// | def foo(a, b = 1, *c, &d) ... end                     ("def" foo ("," a ("=" b 1) ("u*" c) ("u&" d)) (";" ...))
+//   def foo(a:, b: 1, **c) ... end                        ("def" foo ("," (":" a) (":" b 1) ("u**" c)) (";" ...))
+//   def self.foo ... end                                  ("def" ("." self foo) (",") (";" ...))
+//   xs.each {|x; y, z| ...}                               (... ("{}" ("," x ("u;" y z)) (";" ...)))
+//   class Foo::Bar < Baz ... end                          ("class" ("::" Foo Bar) Baz (";" ...))
+//   undef foo, :bar                                       ("undef" foo :bar)
+
+    keyword(word)             = lexeme("'#{word}'", word_in(word)) /!no_newlines_after,
+    token(text)               = punctuation(text) /!no_newlines_after,
+    comma                     = punctuation(',') /!newlines_after,
+
+    method_name               = terminal(/[A-Za-z_]\w*(?:[?!]|=(?![=~>]))?|\[\]=?|<=>|===?|=~|!=|!~|[-+~!]@|\*\*|[-+*\/%~`!]|<<|>>|<=?|>=?|[&|^]/, 'method name'),
+    singleton_method_name     = terminal(/[A-Za-z_]\w*(?=\.)/) /linear_string('.') /-bfc/ method_name /-map/ "new node('.', _[0], _[2]).position(_[0].position())".qf,
+    def_name                  = singleton_method_name /-alt/ method_name,
+
+    block_parameter           = token('&') /-bfc/ identifier /-map/ "new node('u&', _[1]).metadata_from(_[0])".qf,
+    splat_parameter           = token('*') /-bfc/ identifier /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf,
+    anonymous_splat           = token('*') /-map/ "new node('u*').metadata_from(_)".qf,
+    default_parameter(value)  = no_newlines_after(identifier) /token('=') /-bfc/ value /-map/ "new node('=', _[0], _[2]).position(_[0].position())".qf,
+
+    keyword_parameter(value)  = terminal(/[a-z_]\w*(?=:(?!:))/) /token(':') /-bfc/ maybe(value)
+                                /-map/ "(_[2] ? new node(':', _[0], _[2]) : new node(':', _[0])).position(_[0].position())".qf,
+    double_splat_parameter    = token('**') /-bfc/ identifier /-map/ "new node('u**', _[1]).metadata_from(_[0])".qf,
+    anonymous_double_splat    = token('**') /-map/ "new node('u**').metadata_from(_)".qf,
+    keywords(value)           = feature('keyword_parameters', double_splat_parameter /anonymous_double_splat /-alt/ keyword_parameter(value)),
+
+    parameter_with(value, optional) = block_parameter /keywords(value) /splat_parameter /anonymous_splat /optional /-alt/ identifier /!no_newlines_after,
+    parameter                 = parameter_with(an_expression, default_parameter(an_expression)),
+
+    block_parameter_list(states) = block_parameter_list(states),
+    destructured_parameter    = token('(') /annotate(block_parameter_list, 'block_parameter_list', []) /-bfc/ token(')') /-map/ "new node('(', _[1]).metadata_from(_[0])".qf,
+
+    parameter_rank(n)         = {'=': 1, 'u*': 2, 'u&': 3}[n.data] || 0,
+    parameter_list_of(item)   = ordered('trailing_parameters', parameter_rank, declaring(item) /-bfc/ manyc(comma /-bfc/ declaring(item) /-map/ "_[1]".qf)
+                                                                               /-map/ "node_of(',', [_[0]].concat(_[1]))".qf),
+    parameter_list            = parameter_list_of(feature('destructuring_parameters', destructured_parameter) /-alt/ parameter),
+    no_parameters             = zero() /-map/ "new node(',')".qf,
+    parenthesized_parameters  = token('(') /whitespace_and_comments /(parameter_list /-alt/ no_parameters) /whitespace_and_comments /-bfc/ token(')') /-map/ "_[2]".qf,
+    parameters                = parenthesized_parameters /-alt/ (r(/(?!\()/) /-bfc/ (parameter_list /-alt/ no_parameters) /-map/ "_[1]".qf),
+
+    body                      = maybe(separator) /a_rescuable_statements /-bfc/ keyword('end') /-map/ "_[1]".qf,
+
+    scope_chain(xs)           = xs[1] /[xs[0]][new node('::', x0, x).position(x0.position())] -seq,
+    class_name                = constant /-bfc/ manyc(linear_string('::') /-bfc/ constant /-map/ "_[1]".qf) /-map/ scope_chain /!no_newlines_after,
+    superclass                = token('<') /-bfc/ an_expression /-map/ "_[1]".qf,
+    alias_name                = symbol /global_variable /-alt/ method_name /!no_newlines_after,
+
+    method_definition         = scope_keyword('def') /def_name /whitespace /declaring(parameters) /-bfc/ body /-map/ "new node('def', _[1], _[3], _[4])".qf /!scope,
+    singleton_class           = scope_keyword('class') /token('<<') /an_expression /-bfc/ body /-map/ "new node('class', new node('<<', _[2]).metadata_from(_[1]), _[3])".qf /!scope,
+    class_definition          = scope_keyword('class') /class_name /maybe(superclass) /-bfc/ body /-map/ "new node('class', _[1], _[2] || new node(''), _[3])".qf /!scope,
+    module_definition         = scope_keyword('module') /class_name /-bfc/ body /-map/ "new node('module', _[1], _[2])".qf /!scope,
+    alias_definition          = keyword('alias') /alias_name /-bfc/ alias_name /-map/ "new node('alias', _[1], _[2])".qf,
+    undef_name                = symbol /-alt/ method_name /!no_newlines_after,
+    undef_definition          = keyword('undef') /undef_name /-bfc/ manyc(comma /-bfc/ undef_name /-map/ "_[1]".qf) /-map/ "node_of('undef', [_[1]].concat(_[2]))".qf,
+
+    definition                = method_definition /singleton_class /class_definition /module_definition /alias_definition /-alt/ undef_definition /!positioned /!no_newlines_after,
+
+// Invocations.
+// An invocation is a method name followed by some combination of an argument list and a block. The receiver is either an expression followed by a dot, or an 'implied self' node if the method
+// is called without one. Method names after a dot can be anything, keywords included. Without a receiver, though, an identifier only becomes an invocation if it has parenthesized arguments, a
+// block, or a paren-less argument list; otherwise it's just a leaf. A local variable only becomes an invocation with parenthesized arguments, so 'x -1' subtracts if x is a local.
+
+// Paren-less argument lists are where whitespace matters. 'foo -1' passes -1 to foo, but 'foo - 1' subtracts. The rule used here is Ruby's: after a space, anything that looks like a binary
+// operator followed by more whitespace ends the command, and so do keywords like 'if' and 'do'. Parenthesized arguments have to follow the method name immediately.
+
+// Arguments are ',' nodes. Splats and block arguments are 'u*' and 'u&' nodes, as in parameter lists, and trailing hash arguments are kept inline as "=>" or ":" pair nodes. Label pairs
+// are new in 1.9, and 2.x adds double splats, which are 'u**' nodes. Block parameters use the parameter syntax, except that a default value is a primary like 'x' or 'f(x)' rather than any
+// expression. Otherwise the '|' that closes the list would be read as a binary operator.
+
+// | foo.bar(1, *xs, &f)                                   ("()" foo bar ("," 1 ("u*" xs) ("u&" f)) "")
+//   puts x, :y => 1, z: 2                                 ("()" (implied self) puts ("," x ("=>" :y 1) (":" z 2)) "")
+//   xs.each {|a, (b, c), *d| ...}                         ("()" xs each (",") ("{}" ("," a ("(" ("," b c)) ("u*" d)) (";" ...)))
+
+// A call made with '&.' instead of a dot is an "&." node laid out like a "()" node; it's new in 2.x. Lambda literals, new in 1.9, are operands. Their parameters are written outside of the
+// block, so they're the first child of the "->" node, and the block after them has no parameters of its own.
+
+// | foo&.bar(1)                                           ("&." foo bar ("," 1) "")
+//   ->(x, y = 1) { x + y }                                ("->" ("," x ("=" y 1)) ("{}" (",") (";" ("+" x y))))
+
+  // Modifiers.
+//   There are various oddities inherited from YARV. One of them is the way argument lists are parsed, which sometimes yields errors. For example, consider these statements:
+
+  // | puts 'foo' unless bar
+//     puts 'foo' rescue bar
+
+  // It is legal to parenthesize the invocations this way, in which case their behavior is preserved:
+
+  // | puts('foo') unless bar
+//     puts('foo') rescue bar
+
+  // However it isn't legal to move the 'unless' and 'rescue' into the argument list proper. The reason is probably that it would have caused problems for the paren-less parse in the first case.
+//   So Ruby won't accept this, even though the semantics are unambiguous:
+
+  // | puts('foo' unless bar)
+//     puts('foo' rescue bar)
+
+  // It's straightforward enough to see why this might be a problem. If the parser were willing to consider an 'unless' or 'rescue' as part of an argument, then it would have interpreted the
+//   first cases to be equivalent to the third, not the second, and that would surprise some people. If they changed the precedence of 'unless' or 'rescue' to be lower than an argument-list comma
+//   to fix this, then the meaning of something like this would be unclear:
+
+  // | f(x, y, z rescue nil)
+
+  // Because of this, Caterwaul's Ruby parser does the YARV thing and uses an entirely separate grammar production for arguments. Unlike YARV, however, this one factors common logic into reusable
+//   functions.
+
+    implied_self(name)        = new node('implied self').position(name.position()),
+    invocation(r, name, tail) = new node('()', r, name, tail[0], tail[1]).position(r.position()) -se [it._end = tail[2] ? tail[2]._end : null],
+
+    call_on(xs)(receiver)     = invocation(receiver, xs[1], xs[2]),
+    safe_call_on(xs)(receiver) = invocation(receiver, xs[1], xs[2]) -se [it.data = '&.'],
+    scoped_on(xs)(receiver)   = new node('::', receiver, xs[1]).position(receiver.position()),
+    indexed_on(xs)(receiver)  = new node('[]', receiver, xs[2]).position(receiver.position()) -se [it._end = xs[5]._end],
+
+    yield_or_super            = lexeme(null, word_in('yield super')),
+    called_method_name        = lexeme(null, given[t, state] in method_word(t, state.input())) /-map/ "_.kind('method call')".qf,
+
+    dot                       = whitespace_and_comments /r(/\.(?!\.)/) /-bfc/ whitespace_and_comments,
+    safe_dot                  = whitespace_and_comments /r(/&\./) /-bfc/ whitespace_and_comments,
+    method_postfix(tail)      = dot /called_method_name /-bfc/ tail /-map/ call_on,
+    safe_postfix(tail)        = feature('safe_navigation', safe_dot /called_method_name /-bfc/ tail /-map/ safe_call_on),
+    scope_postfix(tail)       = linear_string('::') /-bfc/ no_newlines_after(constant) /-map/ scoped_on /-alt/ (linear_string('::') /called_method_name /-bfc/ tail /-map/ call_on),
+
+    no_arguments              = zero() /-map/ "new node(',')".qf,
+    no_block                  = zero() /-map/ "new node('')".qf,
+    required_whitespace       = r(/(?:[ \t\r\f]|\\\r?\n)+/),
+    command_stop              = r(/(?:and|or|not|if|unless|while|until|rescue|then|do|end|in)(?![\w?!])|(?!->)[-+*\/%&|^<>=!~?:.]+(?=\s|$)|=(?![=~>])|\{/),
+
+    index_postfix             = linear_string('[') /whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /whitespace_and_comments /-bfc/ token(']')
+                                /-map/ indexed_on,
+
+    parenthesized_arguments   = linear_string('(') /whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /whitespace_and_comments /-bfc/ punctuation(')'),
+
+    call_tails(block, trailing_do) = {required: parens /command /-alt/ bare, optional: parens /command /bare /-alt/ none, parens: parens}
+                                     -where [parens  = parenthesized_arguments /whitespace /-bfc/ (block /-alt/ no_block) /-map/ "[_[0][2], _[2], _[0][5]]".qf,
+                                             command = required_whitespace /reject(command_stop) /a_command_arguments /-bfc/ (trailing_do /-alt/ no_block) /-map/ "[_[2], _[3]]".qf,
+                                             bare    = whitespace /no_arguments /-bfc/ block /-map/ "[_[1], _[2]]".qf,
+                                             none    = whitespace /no_arguments /-bfc/ no_block /-map/ "[_[1], _[2]]".qf],
+
+    primary_value(states)     = expression.operand(states),
+    a_primary_value           = annotate(primary_value, 'primary_value', []),
+    block_parameter_list      = parameter_list_of(destructured_parameter /-alt/ parameter_with(a_primary_value, feature('block_parameter_defaults', default_parameter(a_primary_value)))),
+    block_locals              = feature('block_locals', token(';') /(identifier /!no_newlines_after) /-bfc/ manyc(comma /-bfc/ (identifier /!no_newlines_after) /-map/ "_[1]".qf)
+                                                        /-map/ "node_of('u;', [_[1]].concat(_[2])).metadata_from(_[0])".qf),
+    block_parameters          = token('|') /whitespace_and_comments /(block_parameter_list /-alt/ no_parameters) /maybe(block_locals) /whitespace_and_comments /-bfc/ token('|')
+                                /-map/ "_[3] ? node_of(',', Array.prototype.slice.call(_[2]).concat([_[3]])) : _[2]".qf
+                                /-alt/ no_parameters,
+
+    brace_block               = token('{') /whitespace_and_comments /declaring(block_parameters) /a_statements /-bfc/ token('}') /-map/ "new node('{}', _[2], _[3]).metadata_from(_[0])".qf /!positioned /!scope,
+    do_block                  = keyword('do') /whitespace_and_comments /declaring(block_parameters) /a_rescuable_statements /-bfc/ keyword('end') /-map/ "new node('do', _[2], _[3]).metadata_from(_[0])".qf /!positioned /!scope,
+
+    lambda_brace              = token('{') /whitespace_and_comments /a_statements /-bfc/ token('}') /-map/ "new node('{}', new node(','), _[2]).metadata_from(_[0])".qf /!positioned,
+    lambda_do                 = keyword('do') /whitespace_and_comments /a_rescuable_statements /-bfc/ keyword('end') /-map/ "new node('do', new node(','), _[2]).metadata_from(_[0])".qf /!positioned,
+    lambda_literal            = token('->') /declaring(parameters) /-bfc/ (lambda_brace /-alt/ lambda_do) /-map/ "new node('->', _[1], _[2]).metadata_from(_[0])".qf /!positioned /!scope,
+
+    arguments_from(expression) = ordered('trailing_arguments', rank, argument /-bfc/ manyc(comma /-bfc/ argument /-map/ "_[1]".qf) /-map/ "node_of(',', [_[0]].concat(_[1]))".qf)
+                                 -where [rank(n)  = {'u*': 1, 'u&': 2}[n.data] || 0,
+                                         splat    = token('*') /-bfc/ expression /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf,
+                                         double   = feature('double_splats', token('**') /-bfc/ expression /-map/ "new node('u**', _[1]).metadata_from(_[0])".qf),
+                                         block    = token('&') /-bfc/ expression /-map/ "new node('u&', _[1]).metadata_from(_[0])".qf,
+                                         pair     = expression /(token('=>') /!newlines_after) /-bfc/ expression /-map/ "new node('=>', _[0], _[2]).position(_[0].position())".qf,
+                                         label    = feature('labels', terminal(/[A-Za-z_]\w*[?!]?(?=:(?!:))/) /(linear_string(':') /!newlines_after) /-bfc/ expression
+                                                                      /-map/ "new node(':', _[0], _[2]).position(_[0].position())".qf),
+                                         quoted   = feature('string_labels', quoted_string /(linear_string(':') /!newlines_after) /-bfc/ expression
+                                                                             /-map/ "new node(':', _[0], _[2]).position(_[0].position())".qf),
+                                         argument = double /splat /block /label /quoted /pair /-alt/ expression],
+
+    expression                = grammar(binary_operator, true),
+    argument_expression       = grammar(argument_operator, true),
+    argument_list             = argument_expression /!arguments_from,
+    command_arguments         = grammar(argument_operator, false) /!arguments_from,
+
+// Containers.
+// Array and hash literals use the opening bracket as their node data, with a ',' node of elements inside. Their elements are parsed as arguments, so an array can have splats and a hash can
+// use either pair syntax (or both). Indexing is a postfix operation like an invocation, stored as a '[]' node with the receiver and a ',' node of indexes; '[]=' is just an assignment to one.
+
+// An opening brace after something that can take a block is always a block, and the block parsers get the first try at it. So a brace only becomes a hash when it's in operand position: 'x
+// {foo}' passes a block to x, while 'x({foo => 1})' and 'x = {foo => 1}' build hashes.
+
+    element_list              = whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /-bfc/ whitespace_and_comments /-map/ "_[1]".qf,
+    array                     = token('[') /element_list /-bfc/ token(']') /-map/ "new node('[', _[1]).metadata_from(_[0])".qf,
+    hash                      = token('{') /element_list /-bfc/ token('}') /-map/ "new node('{', _[1]).metadata_from(_[0])".qf,
+
+    container                 = array /-alt/ hash /!positioned /!no_newlines_after,
+
+// Assignment.
+// Simple assignment is just a right-associative binary operator, but assignments with more than one thing on either side are statement-level constructs.
+
+  // Dealing with commas.
+//   Another difference worth considering is that the comma plays different roles depending on where it is. The most interesting case happens if we observe commas within a statement but not
+//   inside an argument list; in this case, it has higher precedence than = because it's part of an lvalue or an rvalue:
+
+  // | x, y = 1, 2           <- (x, y) = (1, 2)
+
+  // However, this isn't true of array constructors or argument lists; in both of those cases the comma has lower precedence than =:
+
+  // | f(x, y = 1, 2)        <- f((x), (y = 1), (2))
+//     [x, y = 1, 2]         <- [(x), (x = 1), (2)]
+
+  // So part of the parameterization for expression trees is how to treat the precedence of the comma. In practice, this is done by using two separate operators depending on the context.
+//   Low-precedence commas are just regular commas, and high-precedence ones are stored in nodes whose data is ',h'.
+
+    assignable(states)        = expression.operand(states),
+    an_assignable             = annotate(assignable, 'assignable', []),
+
+    comma_list(xs)            = node_of(',h', xs).position(xs[0].position()),
+    is_splat(n)               = n.data === 'u*',
+
+    lhs_item(states)          = lhs_item(states),
+    lhs_list(states)          = lhs_list(states),
+    an_lhs_item               = annotate(lhs_item, 'lhs_item', []),
+
+    lhs_list                  = an_lhs_item /manyc(comma /-bfc/ an_lhs_item /-map/ "_[1]".qf) /-bfc/ maybe(comma),
+    lhs_splat                 = token('*') /-bfc/ maybe(an_assignable) /-map/ "(_[1] ? new node('u*', _[1]) : new node('u*')).metadata_from(_[0])".qf,
+    lhs_group                 = token('(') /annotate(lhs_list, 'lhs_list', []) /-bfc/ token(')') /-map/ "new node('(', comma_list([_[1][0]].concat(_[1][1]))).metadata_from(_[0])".qf,
+    lhs_item                  = lhs_splat /lhs_group /-alt/ an_assignable,
+
+    multiple_lhs              = lhs_list /-flat_map/ "_[1].length || _[2] || is_splat(_[0]) ? [comma_list([_[0]].concat(_[1]))] : []".qf,
+    multiple_rhs              = an_argument_list /-flat_map/ "_.length > 1 || is_splat(_[0]) ? [comma_list(Array.prototype.slice.call(_))] : []".qf,
+    assignment_operator       = token('=') /!newlines_after,
+
+    multiple_assignment       = declaring(multiple_lhs /-bfc/ assignment_operator /-map/ "_[0]".qf) /-bfc/ (multiple_rhs /-alt/ an_expression) /-map/ "new node('=', _[0], _[1]).position(_[0].position())".qf,
+    list_assignment           = an_assignable /assignment_operator /-bfc/ multiple_rhs /-map/ "new node('=', _[0], _[2]).position(_[0].position())".qf,
+
+    statement                 = multiple_assignment /list_assignment /-alt/ an_expression,
+
+// Control flow.
+// Conditionals, loops, case and begin/rescue. Each of these is an operand, so it can appear anywhere an expression can ('x = if a then b else c end'). The modifier forms are binary operators
+// and are handled by the expression grammar; they're stored body-first, which is how a block-form loop can be told apart from a modifier: its body is always a ';' node in the second position.
+
+// An 'if' or 'unless' always has three children. The third is the else branch: a ';' node for 'else', an "elsif" node (which has the same shape as "if") for 'elsif', or an empty leaf if
+// there isn't one. The condition can be followed by 'then', a separator, or both, and in 1.8 it can be followed by a colon instead.
+
+// | if _c then _a elsif _d then _b else _e end           ("if" _c (";" _a) ("elsif" _d (";" _b) (";" _e)))
+//   unless _c; _a; end                                    ("unless" _c (";" _a) "")
+//   while _c do _a end                                    ("while" _c (";" _a))
+//   for _x, _y in _xs do _a end                           ("for" (",h" _x _y) _xs (";" _a))
+
+    then_break                = (maybe(separator) /-bfc/ keyword('then')) /separator /-alt/ feature('colon_then', r(/:(?!:)/) /!no_newlines_after),
+    clause_body               = then_break /-bfc/ a_statements /-map/ "_[1]".qf,
+    no_else                   = zero() /-map/ "new node('')".qf,
+    else_body                 = keyword('else') /-bfc/ a_statements /-map/ "_[1]".qf,
+
+    if_tail(states)           = if_tail(states),
+    an_if_tail                = annotate(if_tail, 'if_tail', []),
+
+    elsif_clause              = keyword('elsif') /an_expression /clause_body /-bfc/ an_if_tail /-map/ "new node('elsif', _[1], _[2], _[3]).metadata_from(_[0])".qf,
+    if_tail                   = elsif_clause /else_body /-alt/ no_else,
+
+    if_block                  = keyword('if') /an_expression /clause_body /an_if_tail /-bfc/ keyword('end') /-map/ "new node('if', _[1], _[2], _[3])".qf,
+    unless_block              = keyword('unless') /an_expression /clause_body /(else_body /-alt/ no_else) /-bfc/ keyword('end') /-map/ "new node('unless', _[1], _[2], _[3])".qf,
+
+  // Loops.
+//   The condition of a 'while', 'until' or 'for' can be followed by 'do', so it's parsed with a copy of the expression grammar whose invocations don't take do-blocks, just like command
+//   arguments. The variables of a 'for' loop are an assignment target, so more than one of them makes a ',h' node.
+
+    loop_condition            = grammar(binary_operator, false),
+    loop_body                 = ((maybe(separator) /-bfc/ keyword('do')) /-alt/ separator) /-bfc/ a_statements /-map/ "_[1]".qf,
+
+    loop_block(word)          = keyword(word) /loop_condition /loop_body /-bfc/ keyword('end') /-map/ "new node(word, _[1], _[2])".qf,
+    for_variables             = lhs_list /-map/ "_[1].length || _[2] ? comma_list([_[0]].concat(_[1])) : _[0]".qf,
+    for_block                 = keyword('for') /declaring(for_variables) /keyword('in') /loop_condition /loop_body /-bfc/ keyword('end') /-map/ "new node('for', _[1], _[3], _[4])".qf,
+
+  // Case and exceptions.
+//   A 'case' node has the subject (an empty leaf if there isn't one) followed by its 'when' clauses, and then an "else" node if there's an else branch. Each 'when' has a ',' node of values,
+//   which can include splats. 'begin' works the same way: the body comes first, then any "rescue" clauses, then "else" and "ensure" nodes if they're present. A rescue clause has a ',' node of
+//   exception classes, the variable (or an empty leaf) and the body.
+
+  // The bodies of methods, classes, modules and do-blocks can have rescue clauses without a 'begin'. Their body is then a "begin" node instead of a ';' node, which is unambiguous because an
+//   explicit 'begin' would be a statement inside the ';' node.
+
+  // The jump statements 'return', 'break' and 'next' take an optional paren-less argument list. A single argument is stored by itself and more than one becomes a ',h' node.
+
+// | case _x when _a, *_b then _c else _d end             ("case" _x ("when" ("," _a ("u*" _b)) (";" _c)) ("else" (";" _d)))
+//   begin _a rescue _k => _e; _b ensure _c end            ("begin" (";" _a) ("rescue" ("," _k) _e (";" _b)) ("ensure" (";" _c)))
+//   return _x, _y                                         ("return" (",h" _x _y))
+
+    tagged_body(word)         = keyword(word) /-bfc/ a_statements /-map/ "new node(word, _[1]).metadata_from(_[0])".qf,
+
+    when_clause               = keyword('when') /an_argument_list /-bfc/ clause_body /-map/ "new node('when', _[1], _[2]).metadata_from(_[0])".qf,
+    case_block                = keyword('case') /(an_expression /-alt/ no_else) /maybe(separator) /manyc(when_clause) /maybe(tagged_body('else')) /-bfc/ keyword('end')
+                                /-map/ "node_of('case', [_[1]].concat(_[3], _[4] ? [_[4]] : []))".qf,
+
+    exception                 = token('*') /-bfc/ argument_expression /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf /-alt/ argument_expression,
+    exception_list            = exception /-bfc/ manyc(comma /-bfc/ exception /-map/ "_[1]".qf) /-map/ "node_of(',', [_[0]].concat(_[1]))".qf,
+    rescue_variable           = token('=>') /!newlines_after /-bfc/ an_assignable /-map/ "_[1]".qf,
+    rescue_clause             = keyword('rescue') /(exception_list /-alt/ no_arguments) /(declaring(rescue_variable) /-alt/ no_else) /-bfc/ clause_body
+                                /-map/ "new node('rescue', _[1], _[2], _[3]).metadata_from(_[0])".qf,
+
+    rescue_parts              = a_statements /manyc(rescue_clause) /maybe(tagged_body('else')) /-bfc/ maybe(tagged_body('ensure'))
+                                /-map/ "[_[0]].concat(_[1], _[2] ? [_[2]] : [], _[3] ? [_[3]] : [])".qf,
+
+    begin_block               = keyword('begin') /rescue_parts /-bfc/ keyword('end') /-map/ "node_of('begin', _[1])".qf,
+    rescuable_statements      = rescue_parts /-map/ "_.length > 1 ? node_of('begin', _).position(_[0].position()) : _[0]".qf,
+
+    jump_word                 = lexeme(null, word_in('return break next')),
+    jump_arguments            = whitespace /reject(command_stop) /-bfc/ a_command_arguments /-map/ "_[2].length > 1 ? comma_list(Array.prototype.slice.call(_[2])) : _[2][0]".qf,
+    jump                      = jump_word /-bfc/ maybe(jump_arguments) /-map/ "_[1] ? new node(_[0].data, _[1]).metadata_from(_[0]) : _[0]".qf,
+
+    control                   = if_block /unless_block /loop_block('while') /loop_block('until') /for_block /case_block /begin_block /-alt/ jump /!positioned /!no_newlines_after,
+
+// Toplevel parsers.
+// A program is a sequence of statements that has to consume the entire input. If there's only one statement, it's returned by itself rather than inside a ';' node. The last statement doesn't
+// need a newline after it, so the input can end with a comment on the same line.
+
+    program                   = a_statements /whitespace_and_comments /-bfc/ end_of_input /-map/ "_[0] /!unwrap".qf],
+
+  using [caterwaul.parser]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby syntax accessors | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Code that inspects Ruby trees would otherwise have to know how the parser lays out each construct: that the receiver of a method call is its first child, say, or that a class without a
+// superclass has an empty leaf where the superclass would go. These methods give those places names, and the predicates say what kind of construct a node is:
+
+// | t = caterwaul.ruby('xs.each {|x| puts x}');
+//   t.is_invocation()                     // -> true
+//   t.receiver().data                     // -> 'xs'
+//   t.method_name()                       // -> 'each'
+//   t.block().params()[0].data            // -> 'x'
+
+// An accessor that doesn't apply to a node returns null, or an empty array if it returns a list, so they can all be used on any node without checking what it is first.
+
+caterwaul.js_all()(function ($) {
+  $.merge($.ruby.syntax.prototype, invocations, definitions, literals, queries),
+
+  where [children(n) = Array.prototype.slice.call(n),
+         items(n)    = /^,h?$/.test(n.data) ? children(n) : [],
+         name_of(n)  = n.data === '::' && n.length === 2 ? name_of(n[0]) + '::' + name_of(n[1]) : n.data,
+
+// Invocations.
+// A method call is a '()' node whose children are the receiver, the method name, the arguments and the block. A call without an explicit receiver has an 'implied self' leaf in its place, which
+// is_implied_self() detects; this includes yield and super when they're given arguments. Calls made with '&.' are "&." nodes with the same layout, so they're invocations too, and
+// is_safe_navigation() picks them out. Blocks are '{}' or 'do' nodes, and their parameters and bodies are available the same way as a method's.
+
+// | caterwaul.ruby('foo(1, *x)').arguments()                      // -> [1, ("u*" x)]
+//   caterwaul.ruby('foo(1, *x)').receiver().is_implied_self()     // -> true
+//   caterwaul.ruby('foo(1, *x)').block()                          // -> null
+
+         invocations = capture [is_invocation()      = /^(?:\(\)|&\.)$/.test(this.data) && this.length === 4,
+                                is_safe_navigation() = this.data === '&.' && this.length === 4,
+                                is_implied_self()    = this.data === 'implied self' && ! this.length,
+                                is_block()           = /^(?:\{\}|do)$/.test(this.data) && this.length === 2,
+
+                                receiver()           = this.is_invocation() ? this[0] : null,
+                                method_name()        = this.is_invocation() ? this[1].data : null,
+                                arguments()          = this.is_invocation() ? items(this[2]) : [],
+                                block()              = this.is_invocation() && this[3].is_block() ? this[3] : null],
+
+// Definitions.
+// Methods, classes and modules have names, which are strings; a class or module name that's qualified with '::' comes back the same way. singleton() returns the object that a 'def self.foo'
+// method or a 'class << self' body is defined on. params() works for methods, blocks and lambdas, and body() for anything that has one. Bodies are usually ';' nodes, but a body with a single
+// statement is just that statement.
+
+// | caterwaul.ruby('class Foo::Bar < Baz; end').class_name()        // -> 'Foo::Bar'
+//   caterwaul.ruby('class Foo::Bar < Baz; end').superclass().data   // -> 'Baz'
+//   caterwaul.ruby('def self.foo(a, b = 1); end').def_name()        // -> 'foo'
+//   caterwaul.ruby('def self.foo(a, b = 1); end').params()          // -> [a, ("=" b 1)]
+//   caterwaul.ruby('->(x) { x * 2 }').params()                      // -> [x]
+
+         definitions = capture [is_def()             = this.data === 'def' && this.length === 3,
+                                is_class()           = this.data === 'class' && this.length === 3,
+                                is_singleton_class() = this.data === 'class' && this.length === 2 && this[0].data === '<<',
+                                is_module()          = this.data === 'module' && this.length === 2,
+                                is_lambda()          = this.data === '->' && this.length === 2,
+
+                                def_name()           = this.is_def() ? (this[0].data === '.' ? this[0][1] : this[0]).data : null,
+                                class_name()         = this.is_class() ? name_of(this[0]) : null,
+                                module_name()        = this.is_module() ? name_of(this[0]) : null,
+                                superclass()         = this.is_class() && this[1].data ? this[1] : null,
+
+                                singleton()          = this.is_def() && this[0].data === '.' ? this[0][0] : this.is_singleton_class() ? this[0][0] : null,
+                                params()             = this.is_def() ? items(this[1]) : this.is_block() || this.is_lambda() ? items(this[0]) : [],
+                                body()               = this.is_lambda() ? this[1].body() :
+                                                       this.is_def() || this.is_block() || this.is_class() || this.is_module() || this.is_singleton_class() ? this[this.length - 1] : null],
+
+// Literals.
+// is_literal() is true for numbers, strings, symbols, regexps, character literals, nil, true and false, whether or not they have interpolations. Backtick commands aren't included, since they
+// run something, and neither are ranges, arrays or hashes; is_array() and is_hash() cover the last two, including %w and %i word lists. A negative number is a unary minus applied to the
+// number.
+
+// | caterwaul.ruby('"a#{b}"').is_string()        // -> true
+//   caterwaul.ruby(':foo').is_symbol()           // -> true
+//   caterwaul.ruby('-1').is_number()             // -> false
+//   caterwaul.ruby('%w[a b]').is_array()         // -> true
+
+         literals = capture [is_number()    = ! this.length && /^\d/.test(this.data),
+                             is_character() = ! this.length && /^\?./.test(this.data),
+                             is_symbol()    = this.length ? this.data === ':"' : /^(?::[^:]|%s[^\w\s])/.test(this.data),
+                             is_string()    = this.length ? /^(?:"|%[qQ]?[^\w\s=]| |)$/.test(this.data) || this.data === '%=' && this.length !== 2 || heredoc(this.data)
+                                                          : /^(?:'|"|%[qQ]?[^\w\s])/.test(this.data) || heredoc(this.data),
+                             is_regexp()    = this.length ? /^(?:\/\/|%r[^\w\s][^\w\s])[a-z]*$/.test(this.data) : /^(?:\/|%r[^\w\s])/.test(this.data),
+
+                             is_literal()   = this.is_number() || this.is_character() || this.is_symbol() || this.is_string() || this.is_regexp()
+                                           || ! this.length && /^(?:nil|true|false)$/.test(this.data),
+
+                             is_array()     = this.data === '[' && this.length === 1 || /^%[wWiI][^\w\s]$/.test(this.data),
+                             is_hash()      = this.data === '{' && this.length === 1],
+
+         heredoc(d) = /^<<[-~]?(?:\w|(["'])[^\n]*\1$)/.test(d),
+
+// Queries.
+// find_all() returns the nodes in a tree that match a pattern, in the order they appear in the source; the tree itself is included if it matches. find() returns the first one, or null. A
+// pattern that's a string matches nodes with that data, a regexp is tested against the data, and a function is called on each node.
+
+// | caterwaul.ruby('def f; end\ndef g; end').find_all('def').map(function (n) {return n.def_name()})     // -> ['f', 'g']
+//   caterwaul.ruby('require "x"; foo').find(function (n) {return n.method_name() === 'require'})  // -> ("()" implied self require ("," "x") )
+
+         queries = capture [find_all(p) = this.collect(matcher(p)),
+                            find(p)     = this.find_all(p)[0] || null],
+
+         matcher(p) = p instanceof Function ? p : p instanceof RegExp ? (given.n in p.test(n.data)) : given.n in (n.data === p)]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby source maps | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Ruby printed from a tree and Javascript compiled from one can both come with a source map, so that errors and stack traces in the output can be traced back to the Ruby they came from. The
+// maps are standard version 3 source maps (https://sourcemaps.info/spec.html), which node.js, browsers and most other tools understand:
+
+// | caterwaul.ruby.serialize.mapped(tree, {file: 'out.rb', source: 'in.rb'})     // -> {code: '...', map: {version: 3, file: 'out.rb', sources: ['in.rb'], names: [], mappings: '...'}}
+//   caterwaul.ruby.compile.mapped(tree, {file: 'out.js', source: 'in.rb'})       // -> {code: '...', map: {...}}
+
+// The serializer and the compiler work out where the text of each node ended up, and source_map() encodes those places. Each place is an offset into the generated code along with the
+// zero-based line and column in the Ruby source that it came from, like the ones span() returns. A map has one source, so places in nodes that were parsed from some other input are left out by
+// the callers.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.source_map(code, places, options) = {version: 3, file: o.file || '', sourceRoot: o.root || '', sources: [o.source || ''], names: [], mappings: mappings(code, places)}
+                                             -where [o = options || {}],
+
+  where [base64      = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+
+// Encoding.
+// Each generated line is a list of segments separated by commas, and lines are separated by semicolons. A segment is a list of base64 VLQ numbers: the generated column, the index of the source,
+// and the line and column in that source. The generated column is relative to the previous segment on its line, and the rest are relative to the previous segment anywhere in the map. When
+// several places share an offset (a node and its first child, say), the last one wins, since the innermost node is the most precise.
+
+         vlq(n)      = digits(n < 0 ? -n << 1 | 1 : n << 1),
+         digits(v)   = base64.charAt(v & 31 | (v > 31 ? 32 : 0)) + (v > 31 ? digits(v >>> 5) : ''),
+
+         mappings(code, places) = rows *r[r ? r *s[encoded(s, si ? r[si - 1].column : 0)] -seq -re- it.join(',') : ''] -seq -re- it.join(';')
+                                  -where [newlines         = [] -se [n[code.length] *![code.charCodeAt(x) === 10 && it.push(x)] -seq],
+                                          line_of(i, l, u) = (l < u ? newlines[m] < i ? line_of(i, m + 1, u) : line_of(i, l, m) : l) -where [m = l + u >> 1],
+
+                                          sorted           = places *[{offset: x.offset, line: x.line, column: x.column, i: xi}] -seq
+                                                             -re- it.sort(given[a, b] in a.offset - b.offset || a.i - b.i),
+                                          kept             = sorted %[! sorted[xi + 1] || sorted[xi + 1].offset !== x.offset] -seq,
+
+                                          rows             = [] -se [kept *![(it[l] || (it[l] = [])).push({column: x.offset - (l ? newlines[l - 1] + 1 : 0), source: x}),
+                                                                             where [l = line_of(x.offset, 0, newlines.length)]] -seq],
+
+                                          last             = {line: 0, column: 0},
+                                          encoded(s, previous) = vlq(s.column - previous) + vlq(0) + vlq(s.source.line - last.line) + vlq(s.source.column - last.column)
+                                                                 -se [last.line = s.source.line, last.column = s.source.column]]]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby serializer | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This file turns Ruby syntax trees back into source code. A tree that came straight from the parser serializes to exactly the text it was parsed from, comments, heredocs and odd spacing
+// included:
+
+// | caterwaul.ruby('foo  bar, bif # hi').toRuby()         // -> 'foo  bar, bif # hi'
+//   caterwaul.ruby.serialize(caterwaul.ruby('x = 5'))     // -> 'x = 5'
+
+// Trees that have been rewritten are printed bottom-up using the _original records that parse() leaves on each node. A subtree that hasn't changed is copied from the source. A node that still
+// has its original operator and child layout keeps its original text between the children, so replacing 'bar' in 'foo(bar,  bif)' only changes the text of 'bar'. Everything else is generated
+// with a standard layout: two-space indentation, one statement per line, and parentheses wherever operator precedence needs them. Comments stay with the statements they're attached to.
+
+caterwaul.js_all()(function ($) {
+
+  $.ruby.syntax.prototype.toRuby() = $.ruby.serialize(this),
+
+// Serialization.
+// Each node is emitted as a record of its text, the comments that still need a place in the output, and whether the node is unchanged from the parse. Unchanged nodes take their comments along
+// with the copied text, except for ones that sit outside the node's range; those travel up to the nearest statement sequence, which prints them on the line before the statement they belong to,
+// or after it if they followed it in the source. A comment outside the sequence's own range is left to the enclosing node, which will usually copy the text it's in. '__END__' sections always end
+// up at the end of the output.
+
+  // Heredoc bodies.
+//   A heredoc body doesn't sit next to its header, so copying a range of the source can pick up a body whose header is somewhere else, or a header whose body is somewhere else. Bodies of the
+//   first kind are cut out of the copy. Headers of the second kind are followed by a marker, and once everything has been printed each marker is removed and the body it stands for is placed
+//   on the lines after the one the marker ended up on.
+
+  // A heredoc that has been modified is printed as an ordinary string instead, since there's no good way to tell where its body should go. A heredoc that has no source at all, like one from
+//   fromJSON() or a macro, is printed as a heredoc again: its header is followed by a marker for a body made of its pieces and its terminator.
+
+  $.ruby.serialize(tree, places) = emit(tree, '', false) /!surround /!place_bodies -re [places ? unmark(it) : it]
+                           -where [bodies                 = [],
+                                   precedence             = $.ruby.precedence,
+                                   right_associative      = $.ruby.right_associative,
+
+                                   children(n)            = Array.prototype.slice.call(n),
+                                   spanned(o)             = !! o && o.start !== null,
+                                   same_span(a, b)        = spanned(a) ? spanned(b) && a.start === b.start && a.end === b.end : ! spanned(b),
+                                   line_indent(o)         = /^[ \t]*/.exec(o.input.substring(o.input.lastIndexOf('\n', o.start - 1) + 1, o.start))[0],
+
+                                   marker_pattern         = /\u0000\d+\u0000/g,
+                                   marker(o, h)           = marked_body(o.input.substring(h.body_start, h.end)),
+                                   marked_body(s)         = '\u0000' + (bodies.push(s) - 1) + '\u0000',
+                                   body_text(m)           = '\n' + bodies[+m.slice(1, -1)],
+                                   with_bodies(line)      = line.replace(marker_pattern, '') + ((line.match(marker_pattern) || []) *body_text -seq).join(''),
+                                   place_bodies(s)        = s.split('\n') *with_bodies -seq -re- it.join('\n'),
+
+                                   copy(o, a, b)          = region(o, a, b, true, headers.length ? pieces.join('') : o.input.substring(a, b))
+                                                            -where [headers          = Object.keys(o.heredocs) *[{at: +x, h: o.heredocs[x]}] %[x.h.terminated] -seq,
+                                                                    header_inside(x) = x.at >= a && x.at + x.h.length <= b,
+                                                                    body_inside(x)   = x.h.body_start - 1 >= a && x.h.end <= b,
+                                                                    cuts             = headers %[! header_inside(x) && body_inside(x)] *[{from: x.h.body_start - 1, to: x.h.end, text: ''}] -seq,
+                                                                    marks            = headers %[header_inside(x) && ! body_inside(x)] *[{from: x.at + x.h.length, to: x.at + x.h.length, text: marker(o, x.h)}] -seq,
+                                                                    edits            = cuts.concat(marks).sort(given[x, y] in x.from - y.from || x.to - y.to),
+                                                                    cursor           = a,
+                                                                    pieces           = [] -se [edits *![it.push(o.input.substring(cursor, x.from), x.text), cursor = x.to] -seq,
+                                                                                               it.push(o.input.substring(cursor, b))]],
+
+  // Comments.
+//   Comments are kept as comment nodes, whose _original records give their offsets. A comment inside a range that got copied has already been printed, so it's dropped.
+
+                                   offset(c)              = c._original.start,
+                                   is_end(c)              = /^__END__/.test(c.data),
+                                   in_ranges(c, rs)       = rs |[offset(c) >= x[0] && offset(c) < x[1]] |seq,
+                                   outside(cs, rs)        = cs %[! in_ranges(x, rs)] -seq,
+
+                                   comment_before(c, i)   = /^=begin/.test(c.data) && i ? '\n' + c.data + '\n' + i : c.data + '\n' + i,
+                                   comment_after(c)       = /^#/.test(c.data) ? ' ' + c.data : '\n' + c.data,
+                                   with_comments(k, s, i) = leading.join('') + k.text + trailing.join('')
+                                                            -where [cs       = k.comments %[! is_end(x)] -seq,
+                                                                    after(c) = !! s && offset(c) >= s.end,
+                                                                    leading  = cs %[! after(x)] *[comment_before(x, i)] -seq,
+                                                                    trailing = cs %[after(x)] *comment_after -seq],
+
+                                   surround(r)            = leading.join('') + r.text + trailing.join('') + ends.join('')
+                                                            -where [o        = tree._original,
+                                                                    cs       = r.comments %[! is_end(x)] -seq,
+                                                                    before   = spanned(o) ? cs %[offset(x) < o.start] -seq : [],
+                                                                    leading  = before *[comment_before(x, '')] -seq,
+                                                                    trailing = cs %[before.indexOf(x) < 0] *['\n' + x.data] -seq,
+                                                                    ends     = r.comments %[is_end(x)] *['\n' + x.data] -seq],
+
+  // Emitting nodes.
+//   A node keeps its original text between children if each child is either new or still covers the range of the child it replaced. A new child takes the place of the old one; a child from
+//   somewhere else in the source can't, since the text around it would no longer match. Statement sequences are more forgiving: they copy the text between any two statements that were adjacent
+//   in the source, and put new statements on lines of their own. Anything on the lines after the last original statement is kept at the end. The bodies of methods, classes, modules and do-blocks
+//   can be "begin" nodes; these are printed without the 'begin' and 'end' keywords.
+
+                                   emit(n, indent, implicit) = mark(n, same && spanned(o)         ? {text: copy(o, o.start, o.end), comments: outside(pending, [[o.start, o.end]]), same: true} :
+                                                                       n.data === ';' && n.length ? sequence(n, kids, o, own) :
+                                                                       splices(n, kids, o)        ? splice(n, kids, o, pending) :
+                                                                                                    {text: layout(n, kids, own, implicit), comments: pending, same: same})
+                                                               -where [o       = n._original,
+                                                                       own     = spanned(o) && ! implicit ? line_indent(o) : indent,
+                                                                       kids    = children(n) *[emit(x, child_indent(n, xi, own), implicit_body(n, xi))] -seq,
+                                                                       changed = o && kids %[! x.same || n[xi] !== o.children[xi]] -seq,
+                                                                       same    = !! o && o.data === n.data && o.children.length === n.length && ! changed.length,
+                                                                       pending = n.comments().concat(kids /[[]][x0.concat(x.comments)] -seq)],
+
+                                   splices(n, kids, o)    = spanned(o) && ! is_heredoc(n) && o.data === n.data && o.children.length === n.length
+                                                            && ! (kids |[! fits(n[xi]._original, o.children[xi]._original, x)] |seq),
+                                   fits(now, was, k)      = spanned(now) ? same_span(now, was) : spanned(was) || ! k.text,
+
+                                   splice(n, kids, o, cs) = {text: texts.join('') + copy(o, ends[ends.length - 1], o.end), comments: outside(cs, gaps), same: false}
+                                                            -where [placed = kids *[{k: x, i: xi, s: o.children[xi]._original}] %[spanned(x.s)] -seq,
+                                                                    ends   = [o.start].concat(placed *[x.s.end] -seq),
+                                                                    gaps   = placed *[[ends[xi], x.s.start]] -seq -re- it.concat([[ends[ends.length - 1], o.end]]),
+                                                                    texts  = placed *[copy(o, ends[xi], x.s.start) + wrapped(n, x.i, x.k)] -seq],
+
+                                   sequence(n, kids, o, i) = {text: texts.join('') + separator(ranges[kids.length], kids.length), comments: comments, same: false}
+                                                             -where [slots         = children(n) *[spanned(x._original) ? x._original : null] -seq,
+                                                                     starts        = spanned(o) ? o.children *[spanned(x._original) ? x._original.start : null] -seq : [],
+                                                                     index_of(s)   = s ? starts.indexOf(s.start) : -1,
+                                                                     last          = slots[slots.length - 1],
+                                                                     final         = spanned(o) && o.children.length ? o.children[o.children.length - 1]._original : null,
+                                                                     tail          = spanned(final) ? o.input.indexOf('\n', final.end) : -1,
+                                                                     between(p, q) = index_of(p) >= 0 && index_of(q) === index_of(p) + 1 ? [p.end, q.start] : null,
+                                                                     lead          = index_of(slots[0]) === 0 ? [o.start, slots[0].start] : null,
+                                                                     trail         = index_of(last) >= 0 && index_of(last) === starts.length - 1 ? [last.end, o.end] : tail >= 0 && tail < o.end ? [tail, o.end] : null,
+                                                                     ranges        = [lead].concat(slots.slice(1) *[between(slots[xi], x)] -seq, [trail]),
+                                                                     copied        = ranges %[x] -seq,
+                                                                     separator(r, j) = r ? copy(o, r[0], r[1]) : j === 0 || j === kids.length ? '' : tagged(shown[j - 1], shown[j]) ? ' ' : '\n' + i,
+                                                                     inside(c)     = ! spanned(o) || offset(c) >= o.start && offset(c) < o.end,
+                                                                     placeable(k)  = {text: k.text, comments: outside(k.comments, copied) %[inside(x)] -seq},
+                                                                     shown         = kids *[with_comments(placeable(x), slots[xi], i)] -seq,
+                                                                     texts         = shown *[separator(ranges[xi], xi) + x] -seq,
+                                                                     comments      = outside(n.comments().concat(kids /[[]][x0.concat(x.comments %[is_end(x) || ! inside(x)] -seq)] -seq), copied)],
+
+  // Indentation.
+//   A node that came from the source is indented the way its line was, and a new node is indented to match its parent. Bodies are indented one level further than the node that contains them.
+
+                                   bodies_of              = {def: [2], module: [1], '{}': [1], 'do': [1], 'for': [2], when: [1], rescue: [2], 'else': [0], ensure: [0], begin: [0],
+                                                             'while': [1], until: [1], 'if': [1, 2], unless: [1, 2], 'elsif': [1, 2]},
+                                   body_index(n, i)       = n.data === 'class' ? i === n.length - 1 : bodies_of.hasOwnProperty(n.data) && bodies_of[n.data].indexOf(i) >= 0,
+                                   is_body(n, i)          = body_index(n, i) && n[i].data === ';',
+                                   implicit_body(n, i)    = n[i].data === 'begin' && (n.data === 'class' ? i === n.length - 1 : /^(?:def|module|do)$/.test(n.data) && i === bodies_of[n.data][0]),
+                                   child_indent(n, i, s)  = is_body(n, i) ? s + '  ' : s,
+
+  // Parentheses.
+//   An operator inside another one needs parentheses if it binds more loosely, or equally loosely on the side that the outer operator doesn't associate towards. Receivers need them around any
+//   operator, and arguments need them around the keyword operators like 'and', 'not' and the statement modifiers. Assignments are the exception: an argument, parameter default or hash value
+//   like 'b = 1' reads the same without them, and 'def f(a, (b = 1))' wouldn't parse at all. 'not' and 'defined?' applied directly to a group aren't operators at all, since the parser reads
+//   them as primaries.
+
+                                   operator(n)            = n.length === 1 ? /^u./.test(n.data) || /^(?:not|defined\?)$/.test(n.data) && n[0].data !== '(' :
+                                                            n.length === 2 ? precedence.hasOwnProperty(n.data) && ! /^(?:\.|::)$/.test(n.data) && ! (/^(?:while|until)$/.test(n.data) && n[1].data === ';') :
+                                                            n.length === 3 && n.data === '?',
+                                   rank(n)                = precedence[n.data] || 0,
+                                   keyword_operator(n)    = operator(n) && rank(n) >= precedence['rescue'],
+
+                                   looser(p, i, c)        = p.data === '?' ? rank(c) > rank(p) || i === 0 && rank(c) === rank(p)
+                                                                            : rank(c) > rank(p) || rank(c) === rank(p) && p.length === 2 && (i === 0) === !! right_associative[p.data],
+                                   receiver(p, i)         = i === 0 && /^(?:\(\)|&\.|\[\]|::|\.)$/.test(p.data),
+                                   argument(p)            = /^(?:,|,h|=>|:|return|break|next)$/.test(p.data),
+                                   assignment(c)          = /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)?=$/.test(c.data) && c.length === 2 && c[0].data !== ',h' && c[1].data !== ',h'
+                                                            && (! keyword_operator(c[1]) || assignment(c[1])),
+                                   needs_parens(p, i, c)  = operator(c) && (operator(p) ? looser(p, i, c) : receiver(p, i) || argument(p) && keyword_operator(c) && ! assignment(c)),
+
+                                   wrapped(n, i, k)       = needs_parens(n, i, n[i]) ? '(' + k.text + ')' : k.text,
+
+  // Layouts.
+//   New nodes and nodes that can't be spliced are laid out from their children's text. Leaves print their data, except for the empty placeholders the parser uses for things like missing
+//   arguments. Strings print their pieces between their original delimiters. The template nodes that erb() makes print their text and tags between the '%>' and '<%' around them, leaving out
+//   whichever one falls outside the template. A line break that would go right after a '<%' or right before a '%>' is a space instead, so that each statement stays on one line inside its tag.
+
+                                   leaf(n)                = /^(?:|,|;|implied self)$/.test(n.data) ? '' : /^u\*\*?$/.test(n.data) ? n.data.substr(1) : is_heredoc(n) ? heredoc_string(n, []) :
+                                                            header(n) ? heredoc_text(n, []) : n.data,
+                                   filled(n)              = n.length > 0 || n.data !== '',
+
+                                   layout(n, kids, i, implicit) = (! n.length            ? leaf(n) :
+                                                                   is_heredoc(n)         ? heredoc_string(n, t) :
+                                                                   header(n)             ? heredoc_text(n, t) :
+                                                                   is_string(n)          ? string_text(n, t) :
+                                                                   is_regexp(n)          ? regexp_text(n, t) :
+                                                                   n.data === 'begin'    ? begin_text(n, t, i, implicit) :
+                                                                   layouts.hasOwnProperty(n.data) && layouts[n.data](n, t, i, i + '  ') ||
+                                                                   (n.length === 1       ? /^(?:not|defined\?)$/.test(n.data) && n[0].data === '(' ? n.data + t[0] :
+                                                                                           n.data === 'not' ? 'not ' + t[0] : n.data === 'defined?' ? 'defined?(' + t[0] + ')' : n.data.replace(/^u/, '') + t[0] :
+                                                                    n.length === 2       ? /^\.\.\.?$/.test(n.data) ? t[0] + n.data + t[1] : t[0] + ' ' + n.data + ' ' + t[1] :
+                                                                                           n.data + '(' + t.join(', ') + ')'))
+                                                                  -where [t = kids *[wrapped(n, xi, x)] -seq],
+
+                                   tagged(a, b)           = /<%$/.test(a) || /^%>/.test(b),
+                                   broken(a, b, i)        = a + (tagged(a, b) ? ' ' : '\n' + i) + b,
+
+                                   body(head, t, j)       = t ? broken(head, t, j) : head,
+                                   block(head, t, i, j)   = broken(body(head, t, j), 'end', i),
+                                   else_part(a, n, t, i, j) = ! filled(n) ? a : n.data === 'elsif' ? broken(a, t, i) : body(broken(a, 'else', i), t, j),
+                                   conditional(n, t, i, j) = n.length === 3 && else_part(body(n.data + ' ' + t[0], t[1], j), n[2], t[2], i, j),
+
+                                   clauses(a, t, i)       = t /[a][broken(x0, x, i)] -seq,
+                                   begin_text(n, t, i, implicit) = implicit ? clauses(t[0], t.slice(1), i) : broken(clauses(body('begin', t[0], i + '  '), t.slice(1), i), 'end', i),
+
+                                   listed(n, t)           = t *[xi && n[xi].data !== 'u;' ? ', ' + x : x] -seq -re- it.join(''),
+
+                                   layouts                = {',':     given[n, t] in listed(n, t),
+                                                             ',h':    given[n, t] in (n.length === 1 && n[0].data !== 'u*' ? t[0] + ',' : t.join(', ')),
+                                                             ' ':     given[n, t] in t.join(' '),
+                                                             'u;':    given[n, t] in '; ' + t.join(', '),
+                                                             '(':     given[n, t] in '(' + t[0] + ')',
+                                                             '[':     given[n, t] in '[' + t.join(', ') + ']',
+                                                             '{':     given[n, t] in '{' + t.join(', ') + '}',
+                                                             '[]':    given[n, t] in t[0] + '[' + t[1] + ']',
+                                                             '::':    given[n, t] in t[0] + '::' + t[1],
+                                                             '.':     given[n, t] in t[0] + '.' + t[1],
+                                                             '=>':    given[n, t] in t[0] + ' => ' + t[1],
+                                                             ':':     given[n, t] in (n.length === 2 ? t[0] + ': ' + t[1] : t[0] + ':'),
+                                                             '?':     given[n, t] in (n.length === 3 && t[0] + ' ? ' + t[1] + ' : ' + t[2]),
+                                                             '#{':    given[n, t] in '#' + '{' + t[0] + '}',
+                                                             '#':     given[n, t] in '#' + t[0],
+                                                             '<<':    given[n, t] in (n.length === 1 && '<< ' + t[0]),
+
+                                                             '()':    given[n, t] in (implied ? '' : t[0] + '.') + t[1] + (n[2].length ? '(' + t[2] + ')' : implied && ! n[3].length ? '()' : '')
+                                                                                   + (n[3].length ? ' ' + t[3] : '')
+                                                                                   -where [implied = n[0].data === 'implied self' && ! n[0].length],
+                                                             '&.':    given[n, t] in t[0] + '&.' + t[1] + (n[2].length ? '(' + t[2] + ')' : '') + (n[3].length ? ' ' + t[3] : ''),
+                                                             '->':    given[n, t] in '->' + (n[0].length ? '(' + t[0] + ')' : '') + ' ' + t[1],
+                                                             '{}':    given[n, t, i, j] in (t[1].indexOf('\n') < 0 ? '{' + parameters + (parameters && t[1] ? ' ' : '') + t[1] + '}'
+                                                                                                                   : broken(body('{' + parameters, t[1], j), '}', i))
+                                                                                            -where [parameters = n[0].length ? '|' + t[0] + '|' : ''],
+                                                             'do':    given[n, t, i, j] in block('do' + (n[0].length ? ' |' + t[0] + '|' : ''), t[1], i, j),
+
+                                                             def:     given[n, t, i, j] in block('def ' + t[0] + (n[1].length ? '(' + t[1] + ')' : ''), t[2], i, j),
+                                                             'class': given[n, t, i, j] in (n.length === 3 ? block('class ' + t[0] + (filled(n[1]) ? ' < ' + t[1] : ''), t[2], i, j)
+                                                                                                          : block('class ' + t[0], t[1], i, j)),
+                                                             module:  given[n, t, i, j] in block('module ' + t[0], t[1], i, j),
+                                                             alias:   given[n, t] in 'alias ' + t[0] + ' ' + t[1],
+                                                             undef:   given[n, t] in 'undef ' + t.join(', '),
+
+                                                             'if':    given[n, t, i, j] in conditional(n, t, i, j) -re [it && broken(it, 'end', i)],
+                                                             unless:  given[n, t, i, j] in conditional(n, t, i, j) -re [it && broken(it, 'end', i)],
+                                                             elsif:   given[n, t, i, j] in conditional(n, t, i, j),
+                                                             'while': given[n, t, i, j] in (n[1].data === ';' && block('while ' + t[0], t[1], i, j)),
+                                                             until:   given[n, t, i, j] in (n[1].data === ';' && block('until ' + t[0], t[1], i, j)),
+                                                             'for':   given[n, t, i, j] in block('for ' + t[0] + ' in ' + t[1], t[2], i, j),
+                                                             'case':  given[n, t, i, j] in broken(clauses('case' + (filled(n[0]) ? ' ' + t[0] : ''), t.slice(1), i), 'end', i),
+                                                             when:    given[n, t, i, j] in body('when ' + t[0], t[1], j),
+                                                             rescue:  given[n, t, i, j] in (n.length === 3 && body('rescue' + (n[0].length ? ' ' + t[0] : '') + (filled(n[1]) ? ' => ' + t[1] : ''), t[2], j)),
+                                                             'else':  given[n, t, i, j] in body('else', t[0], j),
+                                                             ensure:  given[n, t, i, j] in body('ensure', t[0], j),
+                                                             'return': given[n, t] in 'return ' + t[0],
+                                                             'break': given[n, t] in 'break ' + t[0],
+                                                             next:    given[n, t] in 'next ' + t[0],
+
+                                                             template: given[n, t] in (o && o.start === 0 ? '' : '%>') + pieces(n, t) + (o && o.end === o.input.length ? '' : '<%') -where [o = n._original],
+                                                             '<%=':   given[n, t] in '<%= ' + t[0] + ' %>',
+                                                             '<%==':  given[n, t] in '<%== ' + t[0] + ' %>'},
+
+  // Strings.
+//   String nodes keep the delimiter they were written with, so their pieces can be printed as they are. Interpolations are printed from their expressions. Interpolated regexps print their
+//   pieces between the delimiters in their data, before the flags. A modified heredoc becomes a quoted string; squiggly heredocs lose their common indentation on the way. A heredoc without
+//   a source keeps its header, and its body ends with a newline before the terminator.
+
+                                   closers                = {'(': ')', '[': ']', '{': '}', '<': '>'},
+                                   closer(s)              = (closers[c] || c) -where [c = s.charAt(s.length - 1)],
+                                   is_string(n)           = n.data === '' || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2,
+                                   is_regexp(n)           = /^(?:\/|%r[^\w\s])[^\w\s][a-z]*$/.test(n.data),
+                                   pieces(n, t)           = children(n) *[x.length ? t[xi] : x.data] -seq -re- it.join(''),
+                                   string_text(n, t)      = n.data === '' ? pieces(n, t) : /^%[wWiI]/.test(n.data) ? n.data + t.join(' ') + closer(n.data) : n.data + pieces(n, t) + closer(n.data),
+                                   regexp_text(n, t)      = n.data.substring(0, open) + pieces(n, t) + n.data.substring(open) -where [open = n.data.charAt(0) === '/' ? 1 : 3],
+
+                                   is_heredoc(n)          = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+                                   header(n)              = ! is_heredoc(n) && /^<<([-~]?)(?:(["'`])([\s\S]*)\2|(\w+))$/.exec(n.data),
+                                   heredoc_text(n, t)     = n.data + marked_body(pieces(n, t) -re [it && ! /\n$/.test(it) ? it + '\n' : it] -re- it + (h[2] ? h[3] : h[4]))
+                                                            -where [h = header(n)],
+                                   heredoc_string(n, t)   = (interpolating ? quote + dedent(children(n) *[x.length ? '\u0002' + xi + '\u0003' : escape(x.data)] -seq -re- it.join(''))
+                                                                                    .replace(/\u0002(\d+)\u0003/g, given[m, k] in t[+k]) + quote
+                                                                          : "'" + dedent(children(n) *[x.data.replace(/[\\']/g, '\\$&')] -seq -re- it.join('')) + "'")
+                                                            -where [h             = n._original.heredocs[n._original.start],
+                                                                    interpolating = h.interpolating,
+                                                                    quote         = /^<<[-~]?`/.test(n.data) ? '`' : '"',
+                                                                    escape(s)     = s.replace(/\\[\s\S]|["`]/g, given.m in (m.length > 1 || m !== quote ? m : '\\' + m)),
+                                                                    dedent(s)     = (h.squiggly ? (lines *[x.substring(shortest)] -seq).join('\n') : s)
+                                                                                    -where [lines    = s.split('\n'),
+                                                                                            shortest = Math.min.apply(Math, lines %[/\S/.test(x)] *[/^[ \t]*/.exec(x)[0].length] -seq)]],
+
+  // Source maps.
+//   When serialize() is given an array of places, the text of every node that came from the source is wrapped in markers as it's emitted, and so is every piece of copied text. Once the output
+//   is finished the markers are taken out again, and each one adds the output offset where its text ended up to the places, along with the position in the source that the text starts at (see
+//   ruby-source-map.js). Each line of the output also starts with a place. In copied text it's the matching place in the source, since the copy lines up with the source character for
+//   character; elsewhere it's the start of the innermost node around it. Places only come from the source that the first marked node was parsed from.
+
+                                   marked                 = [],
+                                   open                   = [],
+                                   removed                = 0,
+                                   input                  = null,
+
+                                   mark(n, r)             = spanned(n._original) ? r -se [it.text = region(n._original, n._original.start, n._original.end, r.same, it.text)] : r,
+                                   region(o, a, b, c, s)  = places && s ? '\u0001' + (marked.push({o: o, start: a, end: b, copied: c}) - 1) + '\u0001' + s + '\u0004' : s,
+
+                                   unmark(s)              = s.replace(/\u0001(\d+)\u0001|\u0004|\n/g, given[m, k, i] in (m === '\n' ? m -se- newline(i - removed) : '' -se- passed(m, k, i - removed))),
+                                   passed(m, k, at)       = (k ? opened(marked[+k], at) : open.pop()) -se- (removed += m.length),
+                                   opened(e, at)          = open.push({region: e, at: at}) -se- place(at, e.o, e.start),
+                                   newline(at)            = (top && place(at + 1, top.region.o, top.region.copied && i < top.region.end ? i : top.region.start))
+                                                            -where [top = open[open.length - 1], i = top && top.region.start + at + 1 - top.at],
+
+                                   place(at, o, i)        = (input === null || input === o.input) && o.input.charAt(i) !== '\n' && places.push(o.positions(i) -re- {offset: at, line: it.line, column: it.column})
+                                                            -se- (input = o.input)],
+
+  $.ruby.serialize.mapped(tree, options) = {code: code, map: $.ruby.source_map(code, places, options)} -where [places = [], code = $.ruby.serialize(tree, places)],
+
+  using [caterwaul.parser]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby formatter | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// The serializer reproduces the source it was given; format() does the opposite, and prints a file in a standard style no matter how it was written. It parses the source and prints the tree
+// from scratch, keeping nothing from the original text except comments, blank lines between statements and heredoc bodies:
+
+// | caterwaul.ruby.format('def f(a,b)\n    a+b end')               // -> 'def f(a, b)\n  a + b\nend\n'
+//   caterwaul.ruby.format('xs.map do |x| x * 2 end')             // -> 'xs.map { |x| x * 2 }\n'
+
+// The options are:
+
+// | indent    the number of spaces per level of indentation; 2 by default.
+//   width     the line width, 80 by default. Call arguments, arrays and hashes that would take a line past it are broken up, one item per line.
+//   blocks    'length' (the default) prints a block with braces when it fits on one line and with do/end otherwise; 'braces' and 'do' always use one of them, and 'keep' keeps the one
+//             that was written.
+//   hashes    'keep' (the default), 'colons' to write {a: 1} wherever a key is a plain symbol, or 'rockets' to write {:a => 1} everywhere.
+//   parens    'always' (the default) puts parentheses around all call arguments; 'commands' leaves them off calls that are statements of their own, like 'puts x'.
+//   tight     binary operators that bind at least as tightly as this one are printed without spaces around them. It's '**' by default, so 'a * b**2'; null puts spaces around all of them.
+//             Any operator in caterwaul.ruby.precedence can be given, so '?' tightens every binary operator that binds more tightly than the ternary; the ternary itself, assignments and
+//             word operators like 'and' always keep their spaces.
+//   version   the version of Ruby that the source is written in, as for caterwaul.ruby(); '2.x' by default. Ruby 1.8 doesn't have 'key: value' pairs, so 'colons' does nothing there.
+
+// Any other value for one of these options is an error, as is an unknown version.
+
+// Formatting is idempotent: the output of format() parses to the same tree that the input did, and the layout only depends on the tree and the comments, so formatting it again changes
+// nothing.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.format(source, options) = program() /!place_bodies -re [it && ! ends.length ? it + '\n' : it]
+
+  -where [choices     = {blocks: 'length braces do keep'.qw, hashes: 'keep colons rockets'.qw, parens: 'always commands'.qw},
+          validate(o) = (choices /pairs *![x[1].indexOf(o[x[0]]) >= 0 || raise [new Error('caterwaul.ruby.format: unknown #{x[0]} option #{o[x[0]]}; expected one of #{x[1].join(", ")}')]] -seq,
+                         o.tight === null || $.ruby.precedence.hasOwnProperty(o.tight) || raise [new Error('caterwaul.ruby.format: unknown tight option #{o.tight}; expected an operator or null')]),
+
+          o           = $.merge({indent: 2, width: 80, blocks: 'length', hashes: 'keep', parens: 'always', tight: '**'}, options || {}) -se- validate(it),
+          unit        = new Array(o.indent + 1).join(' '),
+          version     = $.ruby.version(o),
+          tree        = $.ruby(source, {version: version}),
+          input       = tree._original.input,
+
+          children(n) = Array.prototype.slice.call(n),
+          filled(n)   = n.length > 0 || n.data !== '',
+          items(n)    = /^,h?$/.test(n.data) ? children(n) : [],
+          spanned(n)  = !! n._original && n._original.start !== null,
+          start(n)    = n === tree ? bounds.start : n._original.start,
+          end(n)      = n === tree ? bounds.end : n._original.end,
+          statements(n) = n.data === ';' ? children(n) : filled(n) ? [n] : [],
+
+          program()   = (all_comments %[! is_end(x)] *![place(x, offset(x), tree)] -seq, lines(tree, '').join('\n') + (ends *['\n' + x.data] -seq).join('')),
+
+// Comments.
+// The parser attaches comments to statements, but the statement a comment belongs to isn't always where it should be printed: a comment before the 'end' of a method body belongs to the
+// statement after the method, for instance. So each comment is placed again here, by its offset, in the innermost statement sequence around it. A comment that follows code on its line goes
+// after the statement that ends there, or after the line that opens the body if it comes before the body's first statement; any other comment goes on a line of its own before the next
+// statement, or at the end of the sequence. Comments in a list of arguments, array elements or hash pairs are placed the same way among its items, and a list with comments is always
+// broken up one item per line so that they stay next to their items; any other comment inside a statement but not in one of its bodies is printed before the statement. '__END__' sections go
+// at the end of the output.
+
+// The parser gives the toplevel node a range that covers the whole input, so when the program is a single statement its range is narrowed here to the code in it, leaving out the whitespace
+// and comments around it.
+
+          offset(c)        = c._original.start,
+          comments_in(n)   = n.comments().concat(children(n) *~![comments_in(x)] -seq),
+          all_comments     = comments_in(tree).sort(given[a, b] in offset(a) - offset(b)),
+          is_end(c)        = /^__END__/.test(c.data),
+          ends             = all_comments %[is_end(x)] -seq,
+
+          comment_end(c)   = offset(c) + c.data.replace(/\s+$/, '').length,
+          code_start(q)    = (c ? code_start(comment_end(c)) : s) -where [s = q + /^\s*/.exec(input.substring(q))[0].length, c = all_comments |[offset(x) === s && x] |seq],
+          code_end(q)      = (c ? code_end(offset(c)) : e) -where [e = input.substring(0, q).replace(/\s+$/, '').length, c = all_comments |[comment_end(x) === e && x] |seq],
+          bounds           = {start: code_start(0), end: code_end(input.length)},
+
+          placed           = [],
+          put(c, n, where) = placed.push({comment: c, node: n, where: where}),
+          placed_at(n, where) = placed %[x.node === n && x.where === where] *[x.comment] -seq,
+          commented(n)     = placed |[x.node === n || statements(n).indexOf(x.node) >= 0] |seq,
+
+          line_start(p)    = input.lastIndexOf('\n', p - 1) + 1,
+          follows_code(p)  = /\S/.test(input.substring(line_start(p), p)),
+          same_line(a, b)  = input.substring(a, b).indexOf('\n') < 0,
+
+          place(c, p, sn)  = (k < 0                        ? sn !== tree && follows_code(p) ? put(c, sn, 'head') : ss.length ? put(c, ss[0], 'before') : put(c, sn, 'end') :
+                              p >= end(ss[k])              ? follows_code(p) && same_line(end(ss[k]), p) ? put(c, ss[k], 'after') :
+                                                             ss[k + 1]                                   ? put(c, ss[k + 1], 'before') : put(c, sn, 'end') :
+                              inner                        ? place(c, p, inner) :
+                              lists.length                 ? place_in_list(c, p, lists[lists.length - 1].list) -se- commented_lists.push.apply(commented_lists, lists *[x.list] -seq) :
+                                                             put(c, ss[k], 'before'))
+                             -where [ss    = statements(sn),
+                                     k     = Math.max.apply(Math, [-1].concat(ss *[spanned(x) && start(x) <= p ? xi : -1] -seq)),
+                                     inner = k >= 0 && p < end(ss[k]) && body_at(ss[k], p),
+                                     lists = k >= 0 && ! inner ? lists_in(ss[k]) %[x.from <= p && p < x.to] -seq -re- it.sort(given[a, b] in a.from - b.from) : []],
+
+          place_in_list(c, p, n) = (k >= 0 && p >= end(xs[k]) ? follows_code(p) && same_line(end(xs[k]), p) ? put(c, xs[k], 'after') :
+                                                                 xs[k + 1]                                   ? put(c, xs[k + 1], 'before') : put(c, n, 'end') :
+                                    k >= 0                     ? put(c, xs[k], 'before') :
+                                                                 put(c, xs[0], 'before'))
+                                   -where [xs = items(n), k = Math.max.apply(Math, [-1].concat(xs *[spanned(x) && start(x) <= p ? xi : -1] -seq))],
+
+  // Lists.
+//   Argument lists, arrays and hashes are the lists whose items can have comments of their own. An argument list's region starts after the method name, so a comment on the receiver's line
+//   before it doesn't count as being in the list.
+
+          commented_lists  = [],
+          list_parent(n, i) = /^[\[{]$/.test(n.data) && i === 0 || /^(?:\(\)|&\.)$/.test(n.data) && i === 2,
+          lists_in(n)      = children(n) *~![is_body(n, xi) ? [] : (list_parent(n, xi) && spanned(n) && items(x).length ? [{list: x, from: list_start(n, xi), to: end(n)}] : []).concat(lists_in(x))]
+                             -seq,
+          list_start(n, i) = i && spanned(n[1]) ? end(n[1]) : start(n),
+
+  // Bodies.
+//   A body's region starts where the child before it ends. If that child is another body, like the first branch of an 'if', the region starts on the first line after it that's indented
+//   less than its statements, which is where the 'else' is; comments indented like the branch stay with it. A region ends where the next child starts, or where the region of the node around
+//   it ends, and the body chosen for a comment is the one whose region starts last before it.
+
+          bodies_of        = {def: [2], module: [1], '{}': [1], 'do': [1], 'for': [2], when: [1], rescue: [2], 'else': [0], ensure: [0], begin: [0],
+                              'while': [1], until: [1], 'if': [1, 2], unless: [1, 2], 'elsif': [1, 2]},
+          is_body(n, i)    = n[i].data === ';' && (n.data === 'class' ? i === n.length - 1 : bodies_of.hasOwnProperty(n.data) && bodies_of[n.data].indexOf(i) >= 0),
+
+          bodies_in(n, limit) = children(n) *~![is_body(n, xi)                ? [{node: x, from: region_start(n, xi), to: region_end(n, xi, limit)}] :
+                                                /^(?:\(|#\{)$/.test(x.data) ? [] : bodies_in(x, region_end(n, xi, limit))] -seq,
+          region_start(n, i) = (before.length ? is_body(n, i - 1) && spanned(n[i - 1]) ? outdented_after(end(n[i - 1]), start(n[i - 1]) - line_start(start(n[i - 1])))
+                                                                                     : Math.max.apply(Math, before) :
+                                spanned(n)    ? start(n) : -1)
+                               -where [before = children(n).slice(0, i) %[spanned(x)] *[end(x)] -seq],
+          outdented_after(p, column) = (q < 0 ? input.length : /^[ \t]*\S/.test(l) && /^[ \t]*/.exec(l)[0].length < column ? q + 1 : outdented_after(q + 1, column))
+                                       -where [q = input.indexOf('\n', p), e = input.indexOf('\n', q + 1), l = input.substring(q + 1, e < 0 ? input.length : e)],
+          region_end(n, i, limit) = (after.length ? Math.min.apply(Math, after) : limit) -where [after = children(n).slice(i + 1) %[spanned(x)] *[start(x)] -seq],
+
+          body_at(s, p)    = bodies_in(s, end(s)) %[x.from <= p && p < x.to] -seq -re [it.length && it.sort(given[a, b] in a.from - b.from)[it.length - 1].node],
+
+// Statements.
+// Statements are printed one per line, with their comments around them. A blank line between two statements in the source is kept, and so is one after a comment, like the one that
+// usually follows a magic comment at the top of a file; several in a row become one.
+
+          lines(sn, i)     = ss *~![(xi && blank(ss[xi - 1], leading_start(x)) ? [''] : []).concat(leading(x, i), [i + line(x, i, true) + trailing(x)])] -seq
+                             -re- it.concat(tail.length && ss.length && blank(ss[ss.length - 1], offset(tail[0])) ? [''] : [], tail *[comment_line(x, i)] -seq)
+                             -where [ss = statements(sn), tail = placed_at(sn, 'end')],
+
+          blank(s, p)      = /\n[ \t\r\f]*\n[ \t\r\f]*$/.test(input.substring(end(s), p)),
+          leading_start(s) = Math.min.apply(Math, [start(s)].concat(placed_at(s, 'before') *offset -seq)),
+          comment_line(c, i) = /^=begin/.test(c.data) ? c.data : i + c.data,
+          leading(n, i)    = cs *~![[comment_line(x, i)].concat(spaced(x, xi + 1 < cs.length ? offset(cs[xi + 1]) : start(n)) ? [''] : [])] -seq -where [cs = placed_at(n, 'before')],
+          spaced(c, p)     = comment_end(c) < p && /\n[ \t\r\f]*\n/.test(input.substring(comment_end(c), p)),
+          trailing(s)      = placed_at(s, 'after') *[' ' + x.data] -seq -re- it.join(''),
+
+          body(sn, i)      = (placed_at(sn, 'head') *[' ' + x.data] -seq -re- it.join('')) + (ls.length ? '\n' + ls.join('\n') : '') -where [ls = lines(sn, i + unit)],
+          body_of(n, i)    = n.data === 'begin' ? body(n[0], i) + clauses(children(n).slice(1), i) : body(n, i),
+          clauses(xs, i)   = xs *['\n' + i + layout(x, i, false, false)] -seq -re- it.join(''),
+          block(head, n, i) = head + body_of(n, i) + '\n' + i + 'end',
+
+// Line width.
+// Each statement and each item of a broken-up list is printed flat first. If its first line is too long it's printed again with its lists broken up, and each of their items gets the same
+// treatment on a line of its own. A call only breaks its receiver if it has no arguments to break.
+
+          line(n, i, s)    = (fits(t, i) ? t : layout(n, i, true, s)) -where [t = layout(n, i, false, s)],
+          fits(t, i)       = i.length + t.split('\n')[0].replace(marker_pattern, '').length <= o.width,
+
+          list(open, n, close, i, b) = (! xs.length                          ? open + close :
+                                        b || commented_lists.indexOf(n) >= 0 ? open + '\n' + broken.join('\n') + '\n' + i + close :
+                                                                               open + (xs *[element(n, xi, flat(x, i))] -seq).join(', ') + close)
+                                       -where [xs     = items(n),
+                                               broken = xs *~![list_item(n, xi, i + unit, xi === xs.length - 1)] -seq -re- it.concat(placed_at(n, 'end') *[comment_line(x, i + unit)] -seq)],
+          list_item(n, k, i, last) = leading(n[k], i).concat([i + element(n, k, line(n[k], i, false)) + (last ? '' : ',') + trailing(n[k])]),
+          element(n, k, t) = needs_parens(n, k, n[k]) ? '(' + t + ')' : t,
+
+// Layouts.
+// Nodes are printed top-down, so that each one knows the indentation of the line it starts on. b is true when lists should be broken up, and s is true for a node that's a whole statement.
+
+          layout(n, i, b, s) = is_heredoc(n)        ? n.data + marker(n) :
+                               ! n.length           ? leaf(n) :
+                               is_string(n)         ? string_text(n, i) :
+                               is_regexp(n)         ? regexp_text(n, i) :
+                               layouts.hasOwnProperty(n.data) && layouts[n.data](n, i, b, s) || generic(n, i, b),
+
+          kid(n, k, i, b)  = element(n, k, layout(n[k], i, b, false)),
+          flat(n, i)       = layout(n, i, false, false),
+
+          leaf(n)          = /^(?:|,|;|implied self)$/.test(n.data) ? '' : /^u\*\*?$/.test(n.data) ? n.data.substr(1) : n.data,
+          generic(n, i, b) = (n.length === 1 ? /^(?:not|defined\?)$/.test(n.data) && n[0].data === '(' ? n.data + t[0] :
+                                               n.data === 'not' ? 'not ' + t[0] : n.data === 'defined?' ? 'defined?(' + t[0] + ')' : n.data.replace(/^u/, '') + t[0] :
+                              n.length === 2 ? /^\.\.\.?$/.test(n.data) || tight(n.data) ? t[0] + n.data + t[1] : t[0] + ' ' + n.data + ' ' + t[1] :
+                                               n.data + '(' + t.join(', ') + ')')
+                             -where [t = children(n) *[kid(n, xi, i, b)] -seq],
+
+          tight(op)        = !! o.tight && /^[^\w\s]+$/.test(op) && precedence[op] <= precedence[o.tight],
+
+          layouts          = {',':     given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re- it.join(', '),
+                              ',h':    given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re [n.length === 1 && n[0].data !== 'u*' ? it[0] + ',' : it.join(', ')],
+                              ' ':     given[n, i, b] in children(n) *[kid(n, xi, i, b)] -seq -re- it.join(' '),
+                              'u;':    given[n, i] in '; ' + (children(n) *[flat(x, i)] -seq).join(', '),
+                              ';':     given[n, i] in children(n) *[flat(x, i)] -seq -re- it.join('; '),
+                              '(':     given[n, i] in '(' + flat(n[0], i) + ')',
+                              '[':     given[n, i, b] in list('[', n[0], ']', i, b),
+                              '{':     given[n, i, b] in list('{', n[0], '}', i, b),
+                              '[]':    given[n, i, b] in kid(n, 0, i, b) + '[' + flat(n[1], i) + ']',
+                              '::':    given[n, i, b] in kid(n, 0, i, b) + '::' + kid(n, 1, i, b),
+                              '.':     given[n, i, b] in kid(n, 0, i, b) + '.' + kid(n, 1, i, b),
+                              '=>':    given[n, i, b] in pair(n, i, b),
+                              ':':     given[n, i, b] in (n.length === 2 ? pair(n, i, b) : kid(n, 0, i, b) + ':'),
+                              '?':     given[n, i, b] in (n.length === 3 && kid(n, 0, i, b) + ' ? ' + kid(n, 1, i, b) + ' : ' + kid(n, 2, i, b)),
+                              '#{':    given[n, i] in '#' + '{' + flat(n[0], i) + '}',
+                              '#':     given[n, i] in '#' + flat(n[0], i),
+                              '<<':    given[n, i] in (n.length === 1 && '<< ' + flat(n[0], i)),
+
+                              '()':    given[n, i, b, s] in call(n, i, b, s),
+                              '&.':    given[n, i, b, s] in call(n, i, b, s),
+                              '->':    given[n, i] in '->' + params + ' ' + block_text(n[1], i, false, '->' + params) -where [params = n[0].length ? '(' + parameters(n[0], i) + ')' : ''],
+                              '{}':    given[n, i] in block_text(n, i, false, ''),
+                              'do':    given[n, i] in block_text(n, i, false, ''),
+
+                              def:     given[n, i] in block('def ' + flat(n[0], i) + (n[1].length ? '(' + parameters(n[1], i) + ')' : ''), n[2], i),
+                              'class': given[n, i] in (n.length === 3 ? block('class ' + flat(n[0], i) + (filled(n[1]) ? ' < ' + flat(n[1], i) : ''), n[2], i)
+                                                                      : block('class ' + flat(n[0], i), n[1], i)),
+                              module:  given[n, i] in block('module ' + flat(n[0], i), n[1], i),
+                              alias:   given[n, i] in 'alias ' + flat(n[0], i) + ' ' + flat(n[1], i),
+                              undef:   given[n, i] in 'undef ' + (children(n) *[flat(x, i)] -seq).join(', '),
+
+                              'if':    given[n, i] in (n.length === 3 && conditional(n, i) + '\n' + i + 'end'),
+                              unless:  given[n, i] in (n.length === 3 && conditional(n, i) + '\n' + i + 'end'),
+                              elsif:   given[n, i] in (n.length === 3 && conditional(n, i)),
+                              'while': given[n, i] in (n[1].data === ';' && block('while ' + condition(n[0], i), n[1], i)),
+                              until:   given[n, i] in (n[1].data === ';' && block('until ' + condition(n[0], i), n[1], i)),
+                              'for':   given[n, i] in block('for ' + flat(n[0], i) + ' in ' + condition(n[1], i), n[2], i),
+                              'case':  given[n, i] in 'case' + (filled(n[0]) ? ' ' + flat(n[0], i) : '') + clauses(children(n).slice(1), i) + '\n' + i + 'end',
+                              when:    given[n, i] in 'when ' + flat(n[0], i) + body_of(n[1], i),
+                              rescue:  given[n, i] in (n.length === 3 && 'rescue' + (n[0].length ? ' ' + flat(n[0], i) : '') + (filled(n[1]) ? ' => ' + flat(n[1], i) : '') + body_of(n[2], i)),
+                              'else':  given[n, i] in 'else' + body_of(n[0], i),
+                              ensure:  given[n, i] in 'ensure' + body_of(n[0], i),
+                              begin:   given[n, i] in 'begin' + body_of(n[0], i) + clauses(children(n).slice(1), i) + '\n' + i + 'end',
+                              'return': given[n, i] in 'return ' + flat(n[0], i),
+                              'break': given[n, i] in 'break ' + flat(n[0], i),
+                              next:    given[n, i] in 'next ' + flat(n[0], i)},
+
+          conditional(n, i) = n.data + ' ' + condition(n[0], i) + body_of(n[1], i) + (! filled(n[2]) ? '' : n[2].data === 'elsif' ? '\n' + i + conditional(n[2], i)
+                                                                                                                                 : '\n' + i + 'else' + body_of(n[2], i)),
+
+  // Hashes.
+//   Pairs are converted between the two styles only when the key is a plain identifier, since anything else can't be written as 'key: value'.
+
+          pair(n, i, b)    = (colons                 && n.data === '=>' && ! n[0].length && /^:[A-Za-z_]\w*$/.test(n[0].data)         ? n[0].data.substr(1) + ': ' + v :
+                              o.hashes === 'rockets' && n.data === ':'  && ! n[0].length && /^[A-Za-z_]\w*[?!]?$/.test(n[0].data)    ? ':' + n[0].data + ' => ' + v :
+                              n.data === ':' ? kid(n, 0, i, b) + ': ' + v : kid(n, 0, i, b) + ' => ' + v)
+                             -where [v = kid(n, 1, i, b)],
+          colons           = o.hashes === 'colons' && $.ruby.supports(version, 'labels'),
+
+  // Calls and blocks.
+//   A call that's a statement of its own is printed without parentheses when the 'commands' option is on, as long as that can't change how it parses: none of its arguments can have a block
+//   (which would attach to the wrong call), and the first one has to start with something that can't be read as an operator. Blocks on such calls always use do/end for the same reason.
+//   Blocks in the condition of a loop always use braces, since a 'do' there would end the condition. A block can only fit on one line if it has at most one statement and no comments.
+//   Lambdas put their parameters in parentheses, and their blocks are printed like any other.
+
+          call(n, i, b, s) = (implied ? '' : kid(n, 0, i, b && ! xs.length) + dot) + n[1].data + args + (filled(n[3]) ? ' ' + block_text(n[3], i, bare, head) : '')
+                             -where [implied = n[0].data === 'implied self' && ! n[0].length,
+                                     dot     = n.data === '&.' ? '&.' : '.',
+                                     xs      = items(n[2]),
+                                     joined  = xs *[element(n[2], xi, flat(x, i))] -seq -re- it.join(', '),
+                                     bare    = s && ! b && o.parens === 'commands' && xs.length > 0 && commented_lists.indexOf(n[2]) < 0 && ! n[2].find("_.is_block()".qf) && /^(?:[\w@$'"]|:\w)/.test(joined),
+                                     args    = bare ? ' ' + joined : xs.length ? list('(', n[2], ')', i, b) : implied && ! filled(n[3]) ? '()' : '',
+                                     head    = (implied ? '' : flat(n[0], i) + dot) + n[1].data + (bare ? ' ' + joined : '(' + joined + ')')],
+
+          state            = {condition: false},
+          condition(n, i)  = flat_condition() -se [state.condition = was] -where [was = state.condition -se [state.condition = true], flat_condition = "flat(n, i)".qf],
+
+          block_text(n, i, bare, head) = (style === 'braces' || style === 'length' && one !== null && fits(head + ' ' + short, i) ? one !== null ? short : braces : ending)
+                                         -where [style  = state.condition ? 'braces' : bare ? 'do' : o.blocks === 'keep' ? (n.data === 'do' ? 'do' : 'braces') : o.blocks,
+                                                 params = n[0].length ? '|' + parameters(n[0], i) + '|' : '',
+                                                 one    = n[1].data === ';' && n[1].length <= 1 && ! commented(n[1]) ? one_line(n[1], i) : null,
+                                                 short  = [params, one] %[x] -seq -re [it.length ? '{ ' + it.join(' ') + ' }' : '{}'],
+                                                 braces = '{' + (params && ' ' + params) + body_of(n[1], i) + '\n' + i + '}',
+                                                 ending = block('do' + (params && ' ' + params), n[1], i)],
+
+          parameters(n, i) = items(n) *[(xi && x.data !== 'u;' ? ', ' : '') + (x.data === ':' ? flat(x[0], i) + ':' + (x.length > 1 ? ' ' + flat(x[1], i) : '') : flat(x, i))] -seq
+                             -re- it.join(''),
+          one_line(n, i)   = (n.length ? t.indexOf('\n') < 0 ? t : null : '') -where [t = n.length ? layout(n[0], i, false, true) : ''],
+
+  // Parentheses.
+//   These are the serializer's rules: an operator inside another one needs parentheses if it binds more loosely, or equally loosely on the side that the outer operator doesn't associate towards.
+//   Receivers need them around any operator, and arguments need them around the keyword operators like 'and', 'not' and the statement modifiers, except for assignments like 'f(a = 1)'.
+
+          precedence       = $.ruby.precedence,
+          right_associative = $.ruby.right_associative,
+
+          operator(n)      = n.length === 1 ? /^u./.test(n.data) || /^(?:not|defined\?)$/.test(n.data) && n[0].data !== '(' :
+                             n.length === 2 ? precedence.hasOwnProperty(n.data) && ! /^(?:\.|::)$/.test(n.data) && ! (/^(?:while|until)$/.test(n.data) && n[1].data === ';') :
+                             n.length === 3 && n.data === '?',
+          rank(n)          = precedence[n.data] || 0,
+          keyword_operator(n) = operator(n) && rank(n) >= precedence['rescue'],
+
+          looser(p, i, c)  = p.data === '?' ? rank(c) > rank(p) || i === 0 && rank(c) === rank(p)
+                                            : rank(c) > rank(p) || rank(c) === rank(p) && p.length === 2 && (i === 0) === !! right_associative[p.data],
+          receiver(p, i)   = i === 0 && /^(?:\(\)|&\.|\[\]|::|\.)$/.test(p.data),
+          argument(p)      = /^(?:,|,h|=>|:|return|break|next)$/.test(p.data),
+          assignment(c)    = /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)?=$/.test(c.data) && c.length === 2 && c[0].data !== ',h' && c[1].data !== ',h'
+                             && (! keyword_operator(c[1]) || assignment(c[1])),
+          needs_parens(p, i, c) = operator(c) && (operator(p) ? looser(p, i, c) : receiver(p, i) || argument(p) && keyword_operator(c) && ! assignment(c)),
+
+// Strings and heredocs.
+// Strings, symbols and regexps are printed as they were written, apart from the code in their interpolations. Heredoc headers stay where they are and their bodies are copied from the
+// source onto the lines after the one that the header ends up on.
+
+          closers          = {'(': ')', '[': ']', '{': '}', '<': '>'},
+          closer(s)        = (closers[c] || c) -where [c = s.charAt(s.length - 1)],
+          is_string(n)     = n.data === '' || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2,
+          is_regexp(n)     = /^(?:\/|%r[^\w\s])[^\w\s][a-z]*$/.test(n.data),
+          pieces(n, i)     = children(n) *[x.length ? flat(x, i) : x.data] -seq -re- it.join(''),
+          string_text(n, i) = n.data === '' ? pieces(n, i) : /^%[wWiI]/.test(n.data) ? n.data + (children(n) *[flat(x, i)] -seq).join(' ') + closer(n.data)
+                                                                                     : n.data + pieces(n, i) + closer(n.data),
+          regexp_text(n, i) = n.data.substring(0, open) + pieces(n, i) + n.data.substring(open) -where [open = n.data.charAt(0) === '/' ? 1 : 3],
+
+          bodies           = [],
+          marker_pattern   = /\u0000\d+\u0000/g,
+          is_heredoc(n)    = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+          marker(n)        = '\u0000' + (bodies.push(input.substring(h.body_start, h.end)) - 1) + '\u0000' -where [h = n._original.heredocs[n._original.start]],
+          with_bodies(l)   = l.replace(marker_pattern, '') + ((l.match(marker_pattern) || []) *['\n' + bodies[+x.slice(1, -1)]] -seq).join(''),
+          place_bodies(s)  = s.split('\n') *with_bodies -seq -re- it.join('\n')]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby compiler | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This file compiles Ruby syntax trees into Caterwaul Javascript syntax trees. The result is an expression that runs the Ruby program and returns the value of its last statement, so it can go
+// straight into caterwaul.compile():
+
+// | caterwaul.compile(caterwaul.ruby.compile(caterwaul.ruby('[1, 2, 3].map {|x| x * 2}')))       // -> [2, 4, 6]
+
+// There's no Ruby runtime behind the output. Method calls become Javascript method calls, operators become Javascript operators, and Ruby values map onto their nearest Javascript
+// equivalents: nil is null, symbols are strings, arrays are arrays and hashes are objects. So the methods available on built-in values are Javascript's. Within those limits the compiler
+// handles the parts of Ruby that don't have a direct Javascript counterpart:
+
+// | 1. Method calls. A bare identifier is a local variable if it's been assigned earlier in the same scope, and a call on self otherwise. Calls without parentheses are still calls, so 'x.size'
+//      becomes 'x.size()'. Method names that aren't Javascript identifiers ('empty?', 'name=') are looked up with brackets, and 'Foo.new' becomes 'new Foo()'.
+//   2. Blocks. A block becomes a function passed as the last argument, and methods that use 'yield', 'block_given?' or a '&block' parameter take it back off the end of their arguments.
+//      Lambda literals become functions too.
+//      Blocks with more than one parameter splat a lone array argument the way Ruby does. Javascript's iterators pass more than one argument, though, so they don't get splatted there.
+//   3. Implicit returns. Methods, blocks and class bodies return their last statement, including through conditionals, case statements and begin blocks.
+//   4. Conditionals, modifiers and loops. 'unless' and 'until' are negated, modifiers become ordinary conditionals, and forms that Javascript only has as statements are wrapped in functions when
+//      they're used as values.
+//   5. Assignment. Multiple assignment, splats and nested destructuring work on arrays, as do optional and splat parameters.
+//   6. Strings. Escapes are decoded, interpolations are concatenated in, and heredocs and word lists become ordinary strings and arrays.
+//   7. Classes and modules. A class is a constructor function that calls 'initialize', and its body runs with self bound to the constructor. Instance methods are defined on the prototype and
+//      'super' calls the superclass's version. Modules are plain objects, and methods defined in them belong to the module itself. Both can be reopened.
+//   8. Operators whose meaning differs. Only nil and false are false, nil interpolates as an empty string, integer division and modulo round down, negative indexes count from the end,
+//      '<<' appends to arrays, and '==' compares arrays and hashes by their contents. These go through small runtime functions that the compiled program defines for itself when it needs
+//      them (see 'Runtime' below).
+
+// Anything else (ranges outside of 'for' loops, regular expressions, format strings, 'retry' and so on) is rejected with an error rather than compiled into something that does the wrong thing.
+
+// One gap can't be closed this way. Javascript has one kind of number, so 7.0 and 7 are the same value at run time, and the compiler decides whether '/' divides floats or integers by looking
+// at the source. A division is a float division if either side is a float literal, arithmetic on one, or a local variable whose last assignment was one. A float from anywhere else, like a
+// method's return value, divides like an integer when it happens to be whole.
+
+caterwaul.js_all()(function ($) {
+
+  $.ruby.compile(tree) = qs[(function () {_body}).call(this)].replace({_body: function_body(s, returning(tree, s))}) -where [s = scope('program', null) -se [it.runtime = {}]]
+
+  -where [unsupported(n) = raise [new Error('caterwaul.ruby.compile: unsupported syntax: ' + (n.length ? n.structure() : n.data))],
+
+// Scopes.
+// Each Javascript function that the compiler generates has a scope, which records the local variables that need to be declared at its top. Blocks can see the variables of the scope around
+// them, but methods, class bodies and module bodies start fresh, just like in Ruby. Every scope that isn't a block binds 'self' to 'this' so that blocks inside it can refer to the same self.
+// Scopes also remember what 'next', 'break', 'yield' and 'super' mean where they are.
+
+          scope(kind, parent)       = {kind: kind, parent: parent, locals: {}, names: [], floats: {}, loop: false, block: null, owner: null, name: null},
+          home(s)                   = s.kind === 'block' ? home(s.parent) : s,
+          program(s)                = s.parent ? program(s.parent) : s,
+          visible(s, name)          = s.locals.hasOwnProperty(name) || s.kind === 'block' && visible(s.parent, name),
+          declare(s, name)          = visible(s, name) || (s.locals[name] = true, s.names.push(name)),
+          temporary(s, name)        = $.gensym(name) -se- declare(s, it) -re- identifier(it),
+
+          block_of(s)               = home(s) -re [it.kind === 'method' ? identifier(js_name(it.block || (it.block = $.gensym('block')))) : unsupported(new $.ruby.syntax('yield'))],
+
+          function_body(s, body, formals) = (names.length ? sequence_of([$.parse('var _xs').replace({_xs: comma_of(names)}), body]) : body)
+                                            -where [helpers = s.runtime ? Object.keys(s.runtime) *[assignment(s.runtime[x], runtime[x])] -seq : [],
+                                                    names   = (s.kind === 'block' ? [] : [qs[self = this]]).concat(helpers, s.names %![formals && formals.indexOf(x) >= 0] *[identifier(js_name(x))] -seq)],
+
+// Runtime.
+// A few Ruby operators can't be written as Javascript operators, because their meaning depends on the values at run time. Each of these is a function that the program defines once, at its
+// top, the first time the compiler needs it. 'divide' can't tell a float that happens to be whole from an integer, so a division that the compiler knows to be a float division is left to
+// Javascript. Strings are immutable in Javascript, so '<<' on a string is an error rather than an append that nothing would see, and so is '%' on a string, which would format it in Ruby.
+// 'equal' compares arrays element by element and hashes key by key, and otherwise uses the left side's '==' method if it has one.
+
+          runtime                   = {truthy: qs[function (x) {return x !== null && x !== undefined && x !== false}],
+                                       text:   qs[function (x) {return x === null || x === undefined ? '' : String(x)}],
+                                       append: qs[function (x, y) {if (typeof x === 'number') return x << y;
+                                                                   if (x instanceof Array) return x.push(y), x;
+                                                                   if (x !== null && x !== undefined && typeof x['<<'] === 'function') return x['<<'](y);
+                                                                   throw new TypeError("can't append to " + typeof x)}],
+                                       divide: qs[function (x, y) {if (x % 1 !== 0 || y % 1 !== 0) return x / y;
+                                                                   if (y === 0) throw new Error('divided by 0');
+                                                                   return Math.floor(x / y)}],
+                                       modulo: qs[function (x, y) {if (typeof x === 'string') throw new TypeError("format strings aren't supported");
+                                                                   if (y === 0 && x % 1 === 0) throw new Error('divided by 0');
+                                                                   return typeof x === 'number' && typeof y === 'number' ? x - y * Math.floor(x / y) : x % y}],
+                                       slot:   qs[function (xs, i) {return typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i}],
+                                       index:  qs[function (xs, i) {var x = xs[typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i]; return x === undefined ? null : x}],
+                                       store:  qs[function (xs, i, v) {return xs[typeof i === 'number' && i < 0 && typeof xs.length === 'number' ? xs.length + i : i] = v}],
+                                       equal:  qs[function equal(x, y) {if (x === y || (x === null || x === undefined) && (y === null || y === undefined)) return true;
+                                                                        if (x instanceof Array) {if (! (y instanceof Array) || x.length !== y.length) return false;
+                                                                                                 for (var i = 0; i < x.length; ++i) if (! equal(x[i], y[i])) return false;
+                                                                                                 return true}
+                                                                        if (x === null || x === undefined || typeof x !== 'object') return false;
+                                                                        if (typeof x['=='] === 'function') return x['=='](y);
+                                                                        if (Object.getPrototypeOf(x) !== Object.prototype || ! y || Object.getPrototypeOf(y) !== Object.prototype) return false;
+                                                                        var ks = Object.keys(x);
+                                                                        if (ks.length !== Object.keys(y).length) return false;
+                                                                        for (var j = 0; j < ks.length; ++j) if (! y.hasOwnProperty(ks[j]) || ! equal(x[ks[j]], y[ks[j]])) return false;
+                                                                        return true}]},
+
+          helper(s, name)           = program(s).runtime -re [it[name] || (it[name] = identifier($.gensym(name)))],
+          helping(s, name, xs)      = call(helper(s, name), xs),
+
+// Javascript trees.
+// These build the Javascript side. Compound subexpressions are parenthesized whenever they're used as operands, since Caterwaul prints trees as they are.
+
+          reserved                  = ('arguments break case catch class const continue debugger default delete do else enum eval export extends false finally for function if implements '
+                                       + 'import in instanceof interface let new null package private protected public return self static super switch this throw true try typeof var void while '
+                                       + 'with yield').split(' ') *[[x, true]] -object -seq,
+          js_name(name)             = reserved.hasOwnProperty(name) ? name + '_' : name,
+          identifier(name)          = new $.syntax(name),
+          string(s)                 = new $.syntax(JSON.stringify(s)),
+          null_value                = qs[null],
+          self_value                = qs[self],
+
+          tight(x)                  = ! x.length || /^(?:\(|\[|\{|\(\)|\[\]|\.)$/.test(x.data),
+          operand(x)                = tight(x) ? x : new $.syntax('(', x),
+          receiver_of(x)            = tight(x) && ! /^\d/.test(x.data) ? x : new $.syntax('(', x),
+          argument(x)               = x.data === ',' ? new $.syntax('(', x) : x,
+          binary(op, x, y)          = new $.syntax(op, operand(x), operand(y)),
+          not(x)                    = new $.syntax('u!', operand(x)),
+          conditional(c, x, y)      = new $.syntax('?', operand(c), operand(x), operand(y)),
+          assignment(x, y)          = new $.syntax('=', x, operand(y)),
+
+          comma_of(xs)              = xs.slice(1) /[xs[0]][new $.syntax(',', x0, argument(x))] -seq,
+          sequence_of(xs)           = xs.slice(1) /[xs[0]][new $.syntax(';', x0, x)] -seq,
+          either(xs)                = xs.slice(1) /[xs[0]][binary('||', x0, x)] -seq,
+          values_of(xs)             = xs.length ? comma_of(xs) : null_value,
+
+          member(o, name)           = /^[A-Za-z_$][\w$]*$/.test(name) ? qs[_o._p].replace({_o: receiver_of(o), _p: identifier(name)}) : qs[_o[_p]].replace({_o: operand(o), _p: string(name)}),
+          call(f, xs)               = xs.length ? new $.syntax('()', operand(f), comma_of(xs)) : qs[_f()].replace({_f: operand(f)}),
+          array(xs)                 = xs.length ? new $.syntax('[', comma_of(xs)) : qs[[]],
+          object(ps)                = ps.length ? new $.syntax('{', comma_of(ps *[new $.syntax(':', x[0], operand(x[1]))] -seq)) : qs[{}],
+          immediately(body)         = qs[(function () {_body})()].replace({_body: body}),
+
+          if_statement(c, x, y)     = (! y            ? $.parse('if (_c) {_x}') :
+                                       y.data === 'if' ? $.parse('if (_c) {_x} else _y') :
+                                                         $.parse('if (_c) {_x} else {_y}')).replace({_c: c, _x: x, _y: y}),
+          return_statement(x)       = $.parse('return _x').replace({_x: x}),
+          throw_statement(x)        = $.parse('throw _x').replace({_x: x}),
+          expression_statement(x)   = /^(?:\{|function)$/.test(x.data) ? new $.syntax('(', x) : x,
+
+// Ruby trees.
+// Argument and parameter lists are ',' nodes, or empty leaves when there aren't any. String-like nodes are recognized the same way the serializer recognizes them.
+
+          children(n)               = Array.prototype.slice.call(n),
+          filled(n)                 = n.length > 0 || n.data !== '',
+          items(n)                  = n.data === ',' || n.data === ',h' ? children(n) : filled(n) ? [n] : [],
+          local_name(d)             = /^[a-z_][\w]*$/.test(d),
+          constant_name(d)          = /^[A-Z]\w*$/.test(d),
+          is_heredoc(n)             = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+          is_string(n)              = (n.data === '' || n.data === ' ') && n.length > 0 || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2 || is_heredoc(n),
+
+          statement_form(n)         = /^(?:begin|for|return|break|next|redo|retry)$/.test(n.data) || /^(?:while|until)$/.test(n.data) && n.length === 2 || n.data === 'rescue' && n.length === 2
+                                      || raise_call(n),
+          raise_call(n)             = n.data === '()' && n[0].data === 'implied self' && n[1].data === 'raise',
+
+// Statements and values.
+// Every node can be compiled three ways: as an expression, as a statement, or as a statement that returns the node's value from the enclosing function. Most nodes are expressions in all three
+// cases; the exceptions are the ones that read better, or only work, as Javascript statements.
+
+          expression(n, s)          = (is_string(n)                  ? string_value(n, s) :
+                                       ! n.length                    ? leaf(n, s) :
+                                       statement_form(n)             ? immediately(returning(n, s)) :
+                                       forms.hasOwnProperty(n.data)  ? forms[n.data](n, s) :
+                                       operators.hasOwnProperty(n.data) && n.length === 2 ? binary(operators[n.data], expression(n[0], s), expression(n[1], s)) :
+                                       /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)=$/.test(n.data) ? update(n, s) :
+                                                                       unsupported(n)) /-traced/ n,
+
+          statement(n, s)           = (n.data === ';'                                   ? statements(n, s, statement) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, statement) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 2 ? branches([[modifier_condition(n), n[0]]], null, s, statement) :
+                                       /^(?:and|or|&&|\|\|)$/.test(n.data) && statement_form(n[1])
+                                                                                        ? if_statement(/^(?:and|&&)$/.test(n.data) ? truth(n[0], s) : not(truth(n[0], s)), statement(n[1], s)) :
+                                       n.data === 'case'                                ? case_branches(n, s, statement) :
+                                       /^(?:while|until)$/.test(n.data) && n.length === 2 ? loop(n, s) :
+                                       n.data === 'for'                                 ? for_loop(n, s) :
+                                       n.data === 'begin'                               ? exceptions(n, s, statement) :
+                                       n.data === 'rescue' && n.length === 2            ? rescue_modifier(n, s, statement) :
+                                       raise_call(n)                                    ? raise_statement(n, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(n.data) ? jump(n, s) :
+                                                                                          expression_statement(expression(n, s))) /-traced/ n,
+
+          returning(n, s)           = (n.data === ';'                                   ? statements(n, s, returning) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, returning) :
+                                       /^(?:if|unless)$/.test(n.data) && n.length === 2 ? branches([[modifier_condition(n), n[0]]], null, s, returning) :
+                                       n.data === 'case'                                ? case_branches(n, s, returning) :
+                                       n.data === 'begin'                               ? exceptions(n, s, returning) :
+                                       n.data === 'rescue' && n.length === 2            ? rescue_modifier(n, s, returning) :
+                                       raise_call(n)                                    ? raise_statement(n, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(n.data) ? jump(n, s) :
+                                       statement_form(n) || /^(?:while|until)$/.test(n.data) && n.length === 2
+                                                                                        ? sequence_of([statement(n, s), return_statement(null_value)]) :
+                                                                                          return_statement(expression(n, s))) /-traced/ n,
+
+  // Each of these Javascript nodes is a fresh copy that remembers the Ruby node it was compiled from, which is what compile.mapped() uses to build a source map. Copies are needed because some
+//   nodes, like the ones for null and self, are shared.
+
+          traced(j, n)              = j.map("_".qf) -se [it._ruby = n],
+
+          statements(n, s, f)       = (! n.length ? f === returning ? return_statement(null_value) : null_value :
+                                                    sequence_of(children(n).slice(0, -1) *[statement(x, s)] -seq -re- it.concat([f(n[n.length - 1], s)]))),
+
+  // Conditionals.
+//   'if', 'unless' and 'case' all turn into a list of condition and body pairs, plus an optional 'else' body. As an expression this is a chain of ternaries, and as a statement it's a chain of
+//   if-else statements. Conditions are functions that compile themselves, so that the conditions and bodies are compiled in source order and variables assigned in a condition are known in
+//   the bodies after it.
+// Conditions are true unless they're nil or false, which takes a runtime check unless the condition is a comparison, a negation or a literal and so is already a boolean.
+
+          truth(n, s)               = (/^(?:and|or|&&|\|\|)$/.test(n.data) && n.length === 2 ? binary(/^(?:and|&&)$/.test(n.data) ? '&&' : '||', truth(n[0], s), truth(n[1], s)) :
+                                       boolean(n)                                         ? expression(n, s) :
+                                                                                            helping(s, 'truthy', [expression(n, s)])),
+
+          boolean(n)                = (! n.length                                    ? /^(?:true|false|nil|block_given\?)$/.test(n.data) :
+                                       /^(?:and|or|&&|\|\|)$/.test(n.data)           ? boolean(n[0]) && boolean(n[1]) :
+                                       n.data === '('                                ? boolean(n[0]) :
+                                                                                       /^(?:==|!=|<|<=|>|>=|u!|not)$/.test(n.data)),
+
+          logical(n, s)             = (boolean(n[0]) ? binary(conjunction ? '&&' : '||', expression(n[0], s), expression(n[1], s)) : kept(temporary(s, 'value')))
+                                      -where [conjunction = /^(?:and|&&)$/.test(n.data),
+                                              kept(t)     = helping(s, 'truthy', [assignment(t, expression(n[0], s))])
+                                                            -re [conjunction ? conditional(it, expression(n[1], s), t) : conditional(it, t, expression(n[1], s))]],
+
+          if_clauses(n)             = [[test(n.data, n[0]), n[1]]].concat(n[2].data === 'elsif' ? if_clauses(n[2]) : []),
+          if_otherwise(n)           = n[2].data === 'elsif' ? if_otherwise(n[2]) : filled(n[2]) ? n[2] : null,
+          modifier_condition(n)     = test(n.data, n[1]),
+          test(kind, c)             = kind === 'unless' ? given.s in not(truth(c, s)) : given.s in truth(c, s),
+
+          branches(pairs, otherwise, s, f)
+                                    = (f === expression ? compiled /[else_part][conditional(x[0], x[1], x0)] -seq
+                                                        : compiled /[else_part][if_statement(x[0], x[1], x0)] -seq)
+                                      -where [compiled  = pairs *[[x[0](s), f(x[1], s)]] -seq -re- it.reverse(),
+                                              else_part = otherwise ? f(otherwise, s) : f === expression ? null_value : f === returning ? return_statement(null_value) : null],
+
+          case_branches(n, s, f)    = sequence_or_comma([filled(n[0]) ? assignment(subject, expression(n[0], s)) : null], branches(pairs, otherwise, s, f), f)
+                                      -where [subject       = filled(n[0]) ? temporary(s, 'subject') : null,
+                                              whens         = children(n).slice(1) %[x.data === 'when'] -seq,
+                                              otherwise     = n[n.length - 1].data === 'else' ? n[n.length - 1][0] : null,
+                                              matches(v)    = ! subject      ? truth(v, s) :
+                                                              v.data === 'u*' ? binary('>=', qs[_xs.indexOf(_x)].replace({_xs: operand(expression(v[0], s)), _x: subject}), qs[0]) :
+                                                              scalar(v)       ? binary('===', subject, expression(v, s)) :
+                                                                                helping(s, 'equal', [subject, expression(v, s)]),
+                                              condition(w)  = given.s in either(items(w[0]) *matches -seq),
+                                              pairs         = whens *[[condition(x), x[1]]] -seq],
+
+          sequence_or_comma(xs, x, f) = xs %[x] -seq -re [it.length ? f === expression ? comma_of(it.concat([x])) : sequence_of(it *expression_statement -seq -re- it.concat([x])) : x],
+
+  // Loops and jumps.
+//   'while' and 'until' become while loops, or do-while loops when they modify a 'begin' block. A 'for' loop over a range counts; any other 'for' loop walks an array by index. Inside a loop,
+//   'next' and 'break' are 'continue' and 'break'; inside a block, 'next' returns from the block's function. 'break' from a block and 'return' from inside a block would have to unwind through
+//   the method that called the block, so they're rejected.
+
+          looping(s, f)             = f() -se [s.loop = was] -where [was = s.loop -se [s.loop = true]],
+
+          loop(n, s)                = (n[1].data === ';'                          ? loop_statement(while_loop, n[0], n[1]) :
+                                       n[0].data === 'begin' && n[0].length === 1 ? loop_statement(do_loop, n[1], n[0][0]) :
+                                                                                    loop_statement(while_loop, n[1], n[0]))
+                                      -where [condition(c)            = n.data === 'until' ? not(truth(c, s)) : truth(c, s),
+                                              loop_statement(t, c, b) = t.replace({_c: condition(c), _x: looping(s, "statement(b, s)".qf)})],
+
+          while_loop                = $.parse('while (_c) {_x}'),
+          do_loop                   = $.parse('do {_x} while (_c); _')[0],
+
+          for_loop(n, s)            = (range ? counted() : indexed())
+                                      -where [range     = /^\.\.\.?$/.test(n[1].data) && n[1].length === 2 ? n[1] : null,
+                                              body()    = looping(s, "statement(n[2], s)".qf),
+                                              counted() = $.parse('for (_v = _a; _v ' + (range.data === '..' ? '<=' : '<') + ' _b; ++_v) {_x}')
+                                                          .replace({_v: reference(n[0], s), _a: expression(range[0], s), _b: operand(expression(range[1], s)), _x: body()}),
+                                              indexed() = $.parse('for (_i = 0, _xs = _e; _i < _xs.length; ++_i) {_assign; _x}')
+                                                          .replace({_i: i, _xs: xs, _e: expression(n[1], s), _assign: assign(n[0], qs[_xs[_i]].replace({_xs: xs, _i: i}), s), _x: body()})
+                                                          -where [i = temporary(s, 'i'), xs = temporary(s, 'xs')]],
+
+          jump(n, s)                = (n.data === 'return' ? s.kind === 'block' ? unsupported(n) : return_statement(value) :
+                                       n.data === 'next'   ? s.loop ? $.parse('continue') : s.kind === 'block' ? return_statement(value) : unsupported(n) :
+                                       n.data === 'break' && s.loop && ! n.length ? $.parse('break') :
+                                                             unsupported(n))
+                                      -where [value = n.length ? expression(n[0], s) : null_value],
+
+  // Exceptions.
+//   A 'begin' block becomes a try statement. Rescue clauses check the exception's class with instanceof; 'StandardError', 'Exception' and 'RuntimeError' all mean Javascript's Error class, and a
+//   clause without classes catches everything. An exception that no clause matches is rethrown. The 'else' clause runs after the body only if it didn't raise, and before the 'ensure' clause.
+//   'raise' throws its argument, or a new Error if the argument is a string, or a new instance if it's given a class and a message.
+
+          error_classes             = {StandardError: 'Error', Exception: 'Error', RuntimeError: 'Error'},
+          error_class(n, s)         = ! n.length && error_classes.hasOwnProperty(n.data) ? identifier(error_classes[n.data]) : expression(n, s),
+
+          exceptions(n, s, f)       = sequence_or_comma([otherwise ? assignment(finished, qs[false]) : null], guarded, f)
+                                      -where [clauses     = children(n).slice(1),
+                                              rescues     = clauses %[x.data === 'rescue'] -seq,
+                                              otherwise   = clauses |[x.data === 'else' && x[0]] |seq,
+                                              ensure      = clauses |[x.data === 'ensure' && x[0]] |seq,
+                                              finished    = otherwise ? temporary(s, 'finished') : null,
+                                              e           = otherwise || rescues.length ? temporary(s, 'e') : null,
+                                              body        = otherwise ? sequence_of([statement(n[0], s), assignment(finished, qs[true])]) : f(n[0], s),
+                                              rescued(r)  = sequence_of((filled(r[1]) ? [assign(r[1], e, s)] : []).concat([f(r[2], s)])),
+                                              matches(r)  = items(r[0]) *[binary('instanceof', e, error_class(x, s))] -seq -re [it.length ? either(it) : null],
+                                              handled     = rescues *[[matches(x), rescued(x)]] -seq,
+                                              handlers    = handled.reverse() /[throw_statement(e)][x[0] ? if_statement(x[0], x[1], x0) : x[1]] -seq,
+                                              caught      = rescues.length ? $.parse('try {_x} catch (_e) {_y}').replace({_x: body, _e: e, _y: handlers}) : body,
+                                              with_else   = otherwise ? sequence_of([caught, if_statement(finished, f(otherwise, s))]) : caught,
+                                              guarded     = ensure ? new $.syntax('try', new $.syntax('{', with_else), new $.syntax('finally', new $.syntax('{', statement(ensure, s)))) : with_else],
+
+          rescue_modifier(n, s, f)  = $.parse('try {_x} catch (_e) {_y}').replace({_x: f(n[0], s), _e: temporary(s, 'e'), _y: f(n[1], s)}),
+
+          raise_statement(n, s)     = throw_statement(xs.length === 2 ? new $.syntax('new', call(error_class(n[2][0], s), [expression(n[2][1], s)])) :
+                                                      ! xs.length                       ? qs[new Error()] :
+                                                      is_string(xs[0]) || quoted(xs[0].data) !== null ? qs[new Error(_x)].replace({_x: expression(xs[0], s)}) :
+                                                      constant_name(xs[0].data)        ? new $.syntax('new', qs[_c()].replace({_c: error_class(xs[0], s)})) :
+                                                                                         expression(xs[0], s))
+                                      -where [xs = items(n[2])],
+
+// Leaves.
+// Numbers are converted to their values, except for rationals and imaginaries, which aren't supported. Symbols and character literals become strings, and nil, true, false and self have
+// direct equivalents. Instance variables are properties of self whose names keep their '@', so they can't collide with methods.
+
+          number(d)                 = new $.syntax(String(/^0[xX]/.test(x) ? parseInt(x.substr(2), 16) : /^0[bB]/.test(x) ? parseInt(x.substr(2), 2) :
+                                                          /^0[oO]?[0-7]+$/.test(x) ? parseInt(x.replace(/^0[oO]?/, ''), 8) : Number(x.replace(/^0[dD]/, ''))))
+                                      -where [x = d.replace(/_/g, '')],
+
+          leaf(n, s)                = (/^\d/.test(d) && ! /[ri]$/.test(d) ? number(d) :
+                                       /^(?:nil|true|false)$/.test(d)     ? d === 'nil' ? null_value : identifier(d) :
+                                       d === 'self'                       ? self_value :
+                                       d === ''                           ? null_value :
+                                       quoted(d) !== null                 ? string(quoted(d)) :
+                                       /^:["']/.test(d)                   ? string(quoted(d.substr(1))) :
+                                       /^:./.test(d)                      ? string(d.substr(1)) :
+                                       /^\?./.test(d)                     ? string(unescape(d.substr(1))) :
+                                       /^@\w+$/.test(d)                   ? member(self_value, d) :
+                                       /^\$\w+$/.test(d) || constant_name(d) ? identifier(d) :
+                                       d === 'yield'                      ? call(block_of(s), []) :
+                                       d === 'block_given?'               ? not(not(block_of(s))) :
+                                       d === 'super'                      ? super_call(null, s) :
+                                       /^(?:return|break|next|redo|retry)$/.test(d) ? immediately(jump(n, s)) :
+                                       local_name(d) && visible(s, d)     ? identifier(js_name(d)) :
+                                       d === 'new'                        ? new $.syntax('new', call(self_value, [])) :
+                                       /^[a-z_]\w*[?!]?$/.test(d)         ? call(member(self_value, d), []) :
+                                                                            unsupported(n))
+                                      -where [d = n.data],
+
+// Strings.
+// Double-quoted strings decode their escapes and concatenate in their interpolations, starting from an empty string if they begin with one; nil interpolates as nothing. Single-quoted strings
+// only unescape backslashes and their own delimiter, and the bodies of single-quoted heredocs aren't unescaped at all. Squiggly heredocs lose their common indentation before anything else
+// happens to them.
+
+          escapes                   = {n: '\n', t: '\t', r: '\r', e: '\u001b', s: ' ', a: '\u0007', b: '\b', f: '\f', v: '\u000b', '\n': ''},
+          unescape(s)               = s.replace(/\\(?:u\{([0-9a-fA-F]+)\}|u([0-9a-fA-F]{4})|x([0-9a-fA-F]{1,2})|([0-7]{1,3})|([\s\S]))/g,
+                                                given[m, u, w, x, o, c] in (u || w || x ? String.fromCharCode(parseInt(u || w || x, 16)) :
+                                                                            o           ? String.fromCharCode(parseInt(o, 8)) :
+                                                                                          escapes.hasOwnProperty(c) ? escapes[c] : c)),
+          literal(s, delimiters)    = s.replace(/\\([\s\S])/g, given[m, c] in (c === '\\' || delimiters.indexOf(c) >= 0 ? c : m)),
+          delimiters(c)             = c + ({'(': ')', '[': ']', '{': '}', '<': '>'}[c] || ''),
+
+          quoted(d)                 = (/^'/.test(d)               ? literal(d.substring(1, d.length - 1), "'") :
+                                       /^"/.test(d)               ? unescape(d.substring(1, d.length - 1)) :
+                                       /^%q[^\w\s]/.test(d)        ? literal(d.substring(3, d.length - 1), delimiters(d.charAt(2))) :
+                                       /^%Q?[^\w\s=]/.test(d)      ? unescape(d.replace(/^%Q?./, '').replace(/.$/, '')) : null),
+
+          heredoc(n)                = is_heredoc(n) ? n._original.heredocs[n._original.start] : null,
+          interpolating(n)          = heredoc(n) ? heredoc(n).interpolating : ! /^%[qwi]/.test(n.data),
+          text(x, n)                = interpolating(n) ? unescape(x) : heredoc(n) ? x : literal(x, delimiters(n.data.charAt(n.data.length - 1))),
+
+          pieces(n, s)              = parts *[xi & 1 ? interpolated(n[+x][0], s) : x && string(text(x, n))] %[x] -seq
+                                      -where [marked  = children(n) *[x.length ? '\u0002' + xi + '\u0002' : x.data] -seq -re- it.join(''),
+                                              parts   = (heredoc(n) && heredoc(n).squiggly ? dedent(marked) : marked).split(/\u0002(\d+)\u0002/)],
+
+          interpolated(n, s)        = is_string(n) ? expression(n, s) : helping(s, 'text', [expression(n, s)]),
+
+          dedent(s)                 = lines *[x.substring(Math.min(x.length, margin))] -seq -re- it.join('\n')
+                                      -where [lines  = s.split('\n'),
+                                              margin = Math.min.apply(Math, lines %[/\S/.test(x)] *[/^[ \t]*/.exec(x)[0].length] -seq)],
+
+          concatenation(xs)         = (xs[0] && xs[0].data.charAt(0) === '"' ? xs : [string('')].concat(xs)) -re [it.slice(1) /[it[0]][binary('+', x0, x)] -seq],
+
+          string_value(n, s)        = (n.data === ' '        ? concatenation(children(n) *[expression(x, s)] -seq) :
+                                       /^%[wW]/.test(n.data) ? array(children(n) *[x.length ? concatenation(pieces(x, s)) : string(text(x.data, n))] -seq) :
+                                       /^%[iI]/.test(n.data) ? array(children(n) *[string(x.data)] -seq) :
+                                       /^(?:`|%x)/.test(n.data) ? unsupported(n) :
+                                                               concatenation(pieces(n, s))),
+
+// Assignment.
+// Assignable things are local variables, instance variables, globals, constants, indexes and attributes. Constants are local variables too, and inside a class or module body they're also
+// properties of the class or module. Multiple assignment stores its value in a temporary and assigns each target from it; parameter lists work the same way, using a copy of the function's
+// arguments as the value. Indexes are stored through the runtime, so that negative ones count from the end, and updating an index evaluates its receiver and key only once.
+
+          reference(n, s)           = (n.length === 0 && local_name(n.data) ? identifier(js_name(n.data)) -se- declare(s, n.data) :
+                                       n.length === 0 && /^@\w+$/.test(n.data) ? member(self_value, n.data) :
+                                       n.length === 0 && /^\$\w+$/.test(n.data) ? identifier(n.data) :
+                                       n.data === '::' && constant_name(n[1].data) ? member(expression(n[0], s), n[1].data) :
+                                                                                   unsupported(n)),
+
+          assign(n, v, s)           = (n.length === 0 && constant_name(n.data) ? constant_assignment(n.data, v, s) :
+                                       n.data === '()' && ! items(n[2]).length && ! filled(n[3]) ? call(member(receiver(n, s), n[1].data + '='), [v]) :
+                                       n.data === '[]' && n[1].length === 1 ? helping(s, 'store', [expression(n[0], s), expression(n[1][0], s), v]) :
+                                       n.data === ',h' || n.data === '(' ? destructure(n.data === '(' ? n[0] : n, v, s) :
+                                                                           assignment(reference(n, s), v)),
+
+          constant_assignment(c, v, s) = declare(s, c) -re- /^(?:class|module)$/.test(home(s).kind) ? assignment(member(self_value, c), assignment(identifier(c), v))
+                                                                                                   : assignment(identifier(c), v),
+
+          update(n, s)              = (indexed ? comma_of([assignment(r, expression(n[0][0], s)), assignment(k, helping(s, 'slot', [r, expression(n[0][1][0], s)])), updated(qs[_r[_k]].replace({_r: r, _k: k}))])
+                                                     : updated(reference(n[0], s)))
+                                      -where [indexed         = n[0].data === '[]' && n[0][1].length === 1,
+                                              r               = indexed ? temporary(s, 'receiver') : null,
+                                              k               = indexed ? temporary(s, 'key') : null,
+                                              updated(target) = operation(n.data.replace(/=$/, ''), n[0], n[1], target, expression(n[1], s), s)
+                                                                -re [/^(?:\|\||&&)$/.test(n.data.replace(/=$/, '')) ? it : assignment(target, it)]
+                                                                -se- (floating(n[1], s) && note_float(n[0], n[1], s))],
+
+          operation(op, x, y, target, value, s)
+                                    = (op === '||' ? conditional(helping(s, 'truthy', [target]), target, assignment(target, value)) :
+                                       op === '&&' ? conditional(helping(s, 'truthy', [target]), assignment(target, value), target) :
+                                       op === '**' ? qs[Math.pow(_x, _y)].replace({_x: target, _y: value}) :
+                                       op === '/'  ? floating(x, s) || floating(y, s) ? binary('/', target, value) : helping(s, 'divide', [target, value]) :
+                                       op === '%'  ? helping(s, 'modulo', [target, value]) :
+                                       op === '<<' ? helping(s, 'append', [target, value]) :
+                                                     binary(operators[op] || op, target, value)),
+
+          floating(n, s)            = (/^(?:u-|u\+|\()$/.test(n.data)                     ? floating(n[0], s) :
+                                       ! n.length                                         ? /^\d[\d_]*(?:\.\d|[eE])/.test(n.data) || local_name(n.data) && !! owner_of(s, n.data).floats[n.data] :
+                                                                                            /^(?:[-+*\/%]|\*\*)$/.test(n.data) && n.length === 2 && (floating(n[0], s) || floating(n[1], s))),
+
+          owner_of(s, name)         = s.locals.hasOwnProperty(name) || s.kind !== 'block' ? s : owner_of(s.parent, name),
+          note_float(n, value, s)   = ! n.length && local_name(n.data) && (owner_of(s, n.data).floats[n.data] = floating(value, s)),
+
+          destructure(targets, v, s) = comma_of([assignment(t, qs[[].concat(_v)].replace({_v: v}))].concat(positions(items(targets), t, s) %[x[0]] *[assign(x[0], x[1], s)] -seq, [t]))
+                                       -where [t = temporary(s, 'values')],
+
+  // Positions.
+//   Given a list of targets and an array, this works out which element or slice of the array each target gets. Required targets before a splat take elements from the front, required targets
+//   after it take elements from the back, and optional parameters take whatever is left over in between, in order. '&block' parameters are handled separately, so they're skipped here.
+
+          positions(targets, xs, s) = (leading *[[x, element(xi)]] -seq)
+                                      .concat(optional *[[x[0], conditional(binary('>', length, count(required + xi)), element(leading.length + xi), expression(x[1], s))]] -seq,
+                                              splat ? [[splat[0], trailing.length ? qs[_xs.slice(Math.min(_a, Math.max(_b, _n - _c)), _n - _c)].replace({_xs: xs, _n: length, _a: count(middle),
+                                                                                                                                                      _b: count(leading.length), _c: count(trailing.length)})
+                                                                                  : qs[_xs.slice(_a)].replace({_xs: xs, _a: count(middle)})]] : [],
+                                              trailing *[[x, qs[_xs[_n - _i]].replace({_xs: xs, _n: length, _i: count(trailing.length - xi)})]] -seq)
+                                      -where [plain      = targets %[x.data !== 'u&'] -seq,
+                                              first      = plain *[x.data === 'u*' || x.data === '=' ? xi : plain.length] -seq -re- Math.min.apply(Math, it.concat([plain.length])),
+                                              leading    = plain.slice(0, first),
+                                              optional   = plain.slice(first) %[x.data === '='] -seq,
+                                              splat      = plain |[x.data === 'u*' && [x[0]]] |seq,
+                                              trailing   = plain.slice(first) %[x.data !== '=' && x.data !== 'u*'] -seq,
+                                              required   = leading.length + trailing.length,
+                                              middle     = leading.length + optional.length,
+                                              length     = qs[_xs.length].replace({_xs: xs}),
+                                              count(n)   = new $.syntax(String(n)),
+                                              element(i) = qs[_xs[_i]].replace({_xs: xs, _i: count(i)})],
+
+// Methods.
+// A method becomes a function assigned to self, or to the prototype when it's defined in a class body. Functions with only plain parameters use Javascript's; anything else copies the
+// arguments into an array and takes the parameters from that. Methods that use their block take it off the end of the array first if it's a function, and blocks with several parameters
+// treat a lone array argument as the list of their arguments. A block's block-local variables are declared in its function, even when the scope around it has variables of the same names.
+
+          method(n, s)              = assignment(target, function_of(m, n[1], n[2]))
+                                      -where [named    = n[0].data === '.' && n[0].length === 2,
+                                              name     = (named ? n[0][1] : n[0]).data.replace(/^:/, ''),
+                                              owner    = home(s),
+                                              target   = named ? member(expression(n[0][0], s), name) : owner.kind === 'class' ? member(member(self_value, 'prototype'), name) : member(self_value, name),
+                                              m        = scope('method', s) -se [it.name = name, it.owner = ! named && owner.kind === 'class' ? owner.owner : null]],
+
+          block_function(b, s)      = function_of(scope('block', s), b[0], b[1]),
+
+          function_of(m, ps, body)  = (! simple        ? $.parse('function () {_body}').replace({_body: function_body(m, sequence_of(unpacked(m, formals).concat([compiled])))}) :
+                                       formals.length  ? $.parse('function (_ps) {_body}').replace({_ps: comma_of(formals *[identifier(js_name(x.data))] -seq),
+                                                                                                   _body: function_body(m, compiled, formals *[x.data] -seq)}) :
+                                                         $.parse('function () {_body}').replace({_body: function_body(m, compiled)}))
+                                      -where [formals     = items(ps) %[x.data !== 'u;'] -seq,
+                                              locals      = items(ps) %[x.data === 'u;'] *~![children(x)] -seq -se [it *![m.locals[x.data] = true, m.names.push(x.data)] -seq],
+                                              given_block = formals |[x.data === 'u&' && x[0]] |seq,
+                                              declared    = formals *![names_of(x) *![declare(m, x)] -seq] -seq -se [given_block && (m.block = given_block.data)],
+                                              compiled    = returning(body, m),
+                                              simple      = ! m.block && (m.kind === 'method' || formals.length < 2) && ! (formals |[x.length || ! local_name(x.data)] |seq)],
+
+          unpacked(m, formals)      = [assignment(args, qs[Array.prototype.slice.call(arguments)])].concat(spread, taken, positions(formals, args, m) %[x[0]] *[assign(x[0], x[1], m)] -seq)
+                                      -where [args   = temporary(m, 'arguments'),
+                                              spread = m.kind === 'block' && formals.length > 1
+                                                       ? [if_statement(qs[_xs.length === 1 && _xs[0] instanceof Array].replace({_xs: args}), assignment(args, qs[_xs[0]].replace({_xs: args})))] : [],
+                                              taken  = m.block ? [assignment(identifier(js_name(m.block)), qs[typeof _xs[_xs.length - 1] === 'function' ? _xs.pop() : null].replace({_xs: args}))]
+                                                                 -se [declare(m, m.block)] : []],
+
+          names_of(p)               = p.length === 0 ? local_name(p.data) ? [p.data] : [] : p.data === '(' ? items(p[0]) *~!names_of -seq : p.data === 'u*' || p.data === 'u&' || p.data === '=' ? names_of(p[0]) : [],
+
+          super_call(xs, s)         = (m.kind === 'method' && m.owner ? xs ? qs[_f.call(self, _xs)].replace({_f: f, _xs: xs}) : s === m ? qs[_f.apply(self, arguments)].replace({_f: f}) : unsupported(n)
+                                                                      : unsupported(n))
+                                      -where [m = home(s), n = new $.ruby.syntax('super'), f = member(qs[Object.getPrototypeOf(_c.prototype)].replace({_c: m.owner}), m.name || '')],
+
+// Method calls.
+// A call's arguments are compiled in order. Hash pairs at the end of the list become one object, a block (or a '&' argument) is passed last, and splats turn the call into an apply() over the
+// concatenated arguments. '&:name' passes a function that calls the method 'name' on its argument. A few calls on self are special: 'yield' and 'block_given?' refer to the method's block,
+// 'lambda' and 'proc' return their block, 'raise' throws, and 'super' calls the superclass's method. 'new' constructs an object and 'call' calls a function. A call made with '&.' is
+// skipped, giving null, if its receiver is null or undefined; the receiver is evaluated only once.
+
+          call_value(n, s, subject) = (implied && name === 'yield'                  ? call(block_of(s), values()) :
+                                       implied && name === 'block_given?'           ? not(not(block_of(s))) :
+                                       implied && /^(?:lambda|proc)$/.test(name) && filled(n[3]) && ! xs.length ? block_function(n[3], s) :
+                                       implied && name === 'super'                  ? super_call(spread ? null : values_of(values()), s) :
+                                       name === 'new' && ! spread                   ? new $.syntax('new', call(on(), values())) :
+                                       ! implied && name === 'call' && ! spread     ? call(on(), values()) :
+                                       spread                                       ? comma_of([assignment(r, on()), qs[_f.apply(_r, _xs)].replace({_f: member(r, name), _r: r, _xs: concatenated(xs, values())})]) :
+                                                                                      call(member(on(), name), values()))
+                                      -where [implied   = n[0].data === 'implied self' && ! n[0].length,
+                                              name      = n[1].data,
+                                              xs        = items(n[2]),
+                                              spread    = xs |[x.data === 'u*'] |seq,
+                                              values()  = arguments_of(xs, n[3], s),
+                                              r         = spread ? temporary(s, 'receiver') : null,
+                                              on()      = subject || receiver(n, s)],
+
+          safe_call(n, s)           = conditional(binary('==', assignment(r, expression(n[0], s)), null_value), null_value, call_value(n, s, r)) -where [r = temporary(s, 'receiver')],
+
+          receiver(n, s)            = n[0].data === 'implied self' && ! n[0].length ? self_value : expression(n[0], s),
+
+          arguments_of(xs, b, s)    = positional *[x.data === 'u*' ? expression(x[0], s) : expression(x, s)] -seq -re- it.concat(pairs.length ? [hash(pairs, s)] : [], passed)
+                                      -where [cut        = xs *[/^(?:=>|:|u&)$/.test(x.data) ? xi : xs.length] -seq -re- Math.min.apply(Math, it.concat([xs.length])),
+                                              positional = xs.slice(0, cut),
+                                              pairs      = xs.slice(cut) %[x.data !== 'u&'] -seq,
+                                              amp        = xs |[x.data === 'u&' && x[0]] |seq,
+                                              passed     = amp ? [/^:\w+[?!]?$/.test(amp.data) ? method_function(amp.data.substr(1)) : expression(amp, s)] : filled(b) ? [block_function(b, s)] : []],
+
+          concatenated(xs, vs)      = qs[[].concat(_xs)].replace({_xs: comma_of(vs *[xi < xs.length && xs[xi].data === 'u*' ? x : array([x])] -seq)}),
+
+          method_function(name)     = $.parse('function (x) {return _f}').replace({_f: call(member(qs[x], name), [])}),
+
+// Containers.
+// Arrays with splats are concatenated. Hashes become objects when their keys are symbols, labels, strings or numbers, and are built up one key at a time otherwise.
+
+          hash(pairs, s)            = (literal_keys ? object(pairs *[[key(x), expression(x[1], s)]] -seq) : built)
+                                      -where [key(p)        = p.data === ':' && quoted(p[0].data) === null ? string(p[0].data) : expression(p[0], s),
+                                              fixed(p)      = ! p[0].length && (p.data === ':' || /^(?::\w+[?!=]?|\d.*)$/.test(p[0].data) || quoted(p[0].data) !== null),
+                                              literal_keys  = ! (pairs |[! fixed(x)] |seq),
+                                              h             = identifier($.gensym('hash')),
+                                              built         = $.parse('(function (_h) {_xs; return _h})({})')
+                                                              .replace({_h: h, _xs: sequence_of(pairs *[assignment(qs[_h[_k]].replace({_h: h, _k: key(x)}), expression(x[1], s))] -seq)})
+                                                              -unless [literal_keys]],
+
+          array_of(xs, s)           = ((xs |[x.data === 'u*'] |seq) ? concatenated(xs, values) : array(values)) -where [values = xs *[x.data === 'u*' ? expression(x[0], s) : expression(x, s)] -seq],
+
+// Classes and modules.
+// A class or module body is a function called with self bound to the class or module, which is created the first time it's named. Classes get a constructor that calls 'initialize', and
+// a superclass's prototype if they have one. 'class << x' runs its body with self bound to x, so methods defined in it belong to x.
+
+          singleton_value(n, s)     = body_of(scope('singleton', s), n[1], expression(n[0][0], s)),
+
+          class_value(n, s)         = comma_of([binary('||', place, assign(n[0], made, s)), body_of(scope(n.data, s) -se [it.owner = place], n[n.length - 1], place)])
+                                      -where [place       = n[0].length ? reference(n[0], s) : identifier(n[0].data) -se- declare(s, n[0].data),
+                                              parent      = n.data === 'class' && n.length === 3 && filled(n[1]) ? expression(n[1], s) : null,
+                                              constructor = qs[function () {this.initialize && this.initialize.apply(this, arguments)}],
+                                              made        = n.data === 'module' ? qs[{}] :
+                                                            parent ? qs[(function (c) {c.prototype = Object.create(_p.prototype); c.prototype.constructor = c; return c})(_f)]
+                                                                     .replace({_p: receiver_of(parent), _f: constructor})
+                                                                   : constructor],
+
+          body_of(c, body, self)    = qs[(function () {_body}).call(_self)].replace({_body: function_body(c, returning(body, c)), _self: self}),
+
+          alias_value(n, s)         = assignment(member(target, name(n[0])), member(target, name(n[1])))
+                                      -where [target  = home(s).kind === 'class' ? member(self_value, 'prototype') : self_value,
+                                              name(x) = x.data.replace(/^:/, '')],
+
+          undef_value(n, s)         = comma_of(children(n) *[qs[delete _x].replace({_x: member(target, x.data.replace(/^:/, ''))})] -seq -re- it.concat([null_value]))
+                                      -where [target = home(s).kind === 'class' ? member(self_value, 'prototype') : self_value],
+
+// Operators and forms.
+// Most binary operators mean the same thing in both languages. Ruby's equality becomes strict equality when either side is a number, string, symbol, nil, true or false, and uses 'equal'
+// otherwise; exponentiation uses Math.pow. Logical operators return one of their operands the way Ruby's do, and division, modulo and '<<' use the runtime functions above. A string literal on
+// the left of '%' is a format string, which is rejected.
+
+          operators                 = {'+': '+', '-': '-', '*': '*', '<': '<', '<=': '<=', '>': '>', '>=': '>=', '&': '&', '|': '|', '^': '^', '>>': '>>'},
+
+          literal_string(n)         = is_string(n) || ! n.length && quoted(n.data) !== null,
+          scalar(n)                 = literal_string(n) || ! n.length && /^(?:\d|:|\?.|nil$|true$|false$)/.test(n.data) || /^u[-+]$/.test(n.data) && scalar(n[0]),
+          equality(n, s)            = scalar(n[0]) || scalar(n[1]) ? binary(n.data === '==' ? '===' : '!==', expression(n[0], s), expression(n[1], s))
+                                                                   : helping(s, 'equal', [expression(n[0], s), expression(n[1], s)]) -re [n.data === '==' ? it : not(it)],
+
+          forms                     = {';':        given[n, s] in values_of(children(n) *[expression(x, s)] -seq),
+                                       '(':        given[n, s] in expression(n[0], s),
+                                       '#{':       given[n, s] in expression(n[0], s),
+                                       '()':       call_value,
+                                       '&.':       safe_call,
+                                       '->':       given[n, s] in function_of(scope('block', s), n[0], n[1][1]),
+                                       '[':        given[n, s] in array_of(items(n[0]), s),
+                                       '{':        given[n, s] in hash(items(n[0]), s),
+                                       '[]':       given[n, s] in (n[1].length === 1 ? helping(s, 'index', [expression(n[0], s), expression(n[1][0], s)]) : unsupported(n)),
+                                       '::':       given[n, s] in (constant_name(n[1].data) ? member(expression(n[0], s), n[1].data) : call(member(expression(n[0], s), n[1].data), [])),
+                                       '=':        given[n, s] in assign(n[0], n[1].data === ',h' ? array_of(items(n[1]), s) : expression(n[1], s), s) -se- note_float(n[0], n[1], s),
+                                       '?':        given[n, s] in conditional(truth(n[0], s), expression(n[1], s), expression(n[2], s)),
+                                       'if':       given[n, s] in (n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, expression) : branches([[modifier_condition(n), n[0]]], null, s, expression)),
+                                       unless:     given[n, s] in (n.length === 3 ? branches(if_clauses(n), if_otherwise(n), s, expression) : branches([[modifier_condition(n), n[0]]], null, s, expression)),
+                                       'case':     given[n, s] in case_branches(n, s, expression),
+                                       not:        given[n, s] in not(truth(n[0], s)),
+                                       'u!':       given[n, s] in not(truth(n[0], s)),
+                                       '&&':       logical,
+                                       '||':       logical,
+                                       and:        logical,
+                                       or:         logical,
+                                       '/':        given[n, s] in operation('/', n[0], n[1], expression(n[0], s), expression(n[1], s), s),
+                                       '%':        given[n, s] in (literal_string(n[0]) ? unsupported(n) : operation('%', n[0], n[1], expression(n[0], s), expression(n[1], s), s)),
+                                       '==':       equality,
+                                       '!=':       equality,
+                                       '<<':       given[n, s] in operation('<<', n[0], n[1], expression(n[0], s), expression(n[1], s), s),
+                                       'u-':       given[n, s] in new $.syntax('u-', operand(expression(n[0], s))),
+                                       'u+':       given[n, s] in new $.syntax('u+', operand(expression(n[0], s))),
+                                       'u~':       given[n, s] in new $.syntax('u~', operand(expression(n[0], s))),
+                                       '**':       given[n, s] in qs[Math.pow(_x, _y)].replace({_x: expression(n[0], s), _y: expression(n[1], s)}),
+                                       def:        method,
+                                       'class':    given[n, s] in (n.length === 2 && n[0].data === '<<' ? singleton_value(n, s) : class_value(n, s)),
+                                       module:     class_value,
+                                       alias:      alias_value,
+                                       undef:      undef_value}],
+
+// Source maps.
+// compile.mapped() returns the Javascript code for a tree along with a source map (see ruby-source-map.js). Caterwaul prints trees by having each node append its text to an array, so the code
+// is printed once with each node that remembers where it came from first noting how much of the array is in front of it; that's where its text starts, unless the next piece is a space that
+// Caterwaul put in to separate two words. Nodes compiled from some other input than the first one are left out.
+
+  $.ruby.compile.mapped(tree, options) = {code: code, map: $.ruby.source_map(code, places, options)}
+                                         -where [js             = $.ruby.compile(tree),
+                                                 hooked         = [] -se [js.reach(given.x in (x._ruby && x._ruby._original && x._ruby._original.start !== null && it.push(x)))],
+                                                 starts         = [],
+                                                 printed        = [''] -se [hooked *![x.serialize = given.xs in (starts.push({at: xs.length, n: this._ruby}), $.syntax.prototype.serialize.call(this, xs))] -seq,
+                                                                            js.serialize(it), hooked *![delete x.serialize] -seq],
+                                                 code           = printed.join(''),
+                                                 lengths        = printed /[[0]][x0 -se- it.push(it[it.length - 1] + x.length)] -seq,
+                                                 input          = hooked.length ? hooked[0]._ruby._original.input : null,
+                                                 places         = starts %[x.n._original.input === input] *[x.n._original.positions(x.n._original.start)
+                                                                  -re- {offset: lengths[x.at] + (printed[x.at] === ' ' ? 1 : 0), line: it.line, column: it.column}] -seq],
+
+  using [caterwaul.parser]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby JSON trees | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Syntax trees can be converted to and from plain objects, which makes it possible to cache parsed files on disk or send trees between processes without reparsing anything. The objects carry
+// the data, children, position, end offset, kind and attached comments of each node, so JSON.stringify() and fromJSON() reproduce the same tree:
+
+// | JSON.stringify(caterwaul.ruby('x  # hi\n'))                    // -> '{"data":"x","position":{"line":0,"column":0},"end":1,"comments":[{"data":"# hi",...}]}'
+//   caterwaul.ruby.syntax.fromJSON('{"data":"+","children":[{"data":"a"},{"data":"1"}]}').structure()     // -> '("+" a 1)'
+
+// Positions are stored as they are, so a tree that hasn't been through position_map() keeps its offsets. Empty child and comment lists and missing positions are left out. The source records that
+// the serializer copies unchanged text from aren't included; a tree rebuilt from JSON prints with the standard layout rather than its original spacing.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.syntax.prototype.toJSON() = object_from(this)
+                                     -where [object_from(n) = {data: n.data} -se [given_value(n._position) && (it.position = n._position),
+                                                                                  given_value(n._end)      && (it.end      = n._end),
+                                                                                  given_value(n._kind)     && (it.kind     = n._kind),
+                                                                                  n._comments.length       && (it.comments = n._comments *object_from -seq),
+                                                                                  n.length                 && (it.children = n *object_from -seq)],
+                                             given_value(x) = x !== null && x !== undefined],
+
+  $.ruby.syntax.fromJSON(o) = tree_from(o.constructor === String ? JSON.parse(o) : o)
+                              -where [tree_from(x) = new $.ruby.syntax(x.data) -se [it._position = x.hasOwnProperty('position') ? x.position : null,
+                                                                                    it._end      = x.hasOwnProperty('end')      ? x.end      : null,
+                                                                                    it._kind     = x.hasOwnProperty('kind')     ? x.kind     : null,
+                                                                                    (x.comments || []) *![it._comments.push(tree_from(x))] -seq,
+                                                                                    (x.children || []) *![it.push(tree_from(x))] -seq]]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby macros | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Macros rewrite Ruby syntax trees. Each one is a pattern and an expansion, both usually written as Ruby source. Leaves whose names start with an underscore are wildcards: in the pattern they
+// match any subtree, and in the expansion they're replaced by whatever they matched. A macro is a function that takes a node and returns its expansion, or null if the pattern doesn't match:
+
+// | each_to_for = caterwaul.ruby.macro('_xs.each do |_x| _body end', 'for _x in _xs do _body end');
+//   caterwaul.ruby.macroexpand('xs.each do |x|\n  puts x\nend', [each_to_for]).toRuby()        // -> 'for x in xs\n  puts x\nend'
+
+// A wildcard that's the only statement in a pattern's body matches the whole body, however many statements it has, and its statements are spliced into the body it's substituted into. The
+// expansion can also be a function, which is called on the bindings (the '_' binding is the matched node) and returns a tree, Ruby source, or a false value to decline the match.
+
+// Expansions are new nodes, but they take the position and comments of the node they replace through metadata_from(), along with any comments attached to parts of it that the pattern
+// consumed. Subtrees bound to wildcards are moved into the expansion as they are, so they keep their own positions, comments and original source text.
+
+// Patterns can be matched without expanding anything, too. match() returns the bindings, or null if the pattern doesn't match:
+
+// | caterwaul.ruby.match('_x + 1', 'y * 2 + 1')._x.structure()         // -> ("*" y 2)
+
+caterwaul.js_all()(function ($) {
+  $.ruby.macro(pattern, expansion) = expand -where [p            = pattern /!tree_of,
+                                                    e            = expansion.constructor === Function ? expansion : expansion /!tree_of /!template,
+                                                    expand(tree) = (bindings && e(bindings) -re [it && adopt(tree_of(it), tree, consumed)])
+                                                                   -where [consumed = [], bindings = match(p, tree, {_: tree}, consumed)]],
+
+// Fixed-point expansion.
+// macroexpand() applies a list of macros to a whole tree, or to Ruby source, until none of them match anywhere. Each pass walks the tree from the top and replaces each node that a macro matches
+// with the first macro's expansion. Like Caterwaul's rmap(), a pass doesn't walk into the expansions it makes; the next pass does that, and also picks up anything that an expansion made
+// possible further up. Unchanged subtrees are shared with the input, so serializing the result reproduces the original text everywhere except around the expansions. It gives up after a hundred
+// passes, which usually means that a macro's expansion matches its own pattern or two macros are undoing each other.
+
+  $.ruby.macroexpand(tree, macros) = fixed_point(tree /!tree_of, 0)
+                                     -where [ms                = macros instanceof Array ? macros : [macros],
+                                             fixed_point(t, i) = i >= 100 ? raise [new Error('caterwaul.ruby.macroexpand: no fixed point after 100 passes')] :
+                                                                 (r.changed ? fixed_point(r.tree, i + 1) : t) -where [r = pass(t)],
+
+                                             pass(t)           = {tree: visit(t), changed: changed}
+                                                                 -where [changed    = false,
+                                                                         visit(n)   = (ms |[x(n)] |seq) -re [it ? it -se- (changed = true) : descend(n)],
+                                                                         descend(n) = (kids |[x !== n[xi]] |seq ? n.replicate.apply(n, [n.data].concat(kids)) : n) -where [kids = children(n) *visit -seq]]],
+
+  $.ruby.match(pattern, tree) = match(pattern /!tree_of, t, {_: t}, []) -where [t = tree /!tree_of],
+
+  where [tree_of(x)   = x.constructor === String ? $.ruby(x) : x,
+         children(n)  = Array.prototype.slice.call(n),
+         unique(xs)   = xs %[xs.indexOf(x) === xi] -seq,
+
+// Matching.
+// This works like Caterwaul's own match(), except that statement sequences get special treatment and the comments of every non-wildcard node are collected along the way.
+
+         wildcard(n)  = ! n.length && /^_./.test(n.data),
+         body(n)      = n.data === ';' && n.length === 1 && wildcard(n[0]),
+
+         match(p, t, bindings, consumed) = wildcard(p)               ? bindings -se [it[p.data] = t] :
+                                           body(p) && t.data === ';' ? bindings -se [it[p[0].data] = t] :
+                                           p.data === t.data && p.length === t.length && ! (n[p.length] |[! match(p[x], t[x], bindings, consumed)] |seq)
+                                                                     ? bindings -se- consumed.push.apply(consumed, t._comments) :
+                                                                       null,
+
+// Expansion.
+// Templates build fresh nodes, so nothing from the expansion's own source (its positions in particular) leaks into the output. adopt() gives the expansion the replaced node's metadata; it copies
+// the expansion's root first, since a function can return a node that already belongs to some other tree.
+
+         template(t)(bindings)    = instantiate(t, bindings),
+         instantiate(t, bindings) = wildcard(t) && bindings.hasOwnProperty(t.data) ? bindings[t.data] :
+                                    new $.ruby.syntax(t.data) -se [children(t) *~![spliced(instantiate(x, bindings), t)] *![it.push(x)] -seq],
+         spliced(n, parent)       = parent.data === ';' && n.data === ';' ? children(n) : [n],
+
+         adopt(n, tree, consumed) = n.replicate.apply(n, [n.data].concat(children(n))) -se [it.metadata_from(tree), it._comments = unique(tree._comments.concat(consumed, n._comments))]]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby lint | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// lint() looks through a Ruby tree, or Ruby source, for code that's legal but probably isn't what was meant. It returns a list of diagnostics in source order, each of which names the rule that
+// found it, says what's wrong and gives the position() of the node it's about, so lines and columns count from zero:
+
+// | caterwaul.ruby.lint('def f\n  x = 1\n  2\nend')     // -> [{rule: 'unused_local', message: 'x is assigned but never used', position: {line: 1, column: 2}}]
+
+// The second argument is an object of rules, each under its name; caterwaul.ruby.lint.rules is used if it's omitted. These are the rules that come with it:
+
+// | unused_local              a local variable that's assigned but never read. Names that start with an underscore are left alone, as Ruby does.
+//   unused_block_parameter    a block or lambda parameter that the block never reads, also excepting names that start with an underscore.
+//   shadowed_variable         a block or lambda parameter with the same name as a local variable outside the block, which the block then can't get to.
+//   assignment_in_condition   an assignment used as the condition of an if, unless, while, until or ?:, where '==' was probably meant. Assignments in parentheses are taken to be deliberate.
+//   unreachable_code          a statement after a return, break, next, redo, retry or raise in the same sequence.
+//   duplicate_hash_key        a literal key that appears twice in a hash literal or in the pairs at the end of an argument list.
+//   duplicate_method          a method that's defined twice in the same class or module body.
+
+// A rule is a function that takes the tree and returns a list of findings, each of which is {node, message}. lint.pattern() makes a rule from a pattern, written the way macro patterns are, and
+// a message. The message can also be a function of the pattern's bindings that returns the message, or a false value to let that match go:
+
+// | no_puts = caterwaul.ruby.lint.pattern('puts _x', 'use the logger instead of puts');
+//   caterwaul.ruby.lint('puts 1', {no_puts: no_puts})     // -> [{rule: 'no_puts', message: 'use the logger instead of puts', position: {line: 0, column: 0}}]
+//   caterwaul.ruby.lint(source, caterwaul.merge({no_puts: no_puts}, caterwaul.ruby.lint.rules))
+
+caterwaul.js_all()(function ($) {
+  $.ruby.lint(tree, rules) = Object.keys(rs) *~!name[rs[name](t) *[{rule: name, message: x.message, position: x.node.position()}] -seq] -seq -re- it.sort(by_position)
+                             -where [t = tree /!tree_of, rs = rules || $.ruby.lint.rules],
+
+  $.ruby.lint.pattern(pattern, message) = given.tree in tree.find_all(given.n in true) *~!found -seq
+                                          -where [p         = pattern /!tree_of,
+                                                  found(n)  = ((bindings && (message instanceof Function ? message(bindings) : message)) -re [it ? [{node: n, message: it}] : []])
+                                                              -where [bindings = $.ruby.match(p, n)]],
+
+  $.ruby.lint.rules = {unused_local: unused_local, unused_block_parameter: unused_block_parameter, shadowed_variable: shadowed_variable, assignment_in_condition: assignment_in_condition,
+                       unreachable_code: unreachable_code, duplicate_hash_key: duplicate_hash_key, duplicate_method: duplicate_method},
+
+  where [tree_of(x)       = x.constructor === String ? $.ruby(x) : x,
+         children(n)      = Array.prototype.slice.call(n),
+         items(n)         = /^,h?$/.test(n.data) ? children(n) : [],
+         finding(n, m)    = {node: n, message: m},
+
+         by_position(a, b) = ! a.position || ! b.position ? !! a.position - !! b.position && (a.position ? -1 : 1) :
+                             a.position.line - b.position.line || a.position.column - b.position.column,
+
+// Variables.
+// The first three rules share an analysis of local variables. It walks the tree with a chain of scopes, following Ruby's rules: methods, classes and modules start a scope that can't see the one
+// around it, while blocks and lambdas start one that can, and assigning to a name that a block can see assigns to the outer variable rather than making a new one. Each variable remembers the
+// node that declared it and whether anything reads it. Only identifiers that the parser tagged as locals count as reads, so a method call with the same name as a variable doesn't.
+
+// An operator assignment like 'x += 1' reads the variable it assigns, but 'x ||= 1' on its own doesn't count as a read of a new variable. Method parameters are declared so that blocks can shadow
+// them, but they aren't reported when they're unused, since a method often has to take arguments that it ignores. Block-local variables ('|x; y|') are new variables in the block, so
+// assigning to them doesn't reach a variable outside, and they don't count as shadowing it.
+
+         unused_local(t)           = variables(t).variables %[x.kind === 'local' && ! x.used && ! /^_/.test(x.name)] *[finding(x.node, '#{x.name} is assigned but never used')] -seq,
+         unused_block_parameter(t) = variables(t).variables %[x.kind === 'block parameter' && ! x.used && ! /^_/.test(x.name)] *[finding(x.node, 'block parameter #{x.name} is never used')] -seq,
+         shadowed_variable(t)      = variables(t).shadows *[finding(x.node, '#{x.name} shadows a variable from the enclosing scope')] -seq,
+
+         variables(t)              = {variables: [], shadows: []} -se [visit(t, scope(null, true), it)],
+
+         scope(parent, hard)       = {parent: parent, hard: hard, names: {}},
+         lookup(s, name)           = s.names['@#{name}'] || ! s.hard && lookup(s.parent, name) || null,
+         fresh(s, n, kind, f)      = f.variables /~push/ (s.names['@#{n.data}'] = {name: n.data, node: n, kind: kind, used: false}),
+
+         local(n)                  = ! n.length && /^[a-z_]\w*$/.test(n.data),
+         read(n, s)                = n.kind() === 'local' && lookup(s, n.data) -re [it && (it.used = true)],
+
+         visit(n, s, f)            = ! n.length                                   ? read(n, s) :
+                                     n.is_def()                                   ? method(n, s, f) :
+                                     n.is_class() || n.is_module()                ? (n.is_class() && visit(n[1], s, f), visit(n.body(), scope(s, true), f)) :
+                                     n.is_singleton_class()                       ? (visit(n.singleton(), s, f), visit(n.body(), scope(s, true), f)) :
+                                     n.is_block() || n.is_lambda()                ? block(n, s, f) :
+                                     n.data === '='     && n.length === 2         ? (visit(n[1], s, f), assign(n[0], s, f)) :
+                                     operator_assignment(n)                       ? (visit(n[1], s, f), update(n[0], s, f)) :
+                                     n.data === 'for'   && n.length === 3         ? (visit(n[1], s, f), assign(n[0], s, f), visit(n[2], s, f)) :
+                                     n.data === 'rescue' && n.length === 3        ? (visit(n[0], s, f), assign(n[1], s, f), visit(n[2], s, f)) :
+                                                                                    children(n) *![visit(x, s, f)] -seq,
+
+         operator_assignment(n)    = n.length === 2 && /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)=$/.test(n.data),
+
+         method(n, s, f)           = (n.params() *![parameter(x, m, f, 'parameter')] -seq, visit(n.body(), m, f)) -where [m = scope(s, true)],
+         block(n, s, f)            = (n.params() *![parameter(x, b, f, 'block parameter')] -seq, visit(n.body(), b, f)) -where [b = scope(s, false)],
+
+         parameter(p, s, f, kind)  = local(p)                  ? declare_parameter(p, s, f, kind) :
+                                     ! p.length                ? null :
+                                     /^[=:]$/.test(p.data)     ? (p.length > 1 && visit(p[1], s, f), parameter(p[0], s, f, kind)) :
+                                     p.data === '('            ? items(p[0]) *![parameter(x, s, f, kind)] -seq :
+                                     p.data === 'u;'           ? children(p) *![fresh(s, x, 'block-local variable', f)] -seq :
+                                                                 parameter(p[0], s, f, kind),
+
+         declare_parameter(p, s, f, kind) = (kind === 'block parameter' && lookup(s.parent, p.data) && f.shadows.push({name: p.data, node: p}), fresh(s, p, kind, f)),
+
+         assign(n, s, f)           = local(n)                  ? lookup(s, n.data) || fresh(s, n, 'local', f) :
+                                     n.data === ',h'           ? children(n) *![assign(x, s, f)] -seq :
+                                     n.data === '('            ? assign(n[0], s, f) :
+                                     n.data === 'u*'           ? n.length && assign(n[0], s, f) :
+                                                                 visit(n, s, f),
+
+         update(n, s, f)           = local(n) ? lookup(s, n.data) -re [it ? it.used = true : fresh(s, n, 'local', f)] : visit(n, s, f),
+
+// Conditions.
+// An assignment counts as the condition if it's the whole condition or one side of a boolean operator in it. A while or until with a body is a loop; with two children and no ';' body it's the
+// modifier form, whose condition comes second.
+
+         assignment_in_condition(t) = t.find_all(given.n in true) *~!conditions *~!assignments *[finding(x, "assignment in a condition; use == to compare, or wrap the assignment in parentheses")]
+                                      -seq,
+
+         conditions(n)              = /^(?:if|unless|elsif)$/.test(n.data) && n.length === 3 || /^(?:while|until)$/.test(n.data) && n.length === 2 && n[1].data === ';' ? [n[0]] :
+                                      /^(?:if|unless|while|until)$/.test(n.data) && n.length === 2                                                                         ? [n[1]] :
+                                      n.data === '?' && n.length === 3                                                                                                      ? [n[0]] : [],
+
+         assignments(c)             = c.data === '=' && c.length === 2                              ? [c] :
+                                      /^(?:&&|\|\||and|or)$/.test(c.data) && c.length === 2          ? assignments(c[0]).concat(assignments(c[1])) :
+                                      /^(?:not|u!)$/.test(c.data) && c.length === 1                  ? assignments(c[0]) : [],
+
+// Unreachable code.
+// Only the first statement after a jump is reported, since the rest of the sequence is unreachable for the same reason.
+
+         unreachable_code(t)   = t.find_all(';') *~!unreachable -seq,
+         unreachable(n)        = (children(n) |[jump(x) && xi < n.length - 1 && [finding(n[xi + 1], 'unreachable code after #{jump(x)}')]] |seq) || [],
+
+         jump(n)               = /^(?:return|break|next|redo|retry)$/.test(n.data)                                                      ? n.data :
+                                 ! n.length && n.data === 'raise' || n.is_invocation() && n.receiver().is_implied_self() && n.method_name() === 'raise' ? 'raise' : null,
+
+// Duplicates.
+// Hash keys are compared when they're literals that can be compared from their text: labels and the symbols they stand for, symbols and strings without escapes or interpolation, numbers,
+// nil, true and false. Methods are compared by name, with 'def self.foo' kept apart from 'def foo'; definitions inside conditionals aren't direct statements of the body, so they're left alone.
+
+         duplicate_hash_key(t) = t.find_all(given.n in (n.is_hash() || n.is_invocation())) *~![duplicates(pairs(x), key, given.p in 'duplicate hash key #{written(p)}')] -seq,
+         duplicate_method(t)   = t.find_all(given.n in (n.is_class() || n.is_module() || n.is_singleton_class())) *~![duplicates(statements(x.body()) %[x.is_def()] -seq, method_key,
+                                                                                                                                 given.d in 'method #{method_key(d)} is already defined in this body')] -seq,
+
+         duplicates(xs, k, m)  = xs %[k(x)] *~![(seen.hasOwnProperty(id) ? [finding(x, m(x))] : []) -se- (seen[id] = true) -where [id = '@#{k(x)}']] -seq -where [seen = {}],
+
+         pairs(n)              = (n.is_hash() ? items(n[0]) : n.arguments()) %[/^(?:=>|:)$/.test(x.data) && x.length === 2] -seq,
+         written(p)            = p.data === ':' ? '#{p[0].data}:' : p[0].data,
+
+         key(p)                = p.data !== ':'                                 ? literal_key(p[0]) :
+                                 /^['"]/.test(p[0].data)                         ? literal_key(p[0]) -re [it && 'y#{it.substr(1)}'] : 'y#{p[0].data}',
+         literal_key(k)        = k.length                                       ? null :
+                                 /^:(?:[A-Za-z_]\w*[?!=]?|"[^"\\#]*")$/.test(k.data) ? 'y#{k.data.replace(/^:"?|"$/g, "")}' :
+                                 /^(?:'[^'\\]*'|"[^"\\#]*")$/.test(k.data)      ? 's#{k.data.slice(1, -1)}' :
+                                 k.is_number() || /^(?:nil|true|false)$/.test(k.data) ? 'n#{k.data}' : null,
+
+         statements(b)         = b.data === 'begin' && b.length ? statements(b[0]) : b.data === ';' ? children(b) : [b],
+         method_key(d)         = (d.singleton() ? '#{d.singleton().data}.' : '') + d.def_name()]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby projects | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// project() parses a whole Ruby project rather than one string. It reads every .rb file under a directory, follows require, require_relative and load to any other local files they name, and
+// indexes what it finds: the namespaces that classes and modules define, the methods defined in each file and the places where methods are called.
+
+// | p = caterwaul.ruby.project('app');
+//   p.files['app/lib/a.rb'].requires[0].path                   // -> 'app/lib/b.rb'
+//   p.namespaces['A::B'].superclass                            // -> 'A::C', or 'C' if there's no A::C in the project
+//   p.methods.run.map(function (d) {return d.owner})           // -> ['A::B'], for 'module A; class B < C; def run; ...'
+//   p.calls.run.length                                         // -> the number of places that call a method named run
+
+// The second argument is an object of options. 'version' is passed on to the parser, 'load_path' lists the directories that require and load search, relative to the root ('.' and 'lib' by
+// default), and 'files' maps paths to source text, in which case it's used instead of the file system. Without 'files', project() needs node.js, and it skips directories whose names start
+// with a dot.
+
+// Files.
+// p.files maps each path to {path, tree, requires, error}. Paths are joined with '/' and normalized, and they start with the root as it was given. A file that doesn't parse has a null tree and
+// its SyntaxError as its error, and the rest of the project is indexed without it. Each requirement is {kind, name, path, node, position}, where kind is the method name, name is the string it
+// was given and path is the file it resolved to. require and load look in the load path, trying the name with '.rb' first; require_relative looks next to the requiring file, as do the common
+// File.expand_path('../x', __FILE__) and File.expand_path('x', __dir__) forms. A requirement that doesn't resolve to a local file, like a gem, has a null path, and one whose name isn't a literal
+// has a null name as well.
+
+// Namespaces.
+// p.namespaces maps each fully qualified class or module name to {name, kind, superclass, mixins, definitions}. Names are qualified by the modules and classes around them, so 'module A; class
+// B' defines 'A::B', and each time a class is reopened adds to its definitions, which are {file, node, position}. The superclass and the modules in mixins, which are {kind, name, node, position}
+// for each include, extend or prepend in the body, are resolved the way Ruby looks up constants from where they're written: 'C' inside 'module A' is 'A::C' if the project defines one.
+
+// Methods and calls.
+// p.methods and p.calls both map method names to lists, so that p.methods.foo and p.calls.foo are the definitions of and calls to anything named foo. A definition is {name, owner, singleton,
+// file, node, position}: the owner is the namespace it's defined in, or 'Object' at the top level, and singleton is true for 'def self.foo' and methods in 'class << self'. attr_reader,
+// attr_writer, attr_accessor and define_method with literal names count as definitions too.
+
+// A call is {name, receiver, file, node, position}, where the receiver is a node or null when it's implied. Method calls with and without receivers are included, as are attribute assignments
+// like 'x.y = 1' (a call to 'y='), '&:foo' block arguments and send, public_send, __send__ and method with literal names. Operators aren't. This is enough for a rough dead-code report:
+
+// | Object.keys(p.methods).filter(function (name) {return ! p.calls[name]})
+
+caterwaul.js_all()(function ($, require) {
+  $.ruby.project(root, options) = project -se [load_all(sources(base)), index(it)]
+                                  -where [o         = options || {},
+                                          base      = normalize(root),
+                                          files     = o.files && table() -se [Object.keys(o.files) *![it[normalize(x)] = o.files[x]] -seq],
+                                          fs        = files ? null : require('fs'),
+                                          load_path = (o.load_path || ['.', 'lib']) *[join(base, x)] -seq,
+                                          project   = {root: base, files: table(), namespaces: table(), methods: table(), calls: table()},
+
+// Loading.
+// Files are loaded a level at a time: the files under the root, then the files they require that haven't been loaded yet, and so on until a level doesn't turn up anything new.
+
+                                          load_all(paths)  = paths.length && load_all(paths *~!load -seq),
+                                          load(path)       = project.files[path] ? [] : loaded(path),
+                                          loaded(path)     = file.requires *[x.path] %[x && ! project.files[x]] -seq -where [file = project.files[path] = parse(path)],
+
+                                          parse(path)      = {path: path, tree: tree, requires: requirements(tree, path), error: null} -where [tree = $.ruby(read(path), o)]
+                                                             -rescue- (e instanceof $.ruby.SyntaxError ? {path: path, tree: null, requires: [], error: e} : raise [e]),
+
+                                          sources(dir)     = files ? Object.keys(files) %[under(dir, x) && /\.rb$/.test(x)] -seq -re- it.sort() : walk(dir),
+                                          walk(dir)        = fs.readdirSync(dir).sort() %[! /^\./.test(x)] *~![entry(join(dir, x))] -seq,
+                                          entry(path)      = (stat.isDirectory() ? walk(path) : stat.isFile() && /\.rb$/.test(path) ? [path] : []) -where [stat = fs.statSync(path)],
+
+                                          exists(path)     = files ? Object.prototype.hasOwnProperty.call(files, path) : fs.existsSync(path) && fs.statSync(path).isFile(),
+                                          read(path)       = files ? files[path] : fs.readFileSync(path, 'utf8'),
+
+// Requirements.
+// A requirement's candidates are the paths it could mean, in the order they're tried; it resolves to the first one that exists.
+
+                                          requirements(t, path) = t.find_all(requirement) *[{kind: x.method_name(), name: name(x), path: resolve(x, path), node: x, position: x.position()}] -seq,
+                                          requirement(n)        = n.is_invocation() && n.receiver().is_implied_self() && /^(?:require|require_relative|load)$/.test(n.method_name())
+                                                                  && n.arguments().length > 0,
+
+                                          name(n)               = (literal(a) || expanded(a) && literal(a.arguments()[0]) || null) -where [a = n.arguments()[0]],
+                                          resolve(n, path)      = candidates(n, path) |[exists(x) && x] |seq || null,
+
+                                          candidates(n, path)   = (expanded(a)                            ? rb(expanded(a)(path)) :
+                                                                   ! literal(a)                           ? [] :
+                                                                   n.method_name() === 'require_relative' ? rb(join(dirname(path), literal(a))) :
+                                                                   literal(a).charAt(0) === '/'           ? rb(normalize(literal(a))) :
+                                                                                                            load_path *~![rb(join(x, literal(a)))] -seq)
+                                                                  -where [a = n.arguments()[0]],
+
+                                          rb(path)              = /\.rb$/.test(path) ? [path] : [path + '.rb', path],
+
+// The second argument to File.expand_path is the directory the first is relative to, which __FILE__ isn't, so '../x' against __FILE__ means x next to the file.
+
+                                          expanded(n)           = n.is_invocation() && n.receiver().data === 'File' && n.method_name() === 'expand_path' && n.arguments().length === 2
+                                                                  && literal(n.arguments()[0]) && relative_to(n.arguments()[1]) -re [it && given.path in join(it(path), literal(n.arguments()[0]))],
+
+                                          relative_to(n)        = n.data === '__FILE__' ? given.path in path :
+                                                                  n.data === '__dir__' || n.is_invocation() && n.receiver().data === 'File' && n.method_name() === 'dirname'
+                                                                                       && n.arguments().length === 1 && n.arguments()[0].data === '__FILE__' ? dirname : null],
+
+  where [table()         = Object.create(null),
+         children(n)     = Array.prototype.slice.call(n),
+
+         literal(n)      = ! n.length && /^(?:'[^'\\]*'|"[^"\\#]*")$/.test(n.data) ? n.data.slice(1, -1) : null,
+         symbol(n)       = ! n.length && /^:[A-Za-z_]\w*[?!=]?$/.test(n.data) ? n.data.substr(1) : literal(n),
+
+         under(dir, p)   = dir === '.' ? p.charAt(0) !== '/' && ! /^\.\.(?:\/|$)/.test(p) : p.indexOf(dir === '/' ? dir : dir + '/') === 0,
+         join(a, b)      = normalize(b.charAt(0) === '/' ? b : a + '/' + b),
+         dirname(p)      = normalize(p + '/..'),
+         normalize(p)    = (absolute ? '/' : '') + (p.split('/').reduce(step, []).join('/') || (absolute ? '' : '.'))
+                           -where [absolute    = p.charAt(0) === '/',
+                                   step(ps, x) = x === '' || x === '.'                     ? ps :
+                                                 x !== '..'                                ? ps.concat([x]) :
+                                                 ps.length && ps[ps.length - 1] !== '..'   ? ps.slice(0, -1) :
+                                                 absolute                                  ? ps : ps.concat([x])],
+
+// Indexing.
+// Each tree is walked with the namespace it's in, whether that's a singleton class, and the nesting that constant lookups search, innermost first. Constants are resolved once every file has been
+// walked, so that a superclass defined in a file that's loaded later is still found.
+
+         index(p)        = Object.keys(p.files) *![p.files[x].tree && visit(p.files[x].tree, {file: x, namespace: null, singleton: false, nesting: []}, p, constants)] -seq
+                           -se [constants *![x.target[x.field] = lookup(p, x.name, x.nesting)] -seq]
+                           -where [constants = []],
+
+         lookup(p, name, nesting) = (/^::/.test(name) ? name.substr(2) : scopes |[p.namespaces[x] && x] |seq || name)
+                                    -where [scopes = nesting *[x + '::' + name] -seq -re- it.concat([name])],
+         qualify(c, name)         = /^::/.test(name) ? name.substr(2) : c.namespace ? c.namespace + '::' + name : name,
+         group(t, name, x)        = (t[name] || (t[name] = [])).push(x),
+         site(n, c)               = {file: c.file, node: n, position: n.position()},
+
+         visit(n, c, p, k)       = ! n.length                        ? n.kind() === 'method call' && call(n, n.data, null, c, p) :
+                                   n.is_class() || n.is_module()      ? namespace(n, c, p, k) :
+                                   n.is_singleton_class()             ? (visit(n.singleton(), c, p, k), visit(n.body(), $.merge({}, c, {singleton: n.singleton().data === 'self'}), p, k)) :
+                                   n.is_def()                         ? (define(n, n.def_name(), c, p), children(n) *![visit(x, c, p, k)] -seq) :
+                                   n.is_invocation()                  ? (invocation(n, c, p, k), [n[0], n[2], n[3]] *![visit(x, c, p, k)] -seq) :
+                                   n.data === '=' && n.length === 2
+                                                  && n[0].is_invocation() && ! n[0].arguments().length
+                                                                      ? (call(n[0], n[0].method_name() + '=', n[0].receiver(), c, p), visit(n[0][0], c, p, k), visit(n[1], c, p, k)) :
+                                                                        children(n) *![visit(x, c, p, k)] -seq,
+
+         namespace(n, c, p, k)   = (entry.definitions.push(site(n, c)),
+                                    n.is_class() && n.superclass() && /^[A-Z]/.test(constant(n.superclass())) && k.push({target: entry, field: 'superclass', name: constant(n.superclass()), nesting: c.nesting}),
+                                    n.is_class() && visit(n[1], c, p, k),
+                                    visit(n.body(), inner, p, k))
+                                   -where [name  = qualify(c, n.is_class() ? n.class_name() : n.module_name()),
+                                           entry = p.namespaces[name] || (p.namespaces[name] = {name: name, kind: n.data, superclass: null, mixins: [], definitions: []}),
+                                           inner = {file: c.file, namespace: name, singleton: false, nesting: [name].concat(c.nesting)}],
+
+         constant(n)             = n.data === '::' && n.length === 2 ? constant(n[0]) + '::' + constant(n[1]) : n.data,
+
+         define(n, name, c, p)   = group(p.methods, name, $.merge({name: name, owner: owner, singleton: singleton}, site(n, c)))
+                                   -where [s         = n.is_def() && n.singleton(),
+                                           owner     = s && s.data !== 'self' ? constant(s) : c.namespace || 'Object',
+                                           singleton = !! s || c.singleton],
+
+         call(n, name, r, c, p)  = group(p.calls, name, $.merge({name: name, receiver: r}, site(n, c))),
+
+// An invocation can define methods or mix modules in as well as being a call. Its symbol arguments are checked against the methods that take method names, and any '&:foo' argument is a call
+// to foo on each thing the block would have been given.
+
+         invocation(n, c, p, k)  = (call(n, n.method_name(), n.receiver().is_implied_self() ? null : n.receiver(), c, p),
+                                    self && attributes.hasOwnProperty(n.method_name()) && names *![attributes[n.method_name()] *!y[define(x, y(symbol(x)), c, p)] -seq] -seq,
+                                    self && n.method_name() === 'define_method' && names.length && define(names[0], symbol(names[0]), c, p),
+                                    self && /^(?:include|extend|prepend)$/.test(n.method_name()) && c.namespace
+                                         && n.arguments() %[/^[A-Z]/.test(constant(x))] *![k.push({target: mixin(x), field: 'name', name: constant(x), nesting: c.nesting})] -seq,
+                                    /^(?:send|public_send|__send__|method)$/.test(n.method_name()) && names.length && names[0] === n.arguments()[0] && call(names[0], symbol(names[0]), self ? null : n[0], c, p),
+                                    n.arguments() %[x.data === 'u&' && x.length === 1 && symbol(x[0])] *![call(x, symbol(x[0]), null, c, p)] -seq)
+                                   -where [self     = n.receiver().is_implied_self(),
+                                           names    = n.arguments() %[symbol(x)] -seq,
+                                           mixin(x) = {kind: n.method_name(), name: null, node: x, position: x.position()} -se- p.namespaces[c.namespace].mixins.push(it)],
+
+         attributes              = {attr_reader:   [given.x in x],
+                                    attr_writer:   [given.x in x + '='],
+                                    attr_accessor: [given.x in x, given.x in x + '='],
+                                    attr:          [given.x in x]}]})(caterwaul, typeof require === 'function' ? require : null);
+// Generated by SDoc 
+
+// Caterwaul Ruby ERB templates | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// erb() parses an ERB template into a single tree, so that macros and the other tools here can work on views as well as on plain Ruby. The tree is a Ruby program whose statements include
+// runs of template text, and control structures can span tags the way they do in ERB:
+
+// | caterwaul.ruby.erb('<b><%= x %></b>').structure()       // -> (";" ("template" <b> ("<%=" x) </b>))
+
+// | t = caterwaul.ruby.erb('<ul>\n<% items.each do |i| %>\n  <li><%= i.name %></li>\n<% end %>\n</ul>\n');
+//   t[1].method_name()    // -> 'each'
+//   t[1].position()       // -> {line: 1, column: 3}
+//   t.toERB()             // -> the template, exactly as it was
+
+// A template node holds a run of text between two code tags. Its children are the text itself, one leaf per stretch, the '<%= %>' and '<%== %>' tags in it as "<%=" and "<%==" nodes around
+// their expressions, and '<%# %>' comments as leaves holding the whole tag. '<% %>' and '<%- -%>' tags are code, so their statements go straight into the program. An output tag whose code ends
+// by opening a block, like '<%= form_for x do |f| %>', runs until the tag that closes the block, and the template text in between goes into the block's body.
+
+// Printing.
+// Every node's _original record points into the template rather than into Ruby source, and a template node's range includes the '%>' before it and the '<%' after it, so the serializer copies
+// unchanged parts of the tree with their tags. When a node has to be laid out again, a template node prints its own delimiters, so the result is still ERB. toERB() is the same as toRuby() and
+// exists so that code that prints templates can say so:
+
+// | t = caterwaul.ruby.macroexpand(caterwaul.ruby.erb('<% xs.each do |x| %><%= x %><% end %>'), [caterwaul.ruby.macro('_xs.each do |_x| _body end', 'for _x in _xs do _body end')]);
+//   t.toERB()             // -> '<% for x in xs %><%= x %><% end %>'
+
+// Parsing.
+// The template is turned into Ruby source of the same length, with its newlines in the same places, and parsed with caterwaul.ruby.source(); that's what makes the offsets and positions in the tree
+// the template's own. Code is left where it is, and the rest is blanked out except for a few characters at the tag boundaries. Each run of text becomes a string literal: the '%>' before it ends in
+// the opening quote, the '<%' after it starts with the closing quote, and the characters next to them are semicolons. Output tags become interpolations in these strings. A run of text at the
+// start or end of the template has no tag on that side, so its quote goes on the first or last character that isn't a newline, and a run that's only newlines there isn't a node at all.
+// Neither is a run of whitespace after a code tag that trims its line, either with '-%>' or by standing alone on it, as ERB's trim modes do. Otherwise the text between '<% case x -%>' and
+// '<% when 1 %>' would be a statement where Ruby doesn't allow one.
+
+// A block output needs to know which tag closes its block before its closing brace can go in the right place, so a template that has one is parsed twice: first with its block outputs as code
+// tags, which shows where each block ends, and then properly. Syntax errors are reported with the template's lines and columns, and a tag without its '%>' is an error too.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.erb(source, options) = template_tree(s, tags, ends, options)
+                                -where [s    = source.toString(),
+                                        tags = tags_in(s),
+                                        ends = tags |[x.type === 'block'] |seq ? block_ends(s, tags, options) : {}],
+
+  $.ruby.syntax.prototype.toERB() = $.ruby.serialize(this),
+
+  where [children(n)      = Array.prototype.slice.call(n),
+
+// Tags.
+// A tag's type is 'code', 'output', 'block' or 'comment'. A code tag that holds nothing but a one-line Ruby comment is a comment too, since the comment would otherwise run on into whatever follows
+// the tag on that line. '<%%' is ERB's way to write a literal '<%', so it's text.
+
+// A Ruby comment can also end the code in a tag, as in '<%= x # why %>'. It ends at the tag, so it's found on the tag's last line by looking for a '#' outside of quotes and character literals,
+// and a block output is recognized by the code in front of it.
+
+         tag_pattern      = /<%(?!%)(==?|-|#)?([\s\S]*?)(-?)%>/g,
+         block_pattern    = /(?:^|\s|\))do(?:\s*\|[^|]*\|)?\s*$|\{(?:\s*\|[^|]*\|)?\s*$/,
+         quotes           = /"(?:[^"\\]|\\[\s\S])*"|'(?:[^'\\]|\\[\s\S])*'|`(?:[^`\\]|\\[\s\S])*`|\?(?:\\[\s\S]|[^\s\w])(?!\w)/g,
+
+         comment_at(code) = last.replace(quotes, given.m in m.replace(/[\s\S]/g, ' ')).indexOf('#') -re [it < 0 ? -1 : code.length - last.length + it]
+                            -where [last = code.substring(code.lastIndexOf('\n') + 1)],
+         uncommented(code) = comment_at(code) -re [it < 0 ? code : code.substring(0, it)],
+
+         tags_in(s)       = [] -se [s.replace(tag_pattern, given[m, kind, code, trim, offset] in it.push(tag(m, kind || '', code, trim, offset))),
+                                    unterminated(s) -re [it >= 0 && raise [new $.ruby.SyntaxError(it, location(s, it), ["'%>'"], excerpt(s, it))]]],
+
+         tag(m, kind, code, trim, offset) = {start: offset, end: offset + m.length, open: 2 + kind.length, close: 2 + trim.length, raw: kind === '==',
+                                             type: kind === '#' || kind.charAt(0) !== '=' && /^\s*#.*$/.test(code) ? 'comment' : kind.charAt(0) !== '=' ? 'code' :
+                                                   block_pattern.test(uncommented(code))                              ? 'block'   : 'output'},
+
+         unterminated(s)  = s.replace(tag_pattern, given.m in m.replace(/[\s\S]/g, ' ')).search(/<%(?!%)/),
+
+         location(s, i)   = {line: s.substring(0, i).split('\n').length - 1, column: i - s.lastIndexOf('\n', i - 1) - 1},
+         excerpt(s, i)    = line + '\n' + line.substring(0, i - start).replace(/[^\t]/g, ' ') + '^'
+                            -where [start = s.lastIndexOf('\n', i - 1) + 1, line = s.substring(start, s.indexOf('\n', start) -re [it < 0 ? s.length : it])],
+
+// Masking.
+// mask() returns the Ruby source, the runs of text that became string literals, and the comments that end tags, which are blanked out of the source. Each run is a region of the template from the
+// tag before it to the tag after it, delimiters included. Runs are nested inside block outputs, so they're kept on a stack; a block output's closing tag ends the run inside the block and goes
+// back to the one that contains it. The tags in a run are its pieces, and ends says which code tags close a block output's block.
+
+         mask(s, tags, ends)  = {source: out.join(''), runs: runs, comments: comments}
+                                -where [out            = s.split('') *[x === '\n' ? x : ' '] -seq,
+                                        runs           = [],
+                                        comments       = [],
+                                        stack          = [],
+                                        current        = {left: null, start: 0, pieces: []},
+
+                                        copy(a, b)     = n[a, b] *![out[x] = s.charAt(x)] -seq,
+                                        code(t)        = copy(a, b) -se- (c >= 0 && comments.push({start: a + c, text: s.substring(a + c, b).replace(/\s+$/, '')}) && blank(a + c, b))
+                                                         -where [a = t.start + t.open, b = t.end - t.close, c = comment_at(s.substring(a, b))],
+                                        blank(a, b)    = n[a, b] *![out[x] = ' '] -seq,
+                                        output(t)      = (out[t.start + t.open - 2] = '#', out[t.start + t.open - 1] = '{', code(t), t.type === 'output' && (out[t.end - t.close] = '}')),
+
+                                        visible(a, b, d) = n[a, b] *[d < 0 ? a + b - 1 - x : x] %[s.charAt(x) !== '\n'] -seq -re [it.length ? it[0] : -1],
+                                        finish(r, right) = (r.left && (out[r.start] = ';'), right && (out[right.start + right.open - 1] = ';'),
+                                                            q_open < 0 || q_close < 0 || q_open > q_close || c_start === c_end || trimmed(r.left, c_start, c_end) ? null :
+                                                            q_open === q_close                          ? runs.push(region(r, right, c_start, c_end, q_open)) -se- (out[q_open] = '_') :
+                                                                                                          runs.push(region(r, right, c_start, c_end, q_open)) -se [out[q_open] = out[q_close] = '"'])
+                                                           -where [c_start = r.left ? r.left.end : 0,
+                                                                   c_end   = right ? right.start : s.length,
+                                                                   q_open  = r.left ? r.left.end - 1 : visible(c_start, c_end, 1),
+                                                                   q_close = right ? right.start : visible(c_start, c_end, -1)],
+
+                                        trimmed(t, a, b) = !! t && t.type === 'code' && (t.close === 3 || alone(t)) && ! /\S/.test(s.substring(a, b)),
+                                        alone(t)         = /^[ \t]*$/.test(s.substring(s.lastIndexOf('\n', t.start - 1) + 1, t.start)) && /^[ \t]*(?:\r?\n|$)/.test(s.substring(t.end)),
+
+                                        region(r, right, a, b, q) = {start: r.start, end: right ? right.start + right.open : s.length, content: [a, b], quote: q, pieces: r.pieces},
+                                        after(t)       = {left: t, start: t.end - t.close, pieces: []},
+
+                                        step(t, i)     = t.type === 'comment' ? current.pieces.push({tag: t, end: t.end}) :
+                                                         t.type === 'output'  ? (output(t), current.pieces.push({tag: t, end: t.end})) :
+                                                         t.type === 'block'   ? (output(t), current.pieces.push(piece = {tag: t, end: null}), stack.push({run: current, piece: piece}),
+                                                                                 current = after(t)) -where [piece = null] :
+                                                         ends[i]              ? (finish(current, t), code(t), out[t.end - t.close] = '}',
+                                                                                 stack.pop() -re [it.piece.end = t.end, current = it.run]) :
+                                                                                (finish(current, t), code(t), current = after(t)),
+
+                                        _              = (tags *![step(x, xi)] -seq, finish(current, null))],
+
+// Block outputs.
+// The first parse treats block outputs as code tags, so the statement that starts at a block output's code is the call with the block, and the tag whose code holds the end of that statement
+// closes the block.
+
+         block_ends(s, tags, options) = result
+                                        -where [result     = {},
+                                                as_code    = tags *[x.type === 'block' ? $.merge({}, x, {type: 'code'}) : x] -seq,
+                                                ruby       = mask(s, as_code, {}).source,
+                                                tree       = sequence(parse(s, ruby, options).tree, ruby),
+                                                start(t)   = s.substring(t.start + t.open, t.end - t.close).search(/\S/) + t.start + t.open,
+                                                closing(t) = tree.find(given.n in (!! n._original && n._original.start === start(t) && n.data !== ';')) -re [it ? holder(it._original.end - 1) : -1],
+                                                holder(i)  = n[tags.length] %[inside(tags[x], i)] -seq -re [it.length ? it[0] : -1],
+                                                inside(t, i) = t.type === 'code' && t.start + t.open <= i && i < t.end - t.close,
+                                                _          = tags %[x.type === 'block'] *![closing(x) -re [it >= 0 && (result[it] = true)]] -seq],
+
+// Building the tree.
+// The string literals are found by the offsets of their opening quotes and replaced in place by template nodes, so the nodes around them still have them as children. The new nodes get _original
+// records like the parsed ones, and every record is pointed at the template. Text often starts with the newline after a tag, and its position is then the end of that line. The comments that
+// were blanked out become comment nodes and are attached the way the parser attaches comments that follow code.
+
+// The tree is always a ';' node, even if it has only one statement. The parser gives a program's root node the whole source as its range, which for a template includes the tags around its
+// first and last statements; keeping that range on a ';' node means that a macro can replace the statement and the tags will still be printed.
+
+         parse(s, ruby, options) = {source: src, tree: src.tree()}
+                                   -where [src = $.ruby.source(ruby, options)]
+                                   -rescue- raise [e instanceof $.ruby.SyntaxError ? new $.ruby.SyntaxError(e.offset, {line: e.line, column: e.column}, e.expected, excerpt(s, e.offset)) : e],
+
+         sequence(t, ruby) = t.data === ';' ? t : new $.ruby.syntax(';', t) -se [it._original = $.merge({}, t._original, {data: ';', children: [t]}), it._position = t._position,
+                                                                                 t._original = $.merge({}, t._original, {start: ruby.search(/[^\s;]/), end: ruby.replace(/[\s;]+$/, '').length})],
+
+         template_tree(s, tags, ends, options) = tree -se [tree.reach(retarget), runs *![replace(x)] -seq, parsed.source.attach_comments(tree, notes, given.n in n._original.start)]
+                                                 -where [masked        = mask(s, tags, ends),
+                                                         parsed        = parse(s, masked.source, options),
+                                                         tree          = sequence(parsed.tree, masked.source),
+                                                         root          = tree._original,
+                                                         literal_at(q) = tree.find(given.n in (!! n._original && n._original.start === q && /^["_]/.test(n.data))),
+                                                         runs          = masked.runs *[{run: x, node: literal_at(x.quote)}] -seq,
+                                                         retarget(n)   = (n._original && (n._original.input = s), n._comments *![x._original && (x._original.input = s)] -seq),
+
+                                                         record(n, a, b) = n -se [it._original = $.merge({}, root, {input: s, data: it.data, children: children(it), start: a, end: b}),
+                                                                                  it._position = parsed.source.position_of(a)],
+
+                                                         notes         = masked.comments *[record(new $.ruby.syntax(x.text), x.start, x.start + x.text.length)] -seq,
+
+                                                         piece(p, e)   = p.tag.type === 'comment' ? record(new $.ruby.syntax(s.substring(p.tag.start, p.tag.end)), p.tag.start, p.tag.end)
+                                                                                                  : record(new $.ruby.syntax(p.tag.raw ? '<%==' : '<%=', e[0]), p.tag.start, p.end),
+
+                                                         pieces(r, es) = (r.pieces *~![(cursor < x.tag.start ? [record(new $.ruby.syntax(s.substring(cursor, x.tag.start)), cursor, x.tag.start)] : [])
+                                                                                         .concat([piece(x, x.tag.type === 'comment' ? null : es.shift())]) -se- (cursor = x.end)] -seq)
+                                                                         .concat(cursor < r.content[1] ? [record(new $.ruby.syntax(s.substring(cursor, r.content[1])), cursor, r.content[1])] : [])
+                                                                         -where [cursor = r.content[0]],
+
+                                                         replace(x)    = x.node -se [it.data = 'template', it._kind = null, it.length = 0, kids *![it.push(x)] -seq,
+                                                                                     record(it, x.run.start, x.run.end), it._position = parsed.source.position_of(x.run.content[0])]
+                                                                                -where [kids = pieces(x.run, children(x.node) %[x.data === '#{'] -seq)]]]})(caterwaul);
+// Generated by SDoc 
+
+// Caterwaul Ruby incremental reparsing | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// An editor that keeps a syntax tree for its buffer can't afford to reparse the whole buffer on every keystroke. reparse() takes a tree that came from caterwaul.ruby() (or from an earlier
+// reparse()) and an edit, which removes some number of characters at an offset and inserts a string in their place, and returns the tree for the edited source:
+
+// | t = caterwaul.ruby('def f\n  x = 1\n  g x\nend\nh');
+//   u = caterwaul.ruby.reparse(t, {offset: 12, removed: 1, inserted: '42'});
+//   u.toRuby()            // -> 'def f\n  x = 42\n  g x\nend\nh'
+//   u[1] === t[1]         // -> true
+
+// Only the smallest statement around the edit is parsed again. The rest of the tree is reused, so the result is made of the old nodes plus the new statement and copies of the nodes above it.
+// It's the same tree that a full parse of the edited source would produce, down to positions, end offsets, kinds and comments, which means that the two can be cross-checked against each other.
+// Reused nodes that come after the edit have their positions and source records moved in place, so the old tree shouldn't be used once it's been reparsed. The edited source is parsed as the same
+// version of Ruby as the tree was.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.reparse(tree, edit) = tree._original ? reparse(edit_of(tree, edit))
+                                              : raise [new Error('caterwaul.ruby.reparse: the tree has no source records, so it has to come from caterwaul.ruby() or reparse()')],
+
+  where [reparse(e)  = touches_heredoc(e) ? e.source.tree() : (candidates(e) |[splice(x.ancestors, x.statement, e)] |seq) || e.source.tree(),
+
+         children(n) = Array.prototype.slice.call(n),
+         last(xs)    = xs[xs.length - 1],
+         unique(xs)  = xs %[xs.indexOf(x) === xi] -seq,
+         lines_in(s) = s.split('\n').length - 1,
+
+// Edits.
+// An edit is {offset, removed, inserted}; both of the last two can be omitted. Positions after the edit move by the number of lines it adds, and the ones on the line where it ends also move
+// sideways. Offsets after the edit just move by the change in length.
+
+         edit_of(tree, edit) = (! (0 <= offset && offset <= old_end && old_end <= before.length) ? raise [new Error('caterwaul.ruby.reparse: the edit doesn\'t fit inside the source')] :
+                                {tree: tree, before: before, heredocs: tree._original.heredocs, source: source, offset: offset, old_end: old_end, new_end: offset + inserted.length,
+                                 delta:   inserted.length - removed.length,
+                                 line:    line + lines_in(removed),
+                                 column:  old_end - last_newline(removed, before) - 1,
+                                 lines:   lines_in(inserted) - lines_in(removed),
+                                 columns: inserted.length - removed.length - last_newline(inserted, source.input) + last_newline(removed, before)})
+                               -where [before                 = tree._original.input,
+                                       offset                 = edit.offset,
+                                       old_end                = offset + (edit.removed || 0),
+                                       inserted               = edit.inserted || '',
+                                       removed                = before.substring(offset, old_end),
+                                       source                 = $.ruby.source(before.substring(0, offset) + inserted + before.substring(old_end), {version: tree._original.version}),
+                                       line                   = offset ? source.position_of(offset - 1).line : 0,
+                                       last_newline(s, input) = s.lastIndexOf('\n') >= 0 ? offset + s.lastIndexOf('\n') : offset ? input.lastIndexOf('\n', offset - 1) : -1],
+
+         after_edit(e, p)    = p.line > e.line || p.line === e.line && p.column >= e.column,
+         moved(e, p)         = p && after_edit(e, p) ? {line: p.line + e.lines, column: p.line === e.line ? p.column + e.columns : p.column} : p,
+         moved_offset(e, i)  = i !== null && i !== undefined && i >= e.old_end ? i + e.delta : i,
+         moved_original(e, o, cs) = {input: e.source.input, heredocs: e.source.context.heredocs, positions: e.source.position_of, version: o.version, data: o.data, children: cs,
+                                     start: moved_offset(e, o.start), end: moved_offset(e, o.end)},
+
+         ended_before(e, n)  = n._original && n._original.end !== null && n._original.end <= e.offset,
+         shift(e, n)         = ended_before(e, n) ? n : n -se [it._position = moved(e, it._position), it._end = moved_offset(e, it._end),
+                                                               it._original = it._original && moved_original(e, it._original, it._original.children), children(it) *![shift(e, x)] -seq],
+
+  // Heredocs.
+//   A heredoc's body is parsed when the parser reaches the end of its header line, so editing anything from the start of that line to the end of the body can change how the text after the
+//   statement parses. Those edits get a full parse, and so does any edit that makes a new heredoc.
+
+         touches_heredoc(e)  = (spans_edit(e.heredocs, e.before, e.old_end) || spans_edit(e.source.context.heredocs, e.source.input, e.new_end))
+                               -where [spans_edit(hs, input, end) = Object.keys(hs) |[input.lastIndexOf('\n', x - 1) + 1 <= end && hs[x].end >= e.offset] |seq],
+
+// Finding the statement.
+// The candidates are the statements (children of ';' nodes) whose source contains the edit, innermost first. A statement has to start before the edit, since text inserted at its start
+// could just as well belong to the statement before it. Each candidate is parsed again at its old offset, and it's accepted if the new statement ends where the old one did, allowing for the
+// change in length, and declares the same local variables; otherwise the edit has moved a statement boundary or changed how later statements parse, and the next candidate out is tried. If
+// none of them works the whole source is parsed.
+
+         candidates(e)       = path *[{ancestors: path.slice(0, xi), parent: path[xi - 1], statement: x}] %[x.parent && x.parent.data === ';' && x.statement._original.start < e.offset] -seq
+                               -re- it.reverse()
+                               -where [containing(n) = children(n) |[x._original && x._original.start !== null && x._original.start <= e.offset && x._original.end >= e.old_end && x] |seq,
+                                       descend(xs, n) = (c && descend(xs -se- it.push(c), c)) -where [c = containing(n)],
+                                       path           = [e.tree] -se- descend(it, e.tree)],
+
+         splice(ancestors, s, e) = (r && r._original.start === s._original.start && r._original.end === moved_offset(e, s._original.end) && declared(r, known) === declared(s, known)
+                                    && finish(rebuild(ancestors, s, r.position_map(e.source.positions), e), s, r, e))
+                                   -where [locals = visible_locals(ancestors, s),
+                                           known  = locals *[x.data] -seq,
+                                           r      = e.source.statement_at(s._original.start, seeded(locals))],
+
+  // Local variables.
+//   Whether an identifier is a local depends on what came before it, so the statement is parsed with the declarations that the parser would have seen at its offset. They're the identifiers
+//   tagged 'local' that come before the statement in the nodes around it, leaving out blocks and method, class and module bodies that have already been closed, and everything outside of the
+//   innermost method, class or module that contains it.
+
+         hard_scope(n)       = n.length && /^(?:def|class|module)$/.test(n.data),
+         scope(n)            = hard_scope(n) || n.length && /^(?:\{\}|do)$/.test(n.data),
+         locals_in(n, limit) = scope(n) ? [] : n.length ? children(n) *~![locals_in(x, limit)] -seq : n._kind === 'local' && n._original.start < limit ? [n] : [],
+
+         visible_locals(ancestors, s) = ancestors *~!a[ai < from ? [] : others(a, ancestors[ai + 1] || s) *~![locals_in(x, s._original.start)] -seq] -seq
+                                        -where [from         = Math.max.apply(Math, ancestors *[hard_scope(x) ? xi : 0] -seq),
+                                                others(a, p) = children(a) %[x !== p] -seq],
+
+         seeded(locals)      = {names: {} -se [live *![(it[x.name] || (it[x.name] = [])).push(x)] -seq], live: live, opened: []}
+                               -where [live = locals *[{name: '@' + x.data, offset: x._original.start}] -seq],
+
+         declared(n, known)  = unique(locals_in(n, Infinity) *[x.data] %[known.indexOf(x) < 0] -seq).sort().join(' '),
+
+// Putting the tree back together.
+// The nodes above the new statement are copied with the new statement in place of the old one, and everything after the edit is shifted. Comments are collected from the old tree, less the
+// ones inside the old statement, and joined by the ones the new parse found; since the new statement can change which statement a nearby comment belongs to, they're all attached again.
+
+         rebuild(ancestors, old, r, e) = ancestors.length ? rebuild(ancestors.slice(0, -1), last(ancestors), copy(last(ancestors), old, r, e), e) : r,
+         copy(a, old, r, e)  = new $.ruby.syntax(a.data).metadata_from(a)
+                               -se [children(a) *![it.push(x === old ? r : shift(e, x))] -seq, it._position = moved(e, a._position), it._end = moved_offset(e, a._end),
+                                    it._original = moved_original(e, a._original, children(it))],
+
+         comments_of(n)      = n._comments.concat(children(n) *~![comments_of(x)] -seq),
+         strip(n)            = n -se [it._comments = [], children(it) *![strip(x)] -seq],
+
+         finish(root, s, r, e) = root /!strip -re- e.source.attach_comments(it, comments, given.n in e.source.offset_of(n.position()))
+                                 -where [kept     = comments_of(e.tree) %[x._original.start < s._original.start || x._original.start >= s._original.end] *[shift(e, x)] -seq,
+                                         fresh    = e.source.comments_between(s._original.start, r._original.end) *[x.position_map(e.source.positions)] -seq,
+                                         comments = kept.concat(fresh).sort(given[a, b] in a._original.start - b._original.start)]]})(caterwaul);
+// Generated by SDoc 
+
+
+// Generated by SDoc 
+
+
+
+
+module.exports = caterwaul;
+// Generated by SDoc 
@@ -3,11 +3,13 @@
 
 // Introduction.
 // This file adds a ruby() method to the global caterwaul object. The ruby() method takes an object that responds to toString() and parses it according the grammar defined in Ruby 1.9.2's
-// parse.y. The parse tree is returned as a Caterwaul parse tree, and you can use the normal wildcard syntax to match against it.
+// parse.y, along with the syntax that Ruby 1.8 and 2.x add or take away (see 'Dialects' below). The parse tree is returned as a Caterwaul parse tree, and you can use the normal wildcard syntax
+// to match against it.
 
 // This parser is written differently from the Caterwaul Javascript parser in a couple of ways. First, it's written in combinatory style instead of being an operator-precedence parser. This makes
-// it slower but easier to maintain. The other difference is that this parser annotates each node with its original position within the source code, and it records comments. This allows nearly
-// complete reconstruction of the original source from the parse tree. These additional attributes are stored on syntax nodes:
+// it slower but easier to maintain; memoization keeps it linear-time (see 'Parse states' below), but not fast. The other difference is that this parser annotates each node with its original
+// position within the source code, and it records comments. This allows nearly complete reconstruction of the original source from the parse tree. These additional attributes are stored on
+// syntax nodes:
 
 // | caterwaul.ruby('def foo; end').comments()     // -> []
 //   caterwaul.ruby('def foo; end').position()     // -> {line: 0, column: 0}
@@ -48,46 +50,305 @@ caterwaul.js_all()(function ($) {
 //   class << _x _stuff end                                ("class" ("<<" _x) _stuff)
 //   module _name _stuff end                               ("module" _name _stuff)
 //   alias _v1 _v2                                         ("alias" _v1 _v2)
+//   undef _m1, _m2, ...                                   ("undef" _m1 _m2 ...)
 
 // | _e1 _modifier _e2                                     ("_modifier" _e1 _e2)                                   _modifier <- [if unless while until rescue]
 //   _e1 _op _e2                                           ("_op" _e1 _e2)                                         _op <- [+ - * / ...]
-//   _e1 _e2, _e3, ..., _en                                ("()" _e1 ("," _e2 _e3 ... _en) (""))
-//   _e1 _e2, _e3, ..., _en do _params _stuff end          ("()" _e1 ("," _e2 _e3 ... _en) ("do" _params _stuff))
-//   _e1(_e2, _e3, ..., _en) do _params _stuff end         ("()" _e1 ("," _e2 _e3 ... _en) ("do" _params _stuff))
-//   _e1(_e2, _e3, ..., _en) { _params _stuff }            ("()" _e1 ("," _e2 _e3 ... _en) ("{}" _params _stuff))
-//   _e do _params _stuff end                              ("()" _e (",") ("do" _params _stuff))
-//   _e { _params _stuff }                                 ("()" _e (",") ("{}" _params _stuff))
+//   _m _e1, _e2, ..., _en                                 ("()" (implied self) _m ("," _e1 _e2 ... _en) (""))
+//   _r._m _e1, _e2, ..., _en                              ("()" _r _m ("," _e1 _e2 ... _en) (""))
+//   _r._m _e1, _e2, ..., _en do _params _stuff end        ("()" _r _m ("," _e1 _e2 ... _en) ("do" _params _stuff))
+//   _r._m(_e1, _e2, ..., _en) do _params _stuff end       ("()" _r _m ("," _e1 _e2 ... _en) ("do" _params _stuff))
+//   _r._m(_e1, _e2, ..., _en) { _params _stuff }          ("()" _r _m ("," _e1 _e2 ... _en) ("{}" _params _stuff))
+//   _r._m do _params _stuff end                           ("()" _r _m (",") ("do" _params _stuff))
+//   _r._m { _params _stuff }                              ("()" _r _m (",") ("{}" _params _stuff))
+//   _r&._m(_e1, _e2, ..., _en)                            ("&." _r _m ("," _e1 _e2 ... _en) (""))                   <- the same layout as "()", with or without a block
+//   ->(_params) { _stuff }                                ("->" _params ("{}" (",") _stuff))                      <- also '-> _params do _stuff end', with a "do" node
 //   {_k1 => _v1, _k2 => _v2, ...}                         ("{" ("," ("=>" _k1 _v1) ("=>" _k2 _v2) ...))
 //   {_k1: _v1, _k2: _v2, ...}                             ("{" ("," (":" _k1 _v1) (":" _k2 _v2) ...))
+//   [_e1, _e2, ...]                                       ("[" ("," _e1 _e2 ...))
+//   _r[_e1, _e2, ...]                                     ("[]" _r ("," _e1 _e2 ...))
+//   _r[_e1, ...] = _v                                     ("=" ("[]" _r ("," _e1 ...)) _v)
+//   _e1.._e2                                              (".." _e1 _e2)                                          <- likewise for ...
+
+
+// String literals come in several forms, all of which are parsed. A string without any interpolation is a leaf whose data is the literal source text, delimiters and all. Interpolated strings
+// become nodes whose data is the opening delimiter; the children are the raw text segments (as leaves) interleaved with the interpolated expressions:
+
+// | '_text'                                               '_text'
+//   "_text"                                               "_text"
+//   "_t1 #{_e} _t2"                                       ("\"" _t1 ("#{" _e) _t2)
+//   "_t1 #@_ivar"                                         ("\"" _t1 ("#" @_ivar))
+//   `_t1 #{_e}`                                           ("`" _t1 ("#{" _e))
+//   %Q(_t1 #{_e})                                         ("%Q(" _t1 ("#{" _e))                                   <- %q, %Q, %x and bare % work with any delimiter
+//   %w[_w1 _w2]                                           ("%w[" _w1 _w2)                                         <- likewise for %W, %i and %I
+//   %W[_w1 #{_e}_w2]                                      ("%W[" _w1 ("" ("#{" _e) _w2))
+//   <<-EOS \n _t1 #{_e} _t2 \n EOS                        ("<<-EOS" _t1 ("#{" _e) _t2)
+
+// Symbols, regexps and character literals follow the same rule. Quoted symbols with interpolation are ':"' nodes. An interpolated regexp's data is its literal with the body left out, so that
+// the flags are kept:
+
+// | :_name                                                :_name                                                  <- also :+, :[]=, :name= and :"quoted name"
+//   :"_t1 #{_e}"                                          (":\"" _t1 ("#{" _e))
+//   /_t1/_flags                                           /_t1/_flags                                             <- likewise %r{_t1}_flags
+//   /_t1 #{_e}/_flags                                     ("//_flags" _t1 ("#{" _e))
+//   %r{_t1 #{_e}}_flags                                   ("%r{}_flags" _t1 ("#{" _e))
+//   ?_c                                                   ?_c                                                     <- numbers are leaves too, with any radix, underscores and r/i suffixes
+
+// The body of a regexp without interpolation can be read and replaced as a Caterwaul regexp tree (see regexp.js), so it can be inspected and rewritten structurally. regexp() returns null
+// for interpolated regexps and for bodies that Caterwaul's regexp parser doesn't understand, such as Ruby's named groups. A new body keeps the original delimiters and flags:
+
+// | caterwaul.ruby('/a[bc]+/i').regexp().structure()     // -> ("," a ("+" ("[" ("," b c))))
+//   caterwaul.ruby('/a[bc]+/i').regexp().i()             // -> true
+//   caterwaul.ruby('x =~ /a/').regexp()                  // -> null; it only applies to regexp leaves
+//   caterwaul.ruby('%r{a}m').regexp(caterwaul.regexp('/b+/')).data      // -> '%r{b+}m'
 
   $.ruby.syntax = ctor /-$.syntax_subclass/ methods
 
   -where [ctor(xs = arguments) = xs[0] instanceof this.constructor ?
                                    this -se [it.data = x.data, it.length = 0, it.metadata_from(x), x *![it.push(x)] -seq, where [x = xs[0]]] :
-                                   this -se [it.data = xs[0],  it.length = 0, it._comments = [], it._position = null, Array.prototype.slice.call(xs, 1) *![this.push(x)] -seq],
+                                   this -se [it.data = xs[0],  it.length = 0, it._comments = [], it._position = null, it._end = null, it._original = null, it._kind = null,
+                                             Array.prototype.slice.call(xs, 1) *![this.push(x)] -seq],
 
           methods              = capture [comments()                = this._comments,
                                           comment(c)                = this -se- it._comments.push(c),
                                           position(p)               = arguments.length ? this -se [it._position = p] : this._position,
+                                          kind(k)                   = arguments.length ? this -se [it._kind = k] : this._kind,
+                                          regexp(r)                 = arguments.length ? this -se [it.data = regexp_with(it.data, r)] : regexp_of(this),
 
-                                          position_map(m)           = this.position(m[this.position()]).each("_.position_map(m)".qf),
+                                          span()                    = (spanned(o) ? {start: place(o, o.start), end: o.end > o.start ? place(o, o.end - 1) -se [it.column += 1, it.offset += 1] : place(o, o.end)}
+                                                                                  : null) -where [o = this._original],
+                                          source()                  = (spanned(o) ? o.input.substring(o.start, o.end) : null) -where [o = this._original],
+
+                                          position_map(m)           = this -se [it.position(m instanceof Function ? m(it.position()) : m[it.position()]), it._comments *![x.position_map(m)] -seq,
+                                                                                  it.each("_.position_map(m)".qf)],
 
                                           replicate(xs = arguments) = new this.constructor(xs[0]).metadata_from(this) -se [Array.prototype.slice.call(xs, 1) *![it.push(x)] -seq],
 
-                                          metadata_from(n)          = this -se [it._comments = n._comments, it._position = n._position],
-                                          rotate_left()             = this[1].replicate(this[1].data, this.replicate(this.data, this[0], this[1][0]), this[1][1])]],
+                                          metadata_from(n)          = this -se [it._comments = n._comments.slice(), it._position = n._position, it._end = n._end, it._original = n._original, it._kind = n._kind],
+                                          rotate_left()             = child.replicate.apply(child, [child.data, this.replicate.apply(this, [this.data].concat(leading, [child[0]]))].concat(trailing))
+                                                                      -where [child    = this[this.length - 1],
+                                                                              leading  = Array.prototype.slice.call(this, 0, this.length - 1),
+                                                                              trailing = Array.prototype.slice.call(child, 1)]],
+
+          spanned(o)           = !! o && o.start !== null && o.end !== null,
+          place(o, i)          = o.positions(i) -re- {offset: i, line: it.line, column: it.column},
+
+          regexp_literal(d)    = (m && {open: m[1], body: m[3], close: m[2] ? closer(m[2]) : '/', flags: m[4]}) -where [m = /^(\/|%r([^\w\s]))([\s\S]*)[^\w\s]([a-z]*)$/.exec(d)],
+          closer(c)            = {'(': ')', '[': ']', '{': '}', '<': '>'}[c] || c,
+
+          regexp_of(n)         = (l && ! n.length && ! /\n/.test(l.body) ? $.regexp('/' + l.body + '/' + l.flags.replace(/[^im]/g, '')) : null) -rescue- null -where [l = regexp_literal(n.data)],
+          regexp_with(d, r)    = (l ? l.open + (l.open.charAt(2) === l.close || l.open === '/' ? escaped(r.toString(), l.close) : r.toString()) + l.close + l.flags
+                                    : raise [new Error('caterwaul.ruby: regexp() can only replace the body of a regexp literal')])
+                                 -where [l             = regexp_literal(d),
+                                         escaped(s, c) = s.replace(/\\[\s\S]|[\s\S]/g, given.x in (x === c ? '\\' + x : x))]],
+
+// Parse states.
+// The parser runs on its own kind of linear string state. Caterwaul's memoization is keyed by state identity, and the stock string state gives every state object a new identity; since each step
+// of the parse makes new state objects, a rule that's reached twice at the same offset along different paths would be parsed twice, and nested constructs can be reparsed many times over. Ruby
+// parse states are identified by their offset instead, which makes memoization a proper packrat table: each parser runs at most once per offset, so parsing is linear in the size of the input.
+// The table is partitioned by offset as well, which keeps each partition small instead of building one object with an entry for every parser at every offset.
+
+// Each state also carries the parse context that parse() builds (heredoc tables, comments, failures and scopes). Heredoc bodies are parsed through states with a shorter input, so they get
+// memo tables of their own but share the context.
+
+  $.ruby.parse_state = capture [step(p, v) = [this.change({position: p + 1, value: v})], defaults = {position: 0, value: null, id: "this.p + 1".qf}] /!$.parser.logical_state
+                       -se- it.prototype /-$.merge/ capture [memo_table() = this.table.offsets[this.p] || (this.table.offsets[this.p] = {}),
+                                                              context()    = this.table.context],
+
+  $.ruby.parse_state.at(input, position, context) = new $.ruby.parse_state(input, position, null, {offsets: [], context: context}),
 
 // Positional mapping.
-// Positions are mapped ahead of time and are indexed by the original offset within the input string. This means that for n characters, n positions are computed (so a linear-space overhead, which
-// in practice won't be too bad). Newline characters are indexed in a counterintuitive way; their column offset is considered to be -1, and they appear on the 'next' line. I did it this way
-// becaues nobody particularly cares where a newline is, and it simplified the indexer.
+// Positions are computed from an index of the newlines in the input, and only for the offsets that nodes and comments actually start at. A newline character belongs to the line it ends,
+// so its column is that line's length; the same rule places the end of the input just after its last character, which is where syntax errors at the end are reported.
+// position_map() takes either a function like this one or a table indexed by offset.
 
 // As with all Caterwaul parsers, this one calls .toString() on its input to make sure that the input is, in fact, a string.
 
-  $.ruby.parse(s) = tree.value().position_map(input /!position_map)
-                    -where [input           = s.toString(),
-                            tree            = [new $.parser.linear_string_state(input)] /!$.ruby.parser -re- it[0],
-                            position_map(s) = n[s.length] *s.charCodeAt *[{line: l += x === 10, column: c = x === 10 ? -1 : c + 1}] -seq -where [l = 0, c = -1]],
+  // Heredocs.
+//   Heredocs are the one construct that can't be parsed left-to-right: the body starts on the line after the header, which means that the rest of the header line has to be parsed first, and then
+//   the body has to be skipped when the parser reaches the end of that line. To deal with this, parse() makes a pass over the input before parsing anything and builds two tables. One maps the
+//   offset of each heredoc header to a description of its body, and the other maps the newline at the end of each header line to the end of the last body that follows it. The parser finds both
+//   tables in the memo table of its parse state.
+
+  // A header whose terminator never turns up doesn't skip anything, since it might be inside a string or a regexp. If the parser does reach it as a heredoc, the heredoc fails to match, and if
+//   the parse then fails the SyntaxError points at the header instead of wherever the parser happened to give up.
+
+  // A header is '<<', '<<-' or '<<~' followed by a quoted terminator or a bare one. Bare terminators have to be in capitals unless the '-' or '~' is present; otherwise 'class <<self' and 'x <<y'
+//   would both be mistaken for heredocs.
+
+  // Comments.
+//   The whitespace scanner records every comment it skips in the parse context, keyed by offset; recording the same comment twice is harmless, so backtracking doesn't matter. Once the parse is
+//   done, each comment becomes a node and is attached to a statement. A comment that follows code on its line belongs to the last statement starting before it, and a comment on a line by itself
+//   belongs to the next statement. If there's no next statement it goes to the last one indented no further than the comment, and failing that to the toplevel node. '=begin' blocks and the
+//   '__END__' data section are comments too, and they're always on lines by themselves.
+
+  // Original source.
+//   After the parse, every node gets an _original record: the source string, the node's data and children as they were parsed, and the range of offsets it came from. A node's range runs from its
+//   own start (or its first child's) to the furthest end among itself and its children, less any trailing horizontal whitespace picked up after a keyword or closing bracket. Sequences cover just
+//   their statements, and a heredoc covers just its header because its body isn't next to it. The toplevel node covers the whole input. Printers use these records to reproduce unmodified
+//   subtrees exactly.
+
+  // Spans.
+//   The same records give each node its span: the offsets where its text starts and ends, each with its line and column. position() is where the node's own token starts, so for an operator
+//   it's the operator, but a span covers the node's children too. The end is exclusive, and its column is the one just past the last character. source() returns the text in between. Nodes
+//   that didn't come from a parse (new nodes, and trees rebuilt from JSON) have neither:
+
+  // | caterwaul.ruby('x = 1\nfoo(a,\n    b)')[1].span()     // -> {start: {offset: 6, line: 1, column: 0}, end: {offset: 19, line: 2, column: 6}}
+//     caterwaul.ruby('x = 1\nfoo(a,\n    b)')[1].source()   // -> 'foo(a,\n    b)'
+//     caterwaul.ruby('a + b')[0].position()               // -> {line: 0, column: 2}
+//     caterwaul.ruby('a + b')[0].span().start             // -> {offset: 0, line: 0, column: 0}
+
+  // Sources.
+//   parse() does its work through caterwaul.ruby.source(), which wraps an input string together with its heredoc tables, its newline index and its parse context. A source can parse the
+//   whole input, or a single statement starting at a given offset, and it can attach a list of comments to a tree whose positions have already been mapped; reparse() uses the latter two.
+//   Both take the same options as caterwaul.ruby(). The version goes into the parse context, where the parsers for newer forms look for it, and into each node's _original record, so that
+//   reparse() can parse an edited tree the way it was parsed the first time.
+
+  // Parse errors.
+//   Named terminals (keywords, punctuation, identifiers, literals and so on) record themselves in the parse context whenever they fail to match. Only the failures at the furthest offset are
+//   kept, since that's as far as any alternative got before the input stopped making sense, and the end of the input counts as a terminal so that trailing garbage is reported too. If the parse
+//   fails, these become a caterwaul.ruby.SyntaxError with the offset, its line and column (zero-based, like the ones position_map() assigns to nodes), the names of the terminals that would have
+//   worked there and an excerpt of the offending line:
+
+  // | try {caterwaul.ruby('foo(1) )')} catch (e) {[e.line, e.column]}    // -> [0, 7]
+//     try {caterwaul.ruby('foo(1) )')} catch (e) {e.expected}            // -> ["'{'", "'do'", "'::'", ...]
+
+  $.ruby.parse(s, options) = $.ruby.source(s, options).tree(),
+
+  $.ruby.source(s, options) = capture [input                   = input,
+                                       version                 = version,
+                                       context                 = context,
+                                       positions               = positions,
+                                       position_of             = position_of,
+                                       offset_of(p)            = (p.line ? newlines[p.line - 1] + 1 : 0) + p.column,
+
+                                       tree()                  = program().value() /!record_originals -re- attach_comments(it, comment_nodes(0, input.length), "_.position()".qf)
+                                                                 -re- it.position_map(positions),
+                                       statement_at(i, scopes) = [$.ruby.parse_state.at(input, i, {} /-$.merge/ context /-$.merge/ {scopes: scopes, failure: {offset: -1, expected: []}})]
+                                                                 /!$.ruby.parser.statement -re [it[0] && it[0].value() /!remember],
+                                       comments_between        = comment_nodes,
+                                       attach_comments         = attach_comments]
+                     -where [input           = s.toString(),
+                             version         = $.ruby.version(options),
+                             heredoc_context(input) = {heredocs: heredocs, skips: skips, any: !! next_header(0), comments: {}, failure: {offset: -1, expected: []},
+                                                                       scopes: {names: {}, live: [], opened: []}, version: version} -se- scan(0)
+                             -where [heredocs             = {},
+                                     skips                = {},
+                                     header_regexp        = /<<([-~]?)(?:(['"`])([^'"`\r\n]+)\2|([A-Za-z_]\w*))/g,
+
+                                     next_header(i)       = header_regexp -se [it.lastIndex = i] -re- it.exec(input) -re [! it || is_header(it) ? it : next_header(it.index + 2)],
+                                     is_header(m)         = (m[1] || m[2] || /^[A-Z_][A-Z0-9_]*$/.test(m[4])) && ! /^[ \t]*#/.test(input.substring(input.lastIndexOf('\n', m.index) + 1, m.index))
+                                                            && (m[1] !== '~' || $.ruby.supports(version, 'squiggly_heredocs')),
+                                     line_end(i)          = input.indexOf('\n', i) -re [it < 0 ? input.length : it],
+
+                                     scan(i)              = (m && scan(record_line(m, line_end(m.index)))) -where [m = next_header(i)],
+                                     record_line(m, e)    = record_from(m, e, e + 1) - 1 -se [it > e && (skips[e] = it)],
+                                     record_from(m, e, b) = m && m.index < e ? record_from(next_header(m.index + m[0].length), e, record(m, b)) : b,
+                                     record(m, b)         = entry(m, b, terminator(m, b)) -se [heredocs[m.index] = it] -re [it.terminated ? it.end + 1 : b],
+
+                                     terminator(m, b)     = new RegExp('^' + (m[1] ? '[ \\t]*' : '') + (m[3] || m[4]).replace(/[\\^$.*+?()\[\]{}|\/]/g, '\\$&') + '\\r?$', 'mg')
+                                                            -se [it.lastIndex = b] -re- it.exec(input),
+
+                                     entry(m, b, t)       = {length:     m[0].length,   indented:      !! m[1],         squiggly:   m[1] === '~',
+                                                             terminator: m[3] || m[4],  interpolating: m[2] !== "'",    terminated: !! t,
+                                                             body_start: b,             body_end:      t ? t.index : input.length,
+                                                             end:        t ? t.index + t[0].length : input.length}],
+
+                             context         = input /!heredoc_context,
+                             state           = $.ruby.parse_state.at(input, 0, context),
+                             newlines        = [] -se [n[input.length] *![input.charCodeAt(x) === 10 && it.push(x)] -seq],
+                             newlines_upto(i, l, u) = (l < u ? newlines[m] < i ? newlines_upto(i, m + 1, u) : newlines_upto(i, l, m) : l) -where [m = l + u >> 1],
+                             position_of(i)  = {line: line, column: i - (line ? newlines[line - 1] : -1) - 1} -where [line = newlines_upto(i, 0, newlines.length)],
+                             positions(i)    = i === null || i >= input.length ? null : position_of(i),
+
+                             excerpt(i)      = line + '\n' + line.substring(0, i - start).replace(/[^\t]/g, ' ') + '^'
+                                               -where [start = input.lastIndexOf('\n', i - 1) + 1, line = input.substring(start, input.indexOf('\n', start) -re [it < 0 ? input.length : it])],
+                             syntax_error(f) = new $.ruby.SyntaxError(offset, position_of(offset), f.expected, excerpt(offset)) -where [offset = Math.max(f.offset, 0)],
+
+                             program()       = [state] /!$.ruby.parser -re- it[0] || raise [syntax_error(context.unterminated || context.failure)],
+
+                             original(n, cs, s, e)    = {input: input, heredocs: context.heredocs, positions: position_of, version: version, data: n.data, children: cs, start: s, end: e},
+                             record_originals(t)      = t -se [remember(it), it._original.start = 0, it._original.end = input.length],
+                             remember(n)              = n -se [it.each(remember), it._original = original_of(it)],
+
+                             defined(xs)              = xs %[x !== null && x !== undefined] -seq,
+                             trim_end(s, e)           = (m ? trim_end(s, e - m[0].length) : e) -where [m = e > s && /(?:[ \t\r\f]|\\\r?\n)$/.exec(input.substring(Math.max(s, e - 3), e))],
+                             is_heredoc(n, p)         = p !== null && /^<<./.test(n.data) && context.heredocs.hasOwnProperty(p),
+
+                             original_of(n)           = original(n, children, start, ! ends.length ? start : n.length ? trim_end(start, Math.max.apply(Math, ends)) : ends[0])
+                                                        -where [children = Array.prototype.slice.call(n),
+                                                                spans    = children *[x._original] %[x.start !== null] -seq,
+                                                                own      = n.data === ';' && spans.length ? null : n.position(),
+                                                                own_end  = own === null ? null : n._end !== null ? n._end : n.length || n.data === 'implied self' ? own : own + n.data.length,
+                                                                starts   = defined([own].concat(spans *[x.start] -seq)),
+                                                                ends     = defined([own_end].concat(is_heredoc(n, own) ? [] : spans *[x.end] -seq)),
+                                                                start    = starts.length ? Math.min.apply(Math, starts) : null],
+
+                             comment_nodes(s, e)      = Object.keys(context.comments) %[+x >= s && +x < e] *[new $.ruby.syntax(context.comments[x]).position(+x)
+                                                                                                      -se [it._original = original(it, [], +x, +x + it.data.length)]] -seq
+                                                        -re- it.sort(given[a, b] in a.position() - b.position()),
+
+                             statements_in(t)         = [] -se [t.data === ';' || collect(it, t), t.each(given.x in visit(it, x, t.data === ';'))],
+                             visit(xs, n, statement)  = (statement && n.position() !== null && collect(xs, n), n.each(given.x in visit(xs, x, n.data === ';'))),
+                             collect(xs, n)           = xs.push(n),
+
+                             line_start(p)            = input.lastIndexOf('\n', p - 1) + 1,
+                             follows_code(p)          = /\S/.test(input.substring(line_start(p), p)),
+                             outdented(p, q)          = p - line_start(p) <= q - line_start(q),
+                             attach_comments(t, cs, offset) = t -se [cs *![owner(x, offset(x)).comment(x)] -seq]
+                                                              -where [ss              = statements_in(t) *[[x, offset(x)]] -seq -re- it.sort(given[a, b] in a[1] - b[1]),
+                                                                      first_after(p)  = ss |[x[1] >= p && x[0]] |seq,
+                                                                      last_before(p)  = ss %[x[1] <= p] -seq -re [it.length && it[it.length - 1][0]],
+                                                                      last_outside(p) = ss %[x[1] <= p && outdented(x[1], p)] -seq -re [it.length && it[it.length - 1][0]],
+                                                                      owner(c, p)     = (follows_code(p) ? last_before(p) : first_after(p) || last_outside(p)) || t]],
+
+  $.ruby.SyntaxError = syntax_error -se [it.prototype = new Error() -se [it.name = 'caterwaul.ruby.SyntaxError', it.constructor = syntax_error]]
+                       -where [syntax_error(offset, position, expected, excerpt) = this -se [it.offset = offset, it.line = position.line, it.column = position.column, it.expected = expected,
+                                                                                             it.excerpt = excerpt, it.message = message(it), it.stack = new Error(it.message).stack],
+                               message(e)   = 'caterwaul.ruby.parse: syntax error on line #{e.line + 1}, column #{e.column + 1}#{expecting(e.expected)}\n#{e.excerpt}',
+                               expecting(xs) = xs.length ? '; expected ' + (xs.length > 8 ? xs.slice(0, 8).concat(['...']) : xs).join(', ') : ''],
+
+// Dialects.
+// The parser knows three versions of Ruby's syntax: '1.8', '1.9' and '2.x'. The version is an option to caterwaul.ruby(), and it defaults to '2.x', which accepts the most. Each form that's
+// newer than 1.8 (or that 1.9 dropped) is a feature, which is listed here with the first and last versions that have it. A form that the chosen version doesn't have isn't parsed at all, so it
+// comes out as a syntax error just like any other input that the version can't parse:
+
+// | caterwaul.ruby('f(a: 1)').structure()                             // -> ("()" (implied self) f ("," (":" a 1)) "")
+//   caterwaul.ruby('f(a: 1)', {version: '1.8'})                       // -> throws caterwaul.ruby.SyntaxError
+//   caterwaul.ruby.supports('1.9', 'safe_navigation')                 // -> false
+
+// Ruby 1.8 takes parameters only in the order mandatory, optional, splat, block, and arguments only with splats and block arguments last; 'trailing_parameters' and 'trailing_arguments' lift
+// those limits. '0o' octal prefixes, block-local variables ('|a; b|'), block parameter defaults ('|a, b = 1|'), quoted labels ('"a": 1') and destructuring method parameters
+// ('def f((a, b))') are features as well.
+
+// The operators themselves are the same in all three versions, so there's one precedence table. '&.' is parsed as a postfix like '.', '->' as an operand and '**' as a prefix in argument and
+// parameter lists, and each of them is a feature.
+
+  $.ruby.versions = '1.8 1.9 2.x'.qw,
+
+  $.ruby.features = {labels:             ['1.9', '2.x'],            lambdas:            ['1.9', '2.x'],            colon_then:        ['1.8', '1.8'],
+                     trailing_parameters: ['1.9', '2.x'],           trailing_arguments: ['1.9', '2.x'],            block_locals:      ['1.9', '2.x'],
+                     octal_prefixes:     ['1.9', '2.x'],            string_labels:      ['2.x', '2.x'],
+                     keyword_parameters: ['2.x', '2.x'],            double_splats:      ['2.x', '2.x'],            symbol_lists:      ['2.x', '2.x'],
+                     safe_navigation:    ['2.x', '2.x'],            squiggly_heredocs:  ['2.x', '2.x'],            number_suffixes:   ['2.x', '2.x'],
+                     destructuring_parameters: ['1.9', '2.x'],      block_parameter_defaults: ['1.9', '2.x']},
+
+  $.ruby.supports(version, feature) = ($.ruby.versions.indexOf(range[0]) <= v && v <= $.ruby.versions.indexOf(range[1]))
+                                      -where [v = $.ruby.versions.indexOf(version), range = $.ruby.features[feature]],
+
+  $.ruby.version(options) = (options && options.version !== undefined ? options.version : '2.x')
+                            -re [$.ruby.versions.indexOf(it) >= 0 ? it : raise [new Error('caterwaul.ruby: unknown version #{it}; expected one of ' + $.ruby.versions.join(', '))]],
+
+// Operator precedence.
+// Operators are numbered from tightest to loosest binding; operators on the same level share a number. The parser uses this table to rearrange operator nodes as it builds them, and anything
+// that prints trees uses it to decide where parentheses are needed.
+
+  $.ruby.precedence = (ops1 + ops2) *[[x, precedence += x === '#']] %[x[0] !== '#'] -object -seq
+                      -where [precedence = 1,
+                              ops1       = ". :: # u! u~ u+ # ** # u- # * / % # + - # << >> # & # | ^ # > >= < <= # <=> == === != =~ !~ # && # || # .. ... # ? #".qw,
+                              ops2       = "rescue # = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= # defined? # not # and or # if unless while until".qw],
+
+  $.ruby.right_associative = "u! u~ u+ ** u- ? = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= not".qw *[[x, true]] -object -seq,
 
 // Combinatory Ruby parser.
 // Using parser combinators to process Ruby is nontrivial. One of the hardest things to deal with is the lex-level handling of things like line and block comments. Because we want to retain these
@@ -98,17 +359,18 @@ caterwaul.js_all()(function ($) {
 // to be near 'foo', but the comment ends up playing the role of metadata on the parsed expression rather than being a part of the expression explicitly. (And the only reason we're capturing
 // comments in the first place is so that they can be reconstructed in the output.)
 
-  $.ruby.parser = expression
+  $.ruby.parser = program -se [it.statement = a_statement]
   -where [node = $.ruby.syntax,
 
 // Filters.
 // These aren't parsers per se. Rather, they're transformations of parsers that help deal with code-orthogonal elements. Here's a list of filters along with their purposes:
 
 // | 1. newlines_after(parser)             <- Indicates that whitespace and comments are not significant to the parser, and parses any whitespace and comments after the parser. Any comments that
-//                                            are found are then added to the parsed element using .comment().
+//                                            are found are recorded, and parse() attaches them to statements once it's done.
 //   2. no_newlines_after(parser)          <- Indicates that whitespace is OK after a parser, but that newlines and comments aren't.
-//   3. record_position(parser)            <- Parses the element normally, but stores the current string offset onto the element. This will later be resolved using the position table. All
-//                                            elements store their positions; this is just here to factor logic.
+//   3. positioned(parser)                 <- Parses the element normally, but stores the current string offset onto the element. This will later be resolved using the position table. All
+//                                            elements store their positions; this is just here to factor logic. The offset where the element ends is stored too, so that parse() can work out
+//                                            which part of the source each node came from.
 
 // Generally speaking, these filters are combined to form what is called a 'general element'. This is just some syntactic element that is comment and whitespace-insensitive (most Ruby elements
 // fall into this category). There are some exceptions, however. One of these is argument unpacking, which involves a syntactic ambiguity based on the presence or absence of whitespace before the
@@ -149,52 +411,523 @@ caterwaul.js_all()(function ($) {
   // The binary expression, then, would have to fail in order to accommodate newlines before either expression, which is appropriate. This would cause the line to be reinterpreted as a statement
 //   followed by something else.
 
-    no_newlines_after(parser) = parser /-bfc/ optional(whitespace) /-map/ "_[0]".qf,
-    newlines_after(parser)    = parser /-bfc/ optional(manyc(line_comment /-alt/ whitespace)) /-map/ "_[0]".qf,                 // <- FIXME add comments to node
+  // Whitespace is scanned by hand rather than with combinators. Part of the reason is speed, but mostly it's heredocs: any newline that ends a heredoc header line has to jump over the heredoc
+//   bodies that follow it, and the skip table built by parse() says where to land. Backslash-newline is always horizontal whitespace. Comments are looked for only within the whitespace that was
+//   just skipped, which is copied out along with the character before it so that '=begin' can still tell whether it's at the start of a line; searching the whole input from there would make
+//   long stretches of code without comments quadratic. The start of a line is matched with '^' in multiline mode rather than with a lookbehind, which older Safari doesn't support; that makes '$'
+//   match before every newline too, so the end of the input is written as (?![\s\S]).
 
-    records_position(parser)  = parser /-map_state/ "_.value().position(_.position()) -re- _".qf,
+    context(state)            = state.context(),
+    advance(state, n, v)      = state.change({position: state.position() + n, value: v}),
 
-// Toplevel parsers.
-// These are things like statements and expressions. The YARV parser is structured to differentiate the two, which is appropriate because of the varying role of whitespace. In particular,
-// consider the difference between these two expressions:
+    horizontal_space          = /(?:[ \t\r\f]|\\\r?\n)*/y,
+    vertical_space            = /(?:[ \t\r\f\n]|\\\r?\n|#.*|^=begin(?!\S)[\s\S]*?(?:\n=end(?!\S).*|(?![\s\S]))|^__END__(?=\r?\n|(?![\s\S]))[\s\S]*)*/my,
+    comment                   = /#.*|^=begin(?!\S)[\s\S]*?(?:\n=end(?!\S).*|(?![\s\S]))|^__END__(?=\r?\n|(?![\s\S]))[\s\S]*/gm,
 
-// | foo \n bar
-//   f(foo \n bar)
+    record_comments(s, i, e, c) = (i < e && comments_in(region, 1, given[k, text] in (c.comments[i + k - 1] = text)))
+                                  -where [region = (i && s.charAt(i - 1) !== '\n' ? ' ' : '\n') + s.substring(i, e)],
 
-// The first is interpreted as two adjacent statements, while the second is a single statement containing a function call that's split across multiple lines. (Actually, YARV in IRB fails to parse
-// the second -- but there isn't anything preventing it from working in theory, as the intent is unambiguous.)
+    comments_in(s, k, f)      = (m && comments_in(s, m.index + m[0].length, f -se- it(m.index, m[0]))) -where [m = comment -se [it.lastIndex = k] -re- it.exec(s)],
 
-// All of this, though, is to say that there a few different 'top-level' parsers, just like there are in YARV. One is for statements, where whitespace breaks things apart. Another is for groups
-// of some sort, where whitespace has no effect (since the parser is waiting for a group closer), and another is an argument list, where commas are always used as argument separators rather than
-// elements of an expression. (This is different from their use within either side of an assignment, for instance, where they're used to implicitly construct arrays.)
+    space_end(s, i, c, nl)    = (nl && skip >= 0 ? space_end(s, c.skips[skip], c, nl) -se- record_comments(s, i, skip, c) : j -se- (nl && record_comments(s, i, j, c)))
+                                -where [j             = (nl ? vertical_space : horizontal_space) -se [it.lastIndex = i] -re [i + it.exec(s)[0].length],
+                                        first_skip(k) = k < 0 || k >= j ? -1 : c.skips.hasOwnProperty(k) ? k : first_skip(s.indexOf('\n', k + 1)),
+                                        skip          = nl && c.any ? first_skip(s.indexOf('\n', i)) : -1],
 
-    statements(states)     = statements(states),      a_statements     = annotate(statements,     'statements',     []),
-    argument_list(states)  = argument_list(states),   a_argument_list  = annotate(argument_list,  'argument_list',  []),
-    assignment_lhs(states) = assignment_lhs(states),  a_assignment_rhs = annotate(assignment_rhs, 'assignment_rhs', []),
-    assignment_rhs(states) = assignment_rhs(states),  a_assignment_lhs = annotate(assignment_lhs, 'assignment_lhs', []),
+    space_at(state, nl)       = (m.hasOwnProperty(k) ? m[k] : m[k] = space_end(state.input(), state.position(), context(state), nl)) -where [m = state.memo_table(), k = nl ? 'lines' : 'space'],
+    spacing(nl, annotate(result, 'spacing', [nl]))(states) = states *[advance(x, space_at(x, nl) - x.position(), ' ')] -seq,
 
-// Statement-level parsing.
-// A statement takes on one of a few different forms. Most of these forms are actually expressions. The only real difference between an 'expression' and a 'statement', for parsing purposes, is
-// how some newlines are treated. This ultimately comes down to the grouping structure. Braced and do-end groups use newline separation, other groups don't. This is encoded by parameterizing all
-// of the group-related parsers by their delimiter type. So, for instance, expression(newline) constructs a parser that accepts newlines but not commas. The accepting parser is threaded down
-// through all levels of expression-type parsing.
+    whitespace                = spacing(false),
+    whitespace_and_comments   = spacing(true),
 
-// Because it would be silly to reconstruct the entire expression hierarchy every time we build a group, the groups are preconstructed (which basically memoizes it). This might have additional
-// advantages when it comes to memoizing parse states.
+    no_newlines_after(parser) = parser /-bfc/ whitespace /-map/ "_[0]".qf,
+    newlines_after(parser)    = parser /-bfc/ whitespace_and_comments /-map/ "_[0]".qf,
 
-  // Dealing with commas.
-//   Another difference worth considering is that the comma plays different roles depending on where it is. The most interesting case happens if we observe commas within a statement but not
-//   inside an argument list; in this case, it has higher precedence than = because it's part of an lvalue or an rvalue:
+    positioned(parser, annotate(result, 'positioned', [parser]))(states) = states *~!state[parser([state]) *[x.map("_.position(state.position()) -se [it._end = x.position()]".qf)] -seq] -seq,
 
-  // | x, y = 1, 2           <- (x, y) = (1, 2)
+// Low-level terminal parsing.
+// Ruby has a number of terminal parse cases. These can't contain other things; they include literals of various sorts and identifiers. Terminals are matched with sticky regular expressions,
+// which test a single offset without copying the rest of the input, except for the common ones that read the token at their offset instead (see 'Tokens' below).
 
-  // However, this isn't true of array constructors or argument lists; in both of those cases the comma has lower precedence than =:
+    r(regexp, name)           = matches(new RegExp(regexp.source, regexp.ignoreCase ? 'yi' : 'y'), name),
+    matches(sticky, name, annotate(result, 'r', [sticky]))(states) = states *~![exec_at(sticky, x) -re [it ? [advance(x, it[0].length, it)] : [] -se- (name && expect(x, name))]] -seq,
+    exec_at(regexp, state)    = scan(regexp, state.input(), state.position()),
+    scan(regexp, s, i)        = regexp -se [it.lastIndex = i] -re- it.exec(s),
 
-  // | f(x, y = 1, 2)        <- f((x), (y = 1), (2))
-//     [x, y = 1, 2]         <- [(x), (x = 1), (2)]
+    node_of(data, children)   = new node(data) -se [children *![it.push(x)] -seq],
+    terminal(regexp, name)    = r(regexp, name) /-map/ "new node(_[0])".qf /!positioned,
+    punctuation(text)         = linear_string(text) /-map/ "new node(_)".qf /!positioned,
 
-  // So part of the parameterization for expression trees is how to treat the precedence of the comma. In practice, this is done by using two separate operators depending on the context.
-//   Low-precedence commas are just regular commas, and high-precedence ones are stored in nodes whose data is ',h'.
+  // Tokens.
+//   Ruby can't be split into tokens ahead of time: whether '/' starts a regexp or divides, whether 'x -1' is a subtraction or a call, and where a heredoc body or an interpolation ends all
+//   depend on what has been parsed so far. So tokens are scanned lazily, at the offsets the parser actually reaches. token_at() scans the token at an offset the first time anything asks for
+//   it, with one sticky pattern, and keeps it in the memo table for that offset. A token has a kind ('word', 'ivar', 'gvar' or 'number', or null if the offset starts something else), its text
+//   and its end. A word doesn't include a trailing '?' or '!', since whether that belongs to it depends on who's asking: 'x!' is a method name, but 'x!=' is 'x' followed by a comparison.
+
+  // Identifiers, constants, keywords, instance and global variables and numbers are lexemes. A lexeme checks the token at its offset and advances past whatever part of it fits, so the dozen of
+//   them tried at the start of each operand share one scan instead of running a regular expression each. The ends of the horizontal and vertical whitespace at an offset are kept in the same
+//   table, which means comments are recorded once however many parsers skip over them. Operators, strings, symbols, regexps and the remaining literals still have their own parsers, because
+//   what they contain depends on context.
+
+  // Leaves, definitions and control structures are all tried at the start of every operand, and most of them can be ruled out by looking at the first token. Rather than running each of their
+//   parsers to find out that it doesn't apply, starting() checks the character at the current offset and led_by() checks the word in the token there. A parser that's skipped this way records
+//   the names that its own terminals would have recorded, so parse errors come out the same.
+
+    digits                    = /(?:0[xX][\da-fA-F]+(?:_[\da-fA-F]+)*|0[bB][01]+(?:_[01]+)*|0[0-7]+(?:_[0-7]+)*|0[dD]\d+(?:_\d+)*|\d+(?:_\d+)*(?:\.\d+(?:_\d+)*)?(?:[eE][-+]?\d+(?:_\d+)*)?)/.source,
+    octal_digits              = /0[oO][0-7]+(?:_[0-7]+)*/.source,
+
+    token_pattern             = new RegExp('(' + ['[A-Za-z_]\\w*', '@@?[A-Za-z_]\\w*', /\$(?:[A-Za-z_]\w*|\d+|-\w|[~*$?!@\/\\;,.=:<>"&`'+])/.source, octal_digits, digits].join(')|(') + ')', 'y'),
+    token_kinds               = [null, 'word', 'ivar', 'gvar', 'number', 'number'],
+    group_of(m, k)            = m[k] ? k : group_of(m, k + 1),
+
+    scan_token(s, i)          = (m ? {kind: token_kinds[k], text: m[0], end: i + m[0].length, octal: k === 4} : {kind: null, text: null, end: i})
+                                -where [m = scan(token_pattern, s, i), k = m && group_of(m, 1)],
+    token_at(state)           = (m.token || (m.token = scan_token(state.input(), state.position()))) -where [m = state.memo_table()],
+
+    suffix_at(s, i)           = /[?!]/.test(s.charAt(i)) ? s.charAt(i) : '',
+    word_of(t, s)             = t.kind === 'word' ? t.text + suffix_at(s, t.end) : null,
+    whole_word(t, s)          = (w && ! suffix_at(s, t.end + w.length - t.text.length) ? w : null) -where [w = word_of(t, s)],
+    method_word(t, s)         = t.kind === 'word' && (s.charAt(t.end + 1) === '=' ? t.text : word_of(t, s)),
+    word_at(state)            = token_at(state) /-word_of/ state.input(),
+
+    word_in(words, set = words.split(' ') *[[x, true]] -object -seq)(t, state) = (w && set.hasOwnProperty(w) ? w : null) -where [w = whole_word(t, state.input())],
+
+    scanned(name, text, annotate(result, 'lexeme', [name, text]))(states) =
+      states *~![text(token_at(x), x) -re [it ? [advance(x, it.length, it)] : [] -se- (name && expect(x, name))]] -seq,
+    lexeme(name, text)        = scanned(name, text) /-map/ "new node(_)".qf /!positioned,
+
+    led_by(parser, words, annotate(result, 'led_by', [parser, words]))(states) =
+      states *~!state[words.indexOf(word_at(state)) >= 0 ? parser([state]) : [] -se [words *![expect(state, "'#{x}'")] -seq]] -seq,
+
+    starting(parser, chars, names, annotate(result, 'starting', [parser, chars]))(states) =
+      states *~!state[chars.test(state.input().charAt(state.position())) ? parser([state]) : [] -se [names *![expect(state, x)] -seq]] -seq,
+
+  // Failure tracking.
+//   Terminals given a name report it here when they fail; see 'Parse errors' above. linear_string() is shadowed so that every piece of punctuation is named by its own text, and the end of the
+//   input gets the same treatment so that a parse which stops short says why.
+
+    expect(state, what)       = (f.offset < i ? (f.offset = i, f.expected = [what]) : f.offset === i && f.expected.indexOf(what) < 0 && f.expected.push(what))
+                                -where [f = context(state).failure, i = state.position()],
+
+    linear_string(text)       = $.parser.linear_string(text) -re- annotate(given.states in it(states) -se [it.length || states *![expect(x, "'#{text}'")] -seq], 'linear_string', [text]),
+    end_of_input              = linear_string_state.end() -re- annotate(given.states in it(states) -se [it.length || states *![expect(x, 'end of input')] -seq], 'end', []),
+
+  // Dialect features.
+//   A parser for a form that only some versions have is wrapped in feature(), which fails without running it unless the version in the parse context has the feature. Nothing is reported as
+//   expected in that case, since the form wouldn't have worked there. A list that older versions only accept in a fixed order is wrapped in ordered(), which ranks each item and drops the
+//   parses whose ranks go down unless the version has the feature.
+
+    version(state)            = context(state).version,
+    supports(state, name)     = $.ruby.supports(version(state), name),
+    feature(name, parser, annotate(result, 'feature', [name, parser]))(states) = states *~!state[supports(state, name) ? parser([state]) : []] -seq,
+    ordered(name, rank, parser, annotate(result, 'ordered', [name, parser]))(states) =
+      states *~!state[parser([state]) %[supports(state, name) || in_order(Array.prototype.slice.call(x.value()) *rank -seq)] -seq] -seq,
+    in_order(ranks)           = ! (ranks |[xi && x < ranks[xi - 1]] |seq),
+
+    parser_cache              = {},
+    cached(key, build)        = parser_cache[key] || (parser_cache[key] = build()),
+
+    reserved_words            = 'alias and BEGIN begin break case class def defined? do else elsif END end ensure false for if in module next nil not or redo rescue retry return self ' +
+                                'super then true undef unless until when while yield __FILE__ __LINE__ __ENCODING__',
+
+    reserved                  = word_in(reserved_words),
+
+    identifier                = lexeme('identifier', given[t, state] in (t.kind === 'word' && /^[a-z_]/.test(t.text) && ! reserved(t, state) && method_word(t, state.input()))),
+    constant                  = lexeme('constant', given.t in (t.kind === 'word' && /^[A-Z]/.test(t.text) && t.text)) /-map/ "_.kind('constant')".qf,
+    keyword_leaf              = lexeme('keyword', word_in('nil true false self super yield redo retry __FILE__ __LINE__ __ENCODING__')),
+    instance_variable         = lexeme('instance variable', given.t in (t.kind === 'ivar' && t.text)) /-map/ "_.kind('ivar')".qf,
+    global_variable           = lexeme('global variable', given.t in (t.kind === 'gvar' && t.text)) /-map/ "_.kind('gvar')".qf,
+    symbol_name               = terminal(/:(?:(?:@@?|\$)?[A-Za-z_]\w*(?:[?!]|=(?![=~>]))?|\$(?:\d+|-\w|[~*$?!@\/\\;,.=:<>"&`'+])|\[\]=?|<=>|===?|=~|!=|!~|[-+~!]@|\*\*|<<|>>|<=?|>=?|[-+*\/%~`!&|^])/,
+                                         'symbol'),
+    character                 = terminal(/\?(?:\\(?:(?:[MC]-|c)\\?)*(?:u\{[\da-fA-F ]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{1,2}|[0-7]{1,3}|[\s\S])|[^\s\\])(?!\w)/, 'character'),
+
+  // Numbers can be written in any radix with underscores between digits, and can have an exponent without a decimal point. The r and i suffixes make rationals and imaginaries; they're new in
+//   2.x. The '0o' octal prefix is new in 1.9; a plain leading zero works in every version.
+
+  // The digits are scanned as part of the token. When the token is followed by a word character, or has a prefix the version doesn't know, the number is matched again the slow way, trying
+//   each form that the version supports in turn; that's what decides whether '1r' is a rational or a syntax error.
+
+    numerals                  = [[octal_digits, true, true], [octal_digits, true, false], [digits, false, true], [digits, false, false]]
+                                *[{pattern: new RegExp(x[0] + (x[2] ? '(?:ri?|i)?' : '') + '(?!\\w)', 'y'), octal: x[1], suffixed: x[2]}] -seq,
+
+    numeral_at(state)         = numerals |[(! x.octal || supports(state, 'octal_prefixes')) && (! x.suffixed || supports(state, 'number_suffixes')) && exec_at(x.pattern, state) -re [it && it[0]]] |seq,
+    number_text(t, state)     = t.kind === 'number' && (t.octal && ! supports(state, 'octal_prefixes') || /\w/.test(state.input().charAt(t.end)) ? numeral_at(state) : t.text),
+    number                    = lexeme('number', number_text),
+
+  // Local variables.
+//   Whether 'f *g' splats or multiplies depends on whether f is a local variable, and so do 'f /foo/m' and 'f -1'. Ruby decides this as it parses, and so does this parser: an identifier is a
+//   local if it's being assigned, or if an assignment or parameter of the same name appeared earlier in a scope that's still visible. Identifier leaves are tagged with kind() as either 'local'
+//   or 'method call'; constants, instance variables and global variables are tagged 'constant', 'ivar' and 'gvar'.
+
+  // | caterwaul.ruby('f *g').structure()                  // -> ("()" (implied self) f ("," ("u*" g)) "")
+//     caterwaul.ruby('f = 1; f *g')[1].structure()        // -> ("*" f g)
+
+  // Declarations are recorded in the parse context, both by name and in the order they're made. When a method, class or module body or a block has been parsed, the declarations made inside
+//   it are dropped, since nothing after it can see them. Method, class and module bodies also hide what's declared outside of them, so their keywords push the offset where they open onto a
+//   stack that's popped when the body is closed; a declaration is only visible if it comes after the innermost opening. Dropping declarations keeps the lists short, so each lookup takes time
+//   proportional to the nesting depth rather than the size of the file. Parsers are memoized, so each identifier is classified once, and only declarations that come before it in the source
+//   can affect it.
+
+    scopes(state)             = context(state).scopes,
+    declare(state, n)         = n.kind('local') -se [(s.names[d.name] || (s.names[d.name] = [])).push(d), s.live.push(d)]
+                                -where [s = scopes(state), d = {name: "@#{n.data}", offset: n.position()}],
+
+    assignment_lookahead      = /[ \t]*(?:=(?![=~>])|(?:\*\*|<<|>>|&&|\|\||[-+*\/%&|^])=)/y,
+    assigned(state)           = !!exec_at(assignment_lookahead, state),
+
+    innermost_opening(s, q)   = s.opened %[x <= q] -seq -re [it.length ? it[it.length - 1] : -1],
+    visible(s, name, q)       = ((s.names["@#{name}"] || []) |[x.offset <= q && x.offset > opening] |seq) -where [opening = innermost_opening(s, q)],
+
+    is_local(state)           = (assigned(state) ? !!declare(state, n) : !!visible(scopes(state), n.data, n.position())) -where [n = state.value()],
+
+    variable(local, annotate(result, 'variable', [local]))(states) = identifier(states) %[is_local(x) === local] *![x.value().kind(local ? 'local' : 'method call')] -seq,
+    local_variable            = variable(true),
+    method_identifier         = variable(false),
+
+    scope(parser, annotate(result, 'scope', [parser]))(states) = states *~!state[parser([state]) *![close_scope(scopes(x), state.position())] -seq] -seq,
+
+    close_scope(s, start)     = (drop_declarations(s, start), drop_openings(s, start)),
+    drop_declarations(s, i)   = s.live.length && s.live[s.live.length - 1].offset >= i && drop_declarations(s -se- forget(it, it.live.pop()), i),
+    drop_openings(s, i)       = s.opened.length && s.opened[s.opened.length - 1] >= i && drop_openings(s -se- it.opened.pop(), i),
+    forget(s, d)              = s.names[d.name] -re- it.splice(it.lastIndexOf(d), 1),
+
+    scope_keyword(word, annotate(result, 'scope_keyword', [word]))(states) = keyword(word)(states) *![scopes(x).opened.push(x.value().position())] -seq,
+
+    declared_targets(n)       = /^(?:,h?|\(|u\*\*?|u&|u;)$/.test(n.data) ? Array.prototype.slice.call(n) *~![declared_targets(x)] -seq :
+                                /^[=:]$/.test(n.data) && n.length ? declared_targets(n[0]) :
+                                ! n.length && /^[a-z_]\w*$/.test(n.data) ? [n] : [],
+
+    declaring(parser, annotate(result, 'declaring', [parser]))(states) = parser(states) -se [it *!state[declared_targets(state.value()) *![declare(state, x)] -seq] -seq],
+
+  // String literals.
+//   Every string body is a sequence of pieces: raw text, '#{}' interpolations and '#@x' shorthand interpolations. Text pieces keep their escape sequences verbatim; nothing is unescaped, since
+//   the goal is to be able to print the source back out. Bracket-style delimiters nest, so '%q(foo (bar))' is a single string; the nested delimiters end up as text pieces of their own.
+
+  // Percent literals choose their delimiter as they're parsed, so their bodies are built on demand. Each delimiter gets its body parser built once and cached so that memoization still works
+//   across the parse. The %i and %I symbol lists are new in 2.x.
+
+    expression(states)        = expression(states),
+    an_expression             = annotate(expression, 'expression', []),
+
+    statements(states)        = statements(states),
+    a_statements              = annotate(statements, 'statements', []),
+
+    unwrap(n)                 = n.length === 1 ? n[0] : n,
+
+    flatten(xs)               = xs /[[]][x0.concat(x)] -seq,
+    manyc1(parser)            = parser /-bfc/ manyc(parser) /-map/ "[_[0]].concat(_[1])".qf,
+    closer(open)              = {'(': ')', '[': ']', '{': '}', '<': '>'}[open] || open,
+    escape_class(cs)          = cs.replace(/[\\\]\[^-]/g, '\\$&'),
+
+    interpolation             = linear_string('#{') /a_statements /-bfc/ linear_string('}') /-map/ "new node('#{', _[1] /!unwrap)".qf /!positioned,
+    short_interpolation       = r(/#(?=[@$])/) /-bfc/ (instance_variable /-alt/ global_variable) /-map/ "new node('#', _[1])".qf /!positioned,
+
+    text_piece(excluded, i)   = r(new RegExp(i ? '(?:[^\\\\#' + cs + ']|\\\\[\\s\\S]|#(?![{$@]))+' : '(?:[^\\\\' + cs + ']|\\\\[\\s\\S])+')) /-map/ "new node(_[0])".qf /!positioned
+                                -where [cs = excluded /!escape_class],
+
+    string_node(open, pieces, close) = pieces |[x.length] |seq ? node_of(open, pieces) : new node(open + (pieces *[x.data] -seq).join('') + close),
+    string_from(xs)           = string_node(xs[0], xs[1], xs[2]),
+
+    quoted_body(open, close, i) = cached('quoted #{open}#{close}#{i}', delay in pieces
+                                  -where [nested(states) = nested(states),
+                                          text           = text_piece(open + close, i),
+                                          plain          = i ? text /interpolation /-alt/ short_interpolation : text,
+                                          pieces         = manyc(open === close ? plain : plain /-alt/ annotate(nested, 'nested', [open])) /-map/ flatten,
+                                          nested         = punctuation(open) /pieces /-bfc/ punctuation(close) /-map/ "[_[0]].concat(_[1], [_[2]])".qf]),
+
+    word_list(open, close, i) = cached('words #{open}#{close}#{i}', delay in spaces /-bfc/ manyc(word /-bfc/ spaces /-map/ "_[0]".qf) /-map/ "_[1]".qf
+                                -where [spaces = r(/\s*/),
+                                        text   = text_piece(open + close + ' \t\r\n\f\v', i),
+                                        word   = i ? manyc1(text /interpolation /-alt/ short_interpolation) /-map/ "_.length === 1 && ! _[0].length ? _[0] : node_of('', _)".qf /!positioned :
+                                                     text]),
+
+    quoted(open, close, i)    = linear_string(open) /quoted_body(open, close, i) /-bfc/ linear_string(close) /-map/ string_from,
+
+    single_quoted             = terminal(/'(?:[^'\\]|\\[\s\S])*'/, 'string'),
+    double_quoted             = quoted('"', '"', true),
+    backquoted                = quoted('`', '`', true),
+
+    percent_header            = r(/%([qQwWiIxrs]?)([^\w\s])/),
+    percent_at(states)        = percent_header(states) %[! /[iI]/.test(x.value()[1]) || $.ruby.supports(version(x), 'symbol_lists')] *~!h[percent_body(h.value())([h])] -seq,
+    percent_body(m)           = cached('percent #{m[0]}', delay in (/[wWiI]/.test(m[1]) ? word_list(m[2], close, /[WI]/.test(m[1])) /-bfc/ linear_string(close) /-map/ "node_of(m[0], _[0])".qf :
+                                                                   m[1] === 'r'      ? quoted_body(m[2], close, true) /linear_string(close) /-bfc/ regexp_flags
+                                                                                                                             /-map/ "regexp_node(m[0], _[0], close, _[2][0])".qf :
+                                                                                       quoted_body(m[2], close, ! /[qs]/.test(m[1])) /-bfc/ linear_string(close) /-map/ "string_node(m[0], _[0], close)".qf)
+                                                                 -where [close = m[2] /!closer]),
+
+    percent_literal           = annotate(percent_at, 'percent_literal', []),
+
+  // Heredoc bodies.
+//   By the time the parser sees a heredoc header, parse() has already worked out where its body is. The body is parsed through a separate state whose input ends where the body does, so the
+//   interpolation parser can't run past the terminator. Its positions are still offsets into the original input. For squiggly heredocs the text pieces keep their indentation.
+
+    heredoc_body              = manyc(text_piece('', true) /interpolation /-alt/ short_interpolation) /-bfc/ linear_string_state.end() /-map/ "_[0]".qf,
+
+    heredoc_pieces(state, h)  = h.interpolating ? heredoc_body([$.ruby.parse_state.at(state.input().substring(0, h.body_end), h.body_start, context(state))])
+                                                  -re [it.length ? it[0].value() : []] :
+                                h.body_end > h.body_start ? [new node(state.input().substring(h.body_start, h.body_end)).position(h.body_start)] : [],
+
+    heredoc_at(states)        = states *~![h && h.terminated ? [advance(x, h.length, node_of(x.input().substr(x.position(), h.length), heredoc_pieces(x, h)))] :
+                                           h ? [] -se- unterminated(context(x), x.position(), h) : [],
+                                           where [h = context(x).heredocs[x.position()]]] -seq,
+
+    unterminated(c, i, h)     = c.unterminated || (c.unterminated = {offset: i, expected: ["'#{h.terminator}' to end the heredoc"]}),
+
+    heredoc                   = annotate(heredoc_at, 'heredoc', []),
+
+  // Adjacent strings.
+//   Ruby joins string literals that are separated only by whitespace, which can include a backslash-newline, into one string. The result is a ' ' node with the literals as its children, so
+//   each of them keeps its own delimiters. The first literal can be a %q or %Q string as well as a quoted one, but the ones after it have to be quoted: after a string, Ruby reads '%' as the
+//   format operator.
+
+  // | 'a' "b#{c}"                                         (" " 'a' ("\"" b ("#{" c)))
+
+    quoted_string             = single_quoted /-alt/ double_quoted /!positioned,
+    joinable(n)               = /^(?:'|"|%[qQ]?[^\w\s])/.test(n.data),
+    adjacent_strings          = (quoted_string /-alt/ percent_literal /!positioned) /-bfc/ manyc1(whitespace /-bfc/ quoted_string /-map/ "_[1]".qf)
+                                /-flat_map/ "joinable(_[0]) ? [node_of(' ', [_[0]].concat(_[1])).position(_[0].position())] : []".qf,
+
+    string                    = adjacent_strings /single_quoted /double_quoted /backquoted /percent_literal /-alt/ heredoc /!positioned,
+
+  // Symbols and regexps.
+//   Quoted symbols are strings with a colon in front, and regexps are strings with flags after them. %r{...} and %s(...) literals come in through percent_literal along with the other
+//   percent forms.
+
+    regexp_flags              = r(/[imxounse]*/),
+    regexp_node(open, pieces, close, flags) = pieces |[x.length] |seq ? node_of(open + close + flags, pieces) : new node(open + (pieces *[x.data] -seq).join('') + close + flags),
+
+    quoted_symbol             = linear_string(':"') /quoted_body('"', '"', true) /-bfc/ linear_string('"') /-map/ string_from,
+    single_quoted_symbol      = terminal(/:'(?:[^'\\]|\\[\s\S])*'/, 'symbol'),
+    symbol                    = symbol_name /single_quoted_symbol /-alt/ quoted_symbol /!positioned,
+
+    regexp                    = linear_string('/') /quoted_body('/', '/', true) /linear_string('/') /-bfc/ regexp_flags /-map/ "regexp_node(_[0], _[1], _[2], _[3][0])".qf /!positioned,
+
+// Expressions.
+// Operators are parsed right-recursively and then rearranged by precedence as each node is built. Unary operators get a 'u' prefix (e.g. 'u-') so that they aren't confused with their binary
+// counterparts, except for the word operators 'not' and 'defined?', which are unambiguous. Either word followed directly by a parenthesized group is a primary, like a method call, so
+// 'defined?(a) && b' is ("&&" ("defined?" ("(" a)) b) rather than 'defined?' of the whole conjunction. The ternary operator is a three-child '?' node. Block-form conditionals and loops share
+// their node data with the modifiers, but they're operands and never get rearranged.
+
+    group(states)             = group(states),
+    a_group                   = annotate(group, 'group', []),
+
+    container(states)         = container(states),
+    a_container               = annotate(container, 'container', []),
+
+    definition(states)        = definition(states),
+    a_definition              = annotate(definition, 'definition', []) /-led_by/ "def class module alias undef".qw,
+
+    control(states)           = control(states),
+    a_control                 = annotate(control, 'control', []) /-led_by/ "if unless while until for case begin return break next".qw,
+
+    rescuable_statements(states) = rescuable_statements(states),
+    a_rescuable_statements    = annotate(rescuable_statements, 'rescuable_statements', []),
+
+    argument_list(states)     = argument_list(states),
+    an_argument_list          = annotate(argument_list, 'argument_list', []),
+
+    command_arguments(states) = command_arguments(states),
+    a_command_arguments       = annotate(command_arguments, 'command_arguments', []),
+
+    lambda_literal(states)    = lambda_literal(states),
+    a_lambda                  = feature('lambdas', annotate(lambda_literal, 'lambda_literal', [])),
+
+    leaf                      = alt.apply(null, leaves *[starting(x[0], x[1], x[2])] -seq) /!no_newlines_after
+                                -where [leaves = [[string,            /['"`%<]/, ['string', "'\"'", "'`'"]],
+                                                  [number,            /\d/,      ['number']],
+                                                  [symbol,            /:/,       ['symbol']],
+                                                  [regexp,            /\//,      ['regexp']],
+                                                  [character,         /\?/,      ['character']],
+                                                  [keyword_leaf,      /[a-z_]/,  ['keyword']],
+                                                  [local_variable,    /[a-z_]/,  ['identifier']],
+                                                  [method_identifier, /[a-z_]/,  ['identifier']],
+                                                  [constant,          /[A-Z]/,   ['constant']],
+                                                  [instance_variable, /@/,       ['instance variable']],
+                                                  [global_variable,   /\$/,      ['global variable']],
+                                                  [a_container,       /[\[{]/,   ["'['", "'{'"]],
+                                                  [a_lambda,          /-/,       ["'->'"]],
+                                                  [a_group,           /\(/,      ["'('"]]]],
+
+    precedence_of             = $.ruby.precedence,
+    right_associative         = $.ruby.right_associative,
+
+    is(x, in_set)             = in_set.hasOwnProperty(x),
+    set_of(xs)                = xs *[[x, true]] -object -seq,
+
+    one_of(xs)                = alt.apply(null, xs),
+    longest_first(xs)         = xs.slice().sort(given[a, b] in b.length - a.length),
+    operator_pattern(op)      = op.replace(/[\\^$.*+?()\[\]{}|\/]/g, '\\$&') + (/\w$/.test(op) ? '(?![\\w?!])' : op === '=' ? '(?![=~>])' : ''),
+    operator(op)              = r(new RegExp(operator_pattern(op)), "'#{op}'") /-map/ "_[0]".qf,
+
+  // Operator sets.
+//   A set of operators is matched with one regular expression that tries them longest first, rather than with one parser per operator. Operators are tried after every operand, so this saves
+//   dozens of parser invocations (and memo table entries) each time. When none of them matches, each one is reported as expected, just as separate parsers would have done.
+
+    operators_in(ops)         = matches_any(sorted, new RegExp(sorted *operator_pattern -seq -re- it.join('|'), 'y')) -where [sorted = longest_first(ops)],
+    matches_any(ops, sticky, annotate(result, 'operators_in', [ops]))(states) =
+      states *~!state[exec_at(sticky, state) -re [it ? [advance(state, it[0].length, it[0])] : [] -se [ops *![expect(state, "'#{x}'")] -seq]]] -seq,
+
+    unary_operator            = r(/(?!(?:defined\?|not)\()/) /-bfc/ operators_in("~ ! + - not defined?".qw) /-map/ "_[1]".qf /-map/ "new node(/\\w/.test(_) ? _ : 'u' + _)".qf /!positioned /!no_newlines_after,
+    binary_operators(ops)     = operators_in(ops) /-map/ "new node(_)".qf /!positioned /!newlines_after,
+
+    binary_operator           = binary_operators(ops1.concat(ops2))
+                                -where [ops1 = "** * / % + - << >> & | ^ < <= > >= <=> == === != =~ !~ && || .. ... rescue = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||=".qw,
+                                        ops2 = "and or if unless while until".qw],
+
+    argument_operator         = binary_operators("** * / % + - << >> & | ^ < <= > >= <=> == === != =~ !~ && || .. ... = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||=".qw),
+
+    question_mark             = r(/\?(?=\s)/) /!newlines_after,
+    ternary_colon             = r(/:(?!:)/)   /!newlines_after,
+
+    block_form(n)             = /^(?:if|unless)$/.test(n.data) ? n.length === 3 : /^(?:while|until)$/.test(n.data) && n[1].data === ';',
+    infix(n)                  = n.length > 1 && is(n.data, precedence_of) && ! block_form(n),
+    binds_looser(n, c)        = +precedence_of[c.data] + ! is(n.data, right_associative) > precedence_of[n.data],
+    fix_precedence(n)         = (infix(child) && binds_looser(n, child) ? n.rotate_left() -se [it[0] = it[0] /!fix_precedence, it.position(it[0].position())] : n)
+                                -where [child = n[n.length - 1]],
+
+    zip_unary(xs)             = new node(xs[0].data, xs[1]).metadata_from(xs[0]),
+    zip_binary(xs)            = new node(xs[1].data, xs[0], xs[2]).position(xs[0].position()),
+    zip_ternary(xs)           = new node('?', xs[0], xs[2], xs[4]).position(xs[0].position()),
+
+    group                     = punctuation('(') /a_statements /-bfc/ linear_string(')') /-map/ "new node('(', _[1] /!unwrap).metadata_from(_[0])".qf /!positioned /!no_newlines_after,
+    keyword_call              = terminal(/(?:defined\?|not)(?=\()/) /-bfc/ a_group /-map/ "new node(_[0].data, _[1]).metadata_from(_[0])".qf /!positioned,
+
+  // Expression grammars.
+//   Ruby's expression grammar depends on where the expression is. Arguments can't contain the modifiers or the low-precedence 'and' and 'or' (this is the YARV thing described below), and a
+//   do-block after a paren-less argument list belongs to the outer method call rather than the last argument. So the operator-level grammar is built by a function, parameterized by the binary
+//   operators it accepts and whether its invocations can take do-blocks. Three copies get built: one for statements, one for parenthesized arguments and one for command arguments.
+
+  // Invocations and '::' lookups are postfix operations on an operand; each one is parsed into a function that takes the receiver and returns the new node.
+
+    apply_postfixes(xs)       = xs[1] /[xs[0]][x(x0)] -seq,
+
+    grammar(operators, do_blocks) = expression
+    -where [expression(states) = expression(states),
+            an_expression      = annotate(expression, 'expression', [operators]),
+
+            tails              = call_tails(do_blocks ? brace_block /-alt/ do_block : brace_block, do_blocks ? do_block : fail()),
+            head               = method_identifier /yield_or_super /-alt/ no_newlines_after(constant) /-bfc/ tails.required /-alt/ (local_variable /-bfc/ tails.parens)
+                                 /-map/ "invocation(implied_self(_[0]), _[0], _[1])".qf,
+            postfix            = method_postfix(tails.optional) /safe_postfix(tails.optional) /scope_postfix(tails.optional) /-alt/ index_postfix,
+
+            primary            = a_definition /a_control /keyword_call /head /-alt/ leaf,
+            operand            = primary /-bfc/ manyc(postfix) /-map/ apply_postfixes,
+
+            binary             = operand /operators /-bfc/ an_expression /-map/ zip_binary /-map/ fix_precedence,
+            ternary            = operand /question_mark /an_expression /ternary_colon /-bfc/ an_expression /-map/ zip_ternary /-map/ fix_precedence,
+            unary              = unary_operator /-bfc/ an_expression /-map/ zip_unary /-map/ fix_precedence,
+            expression         = binary /ternary /unary /-alt/ operand -se [it.operand = operand]],
+
+// Statements.
+// A statement is an expression or a multiple assignment. Statements are separated by newlines or semicolons, and a sequence of them is stored as a ';' node with one child per statement. Bodies
+// of definitions and blocks are always ';' nodes, even if they contain only one statement (or none). Groups, interpolations and the toplevel unwrap a sequence of one statement, so '(foo)' is
+// just ("(" foo).
+
+// A newline ends a statement unless something on the line says otherwise: a trailing binary operator or comma, an open group, or a backslash before the newline. A line starting with a dot
+// continues the method chain from the line before it. Nothing else on the next line is considered, so 'foo \n + bar' is two statements, the second of which is a unary plus.
+
+    separated_end(s, i, c, found) = (s.charAt(j) === ';' ? separated_end(s, j + 1, c, true) : found || s.substring(i, j).replace(/\\\r?\n/g, '').indexOf('\n') >= 0 ? j : -1)
+                                    -where [j = space_end(s, i, c, true)],
+
+    separator_at(states)      = states *~![j < 0 ? [] : [advance(x, j - x.position(), ';')], where [j = separated_end(x.input(), x.position(), context(x), false)]] -seq,
+    separator                 = annotate(separator_at, 'separator', []),
+
+    nothing                   = zero() /-map/ "null".qf,
+    maybe(parser)             = parser /-alt/ nothing,
+
+    statement(states)         = statement(states),
+    a_statement               = annotate(statement, 'statement', []),
+
+    statement_list            = a_statement /-bfc/ manyc(separator /-bfc/ a_statement /-map/ "_[1]".qf) /-map/ "[_[0]].concat(_[1])".qf,
+    statements                = whitespace_and_comments /maybe(separator) /maybe(statement_list) /-bfc/ maybe(separator) /-map/ "node_of(';', _[2] || [])".qf /!positioned,
+
+// Definitions.
+// Method, class and module definitions, along with alias and undef. These all start with a keyword, so they're tried before leaves. Parameter lists are ',' nodes whose children are plain names,
+// defaults ("=" _name _value), splats ("u*" _name) and block parameters ("u&" _name); an anonymous splat is a 'u*' leaf. 2.x adds keyword parameters, which are ":" nodes with the name and, if
+// there is one, the default value, and double splats ("u**" _name). A parenthesized group destructures its argument, and is stored as a '(' node around a ',' node; method parameters can do this
+// from 1.9 on. From 1.9 on, parameters can come in any order, which is looser than Ruby but covers mandatory parameters after optional ones or after a splat; 1.8 wants them in its own order.
+// Each parameter is declared as soon as it's parsed, so the defaults after it see it as a local: in 'def f(a, b = a -1)' the default subtracts. A '(' after the name always opens the parameter
+// list, so a list that doesn't parse is an error rather than the start of the body. Block parameters can end with block-local variables, which are one ("u;" _name ...) node. A class without an
+// explicit superclass gets an empty leaf in that position.
+
+// | def foo(a, b = 1, *c, &d) ... end                     ("def" foo ("," a ("=" b 1) ("u*" c) ("u&" d)) (";" ...))
+//   def foo(a:, b: 1, **c) ... end                        ("def" foo ("," (":" a) (":" b 1) ("u**" c)) (";" ...))
+//   def self.foo ... end                                  ("def" ("." self foo) (",") (";" ...))
+//   xs.each {|x; y, z| ...}                               (... ("{}" ("," x ("u;" y z)) (";" ...)))
+//   class Foo::Bar < Baz ... end                          ("class" ("::" Foo Bar) Baz (";" ...))
+//   undef foo, :bar                                       ("undef" foo :bar)
+
+    keyword(word)             = lexeme("'#{word}'", word_in(word)) /!no_newlines_after,
+    token(text)               = punctuation(text) /!no_newlines_after,
+    comma                     = punctuation(',') /!newlines_after,
+
+    method_name               = terminal(/[A-Za-z_]\w*(?:[?!]|=(?![=~>]))?|\[\]=?|<=>|===?|=~|!=|!~|[-+~!]@|\*\*|[-+*\/%~`!]|<<|>>|<=?|>=?|[&|^]/, 'method name'),
+    singleton_method_name     = terminal(/[A-Za-z_]\w*(?=\.)/) /linear_string('.') /-bfc/ method_name /-map/ "new node('.', _[0], _[2]).position(_[0].position())".qf,
+    def_name                  = singleton_method_name /-alt/ method_name,
+
+    block_parameter           = token('&') /-bfc/ identifier /-map/ "new node('u&', _[1]).metadata_from(_[0])".qf,
+    splat_parameter           = token('*') /-bfc/ identifier /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf,
+    anonymous_splat           = token('*') /-map/ "new node('u*').metadata_from(_)".qf,
+    default_parameter(value)  = no_newlines_after(identifier) /token('=') /-bfc/ value /-map/ "new node('=', _[0], _[2]).position(_[0].position())".qf,
+
+    keyword_parameter(value)  = terminal(/[a-z_]\w*(?=:(?!:))/) /token(':') /-bfc/ maybe(value)
+                                /-map/ "(_[2] ? new node(':', _[0], _[2]) : new node(':', _[0])).position(_[0].position())".qf,
+    double_splat_parameter    = token('**') /-bfc/ identifier /-map/ "new node('u**', _[1]).metadata_from(_[0])".qf,
+    anonymous_double_splat    = token('**') /-map/ "new node('u**').metadata_from(_)".qf,
+    keywords(value)           = feature('keyword_parameters', double_splat_parameter /anonymous_double_splat /-alt/ keyword_parameter(value)),
+
+    parameter_with(value, optional) = block_parameter /keywords(value) /splat_parameter /anonymous_splat /optional /-alt/ identifier /!no_newlines_after,
+    parameter                 = parameter_with(an_expression, default_parameter(an_expression)),
+
+    block_parameter_list(states) = block_parameter_list(states),
+    destructured_parameter    = token('(') /annotate(block_parameter_list, 'block_parameter_list', []) /-bfc/ token(')') /-map/ "new node('(', _[1]).metadata_from(_[0])".qf,
+
+    parameter_rank(n)         = {'=': 1, 'u*': 2, 'u&': 3}[n.data] || 0,
+    parameter_list_of(item)   = ordered('trailing_parameters', parameter_rank, declaring(item) /-bfc/ manyc(comma /-bfc/ declaring(item) /-map/ "_[1]".qf)
+                                                                               /-map/ "node_of(',', [_[0]].concat(_[1]))".qf),
+    parameter_list            = parameter_list_of(feature('destructuring_parameters', destructured_parameter) /-alt/ parameter),
+    no_parameters             = zero() /-map/ "new node(',')".qf,
+    parenthesized_parameters  = token('(') /whitespace_and_comments /(parameter_list /-alt/ no_parameters) /whitespace_and_comments /-bfc/ token(')') /-map/ "_[2]".qf,
+    parameters                = parenthesized_parameters /-alt/ (r(/(?!\()/) /-bfc/ (parameter_list /-alt/ no_parameters) /-map/ "_[1]".qf),
+
+    body                      = maybe(separator) /a_rescuable_statements /-bfc/ keyword('end') /-map/ "_[1]".qf,
+
+    scope_chain(xs)           = xs[1] /[xs[0]][new node('::', x0, x).position(x0.position())] -seq,
+    class_name                = constant /-bfc/ manyc(linear_string('::') /-bfc/ constant /-map/ "_[1]".qf) /-map/ scope_chain /!no_newlines_after,
+    superclass                = token('<') /-bfc/ an_expression /-map/ "_[1]".qf,
+    alias_name                = symbol /global_variable /-alt/ method_name /!no_newlines_after,
+
+    method_definition         = scope_keyword('def') /def_name /whitespace /declaring(parameters) /-bfc/ body /-map/ "new node('def', _[1], _[3], _[4])".qf /!scope,
+    singleton_class           = scope_keyword('class') /token('<<') /an_expression /-bfc/ body /-map/ "new node('class', new node('<<', _[2]).metadata_from(_[1]), _[3])".qf /!scope,
+    class_definition          = scope_keyword('class') /class_name /maybe(superclass) /-bfc/ body /-map/ "new node('class', _[1], _[2] || new node(''), _[3])".qf /!scope,
+    module_definition         = scope_keyword('module') /class_name /-bfc/ body /-map/ "new node('module', _[1], _[2])".qf /!scope,
+    alias_definition          = keyword('alias') /alias_name /-bfc/ alias_name /-map/ "new node('alias', _[1], _[2])".qf,
+    undef_name                = symbol /-alt/ method_name /!no_newlines_after,
+    undef_definition          = keyword('undef') /undef_name /-bfc/ manyc(comma /-bfc/ undef_name /-map/ "_[1]".qf) /-map/ "node_of('undef', [_[1]].concat(_[2]))".qf,
+
+    definition                = method_definition /singleton_class /class_definition /module_definition /alias_definition /-alt/ undef_definition /!positioned /!no_newlines_after,
+
+// Invocations.
+// An invocation is a method name followed by some combination of an argument list and a block. The receiver is either an expression followed by a dot, or an 'implied self' node if the method
+// is called without one. Method names after a dot can be anything, keywords included. Without a receiver, though, an identifier only becomes an invocation if it has parenthesized arguments, a
+// block, or a paren-less argument list; otherwise it's just a leaf. A local variable only becomes an invocation with parenthesized arguments, so 'x -1' subtracts if x is a local.
+
+// Paren-less argument lists are where whitespace matters. 'foo -1' passes -1 to foo, but 'foo - 1' subtracts. The rule used here is Ruby's: after a space, anything that looks like a binary
+// operator followed by more whitespace ends the command, and so do keywords like 'if' and 'do'. Parenthesized arguments have to follow the method name immediately.
+
+// Arguments are ',' nodes. Splats and block arguments are 'u*' and 'u&' nodes, as in parameter lists, and trailing hash arguments are kept inline as "=>" or ":" pair nodes. Label pairs
+// are new in 1.9, and 2.x adds double splats, which are 'u**' nodes. Block parameters use the parameter syntax, except that a default value is a primary like 'x' or 'f(x)' rather than any
+// expression. Otherwise the '|' that closes the list would be read as a binary operator.
+
+// | foo.bar(1, *xs, &f)                                   ("()" foo bar ("," 1 ("u*" xs) ("u&" f)) "")
+//   puts x, :y => 1, z: 2                                 ("()" (implied self) puts ("," x ("=>" :y 1) (":" z 2)) "")
+//   xs.each {|a, (b, c), *d| ...}                         ("()" xs each (",") ("{}" ("," a ("(" ("," b c)) ("u*" d)) (";" ...)))
+
+// A call made with '&.' instead of a dot is an "&." node laid out like a "()" node; it's new in 2.x. Lambda literals, new in 1.9, are operands. Their parameters are written outside of the
+// block, so they're the first child of the "->" node, and the block after them has no parameters of its own.
+
+// | foo&.bar(1)                                           ("&." foo bar ("," 1) "")
+//   ->(x, y = 1) { x + y }                                ("->" ("," x ("=" y 1)) ("{}" (",") (";" ("+" x y))))
 
   // Modifiers.
 //   There are various oddities inherited from YARV. One of them is the way argument lists are parsed, which sometimes yields errors. For example, consider these statements:
@@ -222,66 +955,206 @@ caterwaul.js_all()(function ($) {
   // Because of this, Caterwaul's Ruby parser does the YARV thing and uses an entirely separate grammar production for arguments. Unlike YARV, however, this one factors common logic into reusable
 //   functions.
 
-    expression(accept) = expression
+    implied_self(name)        = new node('implied self').position(name.position()),
+    invocation(r, name, tail) = new node('()', r, name, tail[0], tail[1]).position(r.position()) -se [it._end = tail[2] ? tail[2]._end : null],
+
+    call_on(xs)(receiver)     = invocation(receiver, xs[1], xs[2]),
+    safe_call_on(xs)(receiver) = invocation(receiver, xs[1], xs[2]) -se [it.data = '&.'],
+    scoped_on(xs)(receiver)   = new node('::', receiver, xs[1]).position(receiver.position()),
+    indexed_on(xs)(receiver)  = new node('[]', receiver, xs[2]).position(receiver.position()) -se [it._end = xs[5]._end],
+
+    yield_or_super            = lexeme(null, word_in('yield super')),
+    called_method_name        = lexeme(null, given[t, state] in method_word(t, state.input())) /-map/ "_.kind('method call')".qf,
+
+    dot                       = whitespace_and_comments /r(/\.(?!\.)/) /-bfc/ whitespace_and_comments,
+    safe_dot                  = whitespace_and_comments /r(/&\./) /-bfc/ whitespace_and_comments,
+    method_postfix(tail)      = dot /called_method_name /-bfc/ tail /-map/ call_on,
+    safe_postfix(tail)        = feature('safe_navigation', safe_dot /called_method_name /-bfc/ tail /-map/ safe_call_on),
+    scope_postfix(tail)       = linear_string('::') /-bfc/ no_newlines_after(constant) /-map/ scoped_on /-alt/ (linear_string('::') /called_method_name /-bfc/ tail /-map/ call_on),
+
+    no_arguments              = zero() /-map/ "new node(',')".qf,
+    no_block                  = zero() /-map/ "new node('')".qf,
+    required_whitespace       = r(/(?:[ \t\r\f]|\\\r?\n)+/),
+    command_stop              = r(/(?:and|or|not|if|unless|while|until|rescue|then|do|end|in)(?![\w?!])|(?!->)[-+*\/%&|^<>=!~?:.]+(?=\s|$)|=(?![=~>])|\{/),
+
+    index_postfix             = linear_string('[') /whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /whitespace_and_comments /-bfc/ token(']')
+                                /-map/ indexed_on,
+
+    parenthesized_arguments   = linear_string('(') /whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /whitespace_and_comments /-bfc/ punctuation(')'),
+
+    call_tails(block, trailing_do) = {required: parens /command /-alt/ bare, optional: parens /command /bare /-alt/ none, parens: parens}
+                                     -where [parens  = parenthesized_arguments /whitespace /-bfc/ (block /-alt/ no_block) /-map/ "[_[0][2], _[2], _[0][5]]".qf,
+                                             command = required_whitespace /reject(command_stop) /a_command_arguments /-bfc/ (trailing_do /-alt/ no_block) /-map/ "[_[2], _[3]]".qf,
+                                             bare    = whitespace /no_arguments /-bfc/ block /-map/ "[_[1], _[2]]".qf,
+                                             none    = whitespace /no_arguments /-bfc/ no_block /-map/ "[_[1], _[2]]".qf],
+
+    primary_value(states)     = expression.operand(states),
+    a_primary_value           = annotate(primary_value, 'primary_value', []),
+    block_parameter_list      = parameter_list_of(destructured_parameter /-alt/ parameter_with(a_primary_value, feature('block_parameter_defaults', default_parameter(a_primary_value)))),
+    block_locals              = feature('block_locals', token(';') /(identifier /!no_newlines_after) /-bfc/ manyc(comma /-bfc/ (identifier /!no_newlines_after) /-map/ "_[1]".qf)
+                                                        /-map/ "node_of('u;', [_[1]].concat(_[2])).metadata_from(_[0])".qf),
+    block_parameters          = token('|') /whitespace_and_comments /(block_parameter_list /-alt/ no_parameters) /maybe(block_locals) /whitespace_and_comments /-bfc/ token('|')
+                                /-map/ "_[3] ? node_of(',', Array.prototype.slice.call(_[2]).concat([_[3]])) : _[2]".qf
+                                /-alt/ no_parameters,
+
+    brace_block               = token('{') /whitespace_and_comments /declaring(block_parameters) /a_statements /-bfc/ token('}') /-map/ "new node('{}', _[2], _[3]).metadata_from(_[0])".qf /!positioned /!scope,
+    do_block                  = keyword('do') /whitespace_and_comments /declaring(block_parameters) /a_rescuable_statements /-bfc/ keyword('end') /-map/ "new node('do', _[2], _[3]).metadata_from(_[0])".qf /!positioned /!scope,
+
+    lambda_brace              = token('{') /whitespace_and_comments /a_statements /-bfc/ token('}') /-map/ "new node('{}', new node(','), _[2]).metadata_from(_[0])".qf /!positioned,
+    lambda_do                 = keyword('do') /whitespace_and_comments /a_rescuable_statements /-bfc/ keyword('end') /-map/ "new node('do', new node(','), _[2]).metadata_from(_[0])".qf /!positioned,
+    lambda_literal            = token('->') /declaring(parameters) /-bfc/ (lambda_brace /-alt/ lambda_do) /-map/ "new node('->', _[1], _[2]).metadata_from(_[0])".qf /!positioned /!scope,
+
+    arguments_from(expression) = ordered('trailing_arguments', rank, argument /-bfc/ manyc(comma /-bfc/ argument /-map/ "_[1]".qf) /-map/ "node_of(',', [_[0]].concat(_[1]))".qf)
+                                 -where [rank(n)  = {'u*': 1, 'u&': 2}[n.data] || 0,
+                                         splat    = token('*') /-bfc/ expression /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf,
+                                         double   = feature('double_splats', token('**') /-bfc/ expression /-map/ "new node('u**', _[1]).metadata_from(_[0])".qf),
+                                         block    = token('&') /-bfc/ expression /-map/ "new node('u&', _[1]).metadata_from(_[0])".qf,
+                                         pair     = expression /(token('=>') /!newlines_after) /-bfc/ expression /-map/ "new node('=>', _[0], _[2]).position(_[0].position())".qf,
+                                         label    = feature('labels', terminal(/[A-Za-z_]\w*[?!]?(?=:(?!:))/) /(linear_string(':') /!newlines_after) /-bfc/ expression
+                                                                      /-map/ "new node(':', _[0], _[2]).position(_[0].position())".qf),
+                                         quoted   = feature('string_labels', quoted_string /(linear_string(':') /!newlines_after) /-bfc/ expression
+                                                                             /-map/ "new node(':', _[0], _[2]).position(_[0].position())".qf),
+                                         argument = double /splat /block /label /quoted /pair /-alt/ expression],
+
+    expression                = grammar(binary_operator, true),
+    argument_expression       = grammar(argument_operator, true),
+    argument_list             = argument_expression /!arguments_from,
+    command_arguments         = grammar(argument_operator, false) /!arguments_from,
+
+// Containers.
+// Array and hash literals use the opening bracket as their node data, with a ',' node of elements inside. Their elements are parsed as arguments, so an array can have splats and a hash can
+// use either pair syntax (or both). Indexing is a postfix operation like an invocation, stored as a '[]' node with the receiver and a ',' node of indexes; '[]=' is just an assignment to one.
+
+// An opening brace after something that can take a block is always a block, and the block parsers get the first try at it. So a brace only becomes a hash when it's in operand position: 'x
+// {foo}' passes a block to x, while 'x({foo => 1})' and 'x = {foo => 1}' build hashes.
+
+    element_list              = whitespace_and_comments /(an_argument_list /-alt/ no_arguments) /maybe(comma) /-bfc/ whitespace_and_comments /-map/ "_[1]".qf,
+    array                     = token('[') /element_list /-bfc/ token(']') /-map/ "new node('[', _[1]).metadata_from(_[0])".qf,
+    hash                      = token('{') /element_list /-bfc/ token('}') /-map/ "new node('{', _[1]).metadata_from(_[0])".qf,
+
+    container                 = array /-alt/ hash /!positioned /!no_newlines_after,
+
+// Assignment.
+// Simple assignment is just a right-associative binary operator, but assignments with more than one thing on either side are statement-level constructs.
+
+  // Dealing with commas.
+//   Another difference worth considering is that the comma plays different roles depending on where it is. The most interesting case happens if we observe commas within a statement but not
+//   inside an argument list; in this case, it has higher precedence than = because it's part of an lvalue or an rvalue:
 
-                 -where [expression(states) = expression(states), a_expression = annotate(expression, 'expression', [accept]),
+  // | x, y = 1, 2           <- (x, y) = (1, 2)
 
-                         nth(i) = this /-bfc.apply/ [].slice.call(arguments, 1) /-map/ "_[i]".qf,
+  // However, this isn't true of array constructors or argument lists; in both of those cases the comma has lower precedence than =:
 
-                         
+  // | f(x, y = 1, 2)        <- f((x), (y = 1), (2))
+//     [x, y = 1, 2]         <- [(x), (x = 1), (2)]
 
+  // So part of the parameterization for expression trees is how to treat the precedence of the comma. In practice, this is done by using two separate operators depending on the context.
+//   Low-precedence commas are just regular commas, and high-precedence ones are stored in nodes whose data is ',h'.
 
+    assignable(states)        = expression.operand(states),
+    an_assignable             = annotate(assignable, 'assignable', []),
 
-          // Forward definitions
-          expression(states) = expression(states),
-          group(states)      = group(states),
+    comma_list(xs)            = node_of(',h', xs).position(xs[0].position()),
+    is_splat(n)               = n.data === 'u*',
 
-          an_expression      = annotate(expression, 'expression', []),
-          a_group            = annotate(group, 'group', []),
+    lhs_item(states)          = lhs_item(states),
+    lhs_list(states)          = lhs_list(states),
+    an_lhs_item               = annotate(lhs_item, 'lhs_item', []),
 
-          // Terminals
-          terminal(parser)   = parser /-map/ "new node(_)".qf,
-          rt(regexp)         = regexp /!r /!terminal /!positional,
+    lhs_list                  = an_lhs_item /manyc(comma /-bfc/ an_lhs_item /-map/ "_[1]".qf) /-bfc/ maybe(comma),
+    lhs_splat                 = token('*') /-bfc/ maybe(an_assignable) /-map/ "(_[1] ? new node('u*', _[1]) : new node('u*')).metadata_from(_[0])".qf,
+    lhs_group                 = token('(') /annotate(lhs_list, 'lhs_list', []) /-bfc/ token(')') /-map/ "new node('(', comma_list([_[1][0]].concat(_[1][1]))).metadata_from(_[0])".qf,
+    lhs_item                  = lhs_splat /lhs_group /-alt/ an_assignable,
 
-          whitespace         = r(/\s+/),
-          line_comment       = rt(/#.*[\n\r]{1,2}/),
-          identifier         = rt(/\w+[?!]?/),
-          global             = rt(/\$\w+[?!]?/),
-          instance_variable  = rt(/@\w+[?!]?/),
-          symbol             = r(/:/) /-bfs/ (identifier /global /-alt/ instance_variable) /-map/ "':#{_}'".qf /!terminal,
-          number             = rt(/\d+\.\d+(?:[Ee][-+]?\d{1,3})?|\d+|0x[0-9a-fA-F]+|0[0-7]+/),
-          regexp             = rt(/\/(?:[^\\\/]|\\.)*\//),                                                                      // <- FIXME add flags
+    multiple_lhs              = lhs_list /-flat_map/ "_[1].length || _[2] || is_splat(_[0]) ? [comma_list([_[0]].concat(_[1]))] : []".qf,
+    multiple_rhs              = an_argument_list /-flat_map/ "_.length > 1 || is_splat(_[0]) ? [comma_list(Array.prototype.slice.call(_))] : []".qf,
+    assignment_operator       = token('=') /!newlines_after,
 
-          literal            = global /symbol /number /-alt/ regexp,                                                            // <- FIXME add strings
-          leaf               = identifier /a_group /instance_variable /-alt/ literal /!si,
+    multiple_assignment       = declaring(multiple_lhs /-bfc/ assignment_operator /-map/ "_[0]".qf) /-bfc/ (multiple_rhs /-alt/ an_expression) /-map/ "new node('=', _[0], _[1]).position(_[0].position())".qf,
+    list_assignment           = an_assignable /assignment_operator /-bfc/ multiple_rhs /-map/ "new node('=', _[0], _[2]).position(_[0].position())".qf,
 
-          // Expressions
-          precedence_of      = (ops1 + ops2) *[[x, precedence += x === '#']] %[x[0] !== '#'] -object -seq
-                               -where [precedence = 1,
-                                       ops1       = ". # u! u~ u+ # ** # u- # * / % # + - # << >> # & # | ^ # > >= < <= # <=> == === != =~ !~ # && # || # .. ... # ? #".qw,
-                                       ops2       = "rescue # = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= # defined? # not # and or # if unless while until".qw],
+    statement                 = multiple_assignment /list_assignment /-alt/ an_expression,
 
-          is(x, in_set)      = in_set.hasOwnProperty(x),
-          set_of(xs)         = xs *[[x, true]] -object -seq,
-          right_associative  = "u! u~ u+ ** u- ? = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||= not".qw /!set_of,
+// Control flow.
+// Conditionals, loops, case and begin/rescue. Each of these is an operand, so it can appear anywhere an expression can ('x = if a then b else c end'). The modifier forms are binary operators
+// and are handled by the expression grammar; they're stored body-first, which is how a block-form loop can be told apart from a modifier: its body is always a ';' node in the second position.
 
-          one_of(xs)         = alt.apply(null, xs),
+// An 'if' or 'unless' always has three children. The third is the else branch: a ';' node for 'else', an "elsif" node (which has the same shape as "if") for 'elsif', or an empty leaf if
+// there isn't one. The condition can be followed by 'then', a separator, or both, and in 1.8 it can be followed by a colon instead.
 
-          unary_operator     = "~ ! + - not defined?".qw *linear_string /seq /!one_of /-map/ "new node(_)".qf /!si,
-          binary_operator    = (ops1 + ops2) *linear_string             /seq /!one_of /-map/ "new node(_)".qf /!si
-                               -where [ops1 = ". ** * / % + - << >> & | ^ < <= > >= <=> == === != =~ !~ && || .. ... rescue = += -= *= /= %= **= <<= >>= &= ^= |= &&= ||=".qw,
-                                       ops2 = "and or if unless while until".qw],
+// | if _c then _a elsif _d then _b else _e end           ("if" _c (";" _a) ("elsif" _d (";" _b) (";" _e)))
+//   unless _c; _a; end                                    ("unless" _c (";" _a) "")
+//   while _c do _a end                                    ("while" _c (";" _a))
+//   for _x, _y in _xs do _a end                           ("for" (",h" _x _y) _xs (";" _a))
 
-          fix_precedence(n)  = +precedence_of[n[1].data] + ! is(n.data, right_associative) > precedence_of[n.data] ? n.rotate_left() : n,
-          zip_unary(xs)      = xs[0].push(xs[1]),
-          zip_binary(xs)     = xs[1].push(xs[0]).push(xs[2]),
+    then_break                = (maybe(separator) /-bfc/ keyword('then')) /separator /-alt/ feature('colon_then', r(/:(?!:)/) /!no_newlines_after),
+    clause_body               = then_break /-bfc/ a_statements /-map/ "_[1]".qf,
+    no_else                   = zero() /-map/ "new node('')".qf,
+    else_body                 = keyword('else') /-bfc/ a_statements /-map/ "_[1]".qf,
 
-          group              = si(s('(')) /an_expression /-bfc/ si(s(')')) /-map/ "new node('(', _[1])".qf,
+    if_tail(states)           = if_tail(states),
+    an_if_tail                = annotate(if_tail, 'if_tail', []),
 
-          binary             = leaf /binary_operator /-bfc/ an_expression /-map/ zip_binary /-map/ fix_precedence,
-          unary              = unary_operator /-bfc/ an_expression /-map/ zip_unary,
-          expression         = binary /unary /-alt/ leaf /!si],
+    elsif_clause              = keyword('elsif') /an_expression /clause_body /-bfc/ an_if_tail /-map/ "new node('elsif', _[1], _[2], _[3]).metadata_from(_[0])".qf,
+    if_tail                   = elsif_clause /else_body /-alt/ no_else,
 
-  using [caterwaul.parser]})(caterwaul);
+    if_block                  = keyword('if') /an_expression /clause_body /an_if_tail /-bfc/ keyword('end') /-map/ "new node('if', _[1], _[2], _[3])".qf,
+    unless_block              = keyword('unless') /an_expression /clause_body /(else_body /-alt/ no_else) /-bfc/ keyword('end') /-map/ "new node('unless', _[1], _[2], _[3])".qf,
 
+  // Loops.
+//   The condition of a 'while', 'until' or 'for' can be followed by 'do', so it's parsed with a copy of the expression grammar whose invocations don't take do-blocks, just like command
+//   arguments. The variables of a 'for' loop are an assignment target, so more than one of them makes a ',h' node.
+
+    loop_condition            = grammar(binary_operator, false),
+    loop_body                 = ((maybe(separator) /-bfc/ keyword('do')) /-alt/ separator) /-bfc/ a_statements /-map/ "_[1]".qf,
+
+    loop_block(word)          = keyword(word) /loop_condition /loop_body /-bfc/ keyword('end') /-map/ "new node(word, _[1], _[2])".qf,
+    for_variables             = lhs_list /-map/ "_[1].length || _[2] ? comma_list([_[0]].concat(_[1])) : _[0]".qf,
+    for_block                 = keyword('for') /declaring(for_variables) /keyword('in') /loop_condition /loop_body /-bfc/ keyword('end') /-map/ "new node('for', _[1], _[3], _[4])".qf,
+
+  // Case and exceptions.
+//   A 'case' node has the subject (an empty leaf if there isn't one) followed by its 'when' clauses, and then an "else" node if there's an else branch. Each 'when' has a ',' node of values,
+//   which can include splats. 'begin' works the same way: the body comes first, then any "rescue" clauses, then "else" and "ensure" nodes if they're present. A rescue clause has a ',' node of
+//   exception classes, the variable (or an empty leaf) and the body.
+
+  // The bodies of methods, classes, modules and do-blocks can have rescue clauses without a 'begin'. Their body is then a "begin" node instead of a ';' node, which is unambiguous because an
+//   explicit 'begin' would be a statement inside the ';' node.
+
+  // The jump statements 'return', 'break' and 'next' take an optional paren-less argument list. A single argument is stored by itself and more than one becomes a ',h' node.
+
+// | case _x when _a, *_b then _c else _d end             ("case" _x ("when" ("," _a ("u*" _b)) (";" _c)) ("else" (";" _d)))
+//   begin _a rescue _k => _e; _b ensure _c end            ("begin" (";" _a) ("rescue" ("," _k) _e (";" _b)) ("ensure" (";" _c)))
+//   return _x, _y                                         ("return" (",h" _x _y))
+
+    tagged_body(word)         = keyword(word) /-bfc/ a_statements /-map/ "new node(word, _[1]).metadata_from(_[0])".qf,
+
+    when_clause               = keyword('when') /an_argument_list /-bfc/ clause_body /-map/ "new node('when', _[1], _[2]).metadata_from(_[0])".qf,
+    case_block                = keyword('case') /(an_expression /-alt/ no_else) /maybe(separator) /manyc(when_clause) /maybe(tagged_body('else')) /-bfc/ keyword('end')
+                                /-map/ "node_of('case', [_[1]].concat(_[3], _[4] ? [_[4]] : []))".qf,
+
+    exception                 = token('*') /-bfc/ argument_expression /-map/ "new node('u*', _[1]).metadata_from(_[0])".qf /-alt/ argument_expression,
+    exception_list            = exception /-bfc/ manyc(comma /-bfc/ exception /-map/ "_[1]".qf) /-map/ "node_of(',', [_[0]].concat(_[1]))".qf,
+    rescue_variable           = token('=>') /!newlines_after /-bfc/ an_assignable /-map/ "_[1]".qf,
+    rescue_clause             = keyword('rescue') /(exception_list /-alt/ no_arguments) /(declaring(rescue_variable) /-alt/ no_else) /-bfc/ clause_body
+                                /-map/ "new node('rescue', _[1], _[2], _[3]).metadata_from(_[0])".qf,
+
+    rescue_parts              = a_statements /manyc(rescue_clause) /maybe(tagged_body('else')) /-bfc/ maybe(tagged_body('ensure'))
+                                /-map/ "[_[0]].concat(_[1], _[2] ? [_[2]] : [], _[3] ? [_[3]] : [])".qf,
+
+    begin_block               = keyword('begin') /rescue_parts /-bfc/ keyword('end') /-map/ "node_of('begin', _[1])".qf,
+    rescuable_statements      = rescue_parts /-map/ "_.length > 1 ? node_of('begin', _).position(_[0].position()) : _[0]".qf,
+
+    jump_word                 = lexeme(null, word_in('return break next')),
+    jump_arguments            = whitespace /reject(command_stop) /-bfc/ a_command_arguments /-map/ "_[2].length > 1 ? comma_list(Array.prototype.slice.call(_[2])) : _[2][0]".qf,
+    jump                      = jump_word /-bfc/ maybe(jump_arguments) /-map/ "_[1] ? new node(_[0].data, _[1]).metadata_from(_[0]) : _[0]".qf,
+
+    control                   = if_block /unless_block /loop_block('while') /loop_block('until') /for_block /case_block /begin_block /-alt/ jump /!positioned /!no_newlines_after,
+
+// Toplevel parsers.
+// A program is a sequence of statements that has to consume the entire input. If there's only one statement, it's returned by itself rather than inside a ';' node. The last statement doesn't
+// need a newline after it, so the input can end with a comment on the same line.
+
+    program                   = a_statements /whitespace_and_comments /-bfc/ end_of_input /-map/ "_[0] /!unwrap".qf],
+
+  using [caterwaul.parser]})(caterwaul);
 // Generated by SDoc 
@@ -0,0 +1,169 @@
+// Caterwaul Ruby projects | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// project() parses a whole Ruby project rather than one string. It reads every .rb file under a directory, follows require, require_relative and load to any other local files they name, and
+// indexes what it finds: the namespaces that classes and modules define, the methods defined in each file and the places where methods are called.
+
+// | p = caterwaul.ruby.project('app');
+//   p.files['app/lib/a.rb'].requires[0].path                   // -> 'app/lib/b.rb'
+//   p.namespaces['A::B'].superclass                            // -> 'A::C', or 'C' if there's no A::C in the project
+//   p.methods.run.map(function (d) {return d.owner})           // -> ['A::B'], for 'module A; class B < C; def run; ...'
+//   p.calls.run.length                                         // -> the number of places that call a method named run
+
+// The second argument is an object of options. 'version' is passed on to the parser, 'load_path' lists the directories that require and load search, relative to the root ('.' and 'lib' by
+// default), and 'files' maps paths to source text, in which case it's used instead of the file system. Without 'files', project() needs node.js, and it skips directories whose names start
+// with a dot.
+
+// Files.
+// p.files maps each path to {path, tree, requires, error}. Paths are joined with '/' and normalized, and they start with the root as it was given. A file that doesn't parse has a null tree and
+// its SyntaxError as its error, and the rest of the project is indexed without it. Each requirement is {kind, name, path, node, position}, where kind is the method name, name is the string it
+// was given and path is the file it resolved to. require and load look in the load path, trying the name with '.rb' first; require_relative looks next to the requiring file, as do the common
+// File.expand_path('../x', __FILE__) and File.expand_path('x', __dir__) forms. A requirement that doesn't resolve to a local file, like a gem, has a null path, and one whose name isn't a literal
+// has a null name as well.
+
+// Namespaces.
+// p.namespaces maps each fully qualified class or module name to {name, kind, superclass, mixins, definitions}. Names are qualified by the modules and classes around them, so 'module A; class
+// B' defines 'A::B', and each time a class is reopened adds to its definitions, which are {file, node, position}. The superclass and the modules in mixins, which are {kind, name, node, position}
+// for each include, extend or prepend in the body, are resolved the way Ruby looks up constants from where they're written: 'C' inside 'module A' is 'A::C' if the project defines one.
+
+// Methods and calls.
+// p.methods and p.calls both map method names to lists, so that p.methods.foo and p.calls.foo are the definitions of and calls to anything named foo. A definition is {name, owner, singleton,
+// file, node, position}: the owner is the namespace it's defined in, or 'Object' at the top level, and singleton is true for 'def self.foo' and methods in 'class << self'. attr_reader,
+// attr_writer, attr_accessor and define_method with literal names count as definitions too.
+
+// A call is {name, receiver, file, node, position}, where the receiver is a node or null when it's implied. Method calls with and without receivers are included, as are attribute assignments
+// like 'x.y = 1' (a call to 'y='), '&:foo' block arguments and send, public_send, __send__ and method with literal names. Operators aren't. This is enough for a rough dead-code report:
+
+// | Object.keys(p.methods).filter(function (name) {return ! p.calls[name]})
+
+caterwaul.js_all()(function ($, require) {
+  $.ruby.project(root, options) = project -se [load_all(sources(base)), index(it)]
+                                  -where [o         = options || {},
+                                          base      = normalize(root),
+                                          files     = o.files && table() -se [Object.keys(o.files) *![it[normalize(x)] = o.files[x]] -seq],
+                                          fs        = files ? null : require('fs'),
+                                          load_path = (o.load_path || ['.', 'lib']) *[join(base, x)] -seq,
+                                          project   = {root: base, files: table(), namespaces: table(), methods: table(), calls: table()},
+
+// Loading.
+// Files are loaded a level at a time: the files under the root, then the files they require that haven't been loaded yet, and so on until a level doesn't turn up anything new.
+
+                                          load_all(paths)  = paths.length && load_all(paths *~!load -seq),
+                                          load(path)       = project.files[path] ? [] : loaded(path),
+                                          loaded(path)     = file.requires *[x.path] %[x && ! project.files[x]] -seq -where [file = project.files[path] = parse(path)],
+
+                                          parse(path)      = {path: path, tree: tree, requires: requirements(tree, path), error: null} -where [tree = $.ruby(read(path), o)]
+                                                             -rescue- (e instanceof $.ruby.SyntaxError ? {path: path, tree: null, requires: [], error: e} : raise [e]),
+
+                                          sources(dir)     = files ? Object.keys(files) %[under(dir, x) && /\.rb$/.test(x)] -seq -re- it.sort() : walk(dir),
+                                          walk(dir)        = fs.readdirSync(dir).sort() %[! /^\./.test(x)] *~![entry(join(dir, x))] -seq,
+                                          entry(path)      = (stat.isDirectory() ? walk(path) : stat.isFile() && /\.rb$/.test(path) ? [path] : []) -where [stat = fs.statSync(path)],
+
+                                          exists(path)     = files ? Object.prototype.hasOwnProperty.call(files, path) : fs.existsSync(path) && fs.statSync(path).isFile(),
+                                          read(path)       = files ? files[path] : fs.readFileSync(path, 'utf8'),
+
+// Requirements.
+// A requirement's candidates are the paths it could mean, in the order they're tried; it resolves to the first one that exists.
+
+                                          requirements(t, path) = t.find_all(requirement) *[{kind: x.method_name(), name: name(x), path: resolve(x, path), node: x, position: x.position()}] -seq,
+                                          requirement(n)        = n.is_invocation() && n.receiver().is_implied_self() && /^(?:require|require_relative|load)$/.test(n.method_name())
+                                                                  && n.arguments().length > 0,
+
+                                          name(n)               = (literal(a) || expanded(a) && literal(a.arguments()[0]) || null) -where [a = n.arguments()[0]],
+                                          resolve(n, path)      = candidates(n, path) |[exists(x) && x] |seq || null,
+
+                                          candidates(n, path)   = (expanded(a)                            ? rb(expanded(a)(path)) :
+                                                                   ! literal(a)                           ? [] :
+                                                                   n.method_name() === 'require_relative' ? rb(join(dirname(path), literal(a))) :
+                                                                   literal(a).charAt(0) === '/'           ? rb(normalize(literal(a))) :
+                                                                                                            load_path *~![rb(join(x, literal(a)))] -seq)
+                                                                  -where [a = n.arguments()[0]],
+
+                                          rb(path)              = /\.rb$/.test(path) ? [path] : [path + '.rb', path],
+
+// The second argument to File.expand_path is the directory the first is relative to, which __FILE__ isn't, so '../x' against __FILE__ means x next to the file.
+
+                                          expanded(n)           = n.is_invocation() && n.receiver().data === 'File' && n.method_name() === 'expand_path' && n.arguments().length === 2
+                                                                  && literal(n.arguments()[0]) && relative_to(n.arguments()[1]) -re [it && given.path in join(it(path), literal(n.arguments()[0]))],
+
+                                          relative_to(n)        = n.data === '__FILE__' ? given.path in path :
+                                                                  n.data === '__dir__' || n.is_invocation() && n.receiver().data === 'File' && n.method_name() === 'dirname'
+                                                                                       && n.arguments().length === 1 && n.arguments()[0].data === '__FILE__' ? dirname : null],
+
+  where [table()         = Object.create(null),
+         children(n)     = Array.prototype.slice.call(n),
+
+         literal(n)      = ! n.length && /^(?:'[^'\\]*'|"[^"\\#]*")$/.test(n.data) ? n.data.slice(1, -1) : null,
+         symbol(n)       = ! n.length && /^:[A-Za-z_]\w*[?!=]?$/.test(n.data) ? n.data.substr(1) : literal(n),
+
+         under(dir, p)   = dir === '.' ? p.charAt(0) !== '/' && ! /^\.\.(?:\/|$)/.test(p) : p.indexOf(dir === '/' ? dir : dir + '/') === 0,
+         join(a, b)      = normalize(b.charAt(0) === '/' ? b : a + '/' + b),
+         dirname(p)      = normalize(p + '/..'),
+         normalize(p)    = (absolute ? '/' : '') + (p.split('/').reduce(step, []).join('/') || (absolute ? '' : '.'))
+                           -where [absolute    = p.charAt(0) === '/',
+                                   step(ps, x) = x === '' || x === '.'                     ? ps :
+                                                 x !== '..'                                ? ps.concat([x]) :
+                                                 ps.length && ps[ps.length - 1] !== '..'   ? ps.slice(0, -1) :
+                                                 absolute                                  ? ps : ps.concat([x])],
+
+// Indexing.
+// Each tree is walked with the namespace it's in, whether that's a singleton class, and the nesting that constant lookups search, innermost first. Constants are resolved once every file has been
+// walked, so that a superclass defined in a file that's loaded later is still found.
+
+         index(p)        = Object.keys(p.files) *![p.files[x].tree && visit(p.files[x].tree, {file: x, namespace: null, singleton: false, nesting: []}, p, constants)] -seq
+                           -se [constants *![x.target[x.field] = lookup(p, x.name, x.nesting)] -seq]
+                           -where [constants = []],
+
+         lookup(p, name, nesting) = (/^::/.test(name) ? name.substr(2) : scopes |[p.namespaces[x] && x] |seq || name)
+                                    -where [scopes = nesting *[x + '::' + name] -seq -re- it.concat([name])],
+         qualify(c, name)         = /^::/.test(name) ? name.substr(2) : c.namespace ? c.namespace + '::' + name : name,
+         group(t, name, x)        = (t[name] || (t[name] = [])).push(x),
+         site(n, c)               = {file: c.file, node: n, position: n.position()},
+
+         visit(n, c, p, k)       = ! n.length                        ? n.kind() === 'method call' && call(n, n.data, null, c, p) :
+                                   n.is_class() || n.is_module()      ? namespace(n, c, p, k) :
+                                   n.is_singleton_class()             ? (visit(n.singleton(), c, p, k), visit(n.body(), $.merge({}, c, {singleton: n.singleton().data === 'self'}), p, k)) :
+                                   n.is_def()                         ? (define(n, n.def_name(), c, p), children(n) *![visit(x, c, p, k)] -seq) :
+                                   n.is_invocation()                  ? (invocation(n, c, p, k), [n[0], n[2], n[3]] *![visit(x, c, p, k)] -seq) :
+                                   n.data === '=' && n.length === 2
+                                                  && n[0].is_invocation() && ! n[0].arguments().length
+                                                                      ? (call(n[0], n[0].method_name() + '=', n[0].receiver(), c, p), visit(n[0][0], c, p, k), visit(n[1], c, p, k)) :
+                                                                        children(n) *![visit(x, c, p, k)] -seq,
+
+         namespace(n, c, p, k)   = (entry.definitions.push(site(n, c)),
+                                    n.is_class() && n.superclass() && /^[A-Z]/.test(constant(n.superclass())) && k.push({target: entry, field: 'superclass', name: constant(n.superclass()), nesting: c.nesting}),
+                                    n.is_class() && visit(n[1], c, p, k),
+                                    visit(n.body(), inner, p, k))
+                                   -where [name  = qualify(c, n.is_class() ? n.class_name() : n.module_name()),
+                                           entry = p.namespaces[name] || (p.namespaces[name] = {name: name, kind: n.data, superclass: null, mixins: [], definitions: []}),
+                                           inner = {file: c.file, namespace: name, singleton: false, nesting: [name].concat(c.nesting)}],
+
+         constant(n)             = n.data === '::' && n.length === 2 ? constant(n[0]) + '::' + constant(n[1]) : n.data,
+
+         define(n, name, c, p)   = group(p.methods, name, $.merge({name: name, owner: owner, singleton: singleton}, site(n, c)))
+                                   -where [s         = n.is_def() && n.singleton(),
+                                           owner     = s && s.data !== 'self' ? constant(s) : c.namespace || 'Object',
+                                           singleton = !! s || c.singleton],
+
+         call(n, name, r, c, p)  = group(p.calls, name, $.merge({name: name, receiver: r}, site(n, c))),
+
+// An invocation can define methods or mix modules in as well as being a call. Its symbol arguments are checked against the methods that take method names, and any '&:foo' argument is a call
+// to foo on each thing the block would have been given.
+
+         invocation(n, c, p, k)  = (call(n, n.method_name(), n.receiver().is_implied_self() ? null : n.receiver(), c, p),
+                                    self && attributes.hasOwnProperty(n.method_name()) && names *![attributes[n.method_name()] *!y[define(x, y(symbol(x)), c, p)] -seq] -seq,
+                                    self && n.method_name() === 'define_method' && names.length && define(names[0], symbol(names[0]), c, p),
+                                    self && /^(?:include|extend|prepend)$/.test(n.method_name()) && c.namespace
+                                         && n.arguments() %[/^[A-Z]/.test(constant(x))] *![k.push({target: mixin(x), field: 'name', name: constant(x), nesting: c.nesting})] -seq,
+                                    /^(?:send|public_send|__send__|method)$/.test(n.method_name()) && names.length && names[0] === n.arguments()[0] && call(names[0], symbol(names[0]), self ? null : n[0], c, p),
+                                    n.arguments() %[x.data === 'u&' && x.length === 1 && symbol(x[0])] *![call(x, symbol(x[0]), null, c, p)] -seq)
+                                   -where [self     = n.receiver().is_implied_self(),
+                                           names    = n.arguments() %[symbol(x)] -seq,
+                                           mixin(x) = {kind: n.method_name(), name: null, node: x, position: x.position()} -se- p.namespaces[c.namespace].mixins.push(it)],
+
+         attributes              = {attr_reader:   [given.x in x],
+                                    attr_writer:   [given.x in x + '='],
+                                    attr_accessor: [given.x in x, given.x in x + '='],
+                                    attr:          [given.x in x]}]})(caterwaul, typeof require === 'function' ? require : null);
+// Generated by SDoc 
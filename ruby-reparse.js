@@ -0,0 +1,118 @@
+// Caterwaul Ruby incremental reparsing | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// An editor that keeps a syntax tree for its buffer can't afford to reparse the whole buffer on every keystroke. reparse() takes a tree that came from caterwaul.ruby() (or from an earlier
+// reparse()) and an edit, which removes some number of characters at an offset and inserts a string in their place, and returns the tree for the edited source:
+
+// | t = caterwaul.ruby('def f\n  x = 1\n  g x\nend\nh');
+//   u = caterwaul.ruby.reparse(t, {offset: 12, removed: 1, inserted: '42'});
+//   u.toRuby()            // -> 'def f\n  x = 42\n  g x\nend\nh'
+//   u[1] === t[1]         // -> true
+
+// Only the smallest statement around the edit is parsed again. The rest of the tree is reused, so the result is made of the old nodes plus the new statement and copies of the nodes above it.
+// It's the same tree that a full parse of the edited source would produce, down to positions, end offsets, kinds and comments, which means that the two can be cross-checked against each other.
+// Reused nodes that come after the edit have their positions and source records moved in place, so the old tree shouldn't be used once it's been reparsed. The edited source is parsed as the same
+// version of Ruby as the tree was.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.reparse(tree, edit) = tree._original ? reparse(edit_of(tree, edit))
+                                              : raise [new Error('caterwaul.ruby.reparse: the tree has no source records, so it has to come from caterwaul.ruby() or reparse()')],
+
+  where [reparse(e)  = touches_heredoc(e) ? e.source.tree() : (candidates(e) |[splice(x.ancestors, x.statement, e)] |seq) || e.source.tree(),
+
+         children(n) = Array.prototype.slice.call(n),
+         last(xs)    = xs[xs.length - 1],
+         unique(xs)  = xs %[xs.indexOf(x) === xi] -seq,
+         lines_in(s) = s.split('\n').length - 1,
+
+// Edits.
+// An edit is {offset, removed, inserted}; both of the last two can be omitted. Positions after the edit move by the number of lines it adds, and the ones on the line where it ends also move
+// sideways. Offsets after the edit just move by the change in length.
+
+         edit_of(tree, edit) = (! (0 <= offset && offset <= old_end && old_end <= before.length) ? raise [new Error('caterwaul.ruby.reparse: the edit doesn\'t fit inside the source')] :
+                                {tree: tree, before: before, heredocs: tree._original.heredocs, source: source, offset: offset, old_end: old_end, new_end: offset + inserted.length,
+                                 delta:   inserted.length - removed.length,
+                                 line:    line + lines_in(removed),
+                                 column:  old_end - last_newline(removed, before) - 1,
+                                 lines:   lines_in(inserted) - lines_in(removed),
+                                 columns: inserted.length - removed.length - last_newline(inserted, source.input) + last_newline(removed, before)})
+                               -where [before                 = tree._original.input,
+                                       offset                 = edit.offset,
+                                       old_end                = offset + (edit.removed || 0),
+                                       inserted               = edit.inserted || '',
+                                       removed                = before.substring(offset, old_end),
+                                       source                 = $.ruby.source(before.substring(0, offset) + inserted + before.substring(old_end), {version: tree._original.version}),
+                                       line                   = offset ? source.position_of(offset - 1).line : 0,
+                                       last_newline(s, input) = s.lastIndexOf('\n') >= 0 ? offset + s.lastIndexOf('\n') : offset ? input.lastIndexOf('\n', offset - 1) : -1],
+
+         after_edit(e, p)    = p.line > e.line || p.line === e.line && p.column >= e.column,
+         moved(e, p)         = p && after_edit(e, p) ? {line: p.line + e.lines, column: p.line === e.line ? p.column + e.columns : p.column} : p,
+         moved_offset(e, i)  = i !== null && i !== undefined && i >= e.old_end ? i + e.delta : i,
+         moved_original(e, o, cs) = {input: e.source.input, heredocs: e.source.context.heredocs, positions: e.source.position_of, version: o.version, data: o.data, children: cs,
+                                     start: moved_offset(e, o.start), end: moved_offset(e, o.end)},
+
+         ended_before(e, n)  = n._original && n._original.end !== null && n._original.end <= e.offset,
+         shift(e, n)         = ended_before(e, n) ? n : n -se [it._position = moved(e, it._position), it._end = moved_offset(e, it._end),
+                                                               it._original = it._original && moved_original(e, it._original, it._original.children), children(it) *![shift(e, x)] -seq],
+
+  // Heredocs.
+//   A heredoc's body is parsed when the parser reaches the end of its header line, so editing anything from the start of that line to the end of the body can change how the text after the
+//   statement parses. Those edits get a full parse, and so does any edit that makes a new heredoc.
+
+         touches_heredoc(e)  = (spans_edit(e.heredocs, e.before, e.old_end) || spans_edit(e.source.context.heredocs, e.source.input, e.new_end))
+                               -where [spans_edit(hs, input, end) = Object.keys(hs) |[input.lastIndexOf('\n', x - 1) + 1 <= end && hs[x].end >= e.offset] |seq],
+
+// Finding the statement.
+// The candidates are the statements (children of ';' nodes) whose source contains the edit, innermost first. A statement has to start before the edit, since text inserted at its start
+// could just as well belong to the statement before it. Each candidate is parsed again at its old offset, and it's accepted if the new statement ends where the old one did, allowing for the
+// change in length, and declares the same local variables; otherwise the edit has moved a statement boundary or changed how later statements parse, and the next candidate out is tried. If
+// none of them works the whole source is parsed.
+
+         candidates(e)       = path *[{ancestors: path.slice(0, xi), parent: path[xi - 1], statement: x}] %[x.parent && x.parent.data === ';' && x.statement._original.start < e.offset] -seq
+                               -re- it.reverse()
+                               -where [containing(n) = children(n) |[x._original && x._original.start !== null && x._original.start <= e.offset && x._original.end >= e.old_end && x] |seq,
+                                       descend(xs, n) = (c && descend(xs -se- it.push(c), c)) -where [c = containing(n)],
+                                       path           = [e.tree] -se- descend(it, e.tree)],
+
+         splice(ancestors, s, e) = (r && r._original.start === s._original.start && r._original.end === moved_offset(e, s._original.end) && declared(r, known) === declared(s, known)
+                                    && finish(rebuild(ancestors, s, r.position_map(e.source.positions), e), s, r, e))
+                                   -where [locals = visible_locals(ancestors, s),
+                                           known  = locals *[x.data] -seq,
+                                           r      = e.source.statement_at(s._original.start, seeded(locals))],
+
+  // Local variables.
+//   Whether an identifier is a local depends on what came before it, so the statement is parsed with the declarations that the parser would have seen at its offset. They're the identifiers
+//   tagged 'local' that come before the statement in the nodes around it, leaving out blocks and method, class and module bodies that have already been closed, and everything outside of the
+//   innermost method, class or module that contains it.
+
+         hard_scope(n)       = n.length && /^(?:def|class|module)$/.test(n.data),
+         scope(n)            = hard_scope(n) || n.length && /^(?:\{\}|do)$/.test(n.data),
+         locals_in(n, limit) = scope(n) ? [] : n.length ? children(n) *~![locals_in(x, limit)] -seq : n._kind === 'local' && n._original.start < limit ? [n] : [],
+
+         visible_locals(ancestors, s) = ancestors *~!a[ai < from ? [] : others(a, ancestors[ai + 1] || s) *~![locals_in(x, s._original.start)] -seq] -seq
+                                        -where [from         = Math.max.apply(Math, ancestors *[hard_scope(x) ? xi : 0] -seq),
+                                                others(a, p) = children(a) %[x !== p] -seq],
+
+         seeded(locals)      = {names: {} -se [live *![(it[x.name] || (it[x.name] = [])).push(x)] -seq], live: live, opened: []}
+                               -where [live = locals *[{name: '@' + x.data, offset: x._original.start}] -seq],
+
+         declared(n, known)  = unique(locals_in(n, Infinity) *[x.data] %[known.indexOf(x) < 0] -seq).sort().join(' '),
+
+// Putting the tree back together.
+// The nodes above the new statement are copied with the new statement in place of the old one, and everything after the edit is shifted. Comments are collected from the old tree, less the
+// ones inside the old statement, and joined by the ones the new parse found; since the new statement can change which statement a nearby comment belongs to, they're all attached again.
+
+         rebuild(ancestors, old, r, e) = ancestors.length ? rebuild(ancestors.slice(0, -1), last(ancestors), copy(last(ancestors), old, r, e), e) : r,
+         copy(a, old, r, e)  = new $.ruby.syntax(a.data).metadata_from(a)
+                               -se [children(a) *![it.push(x === old ? r : shift(e, x))] -seq, it._position = moved(e, a._position), it._end = moved_offset(e, a._end),
+                                    it._original = moved_original(e, a._original, children(it))],
+
+         comments_of(n)      = n._comments.concat(children(n) *~![comments_of(x)] -seq),
+         strip(n)            = n -se [it._comments = [], children(it) *![strip(x)] -seq],
+
+         finish(root, s, r, e) = root /!strip -re- e.source.attach_comments(it, comments, given.n in e.source.offset_of(n.position()))
+                                 -where [kept     = comments_of(e.tree) %[x._original.start < s._original.start || x._original.start >= s._original.end] *[shift(e, x)] -seq,
+                                         fresh    = e.source.comments_between(s._original.start, r._original.end) *[x.position_map(e.source.positions)] -seq,
+                                         comments = kept.concat(fresh).sort(given[a, b] in a._original.start - b._original.start)]]})(caterwaul);
+// Generated by SDoc 
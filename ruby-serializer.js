@@ -0,0 +1,305 @@
+// Caterwaul Ruby serializer | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// This file turns Ruby syntax trees back into source code. A tree that came straight from the parser serializes to exactly the text it was parsed from, comments, heredocs and odd spacing
+// included:
+
+// | caterwaul.ruby('foo  bar, bif # hi').toRuby()         // -> 'foo  bar, bif # hi'
+//   caterwaul.ruby.serialize(caterwaul.ruby('x = 5'))     // -> 'x = 5'
+
+// Trees that have been rewritten are printed bottom-up using the _original records that parse() leaves on each node. A subtree that hasn't changed is copied from the source. A node that still
+// has its original operator and child layout keeps its original text between the children, so replacing 'bar' in 'foo(bar,  bif)' only changes the text of 'bar'. Everything else is generated
+// with a standard layout: two-space indentation, one statement per line, and parentheses wherever operator precedence needs them. Comments stay with the statements they're attached to.
+
+caterwaul.js_all()(function ($) {
+
+  $.ruby.syntax.prototype.toRuby() = $.ruby.serialize(this),
+
+// Serialization.
+// Each node is emitted as a record of its text, the comments that still need a place in the output, and whether the node is unchanged from the parse. Unchanged nodes take their comments along
+// with the copied text, except for ones that sit outside the node's range; those travel up to the nearest statement sequence, which prints them on the line before the statement they belong to,
+// or after it if they followed it in the source. A comment outside the sequence's own range is left to the enclosing node, which will usually copy the text it's in. '__END__' sections always end
+// up at the end of the output.
+
+  // Heredoc bodies.
+//   A heredoc body doesn't sit next to its header, so copying a range of the source can pick up a body whose header is somewhere else, or a header whose body is somewhere else. Bodies of the
+//   first kind are cut out of the copy. Headers of the second kind are followed by a marker, and once everything has been printed each marker is removed and the body it stands for is placed
+//   on the lines after the one the marker ended up on.
+
+  // A heredoc that has been modified is printed as an ordinary string instead, since there's no good way to tell where its body should go. A heredoc that has no source at all, like one from
+//   fromJSON() or a macro, is printed as a heredoc again: its header is followed by a marker for a body made of its pieces and its terminator.
+
+  $.ruby.serialize(tree, places) = emit(tree, '', false) /!surround /!place_bodies -re [places ? unmark(it) : it]
+                           -where [bodies                 = [],
+                                   precedence             = $.ruby.precedence,
+                                   right_associative      = $.ruby.right_associative,
+
+                                   children(n)            = Array.prototype.slice.call(n),
+                                   spanned(o)             = !! o && o.start !== null,
+                                   same_span(a, b)        = spanned(a) ? spanned(b) && a.start === b.start && a.end === b.end : ! spanned(b),
+                                   line_indent(o)         = /^[ \t]*/.exec(o.input.substring(o.input.lastIndexOf('\n', o.start - 1) + 1, o.start))[0],
+
+                                   marker_pattern         = /\u0000\d+\u0000/g,
+                                   marker(o, h)           = marked_body(o.input.substring(h.body_start, h.end)),
+                                   marked_body(s)         = '\u0000' + (bodies.push(s) - 1) + '\u0000',
+                                   body_text(m)           = '\n' + bodies[+m.slice(1, -1)],
+                                   with_bodies(line)      = line.replace(marker_pattern, '') + ((line.match(marker_pattern) || []) *body_text -seq).join(''),
+                                   place_bodies(s)        = s.split('\n') *with_bodies -seq -re- it.join('\n'),
+
+                                   copy(o, a, b)          = region(o, a, b, true, headers.length ? pieces.join('') : o.input.substring(a, b))
+                                                            -where [headers          = Object.keys(o.heredocs) *[{at: +x, h: o.heredocs[x]}] %[x.h.terminated] -seq,
+                                                                    header_inside(x) = x.at >= a && x.at + x.h.length <= b,
+                                                                    body_inside(x)   = x.h.body_start - 1 >= a && x.h.end <= b,
+                                                                    cuts             = headers %[! header_inside(x) && body_inside(x)] *[{from: x.h.body_start - 1, to: x.h.end, text: ''}] -seq,
+                                                                    marks            = headers %[header_inside(x) && ! body_inside(x)] *[{from: x.at + x.h.length, to: x.at + x.h.length, text: marker(o, x.h)}] -seq,
+                                                                    edits            = cuts.concat(marks).sort(given[x, y] in x.from - y.from || x.to - y.to),
+                                                                    cursor           = a,
+                                                                    pieces           = [] -se [edits *![it.push(o.input.substring(cursor, x.from), x.text), cursor = x.to] -seq,
+                                                                                               it.push(o.input.substring(cursor, b))]],
+
+  // Comments.
+//   Comments are kept as comment nodes, whose _original records give their offsets. A comment inside a range that got copied has already been printed, so it's dropped.
+
+                                   offset(c)              = c._original.start,
+                                   is_end(c)              = /^__END__/.test(c.data),
+                                   in_ranges(c, rs)       = rs |[offset(c) >= x[0] && offset(c) < x[1]] |seq,
+                                   outside(cs, rs)        = cs %[! in_ranges(x, rs)] -seq,
+
+                                   comment_before(c, i)   = /^=begin/.test(c.data) && i ? '\n' + c.data + '\n' + i : c.data + '\n' + i,
+                                   comment_after(c)       = /^#/.test(c.data) ? ' ' + c.data : '\n' + c.data,
+                                   with_comments(k, s, i) = leading.join('') + k.text + trailing.join('')
+                                                            -where [cs       = k.comments %[! is_end(x)] -seq,
+                                                                    after(c) = !! s && offset(c) >= s.end,
+                                                                    leading  = cs %[! after(x)] *[comment_before(x, i)] -seq,
+                                                                    trailing = cs %[after(x)] *comment_after -seq],
+
+                                   surround(r)            = leading.join('') + r.text + trailing.join('') + ends.join('')
+                                                            -where [o        = tree._original,
+                                                                    cs       = r.comments %[! is_end(x)] -seq,
+                                                                    before   = spanned(o) ? cs %[offset(x) < o.start] -seq : [],
+                                                                    leading  = before *[comment_before(x, '')] -seq,
+                                                                    trailing = cs %[before.indexOf(x) < 0] *['\n' + x.data] -seq,
+                                                                    ends     = r.comments %[is_end(x)] *['\n' + x.data] -seq],
+
+  // Emitting nodes.
+//   A node keeps its original text between children if each child is either new or still covers the range of the child it replaced. A new child takes the place of the old one; a child from
+//   somewhere else in the source can't, since the text around it would no longer match. Statement sequences are more forgiving: they copy the text between any two statements that were adjacent
+//   in the source, and put new statements on lines of their own. Anything on the lines after the last original statement is kept at the end. The bodies of methods, classes, modules and do-blocks
+//   can be "begin" nodes; these are printed without the 'begin' and 'end' keywords.
+
+                                   emit(n, indent, implicit) = mark(n, same && spanned(o)         ? {text: copy(o, o.start, o.end), comments: outside(pending, [[o.start, o.end]]), same: true} :
+                                                                       n.data === ';' && n.length ? sequence(n, kids, o, own) :
+                                                                       splices(n, kids, o)        ? splice(n, kids, o, pending) :
+                                                                                                    {text: layout(n, kids, own, implicit), comments: pending, same: same})
+                                                               -where [o       = n._original,
+                                                                       own     = spanned(o) && ! implicit ? line_indent(o) : indent,
+                                                                       kids    = children(n) *[emit(x, child_indent(n, xi, own), implicit_body(n, xi))] -seq,
+                                                                       changed = o && kids %[! x.same || n[xi] !== o.children[xi]] -seq,
+                                                                       same    = !! o && o.data === n.data && o.children.length === n.length && ! changed.length,
+                                                                       pending = n.comments().concat(kids /[[]][x0.concat(x.comments)] -seq)],
+
+                                   splices(n, kids, o)    = spanned(o) && ! is_heredoc(n) && o.data === n.data && o.children.length === n.length
+                                                            && ! (kids |[! fits(n[xi]._original, o.children[xi]._original, x)] |seq),
+                                   fits(now, was, k)      = spanned(now) ? same_span(now, was) : spanned(was) || ! k.text,
+
+                                   splice(n, kids, o, cs) = {text: texts.join('') + copy(o, ends[ends.length - 1], o.end), comments: outside(cs, gaps), same: false}
+                                                            -where [placed = kids *[{k: x, i: xi, s: o.children[xi]._original}] %[spanned(x.s)] -seq,
+                                                                    ends   = [o.start].concat(placed *[x.s.end] -seq),
+                                                                    gaps   = placed *[[ends[xi], x.s.start]] -seq -re- it.concat([[ends[ends.length - 1], o.end]]),
+                                                                    texts  = placed *[copy(o, ends[xi], x.s.start) + wrapped(n, x.i, x.k)] -seq],
+
+                                   sequence(n, kids, o, i) = {text: texts.join('') + separator(ranges[kids.length], kids.length), comments: comments, same: false}
+                                                             -where [slots         = children(n) *[spanned(x._original) ? x._original : null] -seq,
+                                                                     starts        = spanned(o) ? o.children *[spanned(x._original) ? x._original.start : null] -seq : [],
+                                                                     index_of(s)   = s ? starts.indexOf(s.start) : -1,
+                                                                     last          = slots[slots.length - 1],
+                                                                     final         = spanned(o) && o.children.length ? o.children[o.children.length - 1]._original : null,
+                                                                     tail          = spanned(final) ? o.input.indexOf('\n', final.end) : -1,
+                                                                     between(p, q) = index_of(p) >= 0 && index_of(q) === index_of(p) + 1 ? [p.end, q.start] : null,
+                                                                     lead          = index_of(slots[0]) === 0 ? [o.start, slots[0].start] : null,
+                                                                     trail         = index_of(last) >= 0 && index_of(last) === starts.length - 1 ? [last.end, o.end] : tail >= 0 && tail < o.end ? [tail, o.end] : null,
+                                                                     ranges        = [lead].concat(slots.slice(1) *[between(slots[xi], x)] -seq, [trail]),
+                                                                     copied        = ranges %[x] -seq,
+                                                                     separator(r, j) = r ? copy(o, r[0], r[1]) : j === 0 || j === kids.length ? '' : tagged(shown[j - 1], shown[j]) ? ' ' : '\n' + i,
+                                                                     inside(c)     = ! spanned(o) || offset(c) >= o.start && offset(c) < o.end,
+                                                                     placeable(k)  = {text: k.text, comments: outside(k.comments, copied) %[inside(x)] -seq},
+                                                                     shown         = kids *[with_comments(placeable(x), slots[xi], i)] -seq,
+                                                                     texts         = shown *[separator(ranges[xi], xi) + x] -seq,
+                                                                     comments      = outside(n.comments().concat(kids /[[]][x0.concat(x.comments %[is_end(x) || ! inside(x)] -seq)] -seq), copied)],
+
+  // Indentation.
+//   A node that came from the source is indented the way its line was, and a new node is indented to match its parent. Bodies are indented one level further than the node that contains them.
+
+                                   bodies_of              = {def: [2], module: [1], '{}': [1], 'do': [1], 'for': [2], when: [1], rescue: [2], 'else': [0], ensure: [0], begin: [0],
+                                                             'while': [1], until: [1], 'if': [1, 2], unless: [1, 2], 'elsif': [1, 2]},
+                                   body_index(n, i)       = n.data === 'class' ? i === n.length - 1 : bodies_of.hasOwnProperty(n.data) && bodies_of[n.data].indexOf(i) >= 0,
+                                   is_body(n, i)          = body_index(n, i) && n[i].data === ';',
+                                   implicit_body(n, i)    = n[i].data === 'begin' && (n.data === 'class' ? i === n.length - 1 : /^(?:def|module|do)$/.test(n.data) && i === bodies_of[n.data][0]),
+                                   child_indent(n, i, s)  = is_body(n, i) ? s + '  ' : s,
+
+  // Parentheses.
+//   An operator inside another one needs parentheses if it binds more loosely, or equally loosely on the side that the outer operator doesn't associate towards. Receivers need them around any
+//   operator, and arguments need them around the keyword operators like 'and', 'not' and the statement modifiers. Assignments are the exception: an argument, parameter default or hash value
+//   like 'b = 1' reads the same without them, and 'def f(a, (b = 1))' wouldn't parse at all. 'not' and 'defined?' applied directly to a group aren't operators at all, since the parser reads
+//   them as primaries.
+
+                                   operator(n)            = n.length === 1 ? /^u./.test(n.data) || /^(?:not|defined\?)$/.test(n.data) && n[0].data !== '(' :
+                                                            n.length === 2 ? precedence.hasOwnProperty(n.data) && ! /^(?:\.|::)$/.test(n.data) && ! (/^(?:while|until)$/.test(n.data) && n[1].data === ';') :
+                                                            n.length === 3 && n.data === '?',
+                                   rank(n)                = precedence[n.data] || 0,
+                                   keyword_operator(n)    = operator(n) && rank(n) >= precedence['rescue'],
+
+                                   looser(p, i, c)        = p.data === '?' ? rank(c) > rank(p) || i === 0 && rank(c) === rank(p)
+                                                                            : rank(c) > rank(p) || rank(c) === rank(p) && p.length === 2 && (i === 0) === !! right_associative[p.data],
+                                   receiver(p, i)         = i === 0 && /^(?:\(\)|&\.|\[\]|::|\.)$/.test(p.data),
+                                   argument(p)            = /^(?:,|,h|=>|:|return|break|next)$/.test(p.data),
+                                   assignment(c)          = /^(?:[-+*\/%&|^]|\*\*|<<|>>|&&|\|\|)?=$/.test(c.data) && c.length === 2 && c[0].data !== ',h' && c[1].data !== ',h'
+                                                            && (! keyword_operator(c[1]) || assignment(c[1])),
+                                   needs_parens(p, i, c)  = operator(c) && (operator(p) ? looser(p, i, c) : receiver(p, i) || argument(p) && keyword_operator(c) && ! assignment(c)),
+
+                                   wrapped(n, i, k)       = needs_parens(n, i, n[i]) ? '(' + k.text + ')' : k.text,
+
+  // Layouts.
+//   New nodes and nodes that can't be spliced are laid out from their children's text. Leaves print their data, except for the empty placeholders the parser uses for things like missing
+//   arguments. Strings print their pieces between their original delimiters. The template nodes that erb() makes print their text and tags between the '%>' and '<%' around them, leaving out
+//   whichever one falls outside the template. A line break that would go right after a '<%' or right before a '%>' is a space instead, so that each statement stays on one line inside its tag.
+
+                                   leaf(n)                = /^(?:|,|;|implied self)$/.test(n.data) ? '' : /^u\*\*?$/.test(n.data) ? n.data.substr(1) : is_heredoc(n) ? heredoc_string(n, []) :
+                                                            header(n) ? heredoc_text(n, []) : n.data,
+                                   filled(n)              = n.length > 0 || n.data !== '',
+
+                                   layout(n, kids, i, implicit) = (! n.length            ? leaf(n) :
+                                                                   is_heredoc(n)         ? heredoc_string(n, t) :
+                                                                   header(n)             ? heredoc_text(n, t) :
+                                                                   is_string(n)          ? string_text(n, t) :
+                                                                   is_regexp(n)          ? regexp_text(n, t) :
+                                                                   n.data === 'begin'    ? begin_text(n, t, i, implicit) :
+                                                                   layouts.hasOwnProperty(n.data) && layouts[n.data](n, t, i, i + '  ') ||
+                                                                   (n.length === 1       ? /^(?:not|defined\?)$/.test(n.data) && n[0].data === '(' ? n.data + t[0] :
+                                                                                           n.data === 'not' ? 'not ' + t[0] : n.data === 'defined?' ? 'defined?(' + t[0] + ')' : n.data.replace(/^u/, '') + t[0] :
+                                                                    n.length === 2       ? /^\.\.\.?$/.test(n.data) ? t[0] + n.data + t[1] : t[0] + ' ' + n.data + ' ' + t[1] :
+                                                                                           n.data + '(' + t.join(', ') + ')'))
+                                                                  -where [t = kids *[wrapped(n, xi, x)] -seq],
+
+                                   tagged(a, b)           = /<%$/.test(a) || /^%>/.test(b),
+                                   broken(a, b, i)        = a + (tagged(a, b) ? ' ' : '\n' + i) + b,
+
+                                   body(head, t, j)       = t ? broken(head, t, j) : head,
+                                   block(head, t, i, j)   = broken(body(head, t, j), 'end', i),
+                                   else_part(a, n, t, i, j) = ! filled(n) ? a : n.data === 'elsif' ? broken(a, t, i) : body(broken(a, 'else', i), t, j),
+                                   conditional(n, t, i, j) = n.length === 3 && else_part(body(n.data + ' ' + t[0], t[1], j), n[2], t[2], i, j),
+
+                                   clauses(a, t, i)       = t /[a][broken(x0, x, i)] -seq,
+                                   begin_text(n, t, i, implicit) = implicit ? clauses(t[0], t.slice(1), i) : broken(clauses(body('begin', t[0], i + '  '), t.slice(1), i), 'end', i),
+
+                                   listed(n, t)           = t *[xi && n[xi].data !== 'u;' ? ', ' + x : x] -seq -re- it.join(''),
+
+                                   layouts                = {',':     given[n, t] in listed(n, t),
+                                                             ',h':    given[n, t] in (n.length === 1 && n[0].data !== 'u*' ? t[0] + ',' : t.join(', ')),
+                                                             ' ':     given[n, t] in t.join(' '),
+                                                             'u;':    given[n, t] in '; ' + t.join(', '),
+                                                             '(':     given[n, t] in '(' + t[0] + ')',
+                                                             '[':     given[n, t] in '[' + t.join(', ') + ']',
+                                                             '{':     given[n, t] in '{' + t.join(', ') + '}',
+                                                             '[]':    given[n, t] in t[0] + '[' + t[1] + ']',
+                                                             '::':    given[n, t] in t[0] + '::' + t[1],
+                                                             '.':     given[n, t] in t[0] + '.' + t[1],
+                                                             '=>':    given[n, t] in t[0] + ' => ' + t[1],
+                                                             ':':     given[n, t] in (n.length === 2 ? t[0] + ': ' + t[1] : t[0] + ':'),
+                                                             '?':     given[n, t] in (n.length === 3 && t[0] + ' ? ' + t[1] + ' : ' + t[2]),
+                                                             '#{':    given[n, t] in '#' + '{' + t[0] + '}',
+                                                             '#':     given[n, t] in '#' + t[0],
+                                                             '<<':    given[n, t] in (n.length === 1 && '<< ' + t[0]),
+
+                                                             '()':    given[n, t] in (implied ? '' : t[0] + '.') + t[1] + (n[2].length ? '(' + t[2] + ')' : implied && ! n[3].length ? '()' : '')
+                                                                                   + (n[3].length ? ' ' + t[3] : '')
+                                                                                   -where [implied = n[0].data === 'implied self' && ! n[0].length],
+                                                             '&.':    given[n, t] in t[0] + '&.' + t[1] + (n[2].length ? '(' + t[2] + ')' : '') + (n[3].length ? ' ' + t[3] : ''),
+                                                             '->':    given[n, t] in '->' + (n[0].length ? '(' + t[0] + ')' : '') + ' ' + t[1],
+                                                             '{}':    given[n, t, i, j] in (t[1].indexOf('\n') < 0 ? '{' + parameters + (parameters && t[1] ? ' ' : '') + t[1] + '}'
+                                                                                                                   : broken(body('{' + parameters, t[1], j), '}', i))
+                                                                                            -where [parameters = n[0].length ? '|' + t[0] + '|' : ''],
+                                                             'do':    given[n, t, i, j] in block('do' + (n[0].length ? ' |' + t[0] + '|' : ''), t[1], i, j),
+
+                                                             def:     given[n, t, i, j] in block('def ' + t[0] + (n[1].length ? '(' + t[1] + ')' : ''), t[2], i, j),
+                                                             'class': given[n, t, i, j] in (n.length === 3 ? block('class ' + t[0] + (filled(n[1]) ? ' < ' + t[1] : ''), t[2], i, j)
+                                                                                                          : block('class ' + t[0], t[1], i, j)),
+                                                             module:  given[n, t, i, j] in block('module ' + t[0], t[1], i, j),
+                                                             alias:   given[n, t] in 'alias ' + t[0] + ' ' + t[1],
+                                                             undef:   given[n, t] in 'undef ' + t.join(', '),
+
+                                                             'if':    given[n, t, i, j] in conditional(n, t, i, j) -re [it && broken(it, 'end', i)],
+                                                             unless:  given[n, t, i, j] in conditional(n, t, i, j) -re [it && broken(it, 'end', i)],
+                                                             elsif:   given[n, t, i, j] in conditional(n, t, i, j),
+                                                             'while': given[n, t, i, j] in (n[1].data === ';' && block('while ' + t[0], t[1], i, j)),
+                                                             until:   given[n, t, i, j] in (n[1].data === ';' && block('until ' + t[0], t[1], i, j)),
+                                                             'for':   given[n, t, i, j] in block('for ' + t[0] + ' in ' + t[1], t[2], i, j),
+                                                             'case':  given[n, t, i, j] in broken(clauses('case' + (filled(n[0]) ? ' ' + t[0] : ''), t.slice(1), i), 'end', i),
+                                                             when:    given[n, t, i, j] in body('when ' + t[0], t[1], j),
+                                                             rescue:  given[n, t, i, j] in (n.length === 3 && body('rescue' + (n[0].length ? ' ' + t[0] : '') + (filled(n[1]) ? ' => ' + t[1] : ''), t[2], j)),
+                                                             'else':  given[n, t, i, j] in body('else', t[0], j),
+                                                             ensure:  given[n, t, i, j] in body('ensure', t[0], j),
+                                                             'return': given[n, t] in 'return ' + t[0],
+                                                             'break': given[n, t] in 'break ' + t[0],
+                                                             next:    given[n, t] in 'next ' + t[0],
+
+                                                             template: given[n, t] in (o && o.start === 0 ? '' : '%>') + pieces(n, t) + (o && o.end === o.input.length ? '' : '<%') -where [o = n._original],
+                                                             '<%=':   given[n, t] in '<%= ' + t[0] + ' %>',
+                                                             '<%==':  given[n, t] in '<%== ' + t[0] + ' %>'},
+
+  // Strings.
+//   String nodes keep the delimiter they were written with, so their pieces can be printed as they are. Interpolations are printed from their expressions. Interpolated regexps print their
+//   pieces between the delimiters in their data, before the flags. A modified heredoc becomes a quoted string; squiggly heredocs lose their common indentation on the way. A heredoc without
+//   a source keeps its header, and its body ends with a newline before the terminator.
+
+                                   closers                = {'(': ')', '[': ']', '{': '}', '<': '>'},
+                                   closer(s)              = (closers[c] || c) -where [c = s.charAt(s.length - 1)],
+                                   is_string(n)           = n.data === '' || /^(?:"|`|:"|%[qQwWiIx]?[^\w\s=])$/.test(n.data) || n.data === '%=' && n.length !== 2,
+                                   is_regexp(n)           = /^(?:\/|%r[^\w\s])[^\w\s][a-z]*$/.test(n.data),
+                                   pieces(n, t)           = children(n) *[x.length ? t[xi] : x.data] -seq -re- it.join(''),
+                                   string_text(n, t)      = n.data === '' ? pieces(n, t) : /^%[wWiI]/.test(n.data) ? n.data + t.join(' ') + closer(n.data) : n.data + pieces(n, t) + closer(n.data),
+                                   regexp_text(n, t)      = n.data.substring(0, open) + pieces(n, t) + n.data.substring(open) -where [open = n.data.charAt(0) === '/' ? 1 : 3],
+
+                                   is_heredoc(n)          = !! n._original && /^<<./.test(n.data) && n._original.heredocs.hasOwnProperty(n._original.start),
+                                   header(n)              = ! is_heredoc(n) && /^<<([-~]?)(?:(["'`])([\s\S]*)\2|(\w+))$/.exec(n.data),
+                                   heredoc_text(n, t)     = n.data + marked_body(pieces(n, t) -re [it && ! /\n$/.test(it) ? it + '\n' : it] -re- it + (h[2] ? h[3] : h[4]))
+                                                            -where [h = header(n)],
+                                   heredoc_string(n, t)   = (interpolating ? quote + dedent(children(n) *[x.length ? '\u0002' + xi + '\u0003' : escape(x.data)] -seq -re- it.join(''))
+                                                                                    .replace(/\u0002(\d+)\u0003/g, given[m, k] in t[+k]) + quote
+                                                                          : "'" + dedent(children(n) *[x.data.replace(/[\\']/g, '\\$&')] -seq -re- it.join('')) + "'")
+                                                            -where [h             = n._original.heredocs[n._original.start],
+                                                                    interpolating = h.interpolating,
+                                                                    quote         = /^<<[-~]?`/.test(n.data) ? '`' : '"',
+                                                                    escape(s)     = s.replace(/\\[\s\S]|["`]/g, given.m in (m.length > 1 || m !== quote ? m : '\\' + m)),
+                                                                    dedent(s)     = (h.squiggly ? (lines *[x.substring(shortest)] -seq).join('\n') : s)
+                                                                                    -where [lines    = s.split('\n'),
+                                                                                            shortest = Math.min.apply(Math, lines %[/\S/.test(x)] *[/^[ \t]*/.exec(x)[0].length] -seq)]],
+
+  // Source maps.
+//   When serialize() is given an array of places, the text of every node that came from the source is wrapped in markers as it's emitted, and so is every piece of copied text. Once the output
+//   is finished the markers are taken out again, and each one adds the output offset where its text ended up to the places, along with the position in the source that the text starts at (see
+//   ruby-source-map.js). Each line of the output also starts with a place. In copied text it's the matching place in the source, since the copy lines up with the source character for
+//   character; elsewhere it's the start of the innermost node around it. Places only come from the source that the first marked node was parsed from.
+
+                                   marked                 = [],
+                                   open                   = [],
+                                   removed                = 0,
+                                   input                  = null,
+
+                                   mark(n, r)             = spanned(n._original) ? r -se [it.text = region(n._original, n._original.start, n._original.end, r.same, it.text)] : r,
+                                   region(o, a, b, c, s)  = places && s ? '\u0001' + (marked.push({o: o, start: a, end: b, copied: c}) - 1) + '\u0001' + s + '\u0004' : s,
+
+                                   unmark(s)              = s.replace(/\u0001(\d+)\u0001|\u0004|\n/g, given[m, k, i] in (m === '\n' ? m -se- newline(i - removed) : '' -se- passed(m, k, i - removed))),
+                                   passed(m, k, at)       = (k ? opened(marked[+k], at) : open.pop()) -se- (removed += m.length),
+                                   opened(e, at)          = open.push({region: e, at: at}) -se- place(at, e.o, e.start),
+                                   newline(at)            = (top && place(at + 1, top.region.o, top.region.copied && i < top.region.end ? i : top.region.start))
+                                                            -where [top = open[open.length - 1], i = top && top.region.start + at + 1 - top.at],
+
+                                   place(at, o, i)        = (input === null || input === o.input) && o.input.charAt(i) !== '\n' && places.push(o.positions(i) -re- {offset: at, line: it.line, column: it.column})
+                                                            -se- (input = o.input)],
+
+  $.ruby.serialize.mapped(tree, options) = {code: code, map: $.ruby.source_map(code, places, options)} -where [places = [], code = $.ruby.serialize(tree, places)],
+
+  using [caterwaul.parser]})(caterwaul);
+// Generated by SDoc 
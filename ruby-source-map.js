@@ -0,0 +1,43 @@
+// Caterwaul Ruby source maps | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Ruby printed from a tree and Javascript compiled from one can both come with a source map, so that errors and stack traces in the output can be traced back to the Ruby they came from. The
+// maps are standard version 3 source maps (https://sourcemaps.info/spec.html), which node.js, browsers and most other tools understand:
+
+// | caterwaul.ruby.serialize.mapped(tree, {file: 'out.rb', source: 'in.rb'})     // -> {code: '...', map: {version: 3, file: 'out.rb', sources: ['in.rb'], names: [], mappings: '...'}}
+//   caterwaul.ruby.compile.mapped(tree, {file: 'out.js', source: 'in.rb'})       // -> {code: '...', map: {...}}
+
+// The serializer and the compiler work out where the text of each node ended up, and source_map() encodes those places. Each place is an offset into the generated code along with the
+// zero-based line and column in the Ruby source that it came from, like the ones span() returns. A map has one source, so places in nodes that were parsed from some other input are left out by
+// the callers.
+
+caterwaul.js_all()(function ($) {
+  $.ruby.source_map(code, places, options) = {version: 3, file: o.file || '', sourceRoot: o.root || '', sources: [o.source || ''], names: [], mappings: mappings(code, places)}
+                                             -where [o = options || {}],
+
+  where [base64      = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+
+// Encoding.
+// Each generated line is a list of segments separated by commas, and lines are separated by semicolons. A segment is a list of base64 VLQ numbers: the generated column, the index of the source,
+// and the line and column in that source. The generated column is relative to the previous segment on its line, and the rest are relative to the previous segment anywhere in the map. When
+// several places share an offset (a node and its first child, say), the last one wins, since the innermost node is the most precise.
+
+         vlq(n)      = digits(n < 0 ? -n << 1 | 1 : n << 1),
+         digits(v)   = base64.charAt(v & 31 | (v > 31 ? 32 : 0)) + (v > 31 ? digits(v >>> 5) : ''),
+
+         mappings(code, places) = rows *r[r ? r *s[encoded(s, si ? r[si - 1].column : 0)] -seq -re- it.join(',') : ''] -seq -re- it.join(';')
+                                  -where [newlines         = [] -se [n[code.length] *![code.charCodeAt(x) === 10 && it.push(x)] -seq],
+                                          line_of(i, l, u) = (l < u ? newlines[m] < i ? line_of(i, m + 1, u) : line_of(i, l, m) : l) -where [m = l + u >> 1],
+
+                                          sorted           = places *[{offset: x.offset, line: x.line, column: x.column, i: xi}] -seq
+                                                             -re- it.sort(given[a, b] in a.offset - b.offset || a.i - b.i),
+                                          kept             = sorted %[! sorted[xi + 1] || sorted[xi + 1].offset !== x.offset] -seq,
+
+                                          rows             = [] -se [kept *![(it[l] || (it[l] = [])).push({column: x.offset - (l ? newlines[l - 1] + 1 : 0), source: x}),
+                                                                             where [l = line_of(x.offset, 0, newlines.length)]] -seq],
+
+                                          last             = {line: 0, column: 0},
+                                          encoded(s, previous) = vlq(s.column - previous) + vlq(0) + vlq(s.source.line - last.line) + vlq(s.source.column - last.column)
+                                                                 -se [last.line = s.source.line, last.column = s.source.column]]]})(caterwaul);
+// Generated by SDoc 